@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const { ApiError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const mailService = require('../services/mail.service');
 
 /**
  * @desc Register a new user
@@ -41,7 +42,9 @@ const register = async (req, res, next) => {
     // Generate JWT token and refresh token
     const { token, refreshToken } = user.generateAuthTokens();
     
-    // TODO: Send email verification email
+    // Not awaited: the account exists either way and a slow or failing mail
+    // relay should not hold up or fail the registration
+    mailService.sendVerificationEmail(user);
     
     // Return success response
     res.status(201).json({
@@ -173,10 +176,12 @@ const forgotPassword = async (req, res, next) => {
     
     // Set password reset token and expiry
     user.passwordResetToken = resetToken;
-    user.passwordResetExpires = Date.now() + 3600000; // 1 hour
+    user.passwordResetExpires = Date.now() + mailService.PASSWORD_RESET_MINUTES * 60000;
     await user.save();
     
-    // TODO: Send password reset email
+    // Not awaited: waiting on the mail relay only for known addresses would
+    // let response times reveal which emails have accounts
+    mailService.sendPasswordResetEmail(user);
     
     // Return success response
     res.status(200).json({
@@ -219,7 +224,7 @@ const resetPassword = async (req, res, next) => {
     // Generate new JWT token
     const { token: jwtToken, refreshToken } = user.generateAuthTokens();
     
-    // TODO: Send password changed email
+    await mailService.sendPasswordChangedEmail(user);
     
     // Return success response
     res.status(200).json({
@@ -309,7 +314,8 @@ const resendVerificationEmail = async (req, res, next) => {
     user.emailVerificationToken = emailVerificationToken;
     await user.save();
     
-    // TODO: Send verification email
+    // Not awaited, for the same reason as in forgotPassword
+    mailService.sendVerificationEmail(user);
     
     // Return success response
     res.status(200).json({
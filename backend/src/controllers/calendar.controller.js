@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { User } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const { buildUserCalendar } = require('../services/calendar.service');
+
+/**
+ * Build the subscription URL for a calendar token
+ * @param {Object} req - Express request
+ * @param {String} token - Calendar token
+ * @returns {String} - Feed URL
+ */
+const getFeedUrl = (req, token) => {
+  const baseUrl = process.env.PUBLIC_API_URL
+    ? `${process.env.PUBLIC_API_URL.replace(/\/$/, '')}/api/v1/calendar`
+    : `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  return `${baseUrl}/feed/${token}.ics`;
+};
+
+/**
+ * @desc Get the calendar subscription of the authenticated user
+ * @route GET /api/v1/calendar/subscription
+ * @access Private
+ */
+const getSubscription = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(user.calendarToken),
+        url: user.calendarToken ? getFeedUrl(req, user.calendarToken) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Create or rotate the calendar feed token
+ * @route POST /api/v1/calendar/subscription
+ * @access Private
+ */
+const createSubscription = async (req, res, next) => {
+  try {
+    // Rotating invalidates any previously shared feed URL
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await User.updateOne({ _id: req.user._id }, { calendarToken: token });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed enabled',
+      data: {
+        enabled: true,
+        url: getFeedUrl(req, token)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Disable the calendar feed
+ * @route DELETE /api/v1/calendar/subscription
+ * @access Private
+ */
+const deleteSubscription = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarToken: '' } });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get the iCalendar feed for a calendar token
+ * @route GET /api/v1/calendar/feed/:token.ics
+ * @access Public (token protected)
+ */
+const getFeed = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token, isActive: true });
+
+    if (!user) {
+      throw ApiError.notFound('Calendar feed not found');
+    }
+
+    const calendar = await buildUserCalendar(user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="gear-tracker.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSubscription,
+  createSubscription,
+  deleteSubscription,
+  getFeed
+};
@@ -0,0 +1,283 @@
+const { Consumable, Equipment } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const consumableService = require('../services/consumable.service');
+const { pickFields } = require('../utils/fields');
+
+// Fields a client may edit; stock only changes through restocking and
+// maintenance records so concurrent changes are not overwritten
+const CONSUMABLE_FIELDS = ['name', 'type', 'brand', 'unit', 'unitCost', 'reorderThreshold', 'compatibleEquipment', 'supplier', 'notes'];
+
+/**
+ * Make sure compatible equipment ids belong to the user
+ * @param {String} userId - Owner of the equipment
+ * @param {Array<String>} [equipmentIds] - Equipment ids from the request
+ * @returns {Promise<void>}
+ */
+const checkCompatibleEquipment = async (userId, equipmentIds) => {
+  if (!equipmentIds || equipmentIds.length === 0) {
+    return;
+  }
+
+  const uniqueIds = [...new Set(equipmentIds.map(String))];
+  const count = await Equipment.countDocuments({ _id: { $in: uniqueIds }, userId });
+
+  if (count !== uniqueIds.length) {
+    throw ApiError.badRequest('Compatible equipment not found', 'INVALID_EQUIPMENT');
+  }
+};
+
+/**
+ * @desc Get all consumables for the authenticated user
+ * @route GET /api/v1/consumables
+ * @access Private
+ */
+const getAllConsumables = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { type, equipmentId, lowStock } = req.query;
+
+    // Build filter
+    const filter = { userId };
+
+    if (type) {
+      filter.type = type;
+    }
+
+    if (equipmentId) {
+      filter.compatibleEquipment = equipmentId;
+    }
+
+    if (lowStock !== undefined) {
+      filter.$expr = lowStock
+        ? { $lte: ['$quantity', '$reorderThreshold'] }
+        : { $gt: ['$quantity', '$reorderThreshold'] };
+    }
+
+    const consumables = await Consumable.find(filter).sort(req.query.sort || 'name');
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        consumables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get consumable by ID
+ * @route GET /api/v1/consumables/:id
+ * @access Private
+ */
+const getConsumableById = async (req, res, next) => {
+  try {
+    const consumable = await Consumable.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).populate('compatibleEquipment', 'name type make model');
+
+    if (!consumable) {
+      throw ApiError.notFound('Consumable not found');
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        consumable
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Create new consumable
+ * @route POST /api/v1/consumables
+ * @access Private
+ */
+const createConsumable = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    await checkCompatibleEquipment(userId, req.body.compatibleEquipment);
+
+    const consumable = await Consumable.create({
+      ...pickFields(req.body, [...CONSUMABLE_FIELDS, 'quantity']),
+      userId
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Consumable created successfully',
+      data: {
+        consumable
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update consumable
+ * @route PUT /api/v1/consumables/:id
+ * @access Private
+ */
+const updateConsumable = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const updates = pickFields(req.body, CONSUMABLE_FIELDS);
+
+    await checkCompatibleEquipment(userId, updates.compatibleEquipment);
+
+    const consumable = await Consumable.findOneAndUpdate(
+      { _id: req.params.id, userId },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!consumable) {
+      throw ApiError.notFound('Consumable not found');
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Consumable updated successfully',
+      data: {
+        consumable
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete consumable
+ * @route DELETE /api/v1/consumables/:id
+ * @access Private
+ */
+const deleteConsumable = async (req, res, next) => {
+  try {
+    // Maintenance records keep their own name and cost for reporting
+    const consumable = await Consumable.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!consumable) {
+      throw ApiError.notFound('Consumable not found');
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Consumable deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Add stock to a consumable
+ * @route POST /api/v1/consumables/:id/restock
+ * @access Private
+ */
+const restockConsumable = async (req, res, next) => {
+  try {
+    const { quantity, unitCost } = req.body;
+
+    const update = { $inc: { quantity } };
+    if (unitCost !== undefined) {
+      update.$set = { unitCost };
+    }
+
+    const consumable = await Consumable.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      update,
+      { new: true }
+    );
+
+    if (!consumable) {
+      throw ApiError.notFound('Consumable not found');
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Consumable restocked successfully',
+      data: {
+        consumable
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get consumables at or below their reorder threshold
+ * @route GET /api/v1/consumables/reports/low-stock
+ * @access Private
+ */
+const getLowStockReport = async (req, res, next) => {
+  try {
+    const consumables = await consumableService.getLowStock(req.user._id);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        count: consumables.length,
+        consumables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get consumable spend per instrument
+ * @route GET /api/v1/consumables/reports/spend
+ * @access Private
+ */
+const getSpendReport = async (req, res, next) => {
+  try {
+    const { from, to, equipmentId } = req.query;
+
+    const report = await consumableService.getSpendByEquipment(req.user._id, {
+      from,
+      to,
+      equipmentId
+    });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllConsumables,
+  getConsumableById,
+  createConsumable,
+  updateConsumable,
+  deleteConsumable,
+  restockConsumable,
+  getLowStockReport,
+  getSpendReport
+};
@@ -1,6 +1,58 @@
-const { Equipment } = require('../models');
+const mongoose = require('mongoose');
+const { Equipment, EquipmentHistory, DepreciationRule, WorkOrder } = require('../models');
 const { ApiError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { pickFields } = require('../utils/fields');
+const { storeEquipmentImage, removeEquipmentImage } = require('../services/image.service');
+const {
+  storeEquipmentDocument,
+  getEquipmentDocumentStream,
+  removeEquipmentDocument
+} = require('../services/document.service');
+const importService = require('../services/import.service');
+const { TRASH_RETENTION_DAYS, getPurgeDate } = require('../services/trash.service');
+const exportService = require('../services/export.service');
+const { buildEquipmentFilter, getEquipmentFacets } = require('../services/equipment.service');
+const depreciationService = require('../services/depreciation.service');
+const { resolveSettings, calculateValue } = require('../utils/depreciation');
+const { getUsageSinceLast, getScheduleDueDate } = require('../utils/maintenance');
+const { useConsumables, returnConsumables, replaceConsumables } = require('../services/consumable.service');
+const { resolveProvider } = require('../services/serviceProvider.service');
+const { validateEquipmentCoverage, syncEquipmentCoverage } = require('../services/insurance.service');
+
+// Equipment fields accepted as-is from the request body; images, documents,
+// maintenance, usage and workflow state have their own endpoints
+const EQUIPMENT_FIELDS = [
+  'name',
+  'type',
+  'category',
+  'make',
+  'model',
+  'serialNumber',
+  'purchaseDate',
+  'purchasePrice',
+  'currentValue',
+  'condition',
+  'location',
+  'notes'
+];
+
+/**
+ * Pick the equipment fields a client may set from a request body
+ * Of the insurance details only the policy can be chosen; whether the item
+ * is insured and for how much follow from the policy
+ * @param {Object} body - Request body
+ * @returns {Object} - Equipment fields
+ */
+const getEquipmentFields = (body) => {
+  const fields = pickFields(body, EQUIPMENT_FIELDS);
+
+  if (body.insuranceInfo && typeof body.insuranceInfo === 'object') {
+    fields.insuranceInfo = { policyId: body.insuranceInfo.policyId || undefined };
+  }
+
+  return fields;
+};
 
 /**
  * @desc Get all equipment for the authenticated user
@@ -13,40 +65,35 @@ const getAllEquipment = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const sort = req.query.sort || '-createdAt';
-    const type = req.query.type;
     const search = req.query.search;
     
     // Build filter
-    const filter = { userId };
+    const filter = buildEquipmentFilter(userId, req.query);
     
-    if (type) {
-      filter.type = type;
-    }
+    // Text searches rank by relevance unless another sort is requested
+    let sort = req.query.sort || (search ? 'relevance' : '-createdAt');
+    const projection = search ? { score: { $meta: 'textScore' } } : {};
     
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { make: { $regex: search, $options: 'i' } },
-        { model: { $regex: search, $options: 'i' } },
-        { serialNumber: { $regex: search, $options: 'i' } }
-      ];
+    if (sort === 'relevance') {
+      sort = search ? { score: { $meta: 'textScore' } } : '-createdAt';
     }
     
     // Execute query with pagination
-    const equipment = await Equipment.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-    
-    // Get total count for pagination
-    const total = await Equipment.countDocuments(filter);
+    const [equipment, total, facets] = await Promise.all([
+      Equipment.find(filter, projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Equipment.countDocuments(filter),
+      getEquipmentFacets(filter)
+    ]);
     
     // Return success response
     res.status(200).json({
       success: true,
       data: {
         equipment,
+        facets,
         pagination: {
           page,
           limit,
@@ -60,6 +107,54 @@ const getAllEquipment = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc Export the filtered equipment inventory as CSV, XLSX or PDF
+ * @route GET /api/v1/equipment/export
+ * @access Private
+ */
+const exportEquipment = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const format = req.query.format || 'csv';
+    const search = req.query.search;
+    const { contentType, extension } = exportService.EXPORT_FORMATS[format];
+    
+    // Build filter
+    const filter = buildEquipmentFilter(userId, req.query);
+    
+    // Relevance only ranks text searches, as on the equipment list
+    let sort = req.query.sort || 'name';
+    const projection = search ? { score: { $meta: 'textScore' } } : {};
+    
+    if (sort === 'relevance') {
+      sort = search ? { score: { $meta: 'textScore' } } : 'name';
+    }
+    
+    const cursor = Equipment.find(filter, projection)
+      .sort(sort)
+      .populate('insuranceInfo.policyId', 'provider policyNumber startDate endDate isActive')
+      .cursor();
+    
+    res.attachment(`inventory-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    res.type(contentType);
+    
+    try {
+      await exportService.writeExport(format, cursor, res, {
+        owner: req.user.fullName
+      });
+    } catch (error) {
+      // Headers are already sent once streaming starts
+      if (res.headersSent) {
+        logger.error('Equipment export failed:', error);
+        return res.destroy(error);
+      }
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc Get equipment by ID
  * @route GET /api/v1/equipment/:id
@@ -102,10 +197,16 @@ const createEquipment = async (req, res, next) => {
     const userId = req.user._id;
     
     // Create equipment
-    const equipment = await Equipment.create({
-      ...req.body,
+    const equipment = new Equipment({
+      ...getEquipmentFields(req.body),
       userId
     });
+    await validateEquipmentCoverage(equipment);
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Add the item to the policy it was created under
+    await syncEquipmentCoverage(equipment);
     
     // Return success response
     res.status(201).json({
@@ -131,7 +232,7 @@ const updateEquipment = async (req, res, next) => {
     const userId = req.user._id;
     
     // Find equipment by ID and owner
-    let equipment = await Equipment.findOne({
+    const equipment = await Equipment.findOne({
       _id: equipmentId,
       userId
     });
@@ -140,12 +241,25 @@ const updateEquipment = async (req, res, next) => {
       throw ApiError.notFound('Equipment not found');
     }
     
-    // Update equipment
-    equipment = await Equipment.findByIdAndUpdate(
-      equipmentId,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+    const previousPolicyId = equipment.insuranceInfo && equipment.insuranceInfo.policyId;
+    
+    // Update equipment (saved through the document so changes are recorded)
+    const { insuranceInfo, ...fields } = getEquipmentFields(req.body);
+    equipment.set(fields);
+
+    // Only a change of policy resets the coverage; the new policy allocates it again
+    if (insuranceInfo && String(insuranceInfo.policyId || '') !== String(previousPolicyId || '')) {
+      equipment.set('insuranceInfo.policyId', insuranceInfo.policyId);
+      equipment.set('insuranceInfo.isInsured', false);
+      equipment.set('insuranceInfo.coverageAmount', undefined);
+    }
+
+    await validateEquipmentCoverage(equipment);
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Move the item between policies when its policy changed
+    await syncEquipmentCoverage(equipment, previousPolicyId);
     
     // Return success response
     res.status(200).json({
@@ -161,7 +275,7 @@ const updateEquipment = async (req, res, next) => {
 };
 
 /**
- * @desc Delete equipment by ID
+ * @desc Move equipment to the trash
  * @route DELETE /api/v1/equipment/:id
  * @access Private
  */
@@ -179,15 +293,102 @@ const deleteEquipment = async (req, res, next) => {
     if (!equipment) {
       throw ApiError.notFound('Equipment not found');
     }
+
+    // The work order could no longer move the item back once it is trashed
+    if (equipment.activeWorkOrder) {
+      throw ApiError.conflict(
+        'Cancel or complete the work order before deleting the equipment',
+        'WORK_ORDER_IN_PROGRESS'
+      );
+    }
+
+    // Move equipment to the trash; it is purged after the retention period
+    equipment.deletedAt = new Date();
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Equipment moved to trash',
+      data: {
+        deletedAt: equipment.deletedAt,
+        purgeAfter: getPurgeDate(equipment.deletedAt)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get equipment in the trash
+ * @route GET /api/v1/equipment/trash
+ * @access Private
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    
+    const equipment = await Equipment.find({
+      userId,
+      deletedAt: { $ne: null }
+    }).sort('-deletedAt');
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        equipment: equipment.map(item => ({
+          ...item.toJSON(),
+          purgeAfter: getPurgeDate(item.deletedAt)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Restore equipment from the trash
+ * @route POST /api/v1/equipment/:id/restore
+ * @access Private
+ */
+const restoreEquipment = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    
+    // Find trashed equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId,
+      deletedAt: { $ne: null }
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found in trash');
+    }
+    
+    if (getPurgeDate(equipment.deletedAt) <= new Date()) {
+      throw ApiError.badRequest(
+        `Equipment can only be restored within ${TRASH_RETENTION_DAYS} days of deletion`,
+        'RESTORE_PERIOD_EXPIRED'
+      );
+    }
     
-    // Delete equipment
-    await Equipment.findByIdAndDelete(equipmentId);
+    equipment.deletedAt = undefined;
+    equipment.$locals.actor = userId;
+    await equipment.save();
     
     // Return success response
     res.status(200).json({
       success: true,
-      message: 'Equipment deleted successfully',
-      data: null
+      message: 'Equipment restored successfully',
+      data: {
+        equipment
+      }
     });
   } catch (error) {
     next(error);
@@ -195,15 +396,15 @@ const deleteEquipment = async (req, res, next) => {
 };
 
 /**
- * @desc Add maintenance record to equipment
- * @route POST /api/v1/equipment/:id/maintenance
+ * @desc Retire equipment (sold, lost, broken, etc.)
+ * @route POST /api/v1/equipment/:id/retire
  * @access Private
  */
-const addMaintenanceRecord = async (req, res, next) => {
+const retireEquipment = async (req, res, next) => {
   try {
     const equipmentId = req.params.id;
     const userId = req.user._id;
-    const { service, date, provider, cost, notes } = req.body;
+    const { reason, date, notes } = req.body;
     
     // Find equipment by ID and owner
     const equipment = await Equipment.findOne({
@@ -215,22 +416,65 @@ const addMaintenanceRecord = async (req, res, next) => {
       throw ApiError.notFound('Equipment not found');
     }
     
-    // Add maintenance record
-    equipment.maintenanceHistory.push({
-      service,
-      date,
-      provider,
-      cost,
-      notes
+    if (!equipment.isActive) {
+      throw ApiError.conflict('Equipment is already retired', 'ALREADY_RETIRED');
+    }
+    
+    // Gear at a tech comes back through its work order first
+    if (equipment.activeWorkOrder) {
+      throw ApiError.conflict(
+        'Cancel or complete the work order before retiring the equipment',
+        'WORK_ORDER_IN_PROGRESS'
+      );
+    }
+    
+    equipment.isActive = false;
+    equipment.retirement = { reason, date, notes };
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Equipment retired successfully',
+      data: {
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Return retired equipment to active use
+ * @route POST /api/v1/equipment/:id/reactivate
+ * @access Private
+ */
+const reactivateEquipment = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
     });
     
-    // Save equipment
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    equipment.isActive = true;
+    equipment.retirement = undefined;
+    equipment.$locals.actor = userId;
     await equipment.save();
     
     // Return success response
     res.status(200).json({
       success: true,
-      message: 'Maintenance record added successfully',
+      message: 'Equipment reactivated successfully',
       data: {
         equipment
       }
@@ -241,15 +485,64 @@ const addMaintenanceRecord = async (req, res, next) => {
 };
 
 /**
- * @desc Add maintenance schedule to equipment
- * @route POST /api/v1/equipment/:id/schedule
+ * @desc Get the change history of equipment
+ * @route GET /api/v1/equipment/:id/history
  * @access Private
  */
-const addMaintenanceSchedule = async (req, res, next) => {
+const getEquipmentHistory = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    // History is kept for trashed and purged items, so filter by owner directly
+    const filter = { equipmentId, userId };
+    
+    const [history, total] = await Promise.all([
+      EquipmentHistory.find(filter)
+        .sort('-timestamp')
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'firstName lastName email'),
+      EquipmentHistory.countDocuments(filter)
+    ]);
+    
+    // Trashed and purged items always have history, so an item without any
+    // was either created before history was recorded or is not the user's
+    if (total === 0 && !(await Equipment.exists({ _id: equipmentId, userId }))) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get depreciation settings and value curve of equipment
+ * @route GET /api/v1/equipment/:id/depreciation
+ * @access Private
+ */
+const getDepreciation = async (req, res, next) => {
   try {
     const equipmentId = req.params.id;
     const userId = req.user._id;
-    const { taskType, frequency, lastPerformed, nextDue } = req.body;
+    const years = req.query.years ?? 5;
     
     // Find equipment by ID and owner
     const equipment = await Equipment.findOne({
@@ -261,21 +554,86 @@ const addMaintenanceSchedule = async (req, res, next) => {
       throw ApiError.notFound('Equipment not found');
     }
     
-    // Add maintenance schedule
-    equipment.maintenanceSchedule.push({
-      taskType,
-      frequency,
-      lastPerformed,
-      nextDue
+    const rule = await depreciationService.getRuleForCategory(userId, equipment.category);
+    
+    // Query parameters preview a method without saving it
+    let source = null;
+    let itemSettings = equipment.depreciation;
+    if (req.query.method) {
+      source = 'preview';
+      itemSettings = {
+        method: req.query.method,
+        annualRate: req.query.annualRate,
+        usefulLifeYears: req.query.usefulLifeYears,
+        salvageValue: req.query.salvageValue
+      };
+    } else if (equipment.depreciation && equipment.depreciation.method) {
+      source = 'item';
+    } else if (rule) {
+      source = 'category';
+    }
+    
+    const settings = resolveSettings(itemSettings, rule);
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        settings,
+        source,
+        valueOverride: equipment.valueOverride,
+        calculatedValue: calculateValue(equipment, settings),
+        currentValue: equipment.currentValue,
+        curve: depreciationService.getValueCurve(equipment, settings, { years })
+      }
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update depreciation settings or manual value override of equipment
+ * @route PUT /api/v1/equipment/:id/depreciation
+ * @access Private
+ */
+const updateDepreciation = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const { method, annualRate, usefulLifeYears, salvageValue } = req.body;
     
-    // Save equipment
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    if (method !== undefined) {
+      // A null method falls back to the category rule
+      equipment.depreciation = method === null
+        ? undefined
+        : { method, annualRate, usefulLifeYears, salvageValue };
+    }
+    
+    if (req.body.valueOverride !== undefined) {
+      // A null override hands the value back to the depreciation engine
+      equipment.valueOverride = req.body.valueOverride === null
+        ? undefined
+        : req.body.valueOverride;
+    }
+    
+    equipment.$locals.actor = userId;
     await equipment.save();
     
     // Return success response
     res.status(200).json({
       success: true,
-      message: 'Maintenance schedule added successfully',
+      message: 'Depreciation updated successfully',
       data: {
         equipment
       }
@@ -286,26 +644,21 @@ const addMaintenanceSchedule = async (req, res, next) => {
 };
 
 /**
- * @desc Get all equipment with maintenance due
- * @route GET /api/v1/equipment/maintenance/due
+ * @desc Get per-category depreciation rules
+ * @route GET /api/v1/equipment/depreciation-rules
  * @access Private
  */
-const getMaintenanceDue = async (req, res, next) => {
+const getDepreciationRules = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const now = new Date();
     
-    // Find equipment with maintenance due
-    const equipment = await Equipment.find({
-      userId,
-      'maintenanceSchedule.nextDue': { $lte: now }
-    });
+    const rules = await DepreciationRule.find({ userId }).sort('category');
     
     // Return success response
     res.status(200).json({
       success: true,
       data: {
-        equipment
+        rules
       }
     });
   } catch (error) {
@@ -314,18 +667,32 @@ const getMaintenanceDue = async (req, res, next) => {
 };
 
 /**
- * @desc Upload equipment images
- * @route POST /api/v1/equipment/:id/images
+ * @desc Create or update the depreciation rule for a category
+ * @route PUT /api/v1/equipment/depreciation-rules/:category
  * @access Private
  */
-const uploadImages = async (req, res, next) => {
+const saveDepreciationRule = async (req, res, next) => {
   try {
-    // This is a placeholder - real implementation would use AWS S3 or similar
+    const userId = req.user._id;
+    const category = req.params.category;
+    const { method, annualRate, usefulLifeYears, salvageValue } = req.body;
+    
+    const rule = await DepreciationRule.findOneAndUpdate(
+      { userId, category },
+      { method, annualRate, usefulLifeYears, salvageValue },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    
+    // Apply the rule to existing equipment in the category
+    const updated = await depreciationService.recalculateValues({ userId, category });
+    
+    // Return success response
     res.status(200).json({
       success: true,
-      message: 'Images uploaded successfully',
+      message: 'Depreciation rule saved successfully',
       data: {
-        imageUrls: []
+        rule,
+        updatedEquipment: updated
       }
     });
   } catch (error) {
@@ -333,14 +700,1021 @@ const uploadImages = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc Delete the depreciation rule for a category
+ * @route DELETE /api/v1/equipment/depreciation-rules/:category
+ * @access Private
+ */
+const deleteDepreciationRule = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const category = req.params.category;
+    
+    const rule = await DepreciationRule.findOneAndDelete({ userId, category });
+    
+    if (!rule) {
+      throw ApiError.notFound('Depreciation rule not found');
+    }
+    
+    // Values the rule calculated no longer apply to the category
+    const updated = await depreciationService.recalculateValues(
+      { userId, category },
+      { resetUndepreciated: true }
+    );
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Depreciation rule deleted successfully',
+      data: {
+        updatedEquipment: updated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Add maintenance record to equipment
+ * @route POST /api/v1/equipment/:id/maintenance
+ * @access Private
+ */
+const addMaintenanceRecord = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const { service, date, dropOffDate, pickupDate, cost, notes, consumables } = req.body;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    // Link the record to a known service provider
+    const { providerId, provider } = await resolveProvider(userId, req.body);
+    
+    // Take used consumables out of stock
+    const consumablesUsed = await useConsumables(userId, consumables);
+    
+    // Add maintenance record
+    equipment.maintenanceHistory.push({
+      service,
+      date,
+      provider,
+      providerId,
+      dropOffDate,
+      pickupDate,
+      cost,
+      notes,
+      consumables: consumablesUsed
+    });
+    
+    // Save equipment, returning stock if the record is not stored
+    equipment.$locals.actor = userId;
+    try {
+      await equipment.save();
+    } catch (error) {
+      await returnConsumables(userId, consumablesUsed);
+      throw error;
+    }
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance record added successfully',
+      data: {
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update a maintenance record
+ * @route PUT /api/v1/equipment/:id/maintenance/:recordId
+ * @access Private
+ */
+const updateMaintenanceRecord = async (req, res, next) => {
+  try {
+    const { id: equipmentId, recordId } = req.params;
+    const userId = req.user._id;
+    const { consumables } = req.body;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const record = equipment.maintenanceHistory.id(recordId);
+    
+    if (!record) {
+      throw ApiError.notFound('Maintenance record not found');
+    }
+    
+    ['service', 'date', 'dropOffDate', 'pickupDate', 'cost', 'notes'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        record[field] = req.body[field];
+      }
+    });
+    
+    // Re-link the record when its provider changes
+    if (req.body.providerId !== undefined || req.body.provider !== undefined) {
+      const { providerId, provider } = await resolveProvider(userId, req.body);
+      record.providerId = providerId;
+      record.provider = provider;
+    }
+    
+    // Adjust stock to match the new consumables list
+    const previousConsumables = record.consumables.map(item => item.toObject());
+    let consumablesUsed;
+    if (consumables !== undefined) {
+      consumablesUsed = await replaceConsumables(userId, previousConsumables, consumables);
+      record.consumables = consumablesUsed;
+    }
+    
+    // Save equipment, restoring the previous stock if the record is not stored
+    equipment.$locals.actor = userId;
+    try {
+      await equipment.save();
+    } catch (error) {
+      if (consumablesUsed) {
+        await replaceConsumables(userId, consumablesUsed, previousConsumables);
+      }
+      throw error;
+    }
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance record updated successfully',
+      data: {
+        maintenanceRecord: record,
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete a maintenance record
+ * @route DELETE /api/v1/equipment/:id/maintenance/:recordId
+ * @access Private
+ */
+const deleteMaintenanceRecord = async (req, res, next) => {
+  try {
+    const { id: equipmentId, recordId } = req.params;
+    const userId = req.user._id;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const record = equipment.maintenanceHistory.id(recordId);
+    
+    if (!record) {
+      throw ApiError.notFound('Maintenance record not found');
+    }
+    
+    const { consumables, workOrderId } = record;
+    record.deleteOne();
+    
+    // Save equipment
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Stock is only returned on request, as old records usually describe real use
+    if (req.query.restock) {
+      await returnConsumables(userId, consumables);
+    }
+    
+    // The work order stays, without its link to the removed record
+    if (workOrderId) {
+      await WorkOrder.updateOne(
+        { _id: workOrderId, userId },
+        { $unset: { maintenanceRecordId: 1 } }
+      );
+    }
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance record deleted successfully',
+      data: {
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Add maintenance schedule to equipment
+ * @route POST /api/v1/equipment/:id/schedule
+ * @access Private
+ */
+const addMaintenanceSchedule = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const { taskType, frequency, usageInterval, lastPerformed, nextDue } = req.body;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    // Add maintenance schedule
+    equipment.maintenanceSchedule.push({
+      taskType,
+      frequency,
+      usageInterval,
+      lastPerformed,
+      nextDue
+    });
+    
+    // Save equipment
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance schedule added successfully',
+      data: {
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update a maintenance schedule
+ * @route PUT /api/v1/equipment/:id/schedule/:scheduleId
+ * @access Private
+ */
+const updateMaintenanceSchedule = async (req, res, next) => {
+  try {
+    const { id: equipmentId, scheduleId } = req.params;
+    const userId = req.user._id;
+    const { usageInterval } = req.body;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const schedule = equipment.maintenanceSchedule.id(scheduleId);
+    
+    if (!schedule) {
+      throw ApiError.notFound('Maintenance schedule not found');
+    }
+    
+    // The pre-save hook recomputes nextDue when frequency or lastPerformed
+    // change, unless nextDue is given as well
+    ['taskType', 'frequency', 'lastPerformed', 'nextDue'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        schedule[field] = req.body[field];
+      }
+    });
+    
+    if (usageInterval) {
+      const previousMetric = schedule.usageInterval && schedule.usageInterval.metric;
+      const metric = usageInterval.metric || previousMetric;
+      schedule.usageInterval = { metric, amount: usageInterval.amount };
+      
+      if (metric !== previousMetric) {
+        // Start counting the new metric from its current value
+        schedule.usageAtLastPerformed = undefined;
+        schedule.usageReachedAt = undefined;
+      } else if (getUsageSinceLast(schedule, equipment.usageCounters) < schedule.usageInterval.amount) {
+        // A larger interval may no longer have been reached
+        schedule.usageReachedAt = undefined;
+      }
+    }
+    
+    // Save equipment
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance schedule updated successfully',
+      data: {
+        schedule,
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete a maintenance schedule
+ * @route DELETE /api/v1/equipment/:id/schedule/:scheduleId
+ * @access Private
+ */
+const deleteMaintenanceSchedule = async (req, res, next) => {
+  try {
+    const { id: equipmentId, scheduleId } = req.params;
+    const userId = req.user._id;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const schedule = equipment.maintenanceSchedule.id(scheduleId);
+    
+    if (!schedule) {
+      throw ApiError.notFound('Maintenance schedule not found');
+    }
+    
+    schedule.deleteOne();
+    
+    // Records that completed the schedule are kept as plain history
+    equipment.maintenanceHistory.forEach((record) => {
+      if (record.scheduleId && record.scheduleId.equals(scheduleId)) {
+        record.scheduleId = undefined;
+      }
+    });
+    
+    // Save equipment
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance schedule deleted successfully',
+      data: {
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Complete a scheduled maintenance task, logging history and rolling the schedule forward
+ * @route POST /api/v1/equipment/:id/schedule/:scheduleId/complete
+ * @access Private
+ */
+const completeMaintenanceTask = async (req, res, next) => {
+  try {
+    const { id: equipmentId, scheduleId } = req.params;
+    const userId = req.user._id;
+    const { date, service, dropOffDate, pickupDate, cost, notes, consumables } = req.body;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const schedule = equipment.maintenanceSchedule.id(scheduleId);
+    
+    if (!schedule) {
+      throw ApiError.notFound('Maintenance schedule not found');
+    }
+    
+    const performedAt = date ? new Date(date) : new Date();
+    
+    // Link the record to a known service provider
+    const { providerId, provider } = await resolveProvider(userId, req.body);
+    
+    // Take used consumables out of stock
+    const consumablesUsed = await useConsumables(userId, consumables);
+    
+    // Add linked maintenance record
+    equipment.maintenanceHistory.push({
+      date: performedAt,
+      service: service || schedule.taskType,
+      provider,
+      providerId,
+      dropOffDate,
+      pickupDate,
+      cost,
+      notes,
+      scheduleId: schedule._id,
+      consumables: consumablesUsed
+    });
+    
+    // The pre-save hook rolls nextDue forward from lastPerformed
+    schedule.lastPerformed = performedAt;
+    
+    // Save equipment, returning stock if the record is not stored
+    equipment.$locals.actor = userId;
+    try {
+      await equipment.save();
+    } catch (error) {
+      await returnConsumables(userId, consumablesUsed);
+      throw error;
+    }
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance task completed successfully',
+      data: {
+        maintenanceRecord: equipment.maintenanceHistory[equipment.maintenanceHistory.length - 1],
+        schedule,
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Log usage (hours, gigs, etc.) against equipment
+ * @route POST /api/v1/equipment/:id/usage
+ * @access Private
+ */
+const logUsage = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const { metric, amount, date, notes } = req.body;
+    const entry = { _id: new mongoose.Types.ObjectId(), metric, amount, date, notes };
+    
+    // Add usage in one atomic update so concurrent logs for the item all count
+    const equipment = await Equipment.findOneAndUpdate(
+      { _id: equipmentId, userId },
+      {
+        $inc: { [`usageCounters.${metric}`]: amount },
+        $push: { usageLog: entry }
+      },
+      { new: true, runValidators: true }
+    );
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const now = new Date();
+    const changes = [
+      { field: `usageCounters.${metric}`, before: equipment.usageCounters[metric] - amount, after: equipment.usageCounters[metric] },
+      { field: `usageLog.${entry._id}`, before: undefined, after: equipment.usageLog.id(entry._id).toObject() }
+    ];
+    
+    // Tasks whose usage interval this log reached become due now; matching on
+    // an unset usageReachedAt keeps a concurrent log from moving the date again
+    for (const schedule of equipment.maintenanceSchedule) {
+      if (
+        !schedule.usageInterval ||
+        schedule.usageInterval.metric !== metric ||
+        schedule.usageReachedAt ||
+        getUsageSinceLast(schedule, equipment.usageCounters) < schedule.usageInterval.amount
+      ) {
+        continue;
+      }
+      
+      const previousDue = schedule.nextDue;
+      schedule.usageReachedAt = now;
+      schedule.nextDue = getScheduleDueDate(schedule) || undefined;
+      
+      const { modifiedCount } = await Equipment.updateOne(
+        { _id: equipment._id, maintenanceSchedule: { $elemMatch: { _id: schedule._id, usageReachedAt: null } } },
+        {
+          $set: {
+            'maintenanceSchedule.$.usageReachedAt': schedule.usageReachedAt,
+            'maintenanceSchedule.$.nextDue': schedule.nextDue
+          }
+        }
+      );
+      
+      if (modifiedCount > 0) {
+        changes.push(
+          { field: `maintenanceSchedule.${schedule._id}.usageReachedAt`, before: undefined, after: schedule.usageReachedAt },
+          { field: `maintenanceSchedule.${schedule._id}.nextDue`, before: previousDue, after: schedule.nextDue }
+        );
+      }
+    }
+    
+    await Equipment.recordChanges([{ _id: equipment._id, userId, changes }], { actor: userId });
+    
+    const schedules = equipment.maintenanceSchedule
+      .filter(schedule => schedule.usageInterval && schedule.usageInterval.metric === metric)
+      .map(schedule => ({
+        _id: schedule._id,
+        taskType: schedule.taskType,
+        usageSinceLast: getUsageSinceLast(schedule, equipment.usageCounters),
+        usageInterval: schedule.usageInterval,
+        nextDue: schedule.nextDue,
+        isDue: Boolean(schedule.nextDue && schedule.nextDue <= now)
+      }));
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Usage logged successfully',
+      data: {
+        usageCounters: equipment.usageCounters,
+        schedules
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get all equipment with maintenance due
+ * @route GET /api/v1/equipment/maintenance/due
+ * @access Private
+ */
+const getMaintenanceDue = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const now = new Date();
+    
+    // Find equipment with maintenance due
+    const equipment = await Equipment.find({
+      userId,
+      isActive: true,
+      'maintenanceSchedule.nextDue': { $lte: now }
+    });
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Upload equipment images
+ * @route POST /api/v1/equipment/:id/images
+ * @access Private
+ */
+const uploadImages = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    
+    if (!req.files || req.files.length === 0) {
+      throw ApiError.badRequest('At least one image is required', 'NO_FILES');
+    }
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    // Store images and thumbnails
+    const images = [];
+    try {
+      for (const file of req.files) {
+        images.push(await storeEquipmentImage(equipmentId, file));
+      }
+    } catch (error) {
+      await Promise.all(images.map(image => removeEquipmentImage(image)));
+      throw ApiError.badRequest(
+        `Failed to process image: ${error.message}`,
+        'IMAGE_PROCESSING_FAILED'
+      );
+    }
+    
+    // Add images to equipment
+    equipment.images.push(...images);
+    
+    try {
+      equipment.$locals.actor = userId;
+      await equipment.save();
+    } catch (error) {
+      await Promise.all(images.map(image => removeEquipmentImage(image)));
+      throw error;
+    }
+    
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: {
+        imageUrls: images.map(image => image.url),
+        images: equipment.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete an equipment image
+ * @route DELETE /api/v1/equipment/:id/images/:imageId
+ * @access Private
+ */
+const deleteImage = async (req, res, next) => {
+  try {
+    const { id: equipmentId, imageId } = req.params;
+    const userId = req.user._id;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const image = equipment.images.id(imageId);
+    
+    if (!image) {
+      throw ApiError.notFound('Image not found');
+    }
+    
+    // Remove image from equipment
+    image.deleteOne();
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Remove stored files; a leftover file should not fail the request
+    try {
+      await removeEquipmentImage(image);
+    } catch (error) {
+      logger.error(`Failed to remove stored image ${image.key}:`, error);
+    }
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: {
+        images: equipment.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Reorder equipment images (the first image is the primary photo)
+ * @route PUT /api/v1/equipment/:id/images/order
+ * @access Private
+ */
+const reorderImages = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const { imageIds } = req.body;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    // Order must list every image exactly once
+    const currentIds = equipment.images.map(image => image._id.toString()).sort();
+    const requestedIds = [...imageIds].sort();
+    
+    if (
+      currentIds.length !== requestedIds.length ||
+      currentIds.some((id, index) => id !== requestedIds[index])
+    ) {
+      throw ApiError.badRequest(
+        'Image order must include every image of the equipment exactly once',
+        'INVALID_IMAGE_ORDER'
+      );
+    }
+    
+    equipment.images = imageIds.map(id => equipment.images.id(id));
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: {
+        images: equipment.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Import equipment in bulk from a CSV or XLSX file
+ * @route POST /api/v1/equipment/import
+ * @access Private
+ */
+const importEquipment = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const dryRun = req.body.dryRun === true;
+    const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+    
+    if (!req.file) {
+      throw ApiError.badRequest('Import file is required', 'NO_FILES');
+    }
+    
+    const result = await importService.importEquipment(userId, req.file, {
+      mapping,
+      dryRun
+    });
+    
+    // Return success response
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? 'Import validated successfully'
+        : `${result.summary.imported} equipment items imported successfully`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get documents attached to equipment
+ * @route GET /api/v1/equipment/:id/documents
+ * @access Private
+ */
+const getDocuments = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const type = req.query.type;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    }).select('documents');
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const documents = type
+      ? equipment.documents.filter(document => document.type === type)
+      : equipment.documents;
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        documents
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Upload a document (receipt, warranty, manual, etc.) to equipment
+ * @route POST /api/v1/equipment/:id/documents
+ * @access Private
+ */
+const uploadDocument = async (req, res, next) => {
+  try {
+    const equipmentId = req.params.id;
+    const userId = req.user._id;
+    const { type, title, date, expiryDate } = req.body;
+    
+    if (!req.file) {
+      throw ApiError.badRequest('Document file is required', 'NO_FILES');
+    }
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    // Store file and add document to equipment
+    const file = await storeEquipmentDocument(equipmentId, req.file);
+    
+    equipment.documents.push({
+      ...file,
+      type,
+      title,
+      date,
+      expiryDate
+    });
+    
+    try {
+      equipment.$locals.actor = userId;
+      await equipment.save();
+    } catch (error) {
+      await removeEquipmentDocument(file);
+      throw error;
+    }
+    
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: {
+        document: equipment.documents[equipment.documents.length - 1]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Download an equipment document
+ * @route GET /api/v1/equipment/:id/documents/:documentId/download
+ * @access Private
+ */
+const downloadDocument = async (req, res, next) => {
+  try {
+    const { id: equipmentId, documentId } = req.params;
+    const userId = req.user._id;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    }).select('documents');
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const document = equipment.documents.id(documentId);
+    
+    if (!document) {
+      throw ApiError.notFound('Document not found');
+    }
+    
+    const stream = getEquipmentDocumentStream(document);
+    
+    stream.on('error', (error) => {
+      if (res.headersSent) {
+        logger.error(`Failed to stream document ${document.key}:`, error);
+        return res.destroy(error);
+      }
+      // The error response is JSON, not the document
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Type');
+      next(ApiError.notFound('Document file not found', 'FILE_NOT_FOUND'));
+    });
+    
+    res.attachment(document.originalName || document.title);
+    res.type(document.contentType);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete an equipment document
+ * @route DELETE /api/v1/equipment/:id/documents/:documentId
+ * @access Private
+ */
+const deleteDocument = async (req, res, next) => {
+  try {
+    const { id: equipmentId, documentId } = req.params;
+    const userId = req.user._id;
+    
+    // Find equipment by ID and owner
+    const equipment = await Equipment.findOne({
+      _id: equipmentId,
+      userId
+    });
+    
+    if (!equipment) {
+      throw ApiError.notFound('Equipment not found');
+    }
+    
+    const document = equipment.documents.id(documentId);
+    
+    if (!document) {
+      throw ApiError.notFound('Document not found');
+    }
+    
+    // Remove document from equipment
+    document.deleteOne();
+    equipment.$locals.actor = userId;
+    await equipment.save();
+    
+    // Remove stored file; a leftover file should not fail the request
+    try {
+      await removeEquipmentDocument(document);
+    } catch (error) {
+      logger.error(`Failed to remove stored document ${document.key}:`, error);
+    }
+    
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllEquipment,
+  exportEquipment,
   getEquipmentById,
   createEquipment,
   updateEquipment,
   deleteEquipment,
+  getTrash,
+  restoreEquipment,
+  retireEquipment,
+  reactivateEquipment,
+  getEquipmentHistory,
+  getDepreciation,
+  updateDepreciation,
+  getDepreciationRules,
+  saveDepreciationRule,
+  deleteDepreciationRule,
   addMaintenanceRecord,
+  updateMaintenanceRecord,
+  deleteMaintenanceRecord,
   addMaintenanceSchedule,
+  updateMaintenanceSchedule,
+  deleteMaintenanceSchedule,
+  completeMaintenanceTask,
+  logUsage,
   getMaintenanceDue,
-  uploadImages
+  uploadImages,
+  deleteImage,
+  reorderImages,
+  importEquipment,
+  getDocuments,
+  uploadDocument,
+  downloadDocument,
+  deleteDocument
 };
\ No newline at end of file
@@ -0,0 +1,659 @@
+const { Equipment, InsurancePolicy } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { pickFields } = require('../utils/fields');
+const claimPackageService = require('../services/claimPackage.service');
+const {
+  assertOwnEquipment,
+  releaseCoverage,
+  syncPolicyCoverage,
+  analyzeCoverage
+} = require('../services/insurance.service');
+const {
+  syncUnderClaim,
+  startClaim,
+  applySettlements,
+  changeClaimStatus
+} = require('../services/claim.service');
+const { renewPolicy, getPoliciesNeedingRenewal } = require('../services/renewal.service');
+
+// Policy fields accepted as-is from the request body
+const POLICY_FIELDS = [
+  'provider',
+  'policyNumber',
+  'coverageType',
+  'coverageDetails',
+  'startDate',
+  'endDate',
+  'coverageAmount',
+  'premium',
+  'deductible',
+  'autoRenew',
+  'renewalDeclined',
+  'documents',
+  'notes'
+];
+
+// Policy terms that may change on renewal
+const RENEWAL_FIELDS = [
+  'policyNumber',
+  'startDate',
+  'endDate',
+  'coverageAmount',
+  'premium',
+  'deductible',
+  'autoRenew'
+];
+
+// Claim fields accepted as-is from the request body
+const CLAIM_FIELDS = [
+  'claimNumber',
+  'dateOfIncident',
+  'dateOfClaim',
+  'claimAmount',
+  'claimReason',
+  'documents',
+  'notes'
+];
+
+/**
+ * Build the filter for a policy status, matching the status virtual
+ * @param {String} status - Active, Expired, Future or Inactive
+ * @returns {Object} - Query conditions
+ */
+const getStatusFilter = (status) => {
+  const now = new Date();
+
+  switch (status) {
+    case 'Active':
+      return { isActive: true, startDate: { $lte: now }, endDate: { $gte: now } };
+    case 'Expired':
+      return { isActive: true, endDate: { $lt: now } };
+    case 'Future':
+      return { isActive: true, startDate: { $gt: now } };
+    case 'Inactive':
+      return { isActive: false };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Check that claimed equipment is covered by the policy
+ * @param {Object} policy - InsurancePolicy document
+ * @param {Array<String>} ids - Affected equipment ids
+ */
+const assertCovered = (policy, ids) => {
+  const covered = policy.coveredItems.map(String);
+  const uncovered = ids.filter(id => !covered.includes(String(id)));
+
+  if (uncovered.length > 0) {
+    throw ApiError.badRequest(
+      `Equipment is not covered by this policy: ${uncovered.join(', ')}`,
+      'EQUIPMENT_NOT_COVERED'
+    );
+  }
+};
+
+/**
+ * @desc Get all insurance policies for the authenticated user
+ * @route GET /api/v1/insurance
+ * @access Private
+ */
+const getAllPolicies = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = { userId, ...getStatusFilter(req.query.status) };
+
+    // Execute query with pagination
+    const [policies, total] = await Promise.all([
+      InsurancePolicy.find(filter)
+        .populate('coveredItems', 'name type make model')
+        .sort(req.query.sort || 'endDate')
+        .skip(skip)
+        .limit(limit),
+      InsurancePolicy.countDocuments(filter)
+    ]);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        policies,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get insurance policy by ID
+ * @route GET /api/v1/insurance/:id
+ * @access Private
+ */
+const getPolicyById = async (req, res, next) => {
+  try {
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    })
+      .populate('coveredItems', 'name type category make model serialNumber currentValue valueOverride insuranceInfo')
+      .populate('claimHistory.items.itemId', 'name type make model')
+      .populate('predecessorId successorId', 'provider policyNumber startDate endDate');
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Create new insurance policy
+ * @route POST /api/v1/insurance
+ * @access Private
+ */
+const createPolicy = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const coveredItems = [...new Set(req.body.coveredEquipment || [])];
+
+    await assertOwnEquipment(userId, coveredItems);
+
+    const policy = await InsurancePolicy.create({
+      ...pickFields(req.body, POLICY_FIELDS),
+      coveredItems,
+      userId
+    });
+
+    await syncPolicyCoverage(policy);
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Insurance policy created successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update insurance policy by ID
+ * @route PUT /api/v1/insurance/:id
+ * @access Private
+ */
+const updatePolicy = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { coveredEquipment } = req.body;
+
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    const previousItems = policy.coveredItems.map(String);
+
+    policy.set(pickFields(req.body, POLICY_FIELDS));
+
+    if (coveredEquipment !== undefined) {
+      await assertOwnEquipment(userId, coveredEquipment);
+      policy.coveredItems = [...new Set(coveredEquipment)];
+    }
+
+    // A new limit changes every item's share, as does a new set of items; the
+    // term decides whether the items count as insured
+    const coverageChanged = ['coveredItems', 'coverageAmount', 'startDate', 'endDate']
+      .some(path => policy.isModified(path));
+
+    await policy.save();
+
+    if (coverageChanged) {
+      await syncPolicyCoverage(policy, previousItems);
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Insurance policy updated successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete insurance policy by ID
+ * @route DELETE /api/v1/insurance/:id
+ * @access Private
+ */
+const deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    // Items on this policy's claims may no longer be under any open claim
+    const claimItemIds = policy.claimHistory.flatMap(claim => claim.items.map(item => item.itemId));
+
+    await releaseCoverage(policy._id);
+    await policy.deleteOne();
+    await syncUnderClaim(policy.userId, claimItemIds);
+
+    // The previous term can be renewed again
+    await InsurancePolicy.updateMany({ successorId: policy._id }, { $unset: { successorId: 1 } });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Insurance policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Renew insurance policy for its next term
+ * @route POST /api/v1/insurance/:id/renew
+ * @access Private
+ */
+const renewInsurancePolicy = async (req, res, next) => {
+  try {
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    const successor = await renewPolicy(policy, pickFields(req.body, RENEWAL_FIELDS));
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Insurance policy renewed successfully',
+      data: {
+        policy: successor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get insurance policies awaiting a renewal decision
+ * @route GET /api/v1/insurance/renewals
+ * @access Private
+ */
+const getRenewals = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+
+    const policies = await getPoliciesNeedingRenewal(req.user._id, days);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        policies
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Add insurance claim to policy
+ * @route POST /api/v1/insurance/:id/claim
+ * @access Private
+ */
+const addClaim = async (req, res, next) => {
+  try {
+    const { affectedEquipment = [], claimStatus, settlements } = req.body;
+
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    assertCovered(policy, affectedEquipment);
+
+    policy.claimHistory.push({
+      ...pickFields(req.body, CLAIM_FIELDS),
+      status: claimStatus,
+      items: [...new Set(affectedEquipment)].map(itemId => ({ itemId }))
+    });
+
+    // Claims may be recorded after the fact, already past Filed
+    const claim = policy.claimHistory[policy.claimHistory.length - 1];
+    startClaim(claim);
+
+    if (settlements) {
+      applySettlements(claim, settlements);
+    }
+
+    await policy.save();
+    await syncUnderClaim(policy.userId, affectedEquipment);
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Claim added successfully',
+      data: {
+        claim
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update insurance claim
+ * @route PUT /api/v1/insurance/:id/claim/:claimId
+ * @access Private
+ */
+const updateClaim = async (req, res, next) => {
+  try {
+    const { affectedEquipment, claimStatus, settlements } = req.body;
+
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    const claim = policy.claimHistory.id(req.params.claimId);
+
+    if (!claim) {
+      throw ApiError.notFound('Claim not found');
+    }
+
+    const previousItems = claim.items.map(item => item.itemId);
+
+    claim.set(pickFields(req.body, CLAIM_FIELDS));
+
+    if (affectedEquipment !== undefined) {
+      // Only newly listed items need to be covered; kept items keep their details
+      const existing = new Map(claim.items.map(item => [String(item.itemId), item]));
+      assertCovered(policy, affectedEquipment.filter(id => !existing.has(String(id))));
+
+      claim.items = [...new Set(affectedEquipment.map(String))]
+        .map(id => existing.get(id) || { itemId: id });
+    }
+
+    // Status changes follow the same rules as POST .../status
+    if (claimStatus !== undefined && claimStatus !== claim.status) {
+      await changeClaimStatus(policy, claim, claimStatus, { settlements });
+    } else {
+      if (settlements) {
+        applySettlements(claim, settlements);
+      }
+      await policy.save();
+    }
+
+    await syncUnderClaim(policy.userId, [...previousItems, ...claim.items.map(item => item.itemId)]);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Claim updated successfully',
+      data: {
+        claim
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Move an insurance claim to a new status
+ * @route POST /api/v1/insurance/:id/claim/:claimId/status
+ * @access Private
+ */
+const updateClaimStatus = async (req, res, next) => {
+  try {
+    const { status, date, notes, settlements } = req.body;
+
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    const claim = policy.claimHistory.id(req.params.claimId);
+
+    if (!claim) {
+      throw ApiError.notFound('Claim not found');
+    }
+
+    await changeClaimStatus(policy, claim, status, { date, notes, settlements });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: `Claim marked as ${status.toLowerCase()}`,
+      data: {
+        claim
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete insurance claim
+ * @route DELETE /api/v1/insurance/:id/claim/:claimId
+ * @access Private
+ */
+const deleteClaim = async (req, res, next) => {
+  try {
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    const claim = policy.claimHistory.id(req.params.claimId);
+
+    if (!claim) {
+      throw ApiError.notFound('Claim not found');
+    }
+
+    const itemIds = claim.items.map(item => item.itemId);
+
+    claim.deleteOne();
+    await policy.save();
+    await syncUnderClaim(policy.userId, itemIds);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Claim deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Download the evidence package for an insurance claim
+ * @route GET /api/v1/insurance/:id/claim/:claimId/package
+ * @access Private
+ */
+const downloadClaimPackage = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const format = req.query.format || 'zip';
+    const { contentType, extension } = claimPackageService.PACKAGE_FORMATS[format];
+
+    const policy = await InsurancePolicy.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!policy) {
+      throw ApiError.notFound('Insurance policy not found');
+    }
+
+    const claim = policy.claimHistory.id(req.params.claimId);
+
+    if (!claim) {
+      throw ApiError.notFound('Claim not found');
+    }
+
+    // Keep the order of the claim so items are numbered the same everywhere
+    const itemIds = claim.items.map(item => String(item.itemId));
+    const items = (await Equipment.find({ _id: { $in: itemIds }, userId }))
+      .sort((a, b) => itemIds.indexOf(String(a._id)) - itemIds.indexOf(String(b._id)));
+
+    res.attachment(`claim-${claim.claimNumber || claim._id}.${extension}`);
+    res.type(contentType);
+
+    try {
+      await claimPackageService.writeClaimPackage(format, {
+        policy,
+        claim,
+        items,
+        owner: req.user.fullName
+      }, res);
+    } catch (error) {
+      // Headers are already sent once streaming starts
+      if (res.headersSent) {
+        logger.error('Claim package failed:', error);
+        return res.destroy(error);
+      }
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get soon-to-expire insurance policies
+ * @route GET /api/v1/insurance/expiring
+ * @access Private
+ */
+const getExpiringPolicies = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const policies = await InsurancePolicy.find({
+      userId: req.user._id,
+      isActive: true,
+      endDate: { $gte: now, $lte: until }
+    })
+      .populate('coveredItems', 'name type make model')
+      .sort('endDate');
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        policies
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Find uninsured, under-insured and mis-covered equipment
+ * @route GET /api/v1/insurance/coverage-analysis
+ * @access Private
+ */
+const getCoverageAnalysis = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+
+    const analysis = await analyzeCoverage(req.user._id, { days });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  renewInsurancePolicy,
+  getRenewals,
+  addClaim,
+  updateClaim,
+  updateClaimStatus,
+  deleteClaim,
+  downloadClaimPackage,
+  getExpiringPolicies,
+  getCoverageAnalysis
+};
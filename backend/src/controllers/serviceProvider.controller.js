@@ -0,0 +1,276 @@
+const { ServiceProvider, Equipment } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const serviceProviderService = require('../services/serviceProvider.service');
+const { pickFields } = require('../utils/fields');
+
+// Fields a client may edit; the name key is derived from the name on save
+const PROVIDER_FIELDS = ['name', 'specialty', 'contact', 'address', 'notes', 'rating'];
+
+/**
+ * Reject a provider name that matches another of the user's providers
+ * @param {String} userId - Owner of the providers
+ * @param {String} name - Proposed provider name
+ * @param {String} [excludeId] - Provider being renamed
+ * @returns {Promise<void>}
+ */
+const checkDuplicateName = async (userId, name, excludeId) => {
+  const existing = await ServiceProvider.findOne({
+    userId,
+    normalizedName: ServiceProvider.normalizeName(name),
+    ...(excludeId && { _id: { $ne: excludeId } })
+  });
+
+  if (existing) {
+    throw ApiError.conflict(
+      `A service provider named "${existing.name}" already exists`,
+      'DUPLICATE_PROVIDER'
+    );
+  }
+};
+
+/**
+ * @desc Get all service providers with job stats
+ * @route GET /api/v1/service-providers
+ * @access Private
+ */
+const getAllProviders = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { specialty, search } = req.query;
+
+    // Build filter
+    const filter = { userId };
+
+    if (specialty) {
+      filter.specialty = specialty;
+    }
+
+    if (search) {
+      filter.normalizedName = { $regex: ServiceProvider.normalizeName(search) };
+    }
+
+    const [providers, stats] = await Promise.all([
+      ServiceProvider.find(filter).sort('name'),
+      serviceProviderService.getProviderStats(userId)
+    ]);
+
+    const results = providers.map(provider => ({
+      ...provider.toJSON(),
+      stats: stats.get(provider._id.toString()) || serviceProviderService.emptyStats()
+    }));
+
+    // Sort by a stat when requested, e.g. -stats.jobs
+    const sort = req.query.sort;
+    if (sort) {
+      const field = sort.replace(/^-/, '').replace(/^stats\./, '');
+      const direction = sort.startsWith('-') ? -1 : 1;
+      const valueOf = provider => (field in provider.stats ? provider.stats[field] : provider[field]);
+      results.sort((a, b) => {
+        const left = valueOf(a);
+        const right = valueOf(b);
+        if (left === right) return 0;
+        if (left === null || left === undefined) return 1;
+        if (right === null || right === undefined) return -1;
+        return left < right ? -direction : direction;
+      });
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        providers: results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get service provider by ID with job stats
+ * @route GET /api/v1/service-providers/:id
+ * @access Private
+ */
+const getProviderById = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const provider = await ServiceProvider.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!provider) {
+      throw ApiError.notFound('Service provider not found');
+    }
+
+    const stats = await serviceProviderService.getProviderStats(userId, provider._id);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        provider,
+        stats: stats.get(provider._id.toString()) || serviceProviderService.emptyStats()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get maintenance jobs done by a service provider
+ * @route GET /api/v1/service-providers/:id/jobs
+ * @access Private
+ */
+const getProviderJobs = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const provider = await ServiceProvider.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!provider) {
+      throw ApiError.notFound('Service provider not found');
+    }
+
+    const equipment = await Equipment.find({
+      userId,
+      'maintenanceHistory.providerId': provider._id
+    }).select('name type make model maintenanceHistory');
+
+    const jobs = equipment
+      .flatMap(item => item.maintenanceHistory
+        .filter(record => record.providerId && record.providerId.equals(provider._id))
+        .map(record => ({
+          equipment: { _id: item._id, name: item.name, type: item.type, make: item.make, model: item.model },
+          record
+        })))
+      .sort((a, b) => b.record.date - a.record.date);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Create new service provider
+ * @route POST /api/v1/service-providers
+ * @access Private
+ */
+const createProvider = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    await checkDuplicateName(userId, req.body.name);
+
+    const provider = await ServiceProvider.create({
+      ...pickFields(req.body, PROVIDER_FIELDS),
+      userId
+    });
+
+    // Earlier records that named this provider as free text now count towards it
+    const linkedRecords = await serviceProviderService.linkMaintenanceHistory(provider);
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Service provider created successfully',
+      data: {
+        provider,
+        linkedRecords
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update service provider
+ * @route PUT /api/v1/service-providers/:id
+ * @access Private
+ */
+const updateProvider = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const updates = pickFields(req.body, PROVIDER_FIELDS);
+
+    const provider = await ServiceProvider.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!provider) {
+      throw ApiError.notFound('Service provider not found');
+    }
+
+    if (updates.name) {
+      await checkDuplicateName(userId, updates.name, provider._id);
+    }
+
+    // Saved rather than updated in place so the name is normalized again
+    provider.set(updates);
+    await provider.save();
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Service provider updated successfully',
+      data: {
+        provider
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete service provider
+ * @route DELETE /api/v1/service-providers/:id
+ * @access Private
+ */
+const deleteProvider = async (req, res, next) => {
+  try {
+    const provider = await ServiceProvider.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!provider) {
+      throw ApiError.notFound('Service provider not found');
+    }
+
+    await serviceProviderService.unlinkMaintenanceHistory(provider);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Service provider deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllProviders,
+  getProviderById,
+  getProviderJobs,
+  createProvider,
+  updateProvider,
+  deleteProvider
+};
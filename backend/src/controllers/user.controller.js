@@ -0,0 +1,375 @@
+const { User, Notification, EquipmentHistory } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const { getUnreadCount } = require('../services/notification.service');
+const { deleteUserAccount } = require('../services/user.service');
+const { sendPasswordChangedEmail } = require('../services/mail.service');
+
+// Flat settings fields and where they live in User.preferences
+const SETTINGS_PATHS = {
+  emailNotifications: 'notificationPreferences.emailNotifications',
+  pushNotifications: 'notificationPreferences.pushNotifications',
+  maintenanceReminders: 'notificationPreferences.maintenanceReminders',
+  insuranceReminders: 'notificationPreferences.insuranceReminders',
+  theme: 'displayPreferences.theme',
+  defaultView: 'displayPreferences.defaultView',
+  language: 'displayPreferences.language'
+};
+
+/**
+ * Shape a user for API responses
+ * @param {Object} user - User document
+ * @returns {Object} - Public profile fields
+ */
+const toProfile = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: user.fullName,
+  phone: user.phoneNumber,
+  bio: user.bio,
+  profileImage: user.profileImage,
+  userType: user.userType,
+  bandId: user.bandId,
+  emailVerified: user.emailVerified,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+/**
+ * Flatten preferences into the settings shape accepted by PUT /me/settings
+ * @param {Object} preferences - User.preferences
+ * @returns {Object} - Flat settings
+ */
+const toSettings = (preferences) => Object.fromEntries(
+  Object.entries(SETTINGS_PATHS).map(([field, path]) => [field, preferences.get(path)])
+);
+
+/**
+ * @desc Get current user profile
+ * @route GET /api/v1/users/me
+ * @access Private
+ */
+const getCurrentUser = async (req, res, next) => {
+  try {
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        user: toProfile(req.user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update current user profile
+ * @route PUT /api/v1/users/me
+ * @access Private
+ */
+const updateCurrentUser = async (req, res, next) => {
+  try {
+    const { firstName, lastName, phone, bio, profileImage } = req.body;
+    const user = req.user;
+
+    const updates = { firstName, lastName, phoneNumber: phone, bio, profileImage };
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value !== undefined) {
+        user[field] = value;
+      }
+    });
+
+    await user.save();
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: toProfile(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update current user password
+ * @route PUT /api/v1/users/me/password
+ * @access Private
+ */
+const updatePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // req.user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      throw ApiError.unauthorized('Current password is incorrect', 'INVALID_PASSWORD');
+    }
+
+    user.passwordHash = newPassword; // Will be hashed by the pre-save hook
+    await user.save();
+
+    await sendPasswordChangedEmail(user);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get current user notifications
+ * @route GET /api/v1/users/me/notifications
+ * @access Private
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = { userId };
+
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      getUnreadCount(userId)
+    ]);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Mark notification as read
+ * @route PUT /api/v1/users/me/notifications/:id
+ * @access Private
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!notification) {
+      throw ApiError.notFound('Notification not found');
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification,
+        unreadCount: await getUnreadCount(userId)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Mark all notifications as read
+ * @route PUT /api/v1/users/me/notifications
+ * @access Private
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: modifiedCount,
+        unreadCount: 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get user settings
+ * @route GET /api/v1/users/me/settings
+ * @access Private
+ */
+const getUserSettings = async (req, res, next) => {
+  try {
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: toSettings(req.user.preferences)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update user settings
+ * @route PUT /api/v1/users/me/settings
+ * @access Private
+ */
+const updateUserSettings = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    Object.entries(SETTINGS_PATHS).forEach(([field, path]) => {
+      if (req.body[field] !== undefined) {
+        user.preferences.set(path, req.body[field]);
+      }
+    });
+
+    await user.save();
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: {
+        settings: toSettings(user.preferences)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get user activity log
+ * @route GET /api/v1/users/me/activity
+ * @access Private
+ */
+const getUserActivity = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Changes to the user's equipment, and changes the user made elsewhere (e.g. band gear)
+    const filter = { $or: [{ userId }, { actor: userId }] };
+
+    const [activity, total] = await Promise.all([
+      EquipmentHistory.find(filter)
+        .sort('-timestamp')
+        .skip(skip)
+        .limit(limit)
+        .populate('equipmentId', 'name type')
+        .populate('actor', 'firstName lastName email'),
+      EquipmentHistory.countDocuments(filter)
+    ]);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        activity,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete current user account and all of its data
+ * @route DELETE /api/v1/users/me
+ * @access Private
+ */
+const deleteAccount = async (req, res, next) => {
+  try {
+    // req.user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.matchPassword(req.body.password);
+    if (!isMatch) {
+      throw ApiError.unauthorized('Password is incorrect', 'INVALID_PASSWORD');
+    }
+
+    await deleteUserAccount(user);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCurrentUser,
+  updateCurrentUser,
+  updatePassword,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getUserSettings,
+  updateUserSettings,
+  getUserActivity,
+  deleteAccount
+};
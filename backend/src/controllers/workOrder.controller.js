@@ -0,0 +1,276 @@
+const { WorkOrder, ServiceProvider } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const workOrderService = require('../services/workOrder.service');
+
+// Fields set on creation and editable outside of status changes
+const UPDATABLE_FIELDS = [
+  'service',
+  'description',
+  'providerId',
+  'estimatedCost',
+  'actualCost',
+  'estimatedReadyDate',
+  'notes'
+];
+
+/**
+ * @desc Get all work orders for the authenticated user
+ * @route GET /api/v1/work-orders
+ * @access Private
+ */
+const getAllWorkOrders = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, equipmentId, providerId, open } = req.query;
+
+    // Build filter
+    const filter = { userId };
+
+    if (status) {
+      filter.status = status;
+    } else if (open !== undefined) {
+      filter.status = open ? { $nin: ['Picked Up', 'Cancelled'] } : { $in: ['Picked Up', 'Cancelled'] };
+    }
+
+    if (equipmentId) {
+      filter.equipmentId = equipmentId;
+    }
+
+    if (providerId) {
+      filter.providerId = providerId;
+    }
+
+    // Execute query with pagination
+    const [workOrders, total] = await Promise.all([
+      WorkOrder.find(filter)
+        .populate('equipmentId', 'name type make model')
+        .populate('providerId', 'name')
+        .sort(req.query.sort || '-updatedAt')
+        .skip(skip)
+        .limit(limit),
+      WorkOrder.countDocuments(filter)
+    ]);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        workOrders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Get work order by ID
+ * @route GET /api/v1/work-orders/:id
+ * @access Private
+ */
+const getWorkOrderById = async (req, res, next) => {
+  try {
+    const workOrder = await WorkOrder.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    })
+      .populate('equipmentId', 'name type make model location availability')
+      .populate('providerId');
+
+    if (!workOrder) {
+      throw ApiError.notFound('Work order not found');
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        workOrder
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Create new work order
+ * @route POST /api/v1/work-orders
+ * @access Private
+ */
+const createWorkOrder = async (req, res, next) => {
+  try {
+    const { equipmentId, status, date } = req.body;
+    const fields = Object.fromEntries(
+      UPDATABLE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]])
+    );
+
+    const { order, equipment } = await workOrderService.createWorkOrder(req.user._id, {
+      ...fields,
+      equipmentId,
+      status,
+      date
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: 'Work order created successfully',
+      data: {
+        workOrder: order,
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Update work order details (status changes go through /status)
+ * @route PUT /api/v1/work-orders/:id
+ * @access Private
+ */
+const updateWorkOrder = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { providerId } = req.body;
+
+    const workOrder = await WorkOrder.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!workOrder) {
+      throw ApiError.notFound('Work order not found');
+    }
+
+    if (providerId && !workOrder.providerId.equals(providerId)) {
+      if (workOrder.status !== 'Quoted') {
+        throw ApiError.conflict(
+          'The provider can only be changed before the item is dropped off',
+          'WORK_ORDER_IN_PROGRESS'
+        );
+      }
+
+      const provider = await ServiceProvider.findOne({ _id: providerId, userId });
+      if (!provider) {
+        throw ApiError.badRequest('Service provider not found', 'INVALID_PROVIDER');
+      }
+    }
+
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        workOrder[field] = req.body[field];
+      }
+    });
+    await workOrder.save();
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Work order updated successfully',
+      data: {
+        workOrder
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Move a work order to a new status
+ * @route POST /api/v1/work-orders/:id/status
+ * @access Private
+ */
+const updateWorkOrderStatus = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { status, date, notes, actualCost } = req.body;
+
+    const workOrder = await WorkOrder.findOne({
+      _id: req.params.id,
+      userId
+    });
+
+    if (!workOrder) {
+      throw ApiError.notFound('Work order not found');
+    }
+
+    const { order, equipment } = await workOrderService.changeStatus(
+      workOrder,
+      status,
+      { date, notes, actualCost },
+      userId
+    );
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: `Work order marked as ${status.toLowerCase()}`,
+      data: {
+        workOrder: order,
+        equipment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc Delete work order
+ * @route DELETE /api/v1/work-orders/:id
+ * @access Private
+ */
+const deleteWorkOrder = async (req, res, next) => {
+  try {
+    const workOrder = await WorkOrder.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!workOrder) {
+      throw ApiError.notFound('Work order not found');
+    }
+
+    // Deleting would leave the item marked as out for service
+    if (workOrder.isOutForService) {
+      throw ApiError.conflict(
+        'Cancel or complete the work order before deleting it',
+        'WORK_ORDER_IN_PROGRESS'
+      );
+    }
+
+    await workOrder.deleteOne();
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Work order deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllWorkOrders,
+  getWorkOrderById,
+  createWorkOrder,
+  updateWorkOrder,
+  updateWorkOrderStatus,
+  deleteWorkOrder
+};
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -9,6 +10,10 @@ const { createClient } = require('redis');
 const { setupRoutes } = require('./routes');
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
+const { createJobRunner } = require('./jobs');
+const { runMigrations } = require('./migrations');
+const notificationService = require('./services/notification.service');
+const mailService = require('./services/mail.service');
 
 // Initialize Express app
 const app = express();
@@ -21,10 +26,35 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
+// Serve uploaded images when using the local storage driver
+// (documents are private and only downloadable through the API)
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use(
+    '/uploads/equipment',
+    helmet.crossOriginResourcePolicy({ policy: 'cross-origin' }),
+    express.static(path.join(process.env.LOCAL_STORAGE_DIR || 'uploads', 'equipment'))
+  );
+}
+
+let jobRunner;
+let redisClient;
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musician-gear-tracker')
-  .then(() => {
+  .then(async () => {
     logger.info('Connected to MongoDB');
+    
+    // Bring records saved under older schemas up to date before serving them
+    await runMigrations();
+    
+    // Start background jobs (trash purge, value recalculation, reminders)
+    // Set JOBS_ENABLED=false on instances that should only serve requests
+    if (process.env.JOBS_ENABLED !== 'false') {
+      notificationService.subscribeToReminders();
+      mailService.subscribeToReminders();
+      jobRunner = createJobRunner({ redisClient });
+      jobRunner.start();
+    }
   })
   .catch((err) => {
     logger.error('MongoDB connection error:', err);
@@ -32,7 +62,6 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musician-
   });
 
 // Initialize Redis (if available)
-let redisClient;
 if (process.env.REDIS_URI) {
   redisClient = createClient({
     url: process.env.REDIS_URI
@@ -67,6 +96,11 @@ app.listen(PORT, () => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   
+  if (jobRunner) {
+    await jobRunner.stop();
+    logger.info('Background jobs stopped');
+  }
+  
   if (redisClient) {
     await redisClient.quit();
     logger.info('Redis connection closed');
@@ -0,0 +1,30 @@
+const JobRunner = require('./runner');
+const { MemoryLockStore, RedisLockStore } = require('./locks');
+const { purgeExpiredTrash } = require('../services/trash.service');
+const { recalculateValues } = require('../services/depreciation.service');
+const { sendMaintenanceReminders, sendInsuranceReminders } = require('../services/reminder.service');
+const { processRenewals } = require('../services/renewal.service');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Create the job runner with the application's periodic jobs
+ * @param {Object} [options] - Runner options
+ * @param {Object} [options.redisClient] - Share locks through Redis when running several instances
+ * @returns {JobRunner} - Job runner, not yet started
+ */
+const createJobRunner = ({ redisClient } = {}) => {
+  const lockStore = redisClient ? new RedisLockStore(redisClient) : new MemoryLockStore();
+
+  return new JobRunner({ lockStore })
+    .register('purge-trash', purgeExpiredTrash, { interval: DAY })
+    .register('recalculate-values', () => recalculateValues(), { interval: DAY })
+    .register('maintenance-reminders', sendMaintenanceReminders, { interval: HOUR })
+    .register('insurance-reminders', sendInsuranceReminders, { interval: HOUR })
+    .register('policy-renewals', processRenewals, { interval: HOUR });
+};
+
+module.exports = {
+  createJobRunner
+};
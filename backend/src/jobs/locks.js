@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+/**
+ * In-process job locks, enough when a single instance runs the jobs
+ */
+class MemoryLockStore {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  /**
+   * Take a lock unless another holder has it
+   * @param {String} key - Lock name
+   * @param {Number} ttl - Milliseconds until the lock expires on its own
+   * @returns {Promise<String|null>} - Token to release the lock with, or null if taken
+   */
+  async acquire(key, ttl) {
+    const now = Date.now();
+
+    // Runs keep their slot lock until it expires, so drop expired ones here
+    // rather than letting one entry per run pile up
+    for (const [name, lock] of this.locks) {
+      if (lock.expiresAt <= now) {
+        this.locks.delete(name);
+      }
+    }
+
+    if (this.locks.has(key)) {
+      return null;
+    }
+
+    const token = crypto.randomUUID();
+    this.locks.set(key, { token, expiresAt: now + ttl });
+    return token;
+  }
+
+  /**
+   * Release a lock if it is still held with the given token
+   * @param {String} key - Lock name
+   * @param {String} token - Token returned by acquire
+   * @returns {Promise<void>}
+   */
+  async release(key, token) {
+    const existing = this.locks.get(key);
+    if (existing && existing.token === token) {
+      this.locks.delete(key);
+    }
+  }
+}
+
+// Delete the key only if it still holds our token
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Redis job locks, shared by every instance using the same Redis
+ */
+class RedisLockStore {
+  /**
+   * @param {Object} client - Connected node-redis client
+   * @param {Object} [options] - Store options
+   * @param {String} [options.prefix] - Key prefix
+   */
+  constructor(client, { prefix = 'jobs:lock:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async acquire(key, ttl) {
+    const token = crypto.randomUUID();
+    const result = await this.client.set(this.prefix + key, token, { NX: true, PX: ttl });
+    return result === 'OK' ? token : null;
+  }
+
+  async release(key, token) {
+    await this.client.eval(RELEASE_SCRIPT, {
+      keys: [this.prefix + key],
+      arguments: [token]
+    });
+  }
+}
+
+module.exports = {
+  MemoryLockStore,
+  RedisLockStore
+};
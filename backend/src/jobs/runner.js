@@ -0,0 +1,160 @@
+const logger = require('../utils/logger');
+const { MemoryLockStore } = require('./locks');
+
+/**
+ * Runs registered jobs on an interval with retries
+ * Each run takes a lock named after the job and its interval slot, so with a
+ * shared lock store a job runs once per interval across all instances
+ */
+class JobRunner {
+  /**
+   * @param {Object} [options] - Runner options
+   * @param {MemoryLockStore|RedisLockStore} [options.lockStore] - Where locks are kept
+   */
+  constructor({ lockStore = new MemoryLockStore() } = {}) {
+    this.lockStore = lockStore;
+    this.jobs = new Map();
+    this.timers = [];
+    this.running = new Map();
+    this.retryWaits = new Set();
+    this.stopped = false;
+  }
+
+  /**
+   * Wait before a retry; stop() ends the wait early
+   * @param {Number} ms - Delay
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise((resolve) => {
+      const pending = {
+        resolve,
+        timer: setTimeout(() => {
+          this.retryWaits.delete(pending);
+          resolve();
+        }, ms)
+      };
+      this.retryWaits.add(pending);
+    });
+  }
+
+  /**
+   * Register a job
+   * @param {String} name - Unique job name
+   * @param {Function} handler - Async function doing the work
+   * @param {Object} options - Scheduling options
+   * @param {Number} options.interval - Milliseconds between runs
+   * @param {Number} [options.retries] - Extra attempts after a failure
+   * @param {Number} [options.retryDelay] - Milliseconds before the first retry, doubled each time
+   * @param {Boolean} [options.runOnStart] - Run as soon as the runner starts
+   * @returns {JobRunner} - Returns this for chaining
+   */
+  register(name, handler, { interval, retries = 3, retryDelay = 30 * 1000, runOnStart = true }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, { name, handler, interval, retries, retryDelay, runOnStart });
+    return this;
+  }
+
+  /**
+   * Start running registered jobs
+   */
+  start() {
+    this.stopped = false;
+
+    this.jobs.forEach((job) => {
+      if (job.runOnStart) {
+        this.run(job.name);
+      }
+      this.timers.push(setInterval(() => this.run(job.name), job.interval).unref());
+    });
+
+    logger.info(`Job runner started with ${this.jobs.size} jobs`);
+  }
+
+  /**
+   * Stop scheduling jobs and wait for running ones to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.retryWaits.forEach(({ timer, resolve }) => {
+      clearTimeout(timer);
+      resolve();
+    });
+    this.retryWaits.clear();
+    await Promise.allSettled(this.running.values());
+  }
+
+  /**
+   * Run a job now, unless it is already running or ran this interval
+   * @param {String} name - Job name
+   * @returns {Promise<Boolean>} - Whether the job ran successfully
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (this.running.has(name)) {
+      logger.debug(`Job ${name} is still running, skipping this run`);
+      return false;
+    }
+
+    const execution = this.execute(job).finally(() => this.running.delete(name));
+    this.running.set(name, execution);
+    return execution;
+  }
+
+  /**
+   * Take the slot lock and run a job with retries
+   * @param {Object} job - Registered job
+   * @returns {Promise<Boolean>} - Whether the job ran successfully
+   */
+  async execute(job) {
+    const lockKey = `${job.name}:${Math.floor(Date.now() / job.interval)}`;
+
+    let token;
+    try {
+      token = await this.lockStore.acquire(lockKey, job.interval);
+    } catch (error) {
+      logger.error(`Job ${job.name} could not take its lock:`, error);
+      return false;
+    }
+
+    if (!token) {
+      logger.debug(`Job ${job.name} already ran this interval`);
+      return false;
+    }
+
+    for (let attempt = 0; attempt <= job.retries; attempt++) {
+      if (attempt > 0) {
+        await this.wait(job.retryDelay * Math.pow(2, attempt - 1));
+        if (this.stopped) break;
+      }
+
+      try {
+        const started = Date.now();
+        await job.handler();
+        logger.debug(`Job ${job.name} finished in ${Date.now() - started}ms`);
+        // The lock is kept until it expires so the slot is not run again
+        return true;
+      } catch (error) {
+        logger.error(`Job ${job.name} failed (attempt ${attempt + 1} of ${job.retries + 1}):`, error);
+      }
+    }
+
+    // Free the slot so another instance can try
+    await this.lockStore.release(lockKey, token).catch((error) => {
+      logger.error(`Job ${job.name} could not release its lock:`, error);
+    });
+    return false;
+  }
+}
+
+module.exports = JobRunner;
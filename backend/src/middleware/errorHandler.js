@@ -136,7 +136,19 @@ const errorHandler = (err, req, res, next) => {
       }
     });
   }
-  
+
+  // Check for file upload errors
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: {
+        message: err.message,
+        code: err.code,
+        ...(err.field && { details: [{ field: err.field }] })
+      }
+    });
+  }
+
   // Default to 500 server error
   const statusCode = err.statusCode || 500;
   const message = process.env.NODE_ENV === 'production' && statusCode === 500
@@ -0,0 +1,76 @@
+const multer = require('multer');
+const { ApiError } = require('./errorHandler');
+const { IMAGE_EXTENSIONS } = require('../services/image.service');
+const { DOCUMENT_EXTENSIONS } = require('../services/document.service');
+
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_IMAGE_SIZE) || 10 * 1024 * 1024; // 10MB
+const MAX_IMAGES_PER_UPLOAD = 10;
+const MAX_DOCUMENT_SIZE = parseInt(process.env.MAX_DOCUMENT_SIZE) || 20 * 1024 * 1024; // 20MB
+const MAX_IMPORT_SIZE = parseInt(process.env.MAX_IMPORT_SIZE) || 5 * 1024 * 1024; // 5MB
+
+// MIME types browsers report for CSV and XLSX spreadsheets
+const SPREADSHEET_MIME_TYPES = [
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+/**
+ * Build a multer file filter that only accepts the given MIME types
+ * @param {Array<String>} mimeTypes - Allowed MIME types
+ * @returns {Function} - Multer file filter
+ */
+const allowMimeTypes = (mimeTypes) => (req, file, cb) => {
+  if (!mimeTypes.includes(file.mimetype)) {
+    return cb(ApiError.badRequest(
+      `Unsupported file type: ${file.mimetype}`,
+      'UNSUPPORTED_FILE_TYPE'
+    ));
+  }
+  cb(null, true);
+};
+
+/**
+ * Multer middleware for equipment image uploads
+ * Files are kept in memory so they can be processed before storage
+ */
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: allowMimeTypes(Object.keys(IMAGE_EXTENSIONS))
+}).array('images', MAX_IMAGES_PER_UPLOAD);
+
+/**
+ * Multer middleware for a single equipment document upload
+ */
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE,
+    files: 1
+  },
+  fileFilter: allowMimeTypes(Object.keys(DOCUMENT_EXTENSIONS))
+}).single('file');
+
+/**
+ * Multer middleware for a single CSV/XLSX equipment import file
+ */
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_SIZE,
+    files: 1
+  },
+  fileFilter: allowMimeTypes(SPREADSHEET_MIME_TYPES)
+}).single('file');
+
+module.exports = {
+  allowMimeTypes,
+  imageUpload,
+  documentUpload,
+  spreadsheetUpload
+};
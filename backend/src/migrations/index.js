@@ -0,0 +1,28 @@
+const logger = require('../utils/logger');
+
+// Data migrations in the order they are applied. Each one only touches
+// records still in the old shape, so running them again is harmless
+const migrations = [
+  require('./legacyEquipmentImages'),
+  require('./legacyEquipmentDocuments'),
+  require('./legacyInsuranceClaims')
+];
+
+/**
+ * Bring stored records in line with the current schemas
+ * @returns {Promise<void>}
+ */
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    const updated = await migration.up();
+
+    if (updated > 0) {
+      logger.info(`Migration ${migration.name} updated ${updated} records`);
+    }
+  }
+};
+
+module.exports = {
+  migrations,
+  runMigrations
+};
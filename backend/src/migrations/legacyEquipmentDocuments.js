@@ -0,0 +1,56 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { Equipment } = require('../models');
+const { keyFromUrl } = require('./legacyEquipmentImages');
+
+/**
+ * Convert a document URL string from the old schema into a document entry
+ * The old schema recorded no type or title, so the document is filed as
+ * "Other" under its file name
+ * @param {String|Object} document - Stored document
+ * @returns {Object} - Document entry; entries already in the new shape are returned as-is
+ */
+const toDocument = (document) => {
+  if (typeof document !== 'string') {
+    return document;
+  }
+
+  const key = keyFromUrl(document);
+  const fileName = path.posix.basename(key) || 'Document';
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'Other',
+    title: fileName,
+    key,
+    originalName: fileName
+  };
+};
+
+/**
+ * Rewrite equipment whose documents are still plain URL strings
+ * @returns {Promise<Number>} - Number of items updated
+ */
+const up = async () => {
+  const cursor = Equipment.collection.find(
+    { documents: { $type: 'string' } },
+    { projection: { documents: 1 } }
+  );
+  let updated = 0;
+
+  for await (const item of cursor) {
+    await Equipment.collection.updateOne(
+      { _id: item._id },
+      { $set: { documents: item.documents.map(toDocument) } }
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  name: 'legacy-equipment-documents',
+  toDocument,
+  up
+};
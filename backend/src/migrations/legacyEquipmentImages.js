@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Equipment } = require('../models');
+const { getStorage } = require('../services/storage');
+
+/**
+ * Work out the storage key of an image stored as a bare URL
+ * URLs from the configured storage map back to their key; anything else
+ * falls back to the URL path
+ * @param {String} url - Image URL
+ * @returns {String} - Storage key
+ */
+const keyFromUrl = (url) => {
+  const baseUrl = getStorage().getUrl('');
+  if (url.startsWith(baseUrl)) {
+    return url.slice(baseUrl.length);
+  }
+
+  try {
+    return decodeURIComponent(new URL(url, 'http://localhost').pathname).replace(/^\/+/, '');
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * Convert an image URL string from the old schema into an image entry
+ * @param {String|Object} image - Stored image
+ * @returns {Object} - Image entry; entries already in the new shape are returned as-is
+ */
+const toImage = (image) => {
+  if (typeof image !== 'string') {
+    return image;
+  }
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    url: image,
+    key: keyFromUrl(image)
+  };
+};
+
+/**
+ * Rewrite equipment whose images are still plain URL strings
+ * Writes go straight to the collection so trashed items are included and no
+ * change history is recorded
+ * @returns {Promise<Number>} - Number of items updated
+ */
+const up = async () => {
+  const cursor = Equipment.collection.find(
+    { images: { $type: 'string' } },
+    { projection: { images: 1 } }
+  );
+  let updated = 0;
+
+  for await (const item of cursor) {
+    await Equipment.collection.updateOne(
+      { _id: item._id },
+      { $set: { images: item.images.map(toImage) } }
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  name: 'legacy-equipment-images',
+  keyFromUrl,
+  toImage,
+  up
+};
@@ -0,0 +1,64 @@
+const { InsurancePolicy } = require('../models');
+
+// Old claim statuses and their closest current equivalent
+const STATUS_MAP = {
+  Pending: 'Filed',
+  Approved: 'Approved',
+  Denied: 'Denied',
+  Paid: 'Closed'
+};
+
+/**
+ * Convert a claim from the old schema (date, description, amount) into the
+ * current shape
+ * The old schema had a single date, so it is used as both the incident and
+ * the filing date
+ * @param {Object} claim - Stored claim
+ * @returns {Object} - Claim in the current shape; claims already migrated are returned as-is
+ */
+const toClaim = (claim) => {
+  if (claim.claimReason !== undefined || claim.description === undefined) {
+    return claim;
+  }
+
+  const { date, description, amount, status, ...rest } = claim;
+  const newStatus = STATUS_MAP[status] || 'Filed';
+
+  return {
+    ...rest,
+    dateOfIncident: date,
+    dateOfClaim: date,
+    claimReason: description,
+    ...(amount !== undefined && amount !== null && { claimAmount: amount }),
+    status: newStatus,
+    statusHistory: [{ status: newStatus, date }]
+  };
+};
+
+/**
+ * Rewrite policies that still have claims in the old shape
+ * @returns {Promise<Number>} - Number of policies updated
+ */
+const up = async () => {
+  const cursor = InsurancePolicy.collection.find(
+    { claimHistory: { $elemMatch: { description: { $exists: true }, claimReason: { $exists: false } } } },
+    { projection: { claimHistory: 1 } }
+  );
+  let updated = 0;
+
+  for await (const policy of cursor) {
+    await InsurancePolicy.collection.updateOne(
+      { _id: policy._id },
+      { $set: { claimHistory: policy.claimHistory.map(toClaim) } }
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  name: 'legacy-insurance-claims',
+  toClaim,
+  up
+};
@@ -0,0 +1,17 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { runMigrations } = require('.');
+
+// Run the data migrations without starting the API: npm run migrate
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musician-gear-tracker')
+  .then(runMigrations)
+  .then(() => {
+    logger.info('Migrations complete');
+    return mongoose.disconnect();
+  })
+  .catch(async (err) => {
+    logger.error('Migration failed:', err);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
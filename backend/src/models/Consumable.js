@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Stock of consumable parts (strings, reeds, drum heads, tubes...)
+const consumableSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['Strings', 'Reeds', 'Drum Heads', 'Tubes', 'Picks', 'Sticks', 'Batteries', 'Cables', 'Cleaning', 'Other'],
+    default: 'Other'
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String, // e.g. "set", "pack", "pair"
+    trim: true,
+    default: 'each'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  reorderThreshold: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  compatibleEquipment: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment'
+  }],
+  supplier: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+consumableSchema.index({ userId: 1, type: 1 });
+consumableSchema.index({ compatibleEquipment: 1 });
+
+// Virtual for whether stock has fallen to the reorder threshold
+consumableSchema.virtual('isLowStock').get(function() {
+  return this.quantity <= this.reorderThreshold;
+});
+
+consumableSchema.set('toJSON', { virtuals: true });
+
+const Consumable = mongoose.model('Consumable', consumableSchema);
+
+module.exports = Consumable;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { DEPRECIATION_METHODS } = require('../utils/depreciation');
+const Schema = mongoose.Schema;
+
+// Per-category depreciation defaults for a user's equipment
+const depreciationRuleSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: DEPRECIATION_METHODS,
+    required: true
+  },
+  annualRate: {
+    type: Number, // Fraction per year, e.g. 0.15 for 15%
+    min: 0,
+    max: 1
+  },
+  usefulLifeYears: {
+    type: Number,
+    min: 1
+  },
+  salvageValue: {
+    type: Number,
+    min: 0
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+depreciationRuleSchema.index({ userId: 1, category: 1 }, { unique: true });
+
+const DepreciationRule = mongoose.model('DepreciationRule', depreciationRuleSchema);
+
+module.exports = DepreciationRule;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Send log entries are kept for 90 days
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// Record of a transactional email send attempt
+const emailLogSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String
+  },
+  subject: {
+    type: String
+  },
+  transport: {
+    type: String // Transport that handled the message, e.g. "smtp"
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  messageId: {
+    type: String
+  },
+  error: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+emailLogSchema.index({ userId: 1, createdAt: -1 });
+emailLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+const EmailLog = mongoose.model('EmailLog', emailLogSchema);
+
+module.exports = EmailLog;
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const changeHistory = require('./plugins/changeHistory');
+const { DEPRECIATION_METHODS, resolveSettings, calculateValue } = require('../utils/depreciation');
+const {
+  USAGE_METRICS,
+  getUsageSinceLast,
+  getScheduleDueDate
+} = require('../utils/maintenance');
 const Schema = mongoose.Schema;
 
 // Maintenance schedule sub-schema
@@ -9,16 +16,85 @@ const maintenanceScheduleSchema = new Schema({
   },
   frequency: {
     type: String,
-    required: true
+    // Usage-only tasks (e.g. every 40 tube hours) have no calendar frequency
+    required: function() {
+      return !(this.usageInterval && this.usageInterval.metric);
+    }
+  },
+  usageInterval: {
+    metric: {
+      type: String,
+      enum: USAGE_METRICS
+    },
+    amount: {
+      type: Number,
+      min: 0
+    }
+  },
+  usageAtLastPerformed: {
+    type: Number // Usage counter value when the task was last performed
+  },
+  usageReachedAt: {
+    type: Date // When accumulated usage reached the interval
   },
   lastPerformed: {
     type: Date
   },
   nextDue: {
     type: Date
+  },
+  reminderSentFor: {
+    type: Date // nextDue the last reminder was sent for
   }
 }, { _id: true });
 
+// Usage counters sub-schema
+const usageCountersSchema = new Schema(
+  Object.fromEntries(USAGE_METRICS.map(metric => [metric, { type: Number, default: 0, min: 0 }])),
+  { _id: false }
+);
+
+// Usage log sub-schema
+const usageLogSchema = new Schema({
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  metric: {
+    type: String,
+    enum: USAGE_METRICS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: {
+    type: String
+  }
+}, { _id: true });
+
+// Consumables used by a maintenance record, priced when used
+const consumableUsageSchema = new Schema({
+  consumableId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Consumable',
+    required: true
+  },
+  name: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitCost: {
+    type: Number
+  }
+}, { _id: false });
+
 // Maintenance history sub-schema
 const maintenanceHistorySchema = new Schema({
   date: {
@@ -30,13 +106,91 @@ const maintenanceHistorySchema = new Schema({
     required: true
   },
   provider: {
-    type: String
+    type: String // Display name, kept if the linked provider is deleted
+  },
+  providerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ServiceProvider'
+  },
+  dropOffDate: {
+    type: Date // When the item went to the provider, for turnaround stats
+  },
+  pickupDate: {
+    type: Date
   },
   cost: {
     type: Number
   },
   notes: {
     type: String
+  },
+  scheduleId: {
+    type: Schema.Types.ObjectId // maintenanceSchedule entry this record completed
+  },
+  consumables: [consumableUsageSchema],
+  workOrderId: {
+    type: Schema.Types.ObjectId, // Work order this record closed
+    ref: 'WorkOrder'
+  }
+}, { _id: true, timestamps: true });
+
+// Image sub-schema
+const imageSchema = new Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String
+  },
+  thumbnailKey: {
+    type: String
+  },
+  originalName: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  size: {
+    type: Number
+  }
+}, { _id: true, timestamps: true });
+
+// Document sub-schema (receipts, warranties, manuals, etc.)
+const documentSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['Receipt', 'Warranty', 'Manual', 'Appraisal', 'Service Invoice', 'Other'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  size: {
+    type: Number
   }
 }, { _id: true, timestamps: true });
 
@@ -55,6 +209,43 @@ const insuranceInfoSchema = new Schema({
   }
 }, { _id: false });
 
+// Depreciation settings sub-schema (overrides the category rule)
+const depreciationSchema = new Schema({
+  method: {
+    type: String,
+    enum: DEPRECIATION_METHODS
+  },
+  annualRate: {
+    type: Number, // Fraction per year, e.g. 0.15 for 15%
+    min: 0,
+    max: 1
+  },
+  usefulLifeYears: {
+    type: Number,
+    min: 1
+  },
+  salvageValue: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Retirement sub-schema (sold, lost, broken, etc.)
+const retirementSchema = new Schema({
+  reason: {
+    type: String,
+    enum: ['Sold', 'Lost', 'Stolen', 'Broken', 'Donated', 'Other'],
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String
+  }
+}, { _id: false });
+
 // Main Equipment schema
 const equipmentSchema = new Schema({
   userId: {
@@ -95,7 +286,13 @@ const equipmentSchema = new Schema({
     type: Number
   },
   currentValue: {
-    type: Number
+    type: Number // Kept in sync with the depreciation engine unless overridden
+  },
+  valueOverride: {
+    type: Number // Manually entered value; always wins over calculated values
+  },
+  depreciation: {
+    type: depreciationSchema
   },
   condition: {
     type: String,
@@ -109,20 +306,40 @@ const equipmentSchema = new Schema({
   notes: {
     type: String
   },
-  images: [{
-    type: String // URLs to S3
-  }],
-  documents: [{
-    type: String // URLs to S3
-  }],
+  images: [imageSchema], // First image is the primary photo
+  documents: [documentSchema],
   isActive: {
     type: Boolean,
     default: true
   },
+  availability: {
+    type: String,
+    enum: ['Available', 'At Service'],
+    default: 'Available'
+  },
+  activeWorkOrder: {
+    type: Schema.Types.ObjectId, // Open work order while the item is out for service
+    ref: 'WorkOrder'
+  },
+  underClaim: {
+    type: Boolean, // Whether the item is on an open insurance claim
+    default: false
+  },
+  retirement: {
+    type: retirementSchema
+  },
+  deletedAt: {
+    type: Date // Set while the item is in the trash
+  },
   insuranceInfo: {
     type: insuranceInfoSchema,
     default: () => ({})
   },
+  usageCounters: {
+    type: usageCountersSchema,
+    default: () => ({})
+  },
+  usageLog: [usageLogSchema],
   maintenanceSchedule: [maintenanceScheduleSchema],
   maintenanceHistory: [maintenanceHistorySchema]
 }, { timestamps: true });
@@ -132,6 +349,29 @@ equipmentSchema.index({ userId: 1 });
 equipmentSchema.index({ type: 1 });
 equipmentSchema.index({ make: 1, model: 1 });
 equipmentSchema.index({ 'insuranceInfo.policyId': 1 });
+equipmentSchema.index({ deletedAt: 1 });
+equipmentSchema.index({ 'maintenanceHistory.providerId': 1 });
+equipmentSchema.index(
+  {
+    name: 'text',
+    serialNumber: 'text',
+    make: 'text',
+    model: 'text',
+    category: 'text',
+    notes: 'text'
+  },
+  {
+    name: 'equipment_text_search',
+    weights: {
+      name: 10,
+      serialNumber: 8,
+      make: 5,
+      model: 5,
+      category: 3,
+      notes: 1
+    }
+  }
+);
 
 // Virtual for age of equipment
 equipmentSchema.virtual('age').get(function() {
@@ -153,37 +393,90 @@ equipmentSchema.methods.isMaintenanceDue = function() {
   );
 };
 
+// Exclude trashed equipment from queries unless the filter asks about deletedAt
+equipmentSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate'], function() {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+});
+
 // Pre-save hook to calculate next maintenance dates
 equipmentSchema.pre('save', function(next) {
-  // Calculate next maintenance dates based on frequency if not set
-  if (this.isModified('maintenanceSchedule')) {
+  if (this.isModified('maintenanceSchedule') || this.isModified('usageCounters')) {
     this.maintenanceSchedule.forEach(schedule => {
-      if (schedule.lastPerformed && !schedule.nextDue) {
-        const lastPerformed = new Date(schedule.lastPerformed);
+      const usageMetric = schedule.usageInterval && schedule.usageInterval.metric;
+      
+      // Adding or replacing entries marks every entry of the array as modified,
+      // so only count paths set on this entry itself
+      const changed = path => schedule.isNew || schedule.isDirectModified(path);
+      
+      if (usageMetric) {
+        // Performing a task (or adding a new one) restarts its usage count
+        if (changed('lastPerformed') || schedule.usageAtLastPerformed === undefined) {
+          schedule.usageAtLastPerformed = this.usageCounters[usageMetric] || 0;
+          schedule.usageReachedAt = undefined;
+        }
         
-        switch (schedule.frequency.toLowerCase()) {
-          case 'daily':
-            schedule.nextDue = new Date(lastPerformed.setDate(lastPerformed.getDate() + 1));
-            break;
-          case 'weekly':
-            schedule.nextDue = new Date(lastPerformed.setDate(lastPerformed.getDate() + 7));
-            break;
-          case 'monthly':
-            schedule.nextDue = new Date(lastPerformed.setMonth(lastPerformed.getMonth() + 1));
-            break;
-          case 'quarterly':
-            schedule.nextDue = new Date(lastPerformed.setMonth(lastPerformed.getMonth() + 3));
-            break;
-          case 'yearly':
-            schedule.nextDue = new Date(lastPerformed.setFullYear(lastPerformed.getFullYear() + 1));
-            break;
+        if (
+          !schedule.usageReachedAt &&
+          getUsageSinceLast(schedule, this.usageCounters) >= schedule.usageInterval.amount
+        ) {
+          schedule.usageReachedAt = new Date();
         }
       }
+      
+      // Roll nextDue forward whenever a task is performed or one of its triggers
+      // changes, unless nextDue was set explicitly in the same change
+      const scheduleChanged = [
+        'lastPerformed',
+        'frequency',
+        'usageInterval',
+        'usageInterval.metric',
+        'usageInterval.amount',
+        'usageReachedAt'
+      ].some(changed);
+      const nextDueSet = schedule.isNew ? Boolean(schedule.nextDue) : schedule.isDirectModified('nextDue');
+      
+      if ((!schedule.nextDue || scheduleChanged) && !nextDueSet) {
+        schedule.nextDue = getScheduleDueDate(schedule) || undefined;
+      }
     });
   }
   next();
 });
 
+// Pre-save hook to keep currentValue in line with depreciation
+equipmentSchema.pre('save', async function() {
+  // Setting currentValue directly is a manual override
+  if (this.isModified('currentValue') && !this.isModified('valueOverride')) {
+    this.valueOverride = this.currentValue;
+  }
+
+  if (this.valueOverride !== undefined && this.valueOverride !== null) {
+    this.currentValue = this.valueOverride;
+    return;
+  }
+
+  let rule = null;
+  if (!(this.depreciation && this.depreciation.method) && this.category) {
+    rule = await mongoose.model('DepreciationRule').findOne({
+      userId: this.userId,
+      category: this.category
+    });
+  }
+
+  const value = calculateValue(this, resolveSettings(this.depreciation, rule));
+  if (value !== null) {
+    this.currentValue = value;
+  }
+});
+
+// Record field-level change history for every create/update/delete
+equipmentSchema.plugin(changeHistory, {
+  historyModel: 'EquipmentHistory',
+  foreignKey: 'equipmentId'
+});
+
 const Equipment = mongoose.model('Equipment', equipmentSchema);
 
 module.exports = Equipment;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Single field change sub-schema
+const changeSchema = new Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: Schema.Types.Mixed
+  },
+  after: {
+    type: Schema.Types.Mixed
+  }
+}, { _id: false });
+
+// Equipment change history schema
+const equipmentHistorySchema = new Schema({
+  equipmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User' // Empty for changes made by the system (e.g. trash purge)
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge'],
+    required: true
+  },
+  changes: [changeSchema]
+}, { timestamps: { createdAt: 'timestamp', updatedAt: false } });
+
+// Indexes for better query performance
+equipmentHistorySchema.index({ equipmentId: 1, timestamp: -1 });
+equipmentHistorySchema.index({ userId: 1, timestamp: -1 });
+
+const EquipmentHistory = mongoose.model('EquipmentHistory', equipmentHistorySchema);
+
+module.exports = EquipmentHistory;
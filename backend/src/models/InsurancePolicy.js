@@ -1,6 +1,91 @@
 const mongoose = require('mongoose');
+const { getEffectiveValue } = require('../utils/depreciation');
 const Schema = mongoose.Schema;
 
+const CLAIM_STATUSES = ['Filed', 'In Progress', 'Approved', 'Partially Approved', 'Denied', 'Closed'];
+
+// Statuses in which the insurer is no longer considering the claim
+const RESOLVED_CLAIM_STATUSES = ['Denied', 'Closed'];
+
+const claimStatusChangeSchema = new Schema({
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String
+  }
+}, { _id: false });
+
+// Claim sub-schema
+const claimSchema = new Schema({
+  claimNumber: {
+    type: String, // Reference assigned by the insurer
+    trim: true
+  },
+  dateOfIncident: {
+    type: Date,
+    required: true
+  },
+  dateOfClaim: {
+    type: Date,
+    default: Date.now
+  },
+  claimAmount: {
+    type: Number,
+    min: 0
+  },
+  claimReason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'Filed'
+  },
+  statusHistory: [claimStatusChangeSchema],
+  items: [{
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Equipment'
+    },
+    damageDescription: String,
+    claimAmount: Number,
+    settlementAmount: {
+      type: Number, // Amount the insurer agreed to pay for this item
+      min: 0
+    }
+  }],
+  documents: [{
+    type: String // URLs to S3
+  }],
+  notes: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Virtual for whether the claim is still being considered
+claimSchema.virtual('isOpen').get(function() {
+  return !RESOLVED_CLAIM_STATUSES.includes(this.status);
+});
+
+// Virtual for the total settlement across items, once any item is settled
+claimSchema.virtual('settlementAmount').get(function() {
+  const settled = this.items.filter(item => typeof item.settlementAmount === 'number');
+  if (settled.length === 0) {
+    return null;
+  }
+  return settled.reduce((total, item) => total + item.settlementAmount, 0);
+});
+
+claimSchema.set('toJSON', { virtuals: true });
+
 const insurancePolicySchema = new Schema({
   userId: {
     type: Schema.Types.ObjectId,
@@ -32,6 +117,10 @@ const insurancePolicySchema = new Schema({
   coverageDetails: {
     type: String
   },
+  coverageAmount: {
+    type: Number, // Policy limit, shared across covered items
+    min: 0
+  },
   premium: {
     type: Number
   },
@@ -46,35 +135,7 @@ const insurancePolicySchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Equipment'
   }],
-  claimHistory: [{
-    date: {
-      type: Date,
-      required: true
-    },
-    description: {
-      type: String,
-      required: true
-    },
-    amount: {
-      type: Number
-    },
-    status: {
-      type: String,
-      enum: ['Pending', 'Approved', 'Denied', 'Paid'],
-      default: 'Pending'
-    },
-    items: [{
-      itemId: {
-        type: Schema.Types.ObjectId,
-        ref: 'Equipment'
-      },
-      damageDescription: String,
-      claimAmount: Number
-    }],
-    documents: [{
-      type: String // URLs to S3
-    }]
-  }],
+  claimHistory: [claimSchema],
   autoRenew: {
     type: Boolean,
     default: false
@@ -83,6 +144,18 @@ const insurancePolicySchema = new Schema({
     type: Boolean,
     default: false
   },
+  renewalDeclined: {
+    type: Boolean, // Owner has chosen to let the policy lapse
+    default: false
+  },
+  predecessorId: {
+    type: Schema.Types.ObjectId, // Policy this one renewed
+    ref: 'InsurancePolicy'
+  },
+  successorId: {
+    type: Schema.Types.ObjectId, // Policy that renewed this one
+    ref: 'InsurancePolicy'
+  },
   notes: {
     type: String
   },
@@ -97,6 +170,11 @@ insurancePolicySchema.index({ userId: 1 });
 insurancePolicySchema.index({ endDate: 1 });
 insurancePolicySchema.index({ 'coveredItems': 1 });
 
+// Validate the policy term
+insurancePolicySchema.path('endDate').validate(function(endDate) {
+  return !this.startDate || endDate > this.startDate;
+}, 'End date must be after the start date');
+
 // Virtual for policy status
 insurancePolicySchema.virtual('status').get(function() {
   const now = new Date();
@@ -129,6 +207,14 @@ insurancePolicySchema.virtual('daysRemaining').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// A new end date needs a new expiry reminder
+insurancePolicySchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('endDate')) {
+    this.reminderSent = false;
+  }
+  next();
+});
+
 // Method to check if policy is expiring soon (within 30 days)
 insurancePolicySchema.methods.isExpiringSoon = function() {
   const daysRemaining = this.daysRemaining;
@@ -145,11 +231,20 @@ insurancePolicySchema.methods.addClaim = async function(claimData) {
 insurancePolicySchema.methods.getTotalCoverageValue = async function() {
   const populatedPolicy = await this.populate('coveredItems');
   
+  // Value items as of today rather than when they were last saved
+  const rules = await mongoose.model('DepreciationRule').find({ userId: this.userId });
+  const rulesByCategory = new Map(rules.map(rule => [rule.category, rule]));
+  
   return populatedPolicy.coveredItems.reduce((total, item) => {
-    return total + (item.currentValue || 0);
+    return total + (getEffectiveValue(item, rulesByCategory.get(item.category)) || 0);
   }, 0);
 };
 
+insurancePolicySchema.set('toJSON', { virtuals: true });
+
+insurancePolicySchema.statics.CLAIM_STATUSES = CLAIM_STATUSES;
+insurancePolicySchema.statics.RESOLVED_CLAIM_STATUSES = RESOLVED_CLAIM_STATUSES;
+
 const InsurancePolicy = mongoose.model('InsurancePolicy', insurancePolicySchema);
 
 module.exports = InsurancePolicy;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NOTIFICATION_TYPES = [
+  'maintenance_due',
+  'insurance_expiring',
+  'work_order',
+  'low_stock',
+  'claim',
+  'band',
+  'system'
+];
+
+// In-app notification for a user
+const notificationSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String
+  },
+  // What the notification is about, for linking in the UI
+  equipmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment'
+  },
+  policyId: {
+    type: Schema.Types.ObjectId,
+    ref: 'InsurancePolicy'
+  },
+  bandId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Band'
+  },
+  readAt: {
+    type: Date // Unset while unread
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+// Virtual for read state
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
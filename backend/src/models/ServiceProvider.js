@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Normalize a provider name so spelling variants compare equal
+ * e.g. "Joe's Guitar Shop" and "joes  guitar shop" both become "joesguitarshop"
+ * @param {String} name - Provider name
+ * @returns {String} - Normalized name
+ */
+const normalizeProviderName = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// Repair techs, luthiers and shops that service a user's equipment
+const serviceProviderSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalizedName: {
+    type: String
+  },
+  specialty: [{
+    type: String, // e.g. "Guitar setup", "Amp repair", "Brass"
+    trim: true
+  }],
+  contact: {
+    contactName: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    website: {
+      type: String,
+      trim: true
+    }
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String
+  },
+  notes: {
+    type: String
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+serviceProviderSchema.index({ userId: 1, normalizedName: 1 }, { unique: true });
+
+serviceProviderSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.normalizedName = normalizeProviderName(this.name);
+  }
+  next();
+});
+
+serviceProviderSchema.statics.normalizeName = normalizeProviderName;
+
+const ServiceProvider = mongoose.model('ServiceProvider', serviceProviderSchema);
+
+module.exports = ServiceProvider;
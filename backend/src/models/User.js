@@ -67,6 +67,12 @@ const userSchema = new Schema({
     type: String,
     trim: true
   },
+  bio: {
+    type: String
+  },
+  profileImage: {
+    type: String // URL
+  },
   userType: {
     type: String,
     enum: ['individual', 'band', 'studio', 'venue', 'admin'],
@@ -83,6 +89,10 @@ const userSchema = new Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
   emailVerificationToken: String,
+  calendarToken: {
+    type: String, // Secret in the calendar feed URL
+    select: false
+  },
   emailVerified: {
     type: Boolean,
     default: false
@@ -98,6 +108,7 @@ const userSchema = new Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ userType: 1 });
 userSchema.index({ bandId: 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -125,6 +136,17 @@ userSchema.methods.generateAuthToken = function() {
   );
 };
 
+// Method to generate an access token and a refresh token
+userSchema.methods.generateAuthTokens = function() {
+  const refreshToken = jwt.sign(
+    { id: this._id },
+    process.env.JWT_REFRESH_SECRET || 'musician-gear-tracker-refresh-secret',
+    { expiresIn: '30d' }
+  );
+
+  return { token: this.generateAuthToken(), refreshToken };
+};
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it's modified or new
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const WORK_ORDER_STATUSES = ['Quoted', 'Dropped Off', 'In Progress', 'Ready', 'Picked Up', 'Cancelled'];
+
+// Statuses while the item is with the provider rather than with the owner
+const OUT_FOR_SERVICE_STATUSES = ['Dropped Off', 'In Progress', 'Ready'];
+
+const statusChangeSchema = new Schema({
+  status: {
+    type: String,
+    enum: WORK_ORDER_STATUSES,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String
+  }
+}, { _id: false });
+
+// Repair job for an item sent to a service provider
+const workOrderSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  equipmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment',
+    required: true
+  },
+  providerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ServiceProvider',
+    required: true
+  },
+  service: {
+    type: String, // e.g. "Refret", "Retube and bias"
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: WORK_ORDER_STATUSES,
+    default: 'Quoted'
+  },
+  statusHistory: [statusChangeSchema],
+  estimatedCost: {
+    type: Number,
+    min: 0
+  },
+  actualCost: {
+    type: Number,
+    min: 0
+  },
+  quoteDate: {
+    type: Date
+  },
+  dropOffDate: {
+    type: Date
+  },
+  estimatedReadyDate: {
+    type: Date
+  },
+  readyDate: {
+    type: Date
+  },
+  pickupDate: {
+    type: Date
+  },
+  previousLocation: {
+    type: String // Item location before drop-off, restored when it comes back
+  },
+  maintenanceRecordId: {
+    type: Schema.Types.ObjectId // maintenanceHistory entry created on pickup
+  },
+  notes: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+workOrderSchema.index({ userId: 1, status: 1 });
+workOrderSchema.index({ equipmentId: 1 });
+workOrderSchema.index({ providerId: 1 });
+
+// Virtual for whether the item is currently with the provider
+workOrderSchema.virtual('isOutForService').get(function() {
+  return OUT_FOR_SERVICE_STATUSES.includes(this.status);
+});
+
+// Virtual for whether the order can still change status
+workOrderSchema.virtual('isClosed').get(function() {
+  return this.status === 'Picked Up' || this.status === 'Cancelled';
+});
+
+workOrderSchema.set('toJSON', { virtuals: true });
+
+workOrderSchema.statics.STATUSES = WORK_ORDER_STATUSES;
+workOrderSchema.statics.OUT_FOR_SERVICE_STATUSES = OUT_FOR_SERVICE_STATUSES;
+
+const WorkOrder = mongoose.model('WorkOrder', workOrderSchema);
+
+module.exports = WorkOrder;
@@ -2,10 +2,24 @@ const User = require('./User');
 const Equipment = require('./Equipment');
 const InsurancePolicy = require('./InsurancePolicy');
 const Band = require('./Band');
+const EquipmentHistory = require('./EquipmentHistory');
+const DepreciationRule = require('./DepreciationRule');
+const Consumable = require('./Consumable');
+const ServiceProvider = require('./ServiceProvider');
+const WorkOrder = require('./WorkOrder');
+const Notification = require('./Notification');
+const EmailLog = require('./EmailLog');
 
 module.exports = {
   User,
   Equipment,
   InsurancePolicy,
-  Band
+  Band,
+  EquipmentHistory,
+  DepreciationRule,
+  Consumable,
+  ServiceProvider,
+  WorkOrder,
+  Notification,
+  EmailLog
 };
\ No newline at end of file
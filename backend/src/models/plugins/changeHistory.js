@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const logger = require('../../utils/logger');
+
+// Bookkeeping fields that are never recorded as changes
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => (
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId)
+);
+
+const isSubdocumentArray = (value) => (
+  Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && item._id)
+);
+
+const isEmpty = (value) => (
+  value === undefined ||
+  value === null ||
+  (Array.isArray(value) && value.length === 0) ||
+  (isPlainObject(value) && Object.keys(value).length === 0)
+);
+
+/**
+ * Compare two values, treating ObjectIds and Dates by their string form
+ * and missing values the same as empty arrays and objects
+ * @returns {Boolean} - Whether the values are equal
+ */
+const isEqual = (a, b) => {
+  const normalize = (value) => JSON.stringify(isEmpty(value) ? null : value);
+  return normalize(a) === normalize(b);
+};
+
+/**
+ * Build a list of field-level changes between two plain document snapshots
+ * Subdocument arrays are compared by _id, so one edited maintenance record
+ * shows up as that record's changed fields rather than the whole array
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @param {String} [prefix] - Path of the objects being compared
+ * @returns {Array<Object>} - Changes as { field, before, after }
+ */
+const diffSnapshots = (before = {}, after = {}, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+
+    const field = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffSnapshots(oldValue, newValue, field));
+    } else if (
+      (isSubdocumentArray(oldValue) || isSubdocumentArray(newValue)) &&
+      (Array.isArray(oldValue) || oldValue === undefined) &&
+      (Array.isArray(newValue) || newValue === undefined)
+    ) {
+      changes.push(...diffSubdocumentArrays(oldValue || [], newValue || [], field));
+    } else if (!isEqual(oldValue, newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Compare two subdocument arrays by _id
+ * @returns {Array<Object>} - Changes as { field, before, after }
+ */
+const diffSubdocumentArrays = (before, after, field) => {
+  const changes = [];
+  const beforeById = new Map(before.map(item => [item._id.toString(), item]));
+  const afterById = new Map(after.map(item => [item._id.toString(), item]));
+
+  beforeById.forEach((item, id) => {
+    if (!afterById.has(id)) {
+      changes.push({ field: `${field}.${id}`, before: item, after: undefined });
+    }
+  });
+
+  afterById.forEach((item, id) => {
+    const previous = beforeById.get(id);
+    if (!previous) {
+      changes.push({ field: `${field}.${id}`, before: undefined, after: item });
+    } else {
+      changes.push(...diffSnapshots(previous, item, `${field}.${id}`));
+    }
+  });
+
+  // Same items in a different order (e.g. choosing a new primary photo)
+  const beforeOrder = before.map(item => item._id.toString()).filter(id => afterById.has(id));
+  const afterOrder = after.map(item => item._id.toString()).filter(id => beforeById.has(id));
+  if (!isEqual(beforeOrder, afterOrder)) {
+    changes.push({ field: `${field}.$order`, before: beforeOrder, after: afterOrder });
+  }
+
+  return changes;
+};
+
+/**
+ * Mongoose plugin recording field-level change history for every save
+ *
+ * Set doc.$locals.actor to the acting user's ID before saving so the entry
+ * records who made the change. Direct writes (updateOne, bulkWrite, ...)
+ * skip save hooks; code making them records its changes with the
+ * recordChanges static the plugin adds.
+ * @param {Schema} schema - Schema to track
+ * @param {Object} options - Plugin options
+ * @param {String} options.historyModel - Name of the model history is written to
+ * @param {String} options.foreignKey - History field referencing the tracked document
+ */
+const changeHistory = (schema, { historyModel, foreignKey }) => {
+  const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false });
+
+  const getAction = (doc, changes) => {
+    if (doc.$locals.wasNew) return 'create';
+
+    const deletedAt = changes.find(change => change.field === 'deletedAt');
+    if (deletedAt) return deletedAt.after ? 'delete' : 'restore';
+
+    return 'update';
+  };
+
+  // Read the stored values of the fields being saved, so only writes pay for
+  // history rather than every loaded document. Registered last, so changes
+  // made by the schema's own save hooks are included
+  schema.pre('save', async function() {
+    this.$locals.wasNew = this.isNew;
+    this.$locals.changedPaths = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]
+      .filter(path => !IGNORED_FIELDS.includes(path));
+    this.$locals.before = undefined;
+
+    if (this.isNew || this.$locals.changedPaths.length === 0) return;
+
+    const stored = await this.constructor.collection.findOne(
+      { _id: this._id },
+      { projection: Object.fromEntries(this.$locals.changedPaths.map(path => [path, 1])) }
+    );
+    this.$locals.before = stored ? snapshot(this.constructor.hydrate(stored)) : {};
+  });
+
+  schema.post('save', async function(doc) {
+    if (!doc.$locals.wasNew && doc.$locals.changedPaths.length === 0) return;
+
+    const current = snapshot(doc);
+    const pick = (values) => Object.fromEntries(
+      doc.$locals.changedPaths.map(path => [path, values[path]])
+    );
+    const changes = doc.$locals.wasNew
+      ? diffSnapshots({}, current)
+      : diffSnapshots(pick(doc.$locals.before), pick(current));
+
+    if (changes.length === 0) return;
+
+    try {
+      await mongoose.model(historyModel).create({
+        [foreignKey]: doc._id,
+        userId: doc.userId,
+        actor: doc.$locals.actor,
+        action: getAction(doc, changes),
+        changes
+      });
+    } catch (error) {
+      logger.error(`Failed to record change history for ${doc._id}:`, error);
+    }
+  });
+
+  /**
+   * Record changes made with direct writes
+   * @param {Array<Object>} entries - Entries of { _id, userId, changes }, with
+   *   changes as { field, before, after }; entries without changes are skipped
+   * @param {Object} [options] - Recording options
+   * @param {String} [options.actor] - Acting user; empty for changes made by the system
+   * @returns {Promise<void>}
+   */
+  schema.statics.recordChanges = async function(entries, { actor } = {}) {
+    const history = entries
+      .filter(entry => entry.changes.length > 0)
+      .map(entry => ({
+        [foreignKey]: entry._id,
+        userId: entry.userId,
+        actor,
+        action: 'update',
+        changes: entry.changes
+      }));
+
+    if (history.length === 0) return;
+
+    try {
+      await mongoose.model(historyModel).insertMany(history);
+    } catch (error) {
+      logger.error('Failed to record change history for direct writes:', error);
+    }
+  };
+
+  // Bulk inserts (e.g. spreadsheet imports) are always made by the owner
+  schema.post('insertMany', async function(docs) {
+    try {
+      await mongoose.model(historyModel).insertMany(docs.map(doc => ({
+        [foreignKey]: doc._id,
+        userId: doc.userId,
+        actor: doc.userId,
+        action: 'create',
+        changes: diffSnapshots({}, snapshot(doc))
+      })));
+    } catch (error) {
+      logger.error('Failed to record change history for bulk insert:', error);
+    }
+  });
+};
+
+module.exports = changeHistory;
+module.exports.diffSnapshots = diffSnapshots;
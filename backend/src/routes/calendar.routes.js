@@ -0,0 +1,48 @@
+const express = require('express');
+const { param } = require('express-validator');
+const calendarController = require('../controllers/calendar.controller');
+const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/calendar/feed/:token.ics
+ * @desc Get the iCalendar feed; calendar apps cannot send auth headers, so the
+ *       token in the URL is the credential
+ * @access Public
+ */
+router.get(
+  '/feed/:token.ics',
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid calendar token')
+  ],
+  validateRequest,
+  calendarController.getFeed
+);
+
+/**
+ * @route GET /api/v1/calendar/subscription
+ * @desc Get the calendar feed URL
+ * @access Private
+ */
+router.get('/subscription', authMiddleware, calendarController.getSubscription);
+
+/**
+ * @route POST /api/v1/calendar/subscription
+ * @desc Enable the calendar feed or rotate its URL
+ * @access Private
+ */
+router.post('/subscription', authMiddleware, calendarController.createSubscription);
+
+/**
+ * @route DELETE /api/v1/calendar/subscription
+ * @desc Disable the calendar feed
+ * @access Private
+ */
+router.delete('/subscription', authMiddleware, calendarController.deleteSubscription);
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const consumableController = require('../controllers/consumable.controller');
+const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validateRequest');
+const { Consumable } = require('../models');
+
+const CONSUMABLE_TYPES = Consumable.schema.path('type').enumValues;
+const SORT_FIELDS = ['name', 'type', 'brand', 'quantity', 'unitCost', 'reorderThreshold', 'createdAt', 'updatedAt'];
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/v1/consumables
+ * @desc Get all consumables for the authenticated user
+ * @access Private
+ */
+router.get(
+  '/',
+  [
+    query('type')
+      .optional()
+      .isIn(CONSUMABLE_TYPES)
+      .withMessage(`Type must be one of: ${CONSUMABLE_TYPES.join(', ')}`),
+    query('equipmentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    query('lowStock')
+      .optional()
+      .isBoolean()
+      .withMessage('Low stock must be true or false')
+      .toBoolean(),
+    query('sort')
+      .optional()
+      .isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+      .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`)
+  ],
+  validateRequest,
+  consumableController.getAllConsumables
+);
+
+/**
+ * @route GET /api/v1/consumables/reports/low-stock
+ * @desc Get consumables at or below their reorder threshold
+ * @access Private
+ */
+router.get('/reports/low-stock', consumableController.getLowStockReport);
+
+/**
+ * @route GET /api/v1/consumables/reports/spend
+ * @desc Get consumable spend per instrument
+ * @access Private
+ */
+router.get(
+  '/reports/spend',
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date')
+      .toDate(),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date')
+      .toDate(),
+    query('equipmentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid equipment ID')
+  ],
+  validateRequest,
+  consumableController.getSpendReport
+);
+
+/**
+ * @route GET /api/v1/consumables/:id
+ * @desc Get consumable by ID
+ * @access Private
+ */
+router.get(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid consumable ID')
+  ],
+  validateRequest,
+  consumableController.getConsumableById
+);
+
+/**
+ * @route POST /api/v1/consumables
+ * @desc Create new consumable
+ * @access Private
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .notEmpty()
+      .withMessage('Consumable name is required')
+      .isString()
+      .withMessage('Name must be a string')
+      .trim(),
+    body('type')
+      .optional()
+      .isIn(CONSUMABLE_TYPES)
+      .withMessage(`Type must be one of: ${CONSUMABLE_TYPES.join(', ')}`),
+    body('brand')
+      .optional()
+      .isString()
+      .withMessage('Brand must be a string')
+      .trim(),
+    body('unit')
+      .optional()
+      .isString()
+      .withMessage('Unit must be a string')
+      .trim(),
+    body('quantity')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Quantity must be a non-negative number')
+      .toFloat(),
+    body('unitCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a non-negative number')
+      .toFloat(),
+    body('reorderThreshold')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Reorder threshold must be a non-negative number')
+      .toFloat(),
+    body('compatibleEquipment')
+      .optional()
+      .isArray()
+      .withMessage('Compatible equipment must be an array'),
+    body('compatibleEquipment.*')
+      .isMongoId()
+      .withMessage('Invalid compatible equipment ID'),
+    body('supplier')
+      .optional()
+      .isString()
+      .withMessage('Supplier must be a string')
+      .trim(),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validateRequest,
+  consumableController.createConsumable
+);
+
+/**
+ * @route PUT /api/v1/consumables/:id
+ * @desc Update consumable by ID
+ * @access Private
+ */
+router.put(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid consumable ID'),
+    body('name')
+      .optional()
+      .notEmpty()
+      .withMessage('Consumable name cannot be empty')
+      .isString()
+      .withMessage('Name must be a string')
+      .trim(),
+    body('type')
+      .optional()
+      .isIn(CONSUMABLE_TYPES)
+      .withMessage(`Type must be one of: ${CONSUMABLE_TYPES.join(', ')}`),
+    body('brand')
+      .optional()
+      .isString()
+      .withMessage('Brand must be a string')
+      .trim(),
+    body('unit')
+      .optional()
+      .isString()
+      .withMessage('Unit must be a string')
+      .trim(),
+    body('unitCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a non-negative number')
+      .toFloat(),
+    body('reorderThreshold')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Reorder threshold must be a non-negative number')
+      .toFloat(),
+    body('compatibleEquipment')
+      .optional()
+      .isArray()
+      .withMessage('Compatible equipment must be an array'),
+    body('compatibleEquipment.*')
+      .isMongoId()
+      .withMessage('Invalid compatible equipment ID'),
+    body('supplier')
+      .optional()
+      .isString()
+      .withMessage('Supplier must be a string')
+      .trim(),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validateRequest,
+  consumableController.updateConsumable
+);
+
+/**
+ * @route DELETE /api/v1/consumables/:id
+ * @desc Delete consumable by ID
+ * @access Private
+ */
+router.delete(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid consumable ID')
+  ],
+  validateRequest,
+  consumableController.deleteConsumable
+);
+
+/**
+ * @route POST /api/v1/consumables/:id/restock
+ * @desc Add stock to a consumable
+ * @access Private
+ */
+router.post(
+  '/:id/restock',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid consumable ID'),
+    body('quantity')
+      .notEmpty()
+      .withMessage('Quantity is required')
+      .isFloat({ gt: 0 })
+      .withMessage('Quantity must be a positive number')
+      .toFloat(),
+    body('unitCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a non-negative number')
+      .toFloat()
+  ],
+  validateRequest,
+  consumableController.restockConsumable
+);
+
+module.exports = router;
@@ -3,6 +3,16 @@ const { body, param, query } = require('express-validator');
 const equipmentController = require('../controllers/equipment.controller');
 const authMiddleware = require('../middleware/authMiddleware');
 const validateRequest = require('../middleware/validateRequest');
+const {
+  createEquipmentRules,
+  listEquipmentRules,
+  depreciationParameterRules,
+  maintenanceRecordRules,
+  maintenanceScheduleRules
+} = require('../validators/equipment.validators');
+const { DEPRECIATION_METHODS } = require('../utils/depreciation');
+const { USAGE_METRICS } = require('../utils/maintenance');
+const { imageUpload, documentUpload, spreadsheetUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -25,23 +35,84 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
-    query('sort')
-      .optional()
-      .isString()
-      .withMessage('Sort must be a string'),
-    query('type')
-      .optional()
-      .isString()
-      .withMessage('Type must be a string'),
-    query('search')
-      .optional()
-      .isString()
-      .withMessage('Search must be a string')
+    ...listEquipmentRules
   ],
   validateRequest,
   equipmentController.getAllEquipment
 );
 
+/**
+ * @route GET /api/v1/equipment/export
+ * @desc Export the filtered equipment inventory as CSV, XLSX or PDF
+ * @access Private
+ */
+router.get(
+  '/export',
+  [
+    query('format')
+      .optional()
+      .isIn(['csv', 'xlsx', 'pdf'])
+      .withMessage('Format must be csv, xlsx, or pdf'),
+    ...listEquipmentRules
+  ],
+  validateRequest,
+  equipmentController.exportEquipment
+);
+
+/**
+ * @route GET /api/v1/equipment/trash
+ * @desc Get equipment in the trash
+ * @access Private
+ */
+router.get('/trash', equipmentController.getTrash);
+
+/**
+ * @route GET /api/v1/equipment/depreciation-rules
+ * @desc Get per-category depreciation rules
+ * @access Private
+ */
+router.get('/depreciation-rules', equipmentController.getDepreciationRules);
+
+/**
+ * @route PUT /api/v1/equipment/depreciation-rules/:category
+ * @desc Create or update the depreciation rule for a category
+ * @access Private
+ */
+router.put(
+  '/depreciation-rules/:category',
+  [
+    param('category')
+      .trim()
+      .notEmpty()
+      .withMessage('Category is required'),
+    body('method')
+      .notEmpty()
+      .withMessage('Depreciation method is required')
+      .isIn(DEPRECIATION_METHODS)
+      .withMessage(`Method must be one of: ${DEPRECIATION_METHODS.join(', ')}`),
+    ...depreciationParameterRules
+  ],
+  validateRequest,
+  equipmentController.saveDepreciationRule
+);
+
+/**
+ * @route DELETE /api/v1/equipment/depreciation-rules/:category
+ * @desc Delete the depreciation rule for a category
+ * @access Private
+ */
+router.delete(
+  '/depreciation-rules/:category',
+  [
+    param('category')
+      .trim()
+      .notEmpty()
+      .withMessage('Category is required')
+  ],
+  validateRequest,
+  equipmentController.deleteDepreciationRule
+);
+
 /**
  * @route GET /api/v1/equipment/:id
  * @desc Get equipment by ID
@@ -65,67 +136,37 @@ router.get(
  */
 router.post(
   '/',
+  createEquipmentRules,
+  validateRequest,
+  equipmentController.createEquipment
+);
+
+/**
+ * @route POST /api/v1/equipment/import
+ * @desc Import equipment in bulk from a CSV or XLSX file
+ * @access Private
+ */
+router.post(
+  '/import',
+  spreadsheetUpload,
   [
-    body('name')
-      .notEmpty()
-      .withMessage('Equipment name is required')
-      .isString()
-      .withMessage('Name must be a string')
-      .trim(),
-    body('type')
-      .notEmpty()
-      .withMessage('Equipment type is required')
-      .isString()
-      .withMessage('Type must be a string')
-      .trim(),
-    body('category')
-      .optional()
-      .isString()
-      .withMessage('Category must be a string')
-      .trim(),
-    body('make')
-      .optional()
-      .isString()
-      .withMessage('Make must be a string')
-      .trim(),
-    body('model')
-      .optional()
-      .isString()
-      .withMessage('Model must be a string')
-      .trim(),
-    body('serialNumber')
-      .optional()
-      .isString()
-      .withMessage('Serial number must be a string')
-      .trim(),
-    body('purchaseDate')
-      .optional()
-      .isISO8601()
-      .withMessage('Purchase date must be a valid date'),
-    body('purchasePrice')
-      .optional()
-      .isNumeric()
-      .withMessage('Purchase price must be a number'),
-    body('currentValue')
-      .optional()
-      .isNumeric()
-      .withMessage('Current value must be a number'),
-    body('condition')
-      .optional()
-      .isIn(['Excellent', 'Good', 'Fair', 'Poor', 'Not Working'])
-      .withMessage('Invalid condition value'),
-    body('location')
-      .optional()
-      .isString()
-      .withMessage('Location must be a string')
-      .trim(),
-    body('notes')
-      .optional()
-      .isString()
-      .withMessage('Notes must be a string')
+    body('mapping')
+      .optional()
+      .isJSON()
+      .withMessage('Mapping must be a JSON object of column name to field')
+      .custom(value => {
+        const mapping = JSON.parse(value);
+        return mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+      })
+      .withMessage('Mapping must be a JSON object of column name to field'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('Dry run must be a boolean')
+      .toBoolean()
   ],
   validateRequest,
-  equipmentController.createEquipment
+  equipmentController.importEquipment
 );
 
 /**
@@ -193,7 +234,11 @@ router.put(
     body('notes')
       .optional()
       .isString()
-      .withMessage('Notes must be a string')
+      .withMessage('Notes must be a string'),
+    body('insuranceInfo.policyId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid insurance policy ID')
   ],
   validateRequest,
   equipmentController.updateEquipment
@@ -201,7 +246,7 @@ router.put(
 
 /**
  * @route DELETE /api/v1/equipment/:id
- * @desc Delete equipment by ID
+ * @desc Move equipment to the trash
  * @access Private
  */
 router.delete(
@@ -215,6 +260,156 @@ router.delete(
   equipmentController.deleteEquipment
 );
 
+/**
+ * @route POST /api/v1/equipment/:id/restore
+ * @desc Restore equipment from the trash
+ * @access Private
+ */
+router.post(
+  '/:id/restore',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID')
+  ],
+  validateRequest,
+  equipmentController.restoreEquipment
+);
+
+/**
+ * @route POST /api/v1/equipment/:id/retire
+ * @desc Retire equipment (sold, lost, broken, etc.)
+ * @access Private
+ */
+router.post(
+  '/:id/retire',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    body('reason')
+      .notEmpty()
+      .withMessage('Retirement reason is required')
+      .isIn(['Sold', 'Lost', 'Stolen', 'Broken', 'Donated', 'Other'])
+      .withMessage('Invalid retirement reason'),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Retirement date must be a valid date'),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validateRequest,
+  equipmentController.retireEquipment
+);
+
+/**
+ * @route POST /api/v1/equipment/:id/reactivate
+ * @desc Return retired equipment to active use
+ * @access Private
+ */
+router.post(
+  '/:id/reactivate',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID')
+  ],
+  validateRequest,
+  equipmentController.reactivateEquipment
+);
+
+/**
+ * @route GET /api/v1/equipment/:id/history
+ * @desc Get the change history of equipment
+ * @access Private
+ */
+router.get(
+  '/:id/history',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  equipmentController.getEquipmentHistory
+);
+
+/**
+ * @route GET /api/v1/equipment/:id/depreciation
+ * @desc Get depreciation settings and value curve (query settings preview a method)
+ * @access Private
+ */
+router.get(
+  '/:id/depreciation',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    query('years')
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage('Years must be between 0 and 50')
+      .toInt(),
+    query('method')
+      .optional()
+      .isIn(DEPRECIATION_METHODS)
+      .withMessage(`Method must be one of: ${DEPRECIATION_METHODS.join(', ')}`),
+    query('annualRate')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Annual rate must be between 0 and 1')
+      .toFloat(),
+    query('usefulLifeYears')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Useful life must be at least 1 year')
+      .toFloat(),
+    query('salvageValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Salvage value must be a non-negative number')
+      .toFloat()
+  ],
+  validateRequest,
+  equipmentController.getDepreciation
+);
+
+/**
+ * @route PUT /api/v1/equipment/:id/depreciation
+ * @desc Update depreciation settings or manual value override
+ * @access Private
+ */
+router.put(
+  '/:id/depreciation',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    body('method')
+      .optional({ values: 'undefined' })
+      .custom(value => value === null || DEPRECIATION_METHODS.includes(value))
+      .withMessage(`Method must be null or one of: ${DEPRECIATION_METHODS.join(', ')}`),
+    ...depreciationParameterRules,
+    body('valueOverride')
+      .optional({ values: 'undefined' })
+      .custom(value => value === null || (typeof value === 'number' && value >= 0))
+      .withMessage('Value override must be null or a non-negative number')
+  ],
+  validateRequest,
+  equipmentController.updateDepreciation
+);
+
 /**
  * @route POST /api/v1/equipment/:id/maintenance
  * @desc Add maintenance record to equipment
@@ -236,21 +431,64 @@ router.post(
       .withMessage('Maintenance date is required')
       .isISO8601()
       .withMessage('Maintenance date must be a valid date'),
-    body('provider')
+    ...maintenanceRecordRules
+  ],
+  validateRequest,
+  equipmentController.addMaintenanceRecord
+);
+
+/**
+ * @route PUT /api/v1/equipment/:id/maintenance/:recordId
+ * @desc Update a maintenance record
+ * @access Private
+ */
+router.put(
+  '/:id/maintenance/:recordId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('recordId')
+      .isMongoId()
+      .withMessage('Invalid maintenance record ID'),
+    body('service')
       .optional()
+      .notEmpty()
+      .withMessage('Service description cannot be empty')
       .isString()
-      .withMessage('Provider must be a string'),
-    body('cost')
+      .withMessage('Service must be a string'),
+    body('date')
       .optional()
-      .isNumeric()
-      .withMessage('Cost must be a number'),
-    body('notes')
+      .isISO8601()
+      .withMessage('Maintenance date must be a valid date'),
+    ...maintenanceRecordRules
+  ],
+  validateRequest,
+  equipmentController.updateMaintenanceRecord
+);
+
+/**
+ * @route DELETE /api/v1/equipment/:id/maintenance/:recordId
+ * @desc Delete a maintenance record
+ * @access Private
+ */
+router.delete(
+  '/:id/maintenance/:recordId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('recordId')
+      .isMongoId()
+      .withMessage('Invalid maintenance record ID'),
+    query('restock')
       .optional()
-      .isString()
-      .withMessage('Notes must be a string')
+      .isBoolean()
+      .withMessage('Restock must be a boolean')
+      .toBoolean()
   ],
   validateRequest,
-  equipmentController.addMaintenanceRecord
+  equipmentController.deleteMaintenanceRecord
 );
 
 /**
@@ -270,21 +508,121 @@ router.post(
       .isString()
       .withMessage('Task type must be a string'),
     body('frequency')
+      .if(body('usageInterval.metric').not().exists())
       .notEmpty()
-      .withMessage('Frequency is required')
+      .withMessage('Frequency is required unless a usage interval is set'),
+    ...maintenanceScheduleRules
+  ],
+  validateRequest,
+  equipmentController.addMaintenanceSchedule
+);
+
+/**
+ * @route PUT /api/v1/equipment/:id/schedule/:scheduleId
+ * @desc Update a maintenance schedule; changed triggers recompute nextDue
+ * @access Private
+ */
+router.put(
+  '/:id/schedule/:scheduleId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('scheduleId')
+      .isMongoId()
+      .withMessage('Invalid schedule ID'),
+    body('taskType')
+      .optional()
+      .notEmpty()
+      .withMessage('Task type cannot be empty')
       .isString()
-      .withMessage('Frequency must be a string'),
-    body('lastPerformed')
+      .withMessage('Task type must be a string'),
+    ...maintenanceScheduleRules
+  ],
+  validateRequest,
+  equipmentController.updateMaintenanceSchedule
+);
+
+/**
+ * @route DELETE /api/v1/equipment/:id/schedule/:scheduleId
+ * @desc Delete a maintenance schedule
+ * @access Private
+ */
+router.delete(
+  '/:id/schedule/:scheduleId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('scheduleId')
+      .isMongoId()
+      .withMessage('Invalid schedule ID')
+  ],
+  validateRequest,
+  equipmentController.deleteMaintenanceSchedule
+);
+
+/**
+ * @route POST /api/v1/equipment/:id/schedule/:scheduleId/complete
+ * @desc Complete a scheduled maintenance task and roll the schedule forward
+ * @access Private
+ */
+router.post(
+  '/:id/schedule/:scheduleId/complete',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('scheduleId')
+      .isMongoId()
+      .withMessage('Invalid schedule ID'),
+    body('date')
       .optional()
       .isISO8601()
-      .withMessage('Last performed date must be a valid date'),
-    body('nextDue')
+      .withMessage('Completion date must be a valid date'),
+    body('service')
+      .optional()
+      .isString()
+      .withMessage('Service must be a string'),
+    ...maintenanceRecordRules
+  ],
+  validateRequest,
+  equipmentController.completeMaintenanceTask
+);
+
+/**
+ * @route POST /api/v1/equipment/:id/usage
+ * @desc Log usage (hours, gigs, etc.) against equipment
+ * @access Private
+ */
+router.post(
+  '/:id/usage',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    body('metric')
+      .notEmpty()
+      .withMessage('Usage metric is required')
+      .isIn(USAGE_METRICS)
+      .withMessage(`Usage metric must be one of: ${USAGE_METRICS.join(', ')}`),
+    body('amount')
+      .notEmpty()
+      .withMessage('Usage amount is required')
+      .isFloat({ gt: 0 })
+      .withMessage('Usage amount must be a positive number')
+      .toFloat(),
+    body('date')
       .optional()
       .isISO8601()
-      .withMessage('Next due date must be a valid date')
+      .withMessage('Usage date must be a valid date'),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
   ],
   validateRequest,
-  equipmentController.addMaintenanceSchedule
+  equipmentController.logUsage
 );
 
 /**
@@ -310,7 +648,143 @@ router.post(
       .withMessage('Invalid equipment ID')
   ],
   validateRequest,
+  imageUpload,
   equipmentController.uploadImages
 );
 
+/**
+ * @route PUT /api/v1/equipment/:id/images/order
+ * @desc Reorder equipment images (first image is the primary photo)
+ * @access Private
+ */
+router.put(
+  '/:id/images/order',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    body('imageIds')
+      .isArray({ min: 1 })
+      .withMessage('Image IDs must be a non-empty array'),
+    body('imageIds.*')
+      .isMongoId()
+      .withMessage('Invalid image ID in image IDs')
+  ],
+  validateRequest,
+  equipmentController.reorderImages
+);
+
+/**
+ * @route DELETE /api/v1/equipment/:id/images/:imageId
+ * @desc Delete an equipment image
+ * @access Private
+ */
+router.delete(
+  '/:id/images/:imageId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('imageId')
+      .isMongoId()
+      .withMessage('Invalid image ID')
+  ],
+  validateRequest,
+  equipmentController.deleteImage
+);
+
+/**
+ * @route GET /api/v1/equipment/:id/documents
+ * @desc Get documents attached to equipment
+ * @access Private
+ */
+router.get(
+  '/:id/documents',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    query('type')
+      .optional()
+      .isIn(['Receipt', 'Warranty', 'Manual', 'Appraisal', 'Service Invoice', 'Other'])
+      .withMessage('Invalid document type')
+  ],
+  validateRequest,
+  equipmentController.getDocuments
+);
+
+/**
+ * @route POST /api/v1/equipment/:id/documents
+ * @desc Upload a document (receipt, warranty, manual, etc.) to equipment
+ * @access Private
+ */
+router.post(
+  '/:id/documents',
+  documentUpload,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    body('type')
+      .notEmpty()
+      .withMessage('Document type is required')
+      .isIn(['Receipt', 'Warranty', 'Manual', 'Appraisal', 'Service Invoice', 'Other'])
+      .withMessage('Invalid document type'),
+    body('title')
+      .notEmpty()
+      .withMessage('Document title is required')
+      .isString()
+      .withMessage('Title must be a string')
+      .trim(),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Document date must be a valid date'),
+    body('expiryDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Expiry date must be a valid date')
+  ],
+  validateRequest,
+  equipmentController.uploadDocument
+);
+
+/**
+ * @route GET /api/v1/equipment/:id/documents/:documentId/download
+ * @desc Download an equipment document
+ * @access Private
+ */
+router.get(
+  '/:id/documents/:documentId/download',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('documentId')
+      .isMongoId()
+      .withMessage('Invalid document ID')
+  ],
+  validateRequest,
+  equipmentController.downloadDocument
+);
+
+/**
+ * @route DELETE /api/v1/equipment/:id/documents/:documentId
+ * @desc Delete an equipment document
+ * @access Private
+ */
+router.delete(
+  '/:id/documents/:documentId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    param('documentId')
+      .isMongoId()
+      .withMessage('Invalid document ID')
+  ],
+  validateRequest,
+  equipmentController.deleteDocument
+);
+
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,10 @@ const authRoutes = require('./auth.routes');
 const userRoutes = require('./user.routes');
 const equipmentRoutes = require('./equipment.routes');
 const insuranceRoutes = require('./insurance.routes');
+const consumableRoutes = require('./consumable.routes');
+const serviceProviderRoutes = require('./serviceProvider.routes');
+const workOrderRoutes = require('./workOrder.routes');
+const calendarRoutes = require('./calendar.routes');
 const { ApiError } = require('../middleware/errorHandler');
 
 /**
@@ -28,6 +32,10 @@ const setupRoutes = (app) => {
   app.use(`${API_PREFIX}/equipment`, equipmentRoutes);
   app.use(`${API_PREFIX}/users`, userRoutes);
   app.use(`${API_PREFIX}/insurance`, insuranceRoutes);
+  app.use(`${API_PREFIX}/consumables`, consumableRoutes);
+  app.use(`${API_PREFIX}/service-providers`, serviceProviderRoutes);
+  app.use(`${API_PREFIX}/work-orders`, workOrderRoutes);
+  app.use(`${API_PREFIX}/calendar`, calendarRoutes);
   
   // 404 handler for API routes
   app.use(`${API_PREFIX}/*`, (req, res, next) => {
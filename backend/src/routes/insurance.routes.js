@@ -3,6 +3,22 @@ const { body, param, query } = require('express-validator');
 const insuranceController = require('../controllers/insurance.controller');
 const authMiddleware = require('../middleware/authMiddleware');
 const validateRequest = require('../middleware/validateRequest');
+const { InsurancePolicy } = require('../models');
+
+const COVERAGE_TYPES = InsurancePolicy.schema.path('coverageType').enumValues;
+const POLICY_STATUSES = ['Active', 'Expired', 'Future', 'Inactive'];
+
+// Fields the policy list can be sorted by (prefix with - for descending)
+const SORT_FIELDS = [
+  'provider',
+  'policyNumber',
+  'startDate',
+  'endDate',
+  'coverageAmount',
+  'premium',
+  'createdAt',
+  'updatedAt'
+];
 
 const router = express.Router();
 
@@ -27,17 +43,68 @@ router.get(
       .withMessage('Limit must be between 1 and 100'),
     query('sort')
       .optional()
-      .isString()
-      .withMessage('Sort must be a string'),
+      .isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+      .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`),
     query('status')
       .optional()
-      .isString()
-      .withMessage('Status must be a string')
+      .isIn(POLICY_STATUSES)
+      .withMessage(`Status must be one of: ${POLICY_STATUSES.join(', ')}`)
   ],
   validateRequest,
   insuranceController.getAllPolicies
 );
 
+/**
+ * @route GET /api/v1/insurance/expiring
+ * @desc Get soon-to-expire insurance policies
+ * @access Private
+ */
+router.get(
+  '/expiring',
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+  ],
+  validateRequest,
+  insuranceController.getExpiringPolicies
+);
+
+/**
+ * @route GET /api/v1/insurance/coverage-analysis
+ * @desc Find uninsured, under-insured and mis-covered equipment
+ * @access Private
+ */
+router.get(
+  '/coverage-analysis',
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+  ],
+  validateRequest,
+  insuranceController.getCoverageAnalysis
+);
+
+/**
+ * @route GET /api/v1/insurance/renewals
+ * @desc Get insurance policies awaiting a renewal decision
+ * @access Private
+ */
+router.get(
+  '/renewals',
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+  ],
+  validateRequest,
+  insuranceController.getRenewals
+);
+
 /**
  * @route GET /api/v1/insurance/:id
  * @desc Get insurance policy by ID
@@ -77,9 +144,12 @@ router.post(
     body('coverageType')
       .notEmpty()
       .withMessage('Coverage type is required')
+      .isIn(COVERAGE_TYPES)
+      .withMessage(`Coverage type must be one of: ${COVERAGE_TYPES.join(', ')}`),
+    body('coverageDetails')
+      .optional()
       .isString()
-      .withMessage('Coverage type must be a string')
-      .trim(),
+      .withMessage('Coverage details must be a string'),
     body('startDate')
       .notEmpty()
       .withMessage('Start date is required')
@@ -89,12 +159,14 @@ router.post(
       .notEmpty()
       .withMessage('End date is required')
       .isISO8601()
-      .withMessage('End date must be a valid date'),
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => !req.body.startDate || new Date(value) > new Date(req.body.startDate))
+      .withMessage('End date must be after the start date'),
     body('coverageAmount')
       .notEmpty()
       .withMessage('Coverage amount is required')
-      .isNumeric()
-      .withMessage('Coverage amount must be a number'),
+      .isFloat({ min: 0 })
+      .withMessage('Coverage amount must be a non-negative number'),
     body('premium')
       .optional()
       .isNumeric()
@@ -103,6 +175,11 @@ router.post(
       .optional()
       .isNumeric()
       .withMessage('Deductible must be a number'),
+    body('autoRenew')
+      .optional()
+      .isBoolean()
+      .withMessage('Auto renew must be a boolean')
+      .toBoolean(),
     body('coveredEquipment')
       .optional()
       .isArray()
@@ -146,10 +223,13 @@ router.put(
       .withMessage('Policy number must be a string')
       .trim(),
     body('coverageType')
+      .optional()
+      .isIn(COVERAGE_TYPES)
+      .withMessage(`Coverage type must be one of: ${COVERAGE_TYPES.join(', ')}`),
+    body('coverageDetails')
       .optional()
       .isString()
-      .withMessage('Coverage type must be a string')
-      .trim(),
+      .withMessage('Coverage details must be a string'),
     body('startDate')
       .optional()
       .isISO8601()
@@ -160,8 +240,8 @@ router.put(
       .withMessage('End date must be a valid date'),
     body('coverageAmount')
       .optional()
-      .isNumeric()
-      .withMessage('Coverage amount must be a number'),
+      .isFloat({ min: 0 })
+      .withMessage('Coverage amount must be a non-negative number'),
     body('premium')
       .optional()
       .isNumeric()
@@ -170,6 +250,16 @@ router.put(
       .optional()
       .isNumeric()
       .withMessage('Deductible must be a number'),
+    body('autoRenew')
+      .optional()
+      .isBoolean()
+      .withMessage('Auto renew must be a boolean')
+      .toBoolean(),
+    body('renewalDeclined')
+      .optional()
+      .isBoolean()
+      .withMessage('Renewal declined must be a boolean')
+      .toBoolean(),
     body('coveredEquipment')
       .optional()
       .isArray()
@@ -207,6 +297,54 @@ router.delete(
   insuranceController.deletePolicy
 );
 
+/**
+ * @route POST /api/v1/insurance/:id/renew
+ * @desc Renew insurance policy for its next term
+ * @access Private
+ */
+router.post(
+  '/:id/renew',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid insurance policy ID'),
+    body('policyNumber')
+      .optional()
+      .isString()
+      .withMessage('Policy number must be a string')
+      .trim(),
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    body('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => !req.body.startDate || new Date(value) > new Date(req.body.startDate))
+      .withMessage('End date must be after the start date'),
+    body('coverageAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Coverage amount must be a non-negative number'),
+    body('premium')
+      .optional()
+      .isNumeric()
+      .withMessage('Premium must be a number'),
+    body('deductible')
+      .optional()
+      .isNumeric()
+      .withMessage('Deductible must be a number'),
+    body('autoRenew')
+      .optional()
+      .isBoolean()
+      .withMessage('Auto renew must be a boolean')
+      .toBoolean()
+  ],
+  validateRequest,
+  insuranceController.renewInsurancePolicy
+);
+
 /**
  * @route POST /api/v1/insurance/:id/claim
  * @desc Add insurance claim to policy
@@ -254,8 +392,19 @@ router.post(
     body('claimStatus')
       .notEmpty()
       .withMessage('Claim status is required')
-      .isIn(['Filed', 'In Progress', 'Approved', 'Partially Approved', 'Denied', 'Closed'])
-      .withMessage('Invalid claim status'),
+      .isIn(InsurancePolicy.CLAIM_STATUSES)
+      .withMessage(`Claim status must be one of: ${InsurancePolicy.CLAIM_STATUSES.join(', ')}`),
+    body('settlements')
+      .optional()
+      .isArray()
+      .withMessage('Settlements must be an array'),
+    body('settlements.*.itemId')
+      .isMongoId()
+      .withMessage('Invalid equipment ID in settlements'),
+    body('settlements.*.amount')
+      .isFloat({ min: 0 })
+      .withMessage('Settlement amount must be a non-negative number')
+      .toFloat(),
     body('documents')
       .optional()
       .isArray()
@@ -313,8 +462,19 @@ router.put(
       .withMessage('Invalid equipment ID in affected equipment'),
     body('claimStatus')
       .optional()
-      .isIn(['Filed', 'In Progress', 'Approved', 'Partially Approved', 'Denied', 'Closed'])
-      .withMessage('Invalid claim status'),
+      .isIn(InsurancePolicy.CLAIM_STATUSES)
+      .withMessage(`Claim status must be one of: ${InsurancePolicy.CLAIM_STATUSES.join(', ')}`),
+    body('settlements')
+      .optional()
+      .isArray()
+      .withMessage('Settlements must be an array'),
+    body('settlements.*.itemId')
+      .isMongoId()
+      .withMessage('Invalid equipment ID in settlements'),
+    body('settlements.*.amount')
+      .isFloat({ min: 0 })
+      .withMessage('Settlement amount must be a non-negative number')
+      .toFloat(),
     body('documents')
       .optional()
       .isArray()
@@ -328,6 +488,72 @@ router.put(
   insuranceController.updateClaim
 );
 
+/**
+ * @route POST /api/v1/insurance/:id/claim/:claimId/status
+ * @desc Move an insurance claim to a new status
+ * @access Private
+ */
+router.post(
+  '/:id/claim/:claimId/status',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid insurance policy ID'),
+    param('claimId')
+      .isMongoId()
+      .withMessage('Invalid claim ID'),
+    body('status')
+      .notEmpty()
+      .withMessage('Status is required')
+      .isIn(InsurancePolicy.CLAIM_STATUSES)
+      .withMessage(`Status must be one of: ${InsurancePolicy.CLAIM_STATUSES.join(', ')}`),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string'),
+    body('settlements')
+      .optional()
+      .isArray()
+      .withMessage('Settlements must be an array'),
+    body('settlements.*.itemId')
+      .isMongoId()
+      .withMessage('Invalid equipment ID in settlements'),
+    body('settlements.*.amount')
+      .isFloat({ min: 0 })
+      .withMessage('Settlement amount must be a non-negative number')
+      .toFloat()
+  ],
+  validateRequest,
+  insuranceController.updateClaimStatus
+);
+
+/**
+ * @route GET /api/v1/insurance/:id/claim/:claimId/package
+ * @desc Download the evidence package for an insurance claim
+ * @access Private
+ */
+router.get(
+  '/:id/claim/:claimId/package',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid insurance policy ID'),
+    param('claimId')
+      .isMongoId()
+      .withMessage('Invalid claim ID'),
+    query('format')
+      .optional()
+      .isIn(['zip', 'pdf'])
+      .withMessage('Format must be zip or pdf')
+  ],
+  validateRequest,
+  insuranceController.downloadClaimPackage
+);
+
 /**
  * @route DELETE /api/v1/insurance/:id/claim/:claimId
  * @desc Delete insurance claim
@@ -347,11 +573,4 @@ router.delete(
   insuranceController.deleteClaim
 );
 
-/**
- * @route GET /api/v1/insurance/expiring
- * @desc Get soon-to-expire insurance policies
- * @access Private
- */
-router.get('/expiring', insuranceController.getExpiringPolicies);
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const serviceProviderController = require('../controllers/serviceProvider.controller');
+const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validateRequest');
+
+// Provider fields and stats the directory can be sorted by
+const SORT_FIELDS = [
+  'name',
+  'rating',
+  'createdAt',
+  'stats.jobs',
+  'stats.totalSpend',
+  'stats.averageCost',
+  'stats.averageTurnaroundDays',
+  'stats.lastJob'
+];
+
+/**
+ * Validation rules for provider fields
+ * @param {Boolean} isUpdate - Whether every field is optional
+ * @returns {Array} - express-validator chains
+ */
+const providerFieldRules = (isUpdate) => [
+  isUpdate
+    ? body('name')
+      .optional()
+      .notEmpty()
+      .withMessage('Provider name cannot be empty')
+      .isString()
+      .withMessage('Name must be a string')
+      .trim()
+    : body('name')
+      .notEmpty()
+      .withMessage('Provider name is required')
+      .isString()
+      .withMessage('Name must be a string')
+      .trim(),
+  body('specialty')
+    .optional()
+    .isArray()
+    .withMessage('Specialty must be an array'),
+  body('specialty.*')
+    .isString()
+    .withMessage('Specialty entries must be strings')
+    .trim(),
+  body('contact.contactName')
+    .optional()
+    .isString()
+    .withMessage('Contact name must be a string')
+    .trim(),
+  body('contact.phone')
+    .optional()
+    .isString()
+    .withMessage('Phone must be a string')
+    .trim(),
+  body('contact.email')
+    .optional()
+    .isEmail()
+    .withMessage('Contact email must be a valid email address'),
+  body('contact.website')
+    .optional()
+    .isURL()
+    .withMessage('Website must be a valid URL'),
+  body('address')
+    .optional()
+    .isObject()
+    .withMessage('Address must be an object'),
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string'),
+  body('rating')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt()
+];
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/v1/service-providers
+ * @desc Get all service providers with job stats
+ * @access Private
+ */
+router.get(
+  '/',
+  [
+    query('specialty')
+      .optional()
+      .isString()
+      .withMessage('Specialty must be a string'),
+    query('search')
+      .optional()
+      .isString()
+      .withMessage('Search must be a string')
+      .isLength({ max: 200 })
+      .withMessage('Search must be at most 200 characters'),
+    query('sort')
+      .optional()
+      .isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+      .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`)
+  ],
+  validateRequest,
+  serviceProviderController.getAllProviders
+);
+
+/**
+ * @route GET /api/v1/service-providers/:id
+ * @desc Get service provider by ID with job stats
+ * @access Private
+ */
+router.get(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid service provider ID')
+  ],
+  validateRequest,
+  serviceProviderController.getProviderById
+);
+
+/**
+ * @route GET /api/v1/service-providers/:id/jobs
+ * @desc Get maintenance jobs done by a service provider
+ * @access Private
+ */
+router.get(
+  '/:id/jobs',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid service provider ID')
+  ],
+  validateRequest,
+  serviceProviderController.getProviderJobs
+);
+
+/**
+ * @route POST /api/v1/service-providers
+ * @desc Create new service provider
+ * @access Private
+ */
+router.post(
+  '/',
+  providerFieldRules(false),
+  validateRequest,
+  serviceProviderController.createProvider
+);
+
+/**
+ * @route PUT /api/v1/service-providers/:id
+ * @desc Update service provider by ID
+ * @access Private
+ */
+router.put(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid service provider ID'),
+    ...providerFieldRules(true)
+  ],
+  validateRequest,
+  serviceProviderController.updateProvider
+);
+
+/**
+ * @route DELETE /api/v1/service-providers/:id
+ * @desc Delete service provider by ID
+ * @access Private
+ */
+router.delete(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid service provider ID')
+  ],
+  validateRequest,
+  serviceProviderController.deleteProvider
+);
+
+module.exports = router;
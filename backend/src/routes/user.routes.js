@@ -1,8 +1,9 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const userController = require('../controllers/user.controller');
 const authMiddleware = require('../middleware/authMiddleware');
 const validateRequest = require('../middleware/validateRequest');
+const { Notification } = require('../models');
 
 const router = express.Router();
 
@@ -79,7 +80,29 @@ router.put(
  * @desc Get current user notifications
  * @access Private
  */
-router.get('/me/notifications', userController.getNotifications);
+router.get(
+  '/me/notifications',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('unread')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Unread must be true or false'),
+    query('type')
+      .optional()
+      .isIn(Notification.TYPES)
+      .withMessage(`Type must be one of: ${Notification.TYPES.join(', ')}`)
+  ],
+  validateRequest,
+  userController.getNotifications
+);
 
 /**
  * @route PUT /api/v1/users/me/notifications/:id
@@ -131,10 +154,18 @@ router.put(
       .optional()
       .isBoolean()
       .withMessage('Maintenance reminders must be a boolean'),
+    body('insuranceReminders')
+      .optional()
+      .isBoolean()
+      .withMessage('Insurance reminders must be a boolean'),
     body('theme')
       .optional()
       .isIn(['light', 'dark', 'system'])
       .withMessage('Theme must be light, dark, or system'),
+    body('defaultView')
+      .optional()
+      .isIn(['list', 'grid', 'calendar'])
+      .withMessage('Default view must be list, grid, or calendar'),
     body('language')
       .optional()
       .isString()
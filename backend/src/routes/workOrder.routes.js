@@ -0,0 +1,227 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const workOrderController = require('../controllers/workOrder.controller');
+const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validateRequest');
+const { WorkOrder } = require('../models');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'status', 'dropOffDate', 'estimatedReadyDate', 'pickupDate', 'estimatedCost', 'actualCost'];
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/v1/work-orders
+ * @desc Get all work orders for the authenticated user
+ * @access Private
+ */
+router.get(
+  '/',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('sort')
+      .optional()
+      .isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+      .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+    query('status')
+      .optional()
+      .isIn(WorkOrder.STATUSES)
+      .withMessage(`Status must be one of: ${WorkOrder.STATUSES.join(', ')}`),
+    query('open')
+      .optional()
+      .isBoolean()
+      .withMessage('Open must be true or false')
+      .toBoolean(),
+    query('equipmentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid equipment ID'),
+    query('providerId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid service provider ID')
+  ],
+  validateRequest,
+  workOrderController.getAllWorkOrders
+);
+
+/**
+ * @route GET /api/v1/work-orders/:id
+ * @desc Get work order by ID
+ * @access Private
+ */
+router.get(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid work order ID')
+  ],
+  validateRequest,
+  workOrderController.getWorkOrderById
+);
+
+/**
+ * @route POST /api/v1/work-orders
+ * @desc Create new work order
+ * @access Private
+ */
+router.post(
+  '/',
+  [
+    body('equipmentId')
+      .isMongoId()
+      .withMessage('Valid equipment ID is required'),
+    body('providerId')
+      .isMongoId()
+      .withMessage('Valid service provider ID is required'),
+    body('service')
+      .notEmpty()
+      .withMessage('Service description is required')
+      .isString()
+      .withMessage('Service must be a string')
+      .trim(),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('status')
+      .optional()
+      .isIn(WorkOrder.STATUSES.filter(status => status !== 'Cancelled'))
+      .withMessage('Status must be Quoted, Dropped Off, In Progress, Ready or Picked Up'),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+    body('estimatedCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Estimated cost must be a non-negative number')
+      .toFloat(),
+    body('actualCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Actual cost must be a non-negative number')
+      .toFloat(),
+    body('estimatedReadyDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Estimated ready date must be a valid date'),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validateRequest,
+  workOrderController.createWorkOrder
+);
+
+/**
+ * @route PUT /api/v1/work-orders/:id
+ * @desc Update work order details
+ * @access Private
+ */
+router.put(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid work order ID'),
+    body('providerId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid service provider ID'),
+    body('service')
+      .optional()
+      .notEmpty()
+      .withMessage('Service description cannot be empty')
+      .isString()
+      .withMessage('Service must be a string')
+      .trim(),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('estimatedCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Estimated cost must be a non-negative number')
+      .toFloat(),
+    body('actualCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Actual cost must be a non-negative number')
+      .toFloat(),
+    body('estimatedReadyDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Estimated ready date must be a valid date'),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validateRequest,
+  workOrderController.updateWorkOrder
+);
+
+/**
+ * @route POST /api/v1/work-orders/:id/status
+ * @desc Move a work order to a new status
+ * @access Private
+ */
+router.post(
+  '/:id/status',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid work order ID'),
+    body('status')
+      .notEmpty()
+      .withMessage('Status is required')
+      .isIn(WorkOrder.STATUSES)
+      .withMessage(`Status must be one of: ${WorkOrder.STATUSES.join(', ')}`),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string'),
+    body('actualCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Actual cost must be a non-negative number')
+      .toFloat()
+  ],
+  validateRequest,
+  workOrderController.updateWorkOrderStatus
+);
+
+/**
+ * @route DELETE /api/v1/work-orders/:id
+ * @desc Delete work order by ID
+ * @access Private
+ */
+router.delete(
+  '/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid work order ID')
+  ],
+  validateRequest,
+  workOrderController.deleteWorkOrder
+);
+
+module.exports = router;
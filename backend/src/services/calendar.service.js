@@ -0,0 +1,105 @@
+const { Equipment, InsurancePolicy, Band } = require('../models');
+const { buildCalendar } = require('../utils/ical');
+
+// Domain part of event UIDs; changing it would duplicate every subscribed event
+const UID_DOMAIN = 'musician-gear-tracker';
+
+/**
+ * Build calendar events for maintenance due dates
+ * @param {String} userId - Owner of the equipment
+ * @returns {Promise<Array<Object>>} - Calendar events
+ */
+const getMaintenanceEvents = async (userId) => {
+  const equipment = await Equipment.find({
+    userId,
+    isActive: true,
+    'maintenanceSchedule.nextDue': { $ne: null }
+  }).select('name location maintenanceSchedule updatedAt');
+
+  return equipment.flatMap(item => item.maintenanceSchedule
+    .filter(schedule => schedule.nextDue)
+    .map(schedule => ({
+      // One event per schedule, moved rather than re-created as nextDue rolls forward
+      uid: `maintenance-${schedule._id}@${UID_DOMAIN}`,
+      summary: `${schedule.taskType}: ${item.name}`,
+      start: schedule.nextDue,
+      allDay: true,
+      description: [
+        `Maintenance due for ${item.name}`,
+        schedule.frequency && `Frequency: ${schedule.frequency}`,
+        schedule.usageInterval && schedule.usageInterval.metric &&
+          `Every ${schedule.usageInterval.amount} ${schedule.usageInterval.metric}`,
+        schedule.lastPerformed && `Last performed: ${schedule.lastPerformed.toISOString().slice(0, 10)}`
+      ].filter(Boolean).join('\n'),
+      location: item.location,
+      categories: ['Maintenance'],
+      lastModified: item.updatedAt
+    })));
+};
+
+/**
+ * Build calendar events for insurance policy expirations
+ * @param {String} userId - Owner of the policies
+ * @returns {Promise<Array<Object>>} - Calendar events
+ */
+const getInsuranceEvents = async (userId) => {
+  const policies = await InsurancePolicy.find({ userId, isActive: true })
+    .select('provider policyNumber endDate autoRenew updatedAt');
+
+  return policies.map(policy => ({
+    uid: `insurance-${policy._id}@${UID_DOMAIN}`,
+    summary: `Insurance expires: ${policy.provider}${policy.policyNumber ? ` (${policy.policyNumber})` : ''}`,
+    start: policy.endDate,
+    allDay: true,
+    description: policy.autoRenew
+      ? 'Policy is set to renew automatically'
+      : 'Policy does not renew automatically',
+    categories: ['Insurance'],
+    lastModified: policy.updatedAt
+  }));
+};
+
+/**
+ * Build calendar events for the events of bands the user belongs to
+ * @param {String} userId - Band member
+ * @returns {Promise<Array<Object>>} - Calendar events
+ */
+const getBandEvents = async (userId) => {
+  const bands = await Band.find({
+    isActive: true,
+    members: { $elemMatch: { userId, isActive: true } }
+  }).select('name events updatedAt');
+
+  return bands.flatMap(band => band.events.map(event => ({
+    uid: `band-event-${event._id}@${UID_DOMAIN}`,
+    summary: `${band.name}: ${event.name}`,
+    start: event.startDate,
+    end: event.endDate,
+    description: event.notes,
+    location: event.location,
+    categories: ['Band'],
+    lastModified: band.updatedAt
+  })));
+};
+
+/**
+ * Build the iCalendar feed for a user
+ * @param {Object} user - User document
+ * @returns {Promise<String>} - iCalendar text
+ */
+const buildUserCalendar = async (user) => {
+  const [maintenance, insurance, band] = await Promise.all([
+    getMaintenanceEvents(user._id),
+    getInsuranceEvents(user._id),
+    getBandEvents(user._id)
+  ]);
+
+  return buildCalendar({
+    name: 'Gear Tracker',
+    events: [...maintenance, ...insurance, ...band]
+  });
+};
+
+module.exports = {
+  buildUserCalendar
+};
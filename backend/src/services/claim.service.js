@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { Equipment, InsurancePolicy } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Statuses a claim may move to from each status; Closed is final
+const CLAIM_TRANSITIONS = {
+  'Filed': ['In Progress', 'Approved', 'Partially Approved', 'Denied', 'Closed'],
+  'In Progress': ['Approved', 'Partially Approved', 'Denied', 'Closed'],
+  'Approved': ['Closed'],
+  'Partially Approved': ['Closed'],
+  'Denied': ['In Progress', 'Closed'], // A denial can be appealed
+  'Closed': []
+};
+
+// Statuses at which the insurer's settlement is known
+const SETTLED_STATUSES = ['Approved', 'Partially Approved'];
+
+/**
+ * Recalculate the under-claim flag of equipment from every open claim
+ * An item can be on more than one claim, so the flag is only cleared once
+ * none of them are open
+ * @param {String} userId - Owner of the equipment and policies
+ * @param {Array<String>} itemIds - Equipment to recalculate
+ * @returns {Promise<void>}
+ */
+const syncUnderClaim = async (userId, itemIds) => {
+  const ids = [...new Set(itemIds.filter(Boolean).map(String))]
+    .map(id => new mongoose.Types.ObjectId(id));
+
+  if (ids.length === 0) {
+    return;
+  }
+
+  const claimed = await InsurancePolicy.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$claimHistory' },
+    { $match: { 'claimHistory.status': { $nin: InsurancePolicy.RESOLVED_CLAIM_STATUSES } } },
+    { $unwind: '$claimHistory.items' },
+    { $match: { 'claimHistory.items.itemId': { $in: ids } } },
+    { $group: { _id: '$claimHistory.items.itemId' } }
+  ]);
+  const claimedIds = claimed.map(item => item._id);
+
+  await Promise.all([
+    Equipment.updateMany({ _id: { $in: claimedIds }, userId }, { $set: { underClaim: true } }),
+    Equipment.updateMany(
+      { _id: { $in: ids, $nin: claimedIds }, userId },
+      { $set: { underClaim: false } }
+    )
+  ]);
+};
+
+/**
+ * Record the initial status of a new claim
+ * @param {Object} claim - Claim subdocument
+ * @param {Object} [options] - Status details
+ * @param {Date} [options.date] - When the claim reached the status (defaults to the claim date)
+ * @param {String} [options.notes] - Notes for the timeline
+ */
+const startClaim = (claim, { date, notes } = {}) => {
+  claim.statusHistory = [{
+    status: claim.status,
+    date: date || claim.dateOfClaim || new Date(),
+    notes
+  }];
+};
+
+/**
+ * Set per-item settlement amounts on a claim
+ * @param {Object} claim - Claim subdocument
+ * @param {Array<Object>} settlements - Entries of { itemId, amount }
+ * @param {String} [status] - Status the claim is at or moving to
+ */
+const applySettlements = (claim, settlements, status = claim.status) => {
+  if (!SETTLED_STATUSES.includes(status)) {
+    throw ApiError.badRequest(
+      `Settlements can only be recorded when a claim is ${SETTLED_STATUSES.join(' or ').toLowerCase()}`,
+      'INVALID_SETTLEMENT'
+    );
+  }
+
+  settlements.forEach(({ itemId, amount }) => {
+    const item = claim.items.find(entry => entry.itemId && entry.itemId.equals(itemId));
+
+    if (!item) {
+      throw ApiError.badRequest(`Equipment is not part of this claim: ${itemId}`, 'INVALID_SETTLEMENT');
+    }
+
+    item.settlementAmount = amount;
+  });
+};
+
+/**
+ * Move a claim to a new status and record it in the claim timeline
+ * @param {Object} policy - InsurancePolicy document holding the claim
+ * @param {Object} claim - Claim subdocument
+ * @param {String} status - New status
+ * @param {Object} [options] - Status change details
+ * @param {Date} [options.date] - When the change happened (defaults to now)
+ * @param {String} [options.notes] - Notes for the timeline
+ * @param {Array<Object>} [options.settlements] - Per-item settlements as { itemId, amount }
+ * @returns {Promise<Object>} - Updated claim
+ */
+const changeClaimStatus = async (policy, claim, status, { date, notes, settlements } = {}) => {
+  if (!CLAIM_TRANSITIONS[claim.status].includes(status)) {
+    throw ApiError.badRequest(
+      `Cannot move a claim from ${claim.status} to ${status}`,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  if (settlements && settlements.length > 0) {
+    applySettlements(claim, settlements, status);
+  }
+
+  claim.status = status;
+  claim.statusHistory.push({ status, date: date ? new Date(date) : new Date(), notes });
+
+  await policy.save();
+  await syncUnderClaim(policy.userId, claim.items.map(item => item.itemId));
+
+  return claim;
+};
+
+module.exports = {
+  CLAIM_TRANSITIONS,
+  syncUnderClaim,
+  startClaim,
+  applySettlements,
+  changeClaimStatus
+};
@@ -0,0 +1,372 @@
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const { getStorage } = require('./storage');
+const { formatDate, formatAmount, assertOpen } = require('./export.service');
+const logger = require('../utils/logger');
+
+// Content types and file extensions for each package format
+const PACKAGE_FORMATS = {
+  zip: { contentType: 'application/zip', extension: 'zip' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Name of the summary inside the ZIP; the prefix sorts it ahead of the item folders
+const SUMMARY_NAME = '00-claim-summary.pdf';
+
+// Proof of ownership and value first, then the rest
+const DOCUMENT_ORDER = ['Receipt', 'Appraisal', 'Service Invoice', 'Warranty', 'Manual', 'Other'];
+
+// Edge length of the photo thumbnails in the summary, in points
+const PHOTO_SIZE = 150;
+
+/**
+ * Turn text into a lowercase file-name-safe slug
+ * @param {String} text - Text to convert
+ * @returns {String} - Slug
+ */
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Zero-pad a position so entries sort in order
+ * @param {Number} index - Zero-based position
+ * @returns {String} - One-based, two-digit position
+ */
+const position = (index) => String(index + 1).padStart(2, '0');
+
+/**
+ * Name a stored file inside the package, keeping the extension of the stored key
+ * @param {String} prefix - Folder and position prefix
+ * @param {String} name - Original file name or title
+ * @param {String} key - Storage key
+ * @returns {String} - Path inside the package
+ */
+const packagePath = (prefix, name, key) => {
+  const base = slugify(path.parse(name || path.basename(key)).name) || 'file';
+  return `${prefix}-${base}${path.extname(key)}`;
+};
+
+/**
+ * List the photos and documents of an item with their place in the package
+ * @param {Object} item - Equipment document
+ * @param {Number} index - Position of the item in the claim
+ * @returns {Object} - { photos, documents } entries of { source, key, path }
+ */
+const getItemAttachments = (item, index) => {
+  const folder = `items/${position(index)}-${slugify(item.name) || item._id}`;
+  const documents = [...item.documents].sort(
+    (a, b) => DOCUMENT_ORDER.indexOf(a.type) - DOCUMENT_ORDER.indexOf(b.type)
+  );
+
+  return {
+    photos: item.images.map((image, i) => ({
+      source: image,
+      key: image.key,
+      path: packagePath(`${folder}/photos/${position(i)}`, image.originalName, image.key)
+    })),
+    documents: documents.map((document, i) => ({
+      source: document,
+      key: document.key,
+      path: packagePath(
+        `${folder}/documents/${position(i)}-${slugify(document.type)}`,
+        document.originalName || document.title,
+        document.key
+      )
+    }))
+  };
+};
+
+/**
+ * Read a stored file into memory
+ * Missing files are reported rather than failing the whole package
+ * @param {String} key - Storage key
+ * @returns {Promise<Buffer|null>} - File contents, or null when unavailable
+ */
+const readFile = async (key) => {
+  try {
+    const chunks = [];
+    for await (const chunk of getStorage().getStream(key)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } catch (error) {
+    logger.warn(`Claim package could not read ${key}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Add an entry to a ZIP and wait until it has been written
+ * Waiting keeps only one attachment in memory at a time
+ * @param {Object} archive - Archiver instance
+ * @param {Buffer|ReadableStream} source - Entry contents
+ * @param {String} name - Path inside the ZIP
+ * @returns {Promise<void>}
+ */
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+  const onEntry = () => {
+    archive.off('error', onError);
+    resolve();
+  };
+  const onError = (error) => {
+    archive.off('entry', onEntry);
+    reject(error);
+  };
+
+  archive.once('entry', onEntry);
+  archive.once('error', onError);
+  archive.append(source, { name });
+});
+
+/**
+ * Load the JPEG thumbnails of every item's photos for the summary
+ * @param {Array<Object>} items - Equipment documents
+ * @returns {Promise<Map>} - Thumbnail contents by image key
+ */
+const loadThumbnails = async (items) => {
+  const thumbnails = new Map();
+
+  for (const image of items.flatMap(item => item.images)) {
+    if (image.thumbnailKey) {
+      const buffer = await readFile(image.thumbnailKey);
+      if (buffer) {
+        thumbnails.set(image.key, buffer);
+      }
+    }
+  }
+
+  return thumbnails;
+};
+
+/**
+ * Build the claim summary PDF
+ * @param {Object} details - Claim details
+ * @param {Object} details.policy - InsurancePolicy document
+ * @param {Object} details.claim - Claim subdocument
+ * @param {Array<Object>} details.items - Equipment on the claim
+ * @param {String} [details.owner] - Name shown in the heading
+ * @param {Object} options - Render options
+ * @param {Map} options.thumbnails - Thumbnail contents by image key
+ * @param {Map} [options.included] - Whether each attachment made it into the ZIP, by key;
+ *   package paths are only listed when set
+ * @returns {PDFDocument} - Finished document, ready to be read
+ */
+const buildSummary = ({ policy, claim, items, owner }, { thumbnails, included }) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const heading = (text, size = 13) => {
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(size).text(text, left).moveDown(0.25);
+  };
+  const field = (label, value) => {
+    if (value === undefined || value === null || value === '') return;
+    doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, left, doc.y, { continued: true })
+      .font('Helvetica').text(String(value));
+  };
+  const line = (text, { color = 'black' } = {}) => {
+    doc.font('Helvetica').fontSize(9).fillColor(color).text(text, left, doc.y, { width }).fillColor('black');
+  };
+  const attachmentNote = (key) => {
+    if (!included) return '';
+    return included.get(key) ? ` - ${included.get(key)}` : ' - file unavailable';
+  };
+
+  // Claim and policy
+  doc.font('Helvetica-Bold').fontSize(18).text('Insurance Claim Evidence');
+  doc.font('Helvetica').fontSize(9)
+    .text([owner, `Generated ${formatDate(new Date())}`].filter(Boolean).join(' - '));
+
+  heading('Claim');
+  field('Claim number', claim.claimNumber);
+  field('Status', claim.status);
+  field('Date of incident', formatDate(claim.dateOfIncident));
+  field('Date of claim', formatDate(claim.dateOfClaim));
+  field('Amount claimed', formatAmount(claim.claimAmount));
+  field('Amount settled', formatAmount(claim.settlementAmount));
+  field('Reason', claim.claimReason);
+  field('Notes', claim.notes);
+
+  heading('Policy');
+  field('Provider', policy.provider);
+  field('Policy number', policy.policyNumber);
+  field('Coverage type', policy.coverageType);
+  field('Coverage period', `${formatDate(policy.startDate)} to ${formatDate(policy.endDate)}`);
+  field('Coverage limit', formatAmount(policy.coverageAmount));
+  field('Deductible', formatAmount(policy.deductible));
+
+  if (claim.statusHistory && claim.statusHistory.length > 0) {
+    heading('Claim timeline');
+    claim.statusHistory.forEach(change => {
+      line(`${formatDate(change.date)}  ${change.status}${change.notes ? ` - ${change.notes}` : ''}`);
+    });
+  }
+
+  heading('Affected items');
+  claim.items.forEach((claimItem, index) => {
+    const item = items.find(entry => entry._id.equals(claimItem.itemId));
+    line(`${index + 1}. ${item ? item.name : 'Item no longer in the inventory'}`);
+  });
+
+  // One page per item
+  claim.items.forEach((claimItem, index) => {
+    const item = items.find(entry => entry._id.equals(claimItem.itemId));
+    if (!item) return;
+
+    const { photos, documents } = getItemAttachments(item, items.indexOf(item));
+
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(15).text(`${index + 1}. ${item.name}`);
+
+    heading('Details', 11);
+    field('Type', [item.type, item.category].filter(Boolean).join(' / '));
+    field('Make', item.make);
+    field('Model', item.model);
+    field('Serial number', item.serialNumber);
+    field('Purchase date', formatDate(item.purchaseDate));
+    field('Purchase price', formatAmount(item.purchasePrice));
+    field('Current value', formatAmount(item.currentValue));
+    field('Condition', item.condition);
+    field('Damage', claimItem.damageDescription);
+    field('Amount claimed', formatAmount(claimItem.claimAmount));
+    field('Amount settled', formatAmount(claimItem.settlementAmount));
+
+    if (photos.length > 0) {
+      heading('Photos', 11);
+
+      const images = photos.filter(photo => thumbnails.has(photo.key));
+      const gap = 10;
+      const perRow = Math.floor((width + gap) / (PHOTO_SIZE + gap));
+      let top = doc.y;
+      let drawn = 0;
+
+      images.forEach(photo => {
+        const column = drawn % perRow;
+        if (column === 0 && drawn > 0) top += PHOTO_SIZE + gap;
+        if (column === 0 && top + PHOTO_SIZE > bottom) {
+          doc.addPage();
+          top = doc.y;
+        }
+
+        try {
+          doc.image(thumbnails.get(photo.key), left + column * (PHOTO_SIZE + gap), top, {
+            fit: [PHOTO_SIZE, PHOTO_SIZE]
+          });
+          drawn += 1;
+        } catch (error) {
+          logger.warn(`Claim package could not embed ${photo.key}: ${error.message}`);
+        }
+      });
+
+      doc.x = left;
+      doc.y = drawn > 0 ? top + PHOTO_SIZE + gap : doc.y;
+
+      if (included) {
+        photos.forEach(photo => line(`${photo.source.originalName || path.basename(photo.key)}${attachmentNote(photo.key)}`));
+      }
+    }
+
+    if (documents.length > 0) {
+      heading('Documents', 11);
+      documents.forEach(({ source, key }) => {
+        line(`${source.type}: ${source.title}${source.date ? ` (${formatDate(source.date)})` : ''}${attachmentNote(key)}`);
+      });
+    }
+
+    heading('Maintenance history', 11);
+    const records = [...item.maintenanceHistory].sort((a, b) => b.date - a.date);
+    if (records.length === 0) {
+      line('No maintenance recorded', { color: '#666666' });
+    }
+    records.forEach(record => {
+      line([
+        formatDate(record.date),
+        record.service,
+        record.provider,
+        record.cost !== undefined && formatAmount(record.cost)
+      ].filter(Boolean).join('  -  '));
+      if (record.notes) {
+        line(`    ${record.notes}`, { color: '#666666' });
+      }
+    });
+  });
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Stream the claim summary on its own as a PDF
+ * @param {Object} details - Claim details, as for buildSummary
+ * @param {Writable} output - Destination stream
+ */
+const writePdf = async (details, output) => {
+  const thumbnails = await loadThumbnails(details.items);
+  assertOpen(output);
+  await pipeline(buildSummary(details, { thumbnails }), output);
+};
+
+/**
+ * Stream the claim summary and every photo and document of the affected items as a ZIP
+ * @param {Object} details - Claim details, as for buildSummary
+ * @param {Writable} output - Destination stream
+ */
+const writeZip = async (details, output) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const done = pipeline(archive, output);
+  const included = new Map();
+
+  // A closed output rejects this before it is awaited; the failure still
+  // surfaces through appendEntry or the await at the end
+  done.catch(() => {});
+
+  // Attachments go in first so the summary can flag files that could not be read
+  for (const [index, item] of details.items.entries()) {
+    const { photos, documents } = getItemAttachments(item, index);
+
+    for (const attachment of [...photos, ...documents]) {
+      assertOpen(output);
+      const buffer = await readFile(attachment.key);
+      included.set(attachment.key, buffer ? attachment.path : null);
+
+      if (buffer) {
+        await appendEntry(archive, buffer, attachment.path);
+      }
+    }
+  }
+
+  const thumbnails = await loadThumbnails(details.items);
+  assertOpen(output);
+  archive.append(buildSummary(details, { thumbnails, included }), { name: SUMMARY_NAME });
+  await archive.finalize();
+  await done;
+};
+
+const writers = {
+  zip: writeZip,
+  pdf: writePdf
+};
+
+/**
+ * Stream the evidence package for an insurance claim
+ * @param {String} format - Package format (zip or pdf)
+ * @param {Object} details - Claim details
+ * @param {Object} details.policy - InsurancePolicy document
+ * @param {Object} details.claim - Claim subdocument
+ * @param {Array<Object>} details.items - Equipment on the claim, in claim order
+ * @param {String} [details.owner] - Name shown in the heading
+ * @param {Writable} output - Destination stream
+ */
+const writeClaimPackage = (format, details, output) => {
+  return writers[format](details, output);
+};
+
+module.exports = {
+  PACKAGE_FORMATS,
+  writeClaimPackage
+};
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { Consumable, Equipment } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Put consumables back into stock, e.g. when a maintenance record fails to save
+ * @param {String} userId - Owner of the consumables
+ * @param {Array<Object>} usage - Entries of { consumableId, quantity }
+ * @returns {Promise<void>}
+ */
+const returnConsumables = async (userId, usage = []) => {
+  await Promise.all(usage.map(({ consumableId, quantity }) => Consumable.updateOne(
+    { _id: consumableId, userId },
+    { $inc: { quantity } }
+  )));
+};
+
+/**
+ * Take consumables out of stock for a maintenance record
+ * Each decrement only succeeds with enough stock, so concurrent use cannot go
+ * negative; earlier decrements are returned if a later one fails
+ * @param {String} userId - Owner of the consumables
+ * @param {Array<Object>} items - Entries of { consumableId, quantity }
+ * @returns {Promise<Array<Object>>} - Usage entries priced at the current unit cost
+ */
+const useConsumables = async (userId, items = []) => {
+  const usage = [];
+
+  try {
+    for (const { consumableId, quantity } of items) {
+      const consumable = await Consumable.findOneAndUpdate(
+        { _id: consumableId, userId, quantity: { $gte: quantity } },
+        { $inc: { quantity: -quantity } },
+        { new: true }
+      );
+
+      if (!consumable) {
+        const existing = await Consumable.findOne({ _id: consumableId, userId });
+        if (!existing) {
+          throw ApiError.notFound(`Consumable not found: ${consumableId}`);
+        }
+        throw ApiError.conflict(
+          `Not enough ${existing.name} in stock (${existing.quantity} available)`,
+          'INSUFFICIENT_STOCK'
+        );
+      }
+
+      usage.push({
+        consumableId: consumable._id,
+        name: consumable.name,
+        quantity,
+        unitCost: consumable.unitCost
+      });
+    }
+  } catch (error) {
+    await returnConsumables(userId, usage);
+    throw error;
+  }
+
+  return usage;
+};
+
+/**
+ * Swap the consumables used by a maintenance record for a new list
+ * The old usage goes back into stock first, so keeping an item on the record
+ * needs no extra stock; if the new list cannot be taken the old usage is
+ * taken again exactly as it was
+ * @param {String} userId - Owner of the consumables
+ * @param {Array<Object>} previous - Usage currently on the record
+ * @param {Array<Object>} items - New entries of { consumableId, quantity }
+ * @returns {Promise<Array<Object>>} - New usage entries, see useConsumables
+ */
+const replaceConsumables = async (userId, previous = [], items = []) => {
+  await returnConsumables(userId, previous);
+
+  try {
+    return await useConsumables(userId, items);
+  } catch (error) {
+    await Promise.all(previous.map(({ consumableId, quantity }) => Consumable.updateOne(
+      { _id: consumableId, userId },
+      { $inc: { quantity: -quantity } }
+    )));
+    throw error;
+  }
+};
+
+/**
+ * Get consumables at or below their reorder threshold
+ * @param {String} userId - Owner of the consumables
+ * @returns {Promise<Array<Object>>} - Low-stock consumables with compatible equipment names
+ */
+const getLowStock = (userId) => Consumable.find({
+  userId,
+  $expr: { $lte: ['$quantity', '$reorderThreshold'] }
+})
+  .populate('compatibleEquipment', 'name type')
+  .sort({ type: 1, name: 1 });
+
+/**
+ * Get consumable spend per instrument from maintenance records
+ * @param {String} userId - Owner of the equipment
+ * @param {Object} options - Report options
+ * @param {Date} [options.from] - Only count records on or after this date
+ * @param {Date} [options.to] - Only count records on or before this date
+ * @param {String} [options.equipmentId] - Limit the report to one item
+ * @returns {Promise<Object>} - Total spend and per-equipment breakdown
+ */
+const getSpendByEquipment = async (userId, { from, to, equipmentId } = {}) => {
+  // Aggregates do not cast, so ids are converted here
+  const match = { userId: new mongoose.Types.ObjectId(userId), deletedAt: null };
+  if (equipmentId) {
+    match._id = new mongoose.Types.ObjectId(equipmentId);
+  }
+
+  const dateMatch = {};
+  if (from) dateMatch.$gte = from;
+  if (to) dateMatch.$lte = to;
+
+  const equipment = await Equipment.aggregate([
+    { $match: match },
+    { $unwind: '$maintenanceHistory' },
+    ...(Object.keys(dateMatch).length > 0 ? [{ $match: { 'maintenanceHistory.date': dateMatch } }] : []),
+    { $unwind: '$maintenanceHistory.consumables' },
+    {
+      $group: {
+        _id: { equipmentId: '$_id', consumableId: '$maintenanceHistory.consumables.consumableId' },
+        equipmentName: { $first: '$name' },
+        name: { $last: '$maintenanceHistory.consumables.name' },
+        quantity: { $sum: '$maintenanceHistory.consumables.quantity' },
+        spend: {
+          $sum: {
+            $multiply: [
+              '$maintenanceHistory.consumables.quantity',
+              { $ifNull: ['$maintenanceHistory.consumables.unitCost', 0] }
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { spend: -1 } },
+    {
+      $group: {
+        _id: '$_id.equipmentId',
+        name: { $first: '$equipmentName' },
+        totalSpend: { $sum: '$spend' },
+        consumables: {
+          $push: {
+            consumableId: '$_id.consumableId',
+            name: '$name',
+            quantity: '$quantity',
+            spend: '$spend'
+          }
+        }
+      }
+    },
+    { $sort: { totalSpend: -1, name: 1 } }
+  ]);
+
+  return {
+    totalSpend: equipment.reduce((total, item) => total + item.totalSpend, 0),
+    equipment: equipment.map(({ _id, ...item }) => ({ equipmentId: _id, ...item }))
+  };
+};
+
+module.exports = {
+  useConsumables,
+  returnConsumables,
+  replaceConsumables,
+  getLowStock,
+  getSpendByEquipment
+};
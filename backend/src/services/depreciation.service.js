@@ -0,0 +1,127 @@
+const { Equipment, DepreciationRule } = require('../models');
+const {
+  resolveSettings,
+  calculateValue,
+  yearsBetween
+} = require('../utils/depreciation');
+const logger = require('../utils/logger');
+
+/**
+ * Build the value curve of an item from purchase until a number of years from now
+ * @param {Object} item - Equipment document
+ * @param {Object} settings - Effective settings from resolveSettings
+ * @param {Object} options - Curve options
+ * @param {Number} [options.years] - Years past today to project
+ * @returns {Array<Object>} - Points as { date, age, value }, one per year
+ */
+const getValueCurve = (item, settings, { years = 5 } = {}) => {
+  if (!item.purchaseDate || !settings) {
+    return [];
+  }
+
+  const purchaseDate = new Date(item.purchaseDate);
+  const totalYears = Math.ceil(yearsBetween(purchaseDate, new Date())) + years;
+  const curve = [];
+
+  for (let age = 0; age <= totalYears; age++) {
+    const date = new Date(purchaseDate);
+    date.setFullYear(date.getFullYear() + age);
+
+    const value = calculateValue(item, settings, date);
+    if (value === null) break;
+
+    curve.push({ date, age, value });
+  }
+
+  return curve;
+};
+
+/**
+ * Get the depreciation rule for a user's category
+ * @param {String} userId - Owner of the rule
+ * @param {String} [category] - Equipment category
+ * @returns {Promise<Object|null>} - Depreciation rule
+ */
+const getRuleForCategory = (userId, category) => {
+  if (!category) {
+    return Promise.resolve(null);
+  }
+  return DepreciationRule.findOne({ userId, category });
+};
+
+/**
+ * Recalculate stored currentValue for equipment without a manual override
+ * Values are written directly so that daily drift does not flood change history
+ * @param {Object} [filter] - Additional equipment filter (e.g. a user and category)
+ * @param {Object} [options] - Recalculation options
+ * @param {Boolean} [options.resetUndepreciated=false] - Put items left without any
+ *   depreciation settings back at their purchase price, e.g. after their category
+ *   rule was deleted
+ * @returns {Promise<Number>} - Number of updated items
+ */
+const recalculateValues = async (filter = {}, { resetUndepreciated = false } = {}) => {
+  const rulesByUser = new Map();
+  const getRules = async (userId) => {
+    const key = userId.toString();
+    if (!rulesByUser.has(key)) {
+      const rules = await DepreciationRule.find({ userId });
+      rulesByUser.set(key, new Map(rules.map(rule => [rule.category, rule])));
+    }
+    return rulesByUser.get(key);
+  };
+
+  const cursor = Equipment.find({
+    ...filter,
+    valueOverride: null,
+    purchaseDate: { $ne: null },
+    purchasePrice: { $ne: null }
+  })
+    .select('userId category purchaseDate purchasePrice currentValue depreciation')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Equipment.bulkWrite(operations);
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const item of cursor) {
+    const rules = await getRules(item.userId);
+    const settings = resolveSettings(item.depreciation, rules.get(item.category));
+    const value = !settings && resetUndepreciated
+      ? item.purchasePrice
+      : calculateValue(item, settings);
+
+    if (value !== null && value !== item.currentValue) {
+      operations.push({
+        updateOne: {
+          filter: { _id: item._id },
+          update: { $set: { currentValue: value } }
+        }
+      });
+    }
+
+    if (operations.length >= 500) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  if (updated > 0) {
+    logger.info(`Recalculated current value of ${updated} equipment items`);
+  }
+
+  return updated;
+};
+
+module.exports = {
+  getValueCurve,
+  getRuleForCategory,
+  recalculateValues
+};
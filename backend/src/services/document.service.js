@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// File extensions for accepted document MIME types
+const DOCUMENT_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/**
+ * Store an uploaded equipment document
+ * Documents live outside the public upload path and are only served through the API
+ * @param {String} equipmentId - Equipment ID the document belongs to
+ * @param {Object} file - Multer file object
+ * @returns {Promise<Object>} - File data for Equipment.documents
+ */
+const storeEquipmentDocument = async (equipmentId, file) => {
+  const extension = DOCUMENT_EXTENSIONS[file.mimetype];
+  const key = `documents/equipment/${equipmentId}/${crypto.randomUUID()}.${extension}`;
+
+  await getStorage().put(key, file.buffer, file.mimetype);
+
+  return {
+    key,
+    originalName: file.originalname,
+    contentType: file.mimetype,
+    size: file.size
+  };
+};
+
+/**
+ * Open a read stream for a stored equipment document
+ * @param {Object} document - Document subdocument from Equipment.documents
+ * @returns {ReadableStream} - Document contents
+ */
+const getEquipmentDocumentStream = (document) => {
+  return getStorage().getStream(document.key);
+};
+
+/**
+ * Remove a stored equipment document
+ * @param {Object} document - Document subdocument from Equipment.documents
+ */
+const removeEquipmentDocument = async (document) => {
+  await getStorage().remove(document.key);
+};
+
+module.exports = {
+  DOCUMENT_EXTENSIONS,
+  storeEquipmentDocument,
+  getEquipmentDocumentStream,
+  removeEquipmentDocument
+};
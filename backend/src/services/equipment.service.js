@@ -0,0 +1,136 @@
+const { Equipment } = require('../models');
+
+// Fields that get a facet count in search results
+const FACET_FIELDS = ['type', 'category', 'condition', 'location'];
+
+/**
+ * Build the MongoDB filter for equipment list queries
+ * Shared by the list and export endpoints so both see the same items
+ * @param {String} userId - Owner of the equipment
+ * @param {Object} query - Request query parameters
+ * @returns {Object} - MongoDB filter
+ */
+const buildEquipmentFilter = (userId, query) => {
+  const {
+    type,
+    search,
+    condition,
+    category,
+    make,
+    location,
+    purchaseDateFrom,
+    purchaseDateTo,
+    minValue,
+    maxValue,
+    insured,
+    maintenanceOverdue,
+    isActive,
+    availability
+  } = query;
+  // Aggregations bypass the trash query hook, so exclude trashed items here
+  const filter = { userId, deletedAt: null };
+
+  if (type) {
+    filter.type = type;
+  }
+
+  if (search) {
+    // Uses the equipment_text_search index on Equipment
+    filter.$text = { $search: search };
+  }
+
+  if (condition && condition.length > 0) {
+    filter.condition = { $in: condition };
+  }
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (make) {
+    filter.make = make;
+  }
+
+  if (location) {
+    filter.location = location;
+  }
+
+  if (purchaseDateFrom || purchaseDateTo) {
+    filter.purchaseDate = {
+      ...(purchaseDateFrom && { $gte: purchaseDateFrom }),
+      ...(purchaseDateTo && { $lte: purchaseDateTo })
+    };
+  }
+
+  if (minValue !== undefined || maxValue !== undefined) {
+    filter.currentValue = {
+      ...(minValue !== undefined && { $gte: minValue }),
+      ...(maxValue !== undefined && { $lte: maxValue })
+    };
+  }
+
+  if (insured !== undefined) {
+    filter['insuranceInfo.isInsured'] = insured ? true : { $ne: true };
+  }
+
+  if (maintenanceOverdue !== undefined) {
+    const overdue = { $elemMatch: { nextDue: { $lte: new Date() } } };
+    filter.maintenanceSchedule = maintenanceOverdue ? overdue : { $not: overdue };
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive;
+  }
+
+  if (availability) {
+    // Items created before availability tracking have no value and are available
+    filter.availability = availability === 'Available' ? { $ne: 'At Service' } : availability;
+  }
+
+  return filter;
+};
+
+/**
+ * Count matching equipment by type, category, condition, location and insurance
+ * @param {Object} filter - MongoDB filter from buildEquipmentFilter
+ * @returns {Promise<Object>} - Facet counts
+ */
+const getEquipmentFacets = async (filter) => {
+  const countBy = (expression) => [
+    { $group: { _id: expression, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  const [result] = await Equipment.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        ...Object.fromEntries(
+          FACET_FIELDS.map(field => [field, countBy(`$${field}`)])
+        ),
+        insured: countBy({ $ifNull: ['$insuranceInfo.isInsured', false] })
+      }
+    }
+  ]);
+
+  const facets = Object.fromEntries(
+    FACET_FIELDS.map(field => [
+      field,
+      result[field]
+        .filter(bucket => bucket._id !== null && bucket._id !== '')
+        .map(bucket => ({ value: bucket._id, count: bucket.count }))
+    ])
+  );
+
+  facets.insurance = {
+    insured: (result.insured.find(bucket => bucket._id === true) || {}).count || 0,
+    uninsured: (result.insured.find(bucket => bucket._id === false) || {}).count || 0
+  };
+
+  return facets;
+};
+
+module.exports = {
+  buildEquipmentFilter,
+  getEquipmentFacets
+};
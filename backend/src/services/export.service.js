@@ -0,0 +1,314 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Columns included in every inventory export
+const EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name', width: 28 },
+  { key: 'type', header: 'Type', width: 16 },
+  { key: 'category', header: 'Category', width: 16 },
+  { key: 'make', header: 'Make', width: 16 },
+  { key: 'model', header: 'Model', width: 18 },
+  { key: 'serialNumber', header: 'Serial Number', width: 18 },
+  { key: 'purchaseDate', header: 'Purchase Date', width: 14 },
+  { key: 'purchasePrice', header: 'Purchase Price', width: 14 },
+  { key: 'currentValue', header: 'Current Value', width: 14 },
+  { key: 'condition', header: 'Condition', width: 12 },
+  { key: 'location', header: 'Location', width: 18 },
+  { key: 'lastMaintenance', header: 'Last Maintenance', width: 16 },
+  { key: 'nextMaintenanceDue', header: 'Next Maintenance Due', width: 20 },
+  { key: 'maintenanceOverdue', header: 'Maintenance Overdue', width: 20 },
+  { key: 'maintenanceRecords', header: 'Maintenance Records', width: 20 },
+  { key: 'maintenanceCost', header: 'Total Maintenance Cost', width: 22 },
+  { key: 'insured', header: 'Insured', width: 10 },
+  { key: 'insuranceStatus', header: 'Insurance Status', width: 16 },
+  { key: 'insuranceProvider', header: 'Insurance Provider', width: 20 },
+  { key: 'policyNumber', header: 'Policy Number', width: 18 },
+  { key: 'coverageAmount', header: 'Coverage Amount', width: 16 },
+  { key: 'policyEndDate', header: 'Policy End Date', width: 16 }
+];
+
+// Content types and file extensions for each export format
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {String} - Formatted date, or an empty string
+ */
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Format a number as a currency amount
+ * @param {Number} amount - Amount to format
+ * @returns {String} - Formatted amount, or an empty string
+ */
+const formatAmount = (amount) => (
+  typeof amount === 'number' ? amount.toFixed(2) : ''
+);
+
+// Leading characters that make spreadsheet apps treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Keep text that looks like a formula from running when a spreadsheet is opened
+ * The leading apostrophe tells Excel and Sheets to show the cell as text
+ * @param {String} value - Cell text
+ * @returns {String} - Text safe to put in a spreadsheet cell
+ */
+const escapeFormula = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+/**
+ * Flatten an equipment document into an export row
+ * Expects insuranceInfo.policyId to be populated
+ * @param {Object} item - Equipment document
+ * @returns {Object} - Export row keyed by column
+ */
+const toExportRow = (item) => {
+  const history = item.maintenanceHistory || [];
+  const schedule = item.maintenanceSchedule || [];
+  const insurance = item.insuranceInfo || {};
+  const policy = insurance.policyId && insurance.policyId.provider ? insurance.policyId : null;
+
+  const lastMaintenance = history.reduce(
+    (latest, record) => (!latest || record.date > latest ? record.date : latest),
+    null
+  );
+  const nextMaintenanceDue = schedule.reduce(
+    (earliest, task) => (task.nextDue && (!earliest || task.nextDue < earliest) ? task.nextDue : earliest),
+    null
+  );
+
+  let insuranceStatus = 'Uninsured';
+  if (policy) {
+    insuranceStatus = policy.status;
+  } else if (insurance.isInsured) {
+    insuranceStatus = 'Insured';
+  }
+
+  return {
+    name: item.name,
+    type: item.type,
+    category: item.category,
+    make: item.make,
+    model: item.model,
+    serialNumber: item.serialNumber,
+    purchaseDate: item.purchaseDate,
+    purchasePrice: item.purchasePrice,
+    currentValue: item.currentValue,
+    condition: item.condition,
+    location: item.location,
+    lastMaintenance,
+    nextMaintenanceDue,
+    maintenanceOverdue: nextMaintenanceDue && nextMaintenanceDue <= new Date() ? 'Yes' : 'No',
+    maintenanceRecords: history.length,
+    maintenanceCost: history.reduce((total, record) => total + (record.cost || 0), 0),
+    insured: insurance.isInsured ? 'Yes' : 'No',
+    insuranceStatus,
+    insuranceProvider: policy ? policy.provider : undefined,
+    policyNumber: policy ? policy.policyNumber : undefined,
+    coverageAmount: insurance.coverageAmount,
+    policyEndDate: policy ? policy.endDate : undefined
+  };
+};
+
+/**
+ * Stop writing once the destination has closed, e.g. the client disconnected
+ * Otherwise the rest of the cursor would still be read and rendered
+ * @param {Writable} output - Destination stream
+ */
+const assertOpen = (output) => {
+  if (output.destroyed) {
+    throw new Error('Export output closed before the export was complete');
+  }
+};
+
+/**
+ * Map an equipment cursor to export rows
+ * @param {AsyncIterable} cursor - Equipment cursor
+ */
+async function* exportRows(cursor) {
+  for await (const item of cursor) {
+    yield toExportRow(item);
+  }
+}
+
+/**
+ * Stream equipment as CSV
+ * @param {AsyncIterable} cursor - Equipment cursor
+ * @param {Writable} output - Destination stream
+ */
+const writeCsv = async (cursor, output) => {
+  await pipeline(
+    Readable.from(exportRows(cursor)),
+    stringify({
+      header: true,
+      columns: EXPORT_COLUMNS.map(({ key, header }) => ({ key, header })),
+      cast: { date: formatDate, string: escapeFormula }
+    }),
+    output
+  );
+};
+
+/**
+ * Stream equipment as an XLSX workbook
+ * @param {AsyncIterable} cursor - Equipment cursor
+ * @param {Writable} output - Destination stream
+ */
+const writeXlsx = async (cursor, output) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: true
+  });
+  const worksheet = workbook.addWorksheet('Inventory', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = EXPORT_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const row of exportRows(cursor)) {
+    assertOpen(output);
+    worksheet.addRow(Object.fromEntries(Object.entries(row).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? escapeFormula(value) : value
+    ]))).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Columns shown on the printable PDF inventory sheet
+const PDF_COLUMNS = [
+  { header: 'Name', width: 130, value: row => row.name },
+  { header: 'Make / Model', width: 110, value: row => [row.make, row.model].filter(Boolean).join(' ') },
+  { header: 'Serial #', width: 80, value: row => row.serialNumber },
+  { header: 'Purchased', width: 62, value: row => formatDate(row.purchaseDate) },
+  { header: 'Price', width: 58, value: row => formatAmount(row.purchasePrice), align: 'right' },
+  { header: 'Value', width: 58, value: row => formatAmount(row.currentValue), align: 'right' },
+  { header: 'Condition', width: 56, value: row => row.condition },
+  { header: 'Location', width: 70, value: row => row.location },
+  { header: 'Next Maint.', width: 62, value: row => formatDate(row.nextMaintenanceDue) },
+  { header: 'Insurance', width: 34, value: row => row.insured }
+];
+
+/**
+ * Stream equipment as a printable PDF inventory sheet
+ * @param {AsyncIterable} cursor - Equipment cursor
+ * @param {Writable} output - Destination stream
+ * @param {Object} options - Sheet options
+ * @param {String} [options.owner] - Name shown in the sheet heading
+ */
+const writePdf = async (cursor, output, { owner } = {}) => {
+  const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 36 });
+  const done = pipeline(doc, output);
+  // Surfaced by the await below; without a handler now, a client that
+  // disconnects mid-export would be an unhandled rejection
+  done.catch(() => {});
+  const left = doc.page.margins.left;
+  const cellPadding = 3;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+    const height = Math.max(...cells.map((text, index) => doc.heightOfString(text || '', {
+      width: PDF_COLUMNS[index].width - cellPadding * 2
+    }))) + cellPadding * 2;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!bold) {
+        drawRow(PDF_COLUMNS.map(column => column.header), { bold: true });
+        doc.font('Helvetica').fontSize(8);
+      }
+    }
+
+    const top = doc.y;
+    let x = left;
+    cells.forEach((text, index) => {
+      const { width, align = 'left' } = PDF_COLUMNS[index];
+      doc.text(text || '', x + cellPadding, top + cellPadding, {
+        width: width - cellPadding * 2,
+        align
+      });
+      x += width;
+    });
+
+    doc.moveTo(left, top + height).lineTo(x, top + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  // Heading
+  doc.font('Helvetica-Bold').fontSize(16).text('Equipment Inventory');
+  doc.font('Helvetica').fontSize(9)
+    .text([owner, `Generated ${formatDate(new Date())}`].filter(Boolean).join(' - '))
+    .moveDown();
+
+  drawRow(PDF_COLUMNS.map(column => column.header), { bold: true });
+
+  const totals = { items: 0, purchasePrice: 0, currentValue: 0, uninsured: 0, overdue: 0 };
+
+  for await (const row of exportRows(cursor)) {
+    assertOpen(output);
+    drawRow(PDF_COLUMNS.map(column => column.value(row)));
+
+    totals.items += 1;
+    totals.purchasePrice += row.purchasePrice || 0;
+    totals.currentValue += row.currentValue || 0;
+    if (row.insured === 'No') totals.uninsured += 1;
+    if (row.maintenanceOverdue === 'Yes') totals.overdue += 1;
+  }
+
+  // Summary
+  doc.moveDown().font('Helvetica-Bold').fontSize(10).text('Summary', left);
+  doc.font('Helvetica').fontSize(9).text([
+    `Items: ${totals.items}`,
+    `Total purchase price: ${formatAmount(totals.purchasePrice)}`,
+    `Total current value: ${formatAmount(totals.currentValue)}`,
+    `Uninsured items: ${totals.uninsured}`,
+    `Items with overdue maintenance: ${totals.overdue}`
+  ].join('\n'));
+
+  doc.end();
+  await done;
+};
+
+const writers = {
+  csv: writeCsv,
+  xlsx: writeXlsx,
+  pdf: writePdf
+};
+
+/**
+ * Stream equipment in the requested export format
+ * @param {String} format - Export format (csv, xlsx or pdf)
+ * @param {AsyncIterable} cursor - Equipment cursor
+ * @param {Writable} output - Destination stream
+ * @param {Object} options - Format specific options
+ */
+const writeExport = (format, cursor, output, options) => {
+  return writers[format](cursor, output, options);
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  formatDate,
+  formatAmount,
+  escapeFormula,
+  assertOpen,
+  toExportRow,
+  writeExport
+};
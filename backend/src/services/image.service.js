@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE) || 320;
+
+// File extensions for accepted image MIME types
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Generate a square-bounded JPEG thumbnail for an image
+ * @param {Buffer} buffer - Original image contents
+ * @returns {Promise<Buffer>} - Thumbnail contents
+ */
+const createThumbnail = (buffer) => {
+  return sharp(buffer)
+    .rotate() // Respect EXIF orientation from phone cameras
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+};
+
+/**
+ * Store an uploaded equipment image along with its thumbnail
+ * @param {String} equipmentId - Equipment ID the image belongs to
+ * @param {Object} file - Multer file object
+ * @returns {Promise<Object>} - Image data for Equipment.images
+ */
+const storeEquipmentImage = async (equipmentId, file) => {
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const extension = IMAGE_EXTENSIONS[file.mimetype];
+  const prefix = `equipment/${equipmentId}/images`;
+
+  const thumbnail = await createThumbnail(file.buffer);
+
+  const original = await storage.put(`${prefix}/${id}.${extension}`, file.buffer, file.mimetype);
+
+  try {
+    const thumb = await storage.put(`${prefix}/${id}_thumb.jpg`, thumbnail, 'image/jpeg');
+
+    return {
+      url: original.url,
+      key: original.key,
+      thumbnailUrl: thumb.url,
+      thumbnailKey: thumb.key,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size
+    };
+  } catch (error) {
+    await storage.remove(original.key);
+    throw error;
+  }
+};
+
+/**
+ * Remove a stored equipment image and its thumbnail
+ * @param {Object} image - Image subdocument from Equipment.images
+ */
+const removeEquipmentImage = async (image) => {
+  const storage = getStorage();
+
+  await Promise.all(
+    [image.key, image.thumbnailKey]
+      .filter(Boolean)
+      .map(key => storage.remove(key))
+  );
+};
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  createThumbnail,
+  storeEquipmentImage,
+  removeEquipmentImage
+};
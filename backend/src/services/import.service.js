@@ -0,0 +1,295 @@
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { Equipment, DepreciationRule } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const { resolveSettings, calculateValue } = require('../utils/depreciation');
+const { createEquipmentRules } = require('../validators/equipment.validators');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 5000;
+
+// Equipment fields that can be populated from an imported column
+const IMPORTABLE_FIELDS = [
+  'name',
+  'type',
+  'category',
+  'make',
+  'model',
+  'serialNumber',
+  'purchaseDate',
+  'purchasePrice',
+  'currentValue',
+  'condition',
+  'location',
+  'notes'
+];
+
+/**
+ * Convert a spreadsheet cell value to the string form a request body would carry
+ * @param {*} value - Raw cell value
+ * @returns {String|undefined} - Cell value, or undefined for empty cells
+ */
+const normalizeCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    // Formula, hyperlink and rich text cells
+    if (value.result !== undefined) return normalizeCellValue(value.result);
+    if (value.text !== undefined) return normalizeCellValue(value.text);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    return undefined;
+  }
+
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+};
+
+/**
+ * Parse an uploaded CSV file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - Header names and rows with their line numbers
+ */
+const parseCsv = (buffer) => {
+  const records = parse(buffer, {
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  }).map(({ record, info }) => {
+    // info.lines is where the record ends; quoted cells can span lines
+    const innerLines = record.reduce((count, value) => count + (value.match(/\n/g) || []).length, 0);
+    return { number: info.lines - innerLines, values: record };
+  });
+
+  const [header = { values: [] }, ...rows] = records;
+
+  return {
+    headers: header.values.map(value => String(value).trim()),
+    rows
+  };
+};
+
+/**
+ * Parse the first worksheet of an uploaded XLSX file
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} - Header names and rows with their row numbers
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const records = [];
+  worksheet.eachRow((row) => {
+    // ExcelJS row values are 1-indexed
+    records.push({ number: row.number, values: row.values.slice(1) });
+  });
+
+  const [header = { values: [] }, ...rows] = records;
+
+  return {
+    headers: header.values.map(value => normalizeCellValue(value) || ''),
+    rows
+  };
+};
+
+/**
+ * Parse an uploaded spreadsheet into header names and row values
+ * @param {Object} file - Multer file object
+ * @returns {Promise<Object>} - Header names and rows, each with its row
+ * number in the file so blank rows skipped while parsing are still counted
+ */
+const parseSpreadsheet = async (file) => {
+  const isCsv = file.mimetype === 'text/csv' ||
+    file.originalname.toLowerCase().endsWith('.csv');
+
+  try {
+    return isCsv ? parseCsv(file.buffer) : await parseXlsx(file.buffer);
+  } catch (error) {
+    throw ApiError.badRequest(
+      `Could not read spreadsheet: ${error.message}`,
+      'INVALID_SPREADSHEET'
+    );
+  }
+};
+
+/**
+ * Build the column mapping, defaulting to headers that match a field name
+ * @param {Array<String>} headers - Spreadsheet header names
+ * @param {Object} mapping - Client mapping of header name to equipment field
+ * @returns {Object} - Mapping of column index to equipment field
+ */
+const buildColumnMap = (headers, mapping) => {
+  const columnMap = {};
+
+  if (mapping) {
+    const invalidFields = Object.values(mapping).filter(
+      field => !IMPORTABLE_FIELDS.includes(field)
+    );
+    if (invalidFields.length > 0) {
+      throw ApiError.badRequest(
+        `Cannot map columns to unknown fields: ${invalidFields.join(', ')}`,
+        'INVALID_COLUMN_MAPPING'
+      );
+    }
+
+    const missingColumns = Object.keys(mapping).filter(
+      column => !headers.includes(column)
+    );
+    if (missingColumns.length > 0) {
+      throw ApiError.badRequest(
+        `Mapped columns not found in file: ${missingColumns.join(', ')}`,
+        'INVALID_COLUMN_MAPPING'
+      );
+    }
+
+    headers.forEach((header, index) => {
+      if (mapping[header]) {
+        columnMap[index] = mapping[header];
+      }
+    });
+  } else {
+    headers.forEach((header, index) => {
+      const field = IMPORTABLE_FIELDS.find(
+        name => name.toLowerCase() === header.toLowerCase()
+      );
+      if (field) {
+        columnMap[index] = field;
+      }
+    });
+  }
+
+  return columnMap;
+};
+
+/**
+ * Validate a single row against the equipment creation rules
+ * @param {Object} data - Row data keyed by equipment field
+ * @returns {Promise<Object>} - Sanitized data and validation errors
+ */
+const validateRow = async (data) => {
+  const req = { body: { ...data } };
+
+  await Promise.all(createEquipmentRules.map(rule => rule.run(req)));
+
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg,
+    value: error.value
+  }));
+
+  return { data: req.body, errors };
+};
+
+/**
+ * Set the value of imported rows the way the equipment save hook would
+ * insertMany skips save hooks, so imported values become overrides and the
+ * rest are depreciated by their category rule here
+ * @param {String} userId - Owner of the imported equipment
+ * @param {Array<Object>} rows - Validated equipment rows
+ * @returns {Promise<Array<Object>>} - Rows ready to insert
+ */
+const applyDepreciation = async (userId, rows) => {
+  const rules = await DepreciationRule.find({ userId });
+  const rulesByCategory = new Map(rules.map(rule => [rule.category, rule]));
+
+  return rows.map((row) => {
+    if (row.currentValue !== undefined) {
+      return { ...row, valueOverride: row.currentValue };
+    }
+
+    const item = Equipment.castObject(row);
+    const value = calculateValue(item, resolveSettings(item.depreciation, rulesByCategory.get(item.category)));
+
+    return value === null ? row : { ...row, currentValue: value };
+  });
+};
+
+/**
+ * Import equipment from a CSV or XLSX file
+ * @param {String} userId - Owner of the imported equipment
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Import options
+ * @param {Object} [options.mapping] - Mapping of header name to equipment field
+ * @param {Boolean} [options.dryRun] - Validate only, without saving
+ * @returns {Promise<Object>} - Import summary and per-row errors
+ */
+const importEquipment = async (userId, file, { mapping, dryRun = false } = {}) => {
+  const { headers, rows } = await parseSpreadsheet(file);
+
+  if (rows.length === 0) {
+    throw ApiError.badRequest('Spreadsheet contains no data rows', 'EMPTY_SPREADSHEET');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw ApiError.badRequest(
+      `Spreadsheet exceeds the maximum of ${MAX_IMPORT_ROWS} rows`,
+      'TOO_MANY_ROWS'
+    );
+  }
+
+  const columnMap = buildColumnMap(headers, mapping);
+
+  if (!Object.values(columnMap).includes('name') || !Object.values(columnMap).includes('type')) {
+    throw ApiError.badRequest(
+      'Columns for both name and type must be mapped',
+      'INVALID_COLUMN_MAPPING'
+    );
+  }
+
+  const validRows = [];
+  const errors = [];
+
+  for (const row of rows) {
+    const data = {};
+    Object.entries(columnMap).forEach(([column, field]) => {
+      const value = normalizeCellValue(row.values[column]);
+      if (value !== undefined) {
+        data[field] = value;
+      }
+    });
+
+    const result = await validateRow(data);
+
+    if (result.errors.length > 0) {
+      errors.push({ row: row.number, errors: result.errors });
+    } else {
+      validRows.push({ ...result.data, userId });
+    }
+  }
+
+  let imported = 0;
+  if (!dryRun && validRows.length > 0) {
+    const equipment = await Equipment.insertMany(await applyDepreciation(userId, validRows));
+    imported = equipment.length;
+  }
+
+  return {
+    summary: {
+      totalRows: rows.length,
+      validRows: validRows.length,
+      invalidRows: errors.length,
+      imported,
+      dryRun
+    },
+    columns: Object.fromEntries(
+      Object.entries(columnMap).map(([column, field]) => [headers[column], field])
+    ),
+    errors
+  };
+};
+
+module.exports = {
+  IMPORTABLE_FIELDS,
+  importEquipment
+};
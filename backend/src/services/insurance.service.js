@@ -0,0 +1,436 @@
+const { Equipment, InsurancePolicy, DepreciationRule, Band } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const { getEffectiveValue } = require('../utils/depreciation');
+
+// Coverage types that protect gear away from home, e.g. at gigs and on tour
+const TRAVEL_COVERAGE_TYPES = ['Travel'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why an item on a policy that is not in force counts as uninsured, by policy status
+const UNINSURED_REASONS = {
+  Expired: 'Policy expired',
+  Future: 'Policy not started',
+  Inactive: 'Policy inactive'
+};
+
+/**
+ * Round an amount to cents
+ * @param {Number} amount - Amount to round
+ * @returns {Number} - Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check that equipment ids belong to a user
+ * @param {String} userId - Owner of the equipment
+ * @param {Array<String>} ids - Equipment ids
+ */
+const assertOwnEquipment = async (userId, ids) => {
+  const unique = [...new Set(ids.map(String))];
+  const count = await Equipment.countDocuments({ _id: { $in: unique }, userId });
+
+  if (count !== unique.length) {
+    throw ApiError.badRequest('One or more equipment items were not found', 'INVALID_EQUIPMENT');
+  }
+};
+
+/**
+ * Split a policy limit across its items in proportion to their value
+ * Items are covered at full value while the limit allows; past that every
+ * item is scaled down by the same factor. Items without a known value
+ * share the limit evenly when no item has one
+ * @param {Array<Object>} items - Covered equipment
+ * @param {Number} [coverageAmount] - Policy limit; unlimited when not set
+ * @param {Map} rulesByCategory - DepreciationRule by category
+ * @returns {Map} - Coverage amount by equipment id
+ */
+const allocateCoverage = (items, coverageAmount, rulesByCategory) => {
+  const values = items.map(item => getEffectiveValue(item, rulesByCategory.get(item.category)) || 0);
+  const totalValue = values.reduce((sum, value) => sum + value, 0);
+  const hasLimit = typeof coverageAmount === 'number';
+
+  return new Map(items.map((item, index) => {
+    let amount = values[index];
+
+    if (hasLimit && totalValue === 0) {
+      amount = coverageAmount / items.length;
+    } else if (hasLimit && totalValue > coverageAmount) {
+      amount = values[index] * coverageAmount / totalValue;
+    }
+
+    return [item._id.toString(), roundAmount(amount)];
+  }));
+};
+
+/**
+ * Write a policy's coverage onto each of its covered items
+ * Items only count as insured while the policy is in force
+ * Written directly so that coverage recalculation does not flood change history
+ * @param {Object} policy - InsurancePolicy document
+ * @returns {Promise<void>}
+ */
+const applyCoverage = async (policy) => {
+  if (policy.coveredItems.length === 0) {
+    return;
+  }
+
+  const [items, rules] = await Promise.all([
+    Equipment.find({ _id: { $in: policy.coveredItems }, userId: policy.userId })
+      .select('category purchaseDate purchasePrice currentValue valueOverride depreciation'),
+    DepreciationRule.find({ userId: policy.userId })
+  ]);
+  const amounts = allocateCoverage(
+    items,
+    policy.coverageAmount,
+    new Map(rules.map(rule => [rule.category, rule]))
+  );
+
+  await Equipment.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item._id },
+      update: {
+        $set: {
+          'insuranceInfo.isInsured': policy.status === 'Active',
+          'insuranceInfo.policyId': policy._id,
+          'insuranceInfo.coverageAmount': amounts.get(item._id.toString())
+        }
+      }
+    }
+  })));
+};
+
+/**
+ * Mark equipment as no longer covered by a policy
+ * Items that have since moved to another policy are left alone
+ * @param {String} policyId - Policy the items left
+ * @param {Array<String>} [ids] - Items to release; all of the policy's items when omitted
+ * @returns {Promise<void>}
+ */
+const releaseCoverage = async (policyId, ids) => {
+  const filter = { 'insuranceInfo.policyId': policyId };
+  if (ids) {
+    filter._id = { $in: ids };
+  }
+
+  await Equipment.updateMany(filter, {
+    $set: { 'insuranceInfo.isInsured': false },
+    $unset: { 'insuranceInfo.policyId': 1, 'insuranceInfo.coverageAmount': 1 }
+  });
+};
+
+/**
+ * Take items off a policy's renewal that has not started yet
+ * Otherwise the renewal would cover them again when its term starts
+ * @param {Object} policy - Policy the items left
+ * @param {Array<String>} ids - Items that left the policy
+ * @returns {Promise<void>}
+ */
+const releaseFromRenewal = async (policy, ids) => {
+  if (!policy.successorId || ids.length === 0) {
+    return;
+  }
+
+  await InsurancePolicy.updateOne(
+    { _id: policy.successorId, userId: policy.userId, startDate: { $gt: new Date() } },
+    { $pull: { coveredItems: { $in: ids } } }
+  );
+};
+
+/**
+ * Bring equipment in line with a policy's covered items after it is saved
+ * Items join the policy, leave it, or move over from another policy, which
+ * then has its coverage recalculated for the items it keeps
+ * @param {Object} policy - Saved InsurancePolicy document
+ * @param {Array<String>} [previousItems] - Covered item ids before the change
+ * @returns {Promise<void>}
+ */
+const syncPolicyCoverage = async (policy, previousItems = []) => {
+  const current = policy.coveredItems.map(String);
+  const removed = previousItems.map(String).filter(id => !current.includes(id));
+
+  if (removed.length > 0) {
+    await releaseCoverage(policy._id, removed);
+    await releaseFromRenewal(policy, removed);
+  }
+
+  // An item is covered by one policy at a time, though consecutive terms of a
+  // renewed policy share their items
+  const otherPolicies = await InsurancePolicy.find({
+    _id: { $nin: [policy._id, policy.predecessorId, policy.successorId].filter(Boolean) },
+    userId: policy.userId,
+    coveredItems: { $in: current }
+  });
+
+  for (const other of otherPolicies) {
+    other.coveredItems = other.coveredItems.filter(id => !current.includes(id.toString()));
+    await other.save();
+    await applyCoverage(other);
+  }
+
+  // A renewal takes over its items when its term starts
+  if (!(policy.predecessorId && policy.startDate > new Date())) {
+    await applyCoverage(policy);
+  }
+};
+
+/**
+ * Check a policy set directly on equipment before it is saved
+ * @param {Object} equipment - Equipment document with pending changes
+ * @returns {Promise<void>}
+ */
+const validateEquipmentCoverage = async (equipment) => {
+  const { policyId } = equipment.insuranceInfo || {};
+  if (!policyId) {
+    return;
+  }
+
+  const policy = await InsurancePolicy.findOne({ _id: policyId, userId: equipment.userId })
+    .select('isActive startDate endDate');
+  if (!policy) {
+    throw ApiError.badRequest('Insurance policy not found', 'INVALID_POLICY');
+  }
+
+  // An expired, future or inactive policy does not insure the item
+  equipment.insuranceInfo.isInsured = policy.status === 'Active';
+};
+
+/**
+ * Bring policies in line with a policy set directly on equipment after it is saved
+ * @param {Object} equipment - Saved Equipment document
+ * @param {String} [previousPolicyId] - Policy before the change
+ * @returns {Promise<void>}
+ */
+const syncEquipmentCoverage = async (equipment, previousPolicyId) => {
+  const { policyId } = equipment.insuranceInfo || {};
+
+  if (String(policyId) === String(previousPolicyId)) {
+    return;
+  }
+
+  if (previousPolicyId) {
+    const previous = await InsurancePolicy.findOneAndUpdate(
+      { _id: previousPolicyId, userId: equipment.userId },
+      { $pull: { coveredItems: equipment._id } },
+      { new: true }
+    );
+    if (previous) {
+      await applyCoverage(previous);
+
+      // Moving onto the renewal itself keeps the item there
+      if (String(previous.successorId) !== String(policyId)) {
+        await releaseFromRenewal(previous, [equipment._id]);
+      }
+    }
+  }
+
+  if (policyId) {
+    const policy = await InsurancePolicy.findOneAndUpdate(
+      { _id: policyId, userId: equipment.userId },
+      { $addToSet: { coveredItems: equipment._id } },
+      { new: true }
+    );
+    if (policy) {
+      await applyCoverage(policy);
+    }
+  }
+};
+
+/**
+ * Summarise an item for the coverage analysis
+ * @param {Object} item - Equipment document
+ * @param {Number|null} value - Effective value
+ * @returns {Object} - Item summary
+ */
+const toItemSummary = (item, value) => ({
+  _id: item._id,
+  name: item.name,
+  type: item.type,
+  category: item.category,
+  make: item.make,
+  model: item.model,
+  serialNumber: item.serialNumber,
+  value
+});
+
+/**
+ * Summarise a policy for the coverage analysis
+ * @param {Object} policy - InsurancePolicy document
+ * @returns {Object} - Policy summary
+ */
+const toPolicySummary = (policy) => ({
+  _id: policy._id,
+  provider: policy.provider,
+  policyNumber: policy.policyNumber,
+  coverageType: policy.coverageType,
+  startDate: policy.startDate,
+  endDate: policy.endDate,
+  status: policy.status,
+  daysRemaining: policy.daysRemaining
+});
+
+/**
+ * Cross-reference a user's active equipment with their insurance policies
+ * An item counts as insured only while its policy is in force; coverage is
+ * recalculated from today's values rather than the amounts last written to
+ * the equipment
+ * @param {String} userId - Owner of the equipment and policies
+ * @param {Object} [options] - Analysis options
+ * @param {Number} [options.days=30] - Window for policies about to expire
+ * @returns {Promise<Object>} - { summary, uninsured, underInsured, expiring, mismatches }
+ */
+const analyzeCoverage = async (userId, { days = 30 } = {}) => {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * DAY_MS);
+
+  const [equipment, policies, rules, bands] = await Promise.all([
+    Equipment.find({ userId })
+      .select('name type category make model serialNumber isActive purchaseDate purchasePrice currentValue valueOverride depreciation'),
+    InsurancePolicy.find({ userId }).select('-claimHistory'),
+    DepreciationRule.find({ userId }),
+    Band.find({
+      isActive: true,
+      members: { $elemMatch: { userId, isActive: true } }
+    }).select('name events')
+  ]);
+
+  const rulesByCategory = new Map(rules.map(rule => [rule.category, rule]));
+  const equipmentById = new Map(equipment.map(item => [item._id.toString(), item]));
+  const values = new Map(equipment.map(item => [
+    item._id.toString(),
+    getEffectiveValue(item, rulesByCategory.get(item.category))
+  ]));
+
+  // Policy each item is on, and what it would pay out for the item today
+  // An item can be on more than one policy, e.g. the current term and its
+  // renewal; the one in force is the one that counts
+  const policyByItem = new Map();
+  policies.forEach(policy => policy.coveredItems.forEach(id => {
+    const key = id.toString();
+    const current = policyByItem.get(key);
+
+    if (equipmentById.has(key) && (!current || (current.status !== 'Active' && policy.status === 'Active'))) {
+      policyByItem.set(key, policy);
+    }
+  }));
+
+  const coverageByItem = new Map();
+  policies.forEach(policy => {
+    const covered = policy.coveredItems
+      .map(id => equipmentById.get(id.toString()))
+      .filter(Boolean);
+
+    allocateCoverage(covered, policy.coverageAmount, rulesByCategory).forEach((amount, id) => {
+      if (policyByItem.get(id) === policy) {
+        coverageByItem.set(id, amount);
+      }
+    });
+  });
+
+  // Gear booked for band events that have not finished yet
+  const eventsByItem = new Map();
+  bands.forEach(band => band.events
+    .filter(event => (event.endDate || event.startDate) >= now)
+    .forEach(event => event.equipment.forEach(id => {
+      const key = id.toString();
+      if (!equipmentById.has(key)) return;
+
+      const events = eventsByItem.get(key) || [];
+      events.push({ band: band.name, name: event.name, startDate: event.startDate, location: event.location });
+      eventsByItem.set(key, events);
+    })));
+
+  const uninsured = [];
+  const underInsured = [];
+  const expiring = new Map();
+  const mismatches = [];
+  const summary = {
+    totalItems: 0,
+    totalValue: 0,
+    insuredItems: 0,
+    insuredValue: 0,
+    coverageAmount: 0,
+    uninsuredItems: 0,
+    uninsuredValue: 0,
+    underInsuredItems: 0,
+    shortfall: 0,
+    expiringItems: 0,
+    mismatchedItems: 0
+  };
+
+  equipment.filter(item => item.isActive).forEach(item => {
+    const id = item._id.toString();
+    const value = values.get(id);
+    const policy = policyByItem.get(id);
+    const summaryItem = toItemSummary(item, value);
+
+    summary.totalItems += 1;
+    summary.totalValue += value || 0;
+
+    if (!policy || policy.status !== 'Active') {
+      uninsured.push({
+        item: summaryItem,
+        reason: policy ? UNINSURED_REASONS[policy.status] : 'No policy',
+        policy: policy ? toPolicySummary(policy) : null
+      });
+      summary.uninsuredItems += 1;
+      summary.uninsuredValue += value || 0;
+      return;
+    }
+
+    const coverageAmount = coverageByItem.get(id);
+    summary.insuredItems += 1;
+    summary.insuredValue += value || 0;
+    summary.coverageAmount += coverageAmount || 0;
+
+    if (value !== null && coverageAmount < value) {
+      const shortfall = roundAmount(value - coverageAmount);
+      underInsured.push({ item: summaryItem, policy: toPolicySummary(policy), coverageAmount, shortfall });
+      summary.underInsuredItems += 1;
+      summary.shortfall += shortfall;
+    }
+
+    if (policy.endDate <= until) {
+      const entry = expiring.get(policy._id.toString()) || { policy: toPolicySummary(policy), items: [] };
+      entry.items.push(summaryItem);
+      expiring.set(policy._id.toString(), entry);
+      summary.expiringItems += 1;
+    }
+
+    // Touring gear with no policy in force is already listed as uninsured
+    if (eventsByItem.has(id) && !TRAVEL_COVERAGE_TYPES.includes(policy.coverageType)) {
+      mismatches.push({
+        item: summaryItem,
+        policy: toPolicySummary(policy),
+        issue: 'NO_TRAVEL_COVERAGE',
+        message: `Booked for upcoming events but covered by a ${policy.coverageType} policy`,
+        events: eventsByItem.get(id)
+      });
+      summary.mismatchedItems += 1;
+    }
+  });
+
+  ['totalValue', 'insuredValue', 'coverageAmount', 'uninsuredValue', 'shortfall']
+    .forEach(key => { summary[key] = roundAmount(summary[key]); });
+
+  return {
+    days,
+    summary,
+    uninsured,
+    underInsured: underInsured.sort((a, b) => b.shortfall - a.shortfall),
+    expiring: [...expiring.values()].sort((a, b) => a.policy.endDate - b.policy.endDate),
+    mismatches
+  };
+};
+
+module.exports = {
+  TRAVEL_COVERAGE_TYPES,
+  assertOwnEquipment,
+  allocateCoverage,
+  applyCoverage,
+  releaseCoverage,
+  syncPolicyCoverage,
+  validateEquipmentCoverage,
+  syncEquipmentCoverage,
+  analyzeCoverage
+};
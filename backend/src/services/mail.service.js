@@ -0,0 +1,130 @@
+const { EmailLog } = require('../models');
+const { getTransport } = require('./mail');
+const { resolveLocale, renderTemplate } = require('./mail/templates');
+const { reminderEvents } = require('./reminder.service');
+const logger = require('../utils/logger');
+
+const PASSWORD_RESET_MINUTES = 60;
+
+/**
+ * Build a link into the web app
+ * @param {String} path - App path starting with a slash
+ * @returns {String} - Absolute URL
+ */
+const appUrl = (path) => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+/**
+ * Render a template in the user's language and send it to them
+ * Failures are logged and recorded rather than thrown, so a mail outage
+ * never breaks the request that triggered the email
+ * @param {Object} user - Recipient User document
+ * @param {String} template - Template name
+ * @param {Object} [data] - Template data
+ * @returns {Promise<Boolean>} - Whether the message was handed to the transport
+ */
+const sendTemplateEmail = async (user, template, data = {}) => {
+  const locale = resolveLocale(user.preferences && user.preferences.displayPreferences
+    && user.preferences.displayPreferences.language);
+  const entry = { userId: user._id, to: user.email, template, locale };
+
+  try {
+    const transport = getTransport();
+    const message = renderTemplate(template, locale, { firstName: user.firstName, ...data });
+    entry.subject = message.subject;
+    entry.transport = transport.name;
+
+    const { messageId } = await transport.send({
+      from: process.env.MAIL_FROM || 'Gear Tracker <no-reply@localhost>',
+      to: user.email,
+      ...message
+    });
+
+    await EmailLog.create({ ...entry, status: 'sent', messageId });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send ${template} email to ${user.email}:`, error);
+    await EmailLog.create({ ...entry, status: 'failed', error: error.message })
+      .catch(logError => logger.error('Failed to record email send:', logError));
+    return false;
+  }
+};
+
+/**
+ * Send the email address verification link
+ * @param {Object} user - User with a fresh emailVerificationToken
+ * @returns {Promise<Boolean>} - Whether the message was sent
+ */
+const sendVerificationEmail = (user) => sendTemplateEmail(user, 'verifyEmail', {
+  verifyUrl: appUrl(`/verify-email?token=${user.emailVerificationToken}`)
+});
+
+/**
+ * Send the password reset link
+ * @param {Object} user - User with a fresh passwordResetToken
+ * @returns {Promise<Boolean>} - Whether the message was sent
+ */
+const sendPasswordResetEmail = (user) => sendTemplateEmail(user, 'passwordReset', {
+  resetUrl: appUrl(`/reset-password?token=${user.passwordResetToken}`),
+  expiresInMinutes: PASSWORD_RESET_MINUTES
+});
+
+/**
+ * Tell a user their password changed, in case it was not them
+ * @param {Object} user - User whose password changed
+ * @returns {Promise<Boolean>} - Whether the message was sent
+ */
+const sendPasswordChangedEmail = (user) => sendTemplateEmail(user, 'passwordChanged', {
+  changedAt: new Date(),
+  forgotPasswordUrl: appUrl('/forgot-password')
+});
+
+/**
+ * Check whether a user accepts reminder emails
+ * @param {Object} user - User document
+ * @returns {Boolean} - Whether email notifications are on
+ */
+const wantsEmail = (user) => !(user.preferences && user.preferences.notificationPreferences
+  && user.preferences.notificationPreferences.emailNotifications === false);
+
+/**
+ * Email reminders from the background jobs to users who allow email
+ */
+const subscribeToReminders = () => {
+  reminderEvents.on('maintenance', ({ user, equipment, schedule, overdue }) => {
+    if (!wantsEmail(user)) {
+      return;
+    }
+
+    sendTemplateEmail(user, 'maintenanceReminder', {
+      equipmentName: equipment.name,
+      taskType: schedule.taskType,
+      dueDate: schedule.nextDue,
+      overdue,
+      equipmentUrl: appUrl(`/equipment/${equipment._id}`)
+    });
+  });
+
+  reminderEvents.on('insurance', ({ user, policy, daysRemaining }) => {
+    if (!wantsEmail(user)) {
+      return;
+    }
+
+    sendTemplateEmail(user, 'insuranceReminder', {
+      provider: policy.provider,
+      policyNumber: policy.policyNumber,
+      endDate: policy.endDate,
+      daysRemaining,
+      autoRenew: policy.autoRenew,
+      policyUrl: appUrl(`/insurance/${policy._id}`)
+    });
+  });
+};
+
+module.exports = {
+  PASSWORD_RESET_MINUTES,
+  sendTemplateEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  subscribeToReminders
+};
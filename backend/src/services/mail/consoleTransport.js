@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Console mail transport, the default outside production
+ * Logs the plain-text version of each message instead of sending it
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  /**
+   * Log a message
+   * @param {Object} message - Message with from, to, subject and text
+   * @returns {Promise<Object>} - Generated message id
+   */
+  async send({ to, subject, text }) {
+    const messageId = `<${crypto.randomUUID()}@console>`;
+    logger.info(`Email to ${to}: ${subject}\n${text}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * File mail transport for development and tests
+ * Writes each message as an .eml file that can be opened in a mail client
+ */
+class FileTransport {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+    // Builds the raw MIME message without delivering it
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  /**
+   * Write a message to the mail directory
+   * @param {Object} message - Message with from, to, subject, text and html
+   * @returns {Promise<Object>} - Message id and the file it was written to
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const filePath = path.join(this.dir, fileName);
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(filePath, info.message);
+
+    return { messageId: info.messageId, filePath };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,48 @@
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const ConsoleTransport = require('./consoleTransport');
+
+let transport;
+
+/**
+ * Create the mail transport selected by MAIL_TRANSPORT
+ * @returns {SmtpTransport|FileTransport|ConsoleTransport} - Mail transport
+ */
+const createTransport = () => {
+  const driver = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  switch (driver) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return new FileTransport({
+        dir: process.env.MAIL_DIR || 'mail'
+      });
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${driver}`);
+  }
+};
+
+/**
+ * Get the shared mail transport instance
+ * @returns {SmtpTransport|FileTransport|ConsoleTransport} - Mail transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+module.exports = {
+  getTransport
+};
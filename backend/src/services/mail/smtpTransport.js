@@ -0,0 +1,29 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ * Delivers messages through any SMTP relay (SES, Postmark, Mailgun, a local MTA...)
+ */
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message with from, to, subject, text and html
+   * @returns {Promise<Object>} - Message id assigned by the relay
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
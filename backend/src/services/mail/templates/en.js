@@ -0,0 +1,54 @@
+// English email copy; also the fallback for templates missing from other locales
+
+module.exports = {
+  greeting: (firstName) => (firstName ? `Hi ${firstName},` : 'Hi,'),
+  signoff: '— The Gear Tracker team',
+  templates: {
+    verifyEmail: ({ verifyUrl }) => ({
+      subject: 'Verify your email address',
+      paragraphs: ['Confirm your email address to finish setting up your Gear Tracker account.'],
+      action: { label: 'Verify email', url: verifyUrl },
+      footer: 'If you did not create an account, you can ignore this email.'
+    }),
+
+    passwordReset: ({ resetUrl, expiresInMinutes }) => ({
+      subject: 'Reset your password',
+      paragraphs: [
+        'We received a request to reset the password for your account.',
+        `The link expires in ${expiresInMinutes} minutes.`
+      ],
+      action: { label: 'Reset password', url: resetUrl },
+      footer: 'If you did not ask to reset your password, ignore this email and your password will stay the same.'
+    }),
+
+    passwordChanged: ({ changedAt, forgotPasswordUrl }, { formatDate }) => ({
+      subject: 'Your password was changed',
+      paragraphs: [`The password for your account was changed on ${formatDate(changedAt)}.`],
+      action: { label: 'Reset password', url: forgotPasswordUrl },
+      footer: 'If this was not you, reset your password straight away.'
+    }),
+
+    maintenanceReminder: ({ equipmentName, taskType, dueDate, overdue, equipmentUrl }, { formatDate }) => ({
+      subject: `${taskType} ${overdue ? 'overdue' : 'due'}: ${equipmentName}`,
+      paragraphs: [
+        overdue
+          ? `${taskType} for ${equipmentName} was due on ${formatDate(dueDate)}.`
+          : `${taskType} for ${equipmentName} is due on ${formatDate(dueDate)}.`
+      ],
+      action: { label: 'View equipment', url: equipmentUrl },
+      footer: 'You can turn off maintenance reminders in your settings.'
+    }),
+
+    insuranceReminder: ({ provider, policyNumber, endDate, daysRemaining, autoRenew, policyUrl }, { formatDate }) => ({
+      subject: `Your insurance policy expires in ${daysRemaining} days`,
+      paragraphs: [
+        `Your ${provider} policy${policyNumber ? ` ${policyNumber}` : ''} ends on ${formatDate(endDate)}.`,
+        autoRenew
+          ? 'The policy is set to renew automatically.'
+          : 'The policy does not renew automatically, so review your cover before it ends.'
+      ],
+      action: { label: 'View policy', url: policyUrl },
+      footer: 'You can turn off insurance reminders in your settings.'
+    })
+  }
+};
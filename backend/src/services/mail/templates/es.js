@@ -0,0 +1,54 @@
+// Spanish email copy
+
+module.exports = {
+  greeting: (firstName) => (firstName ? `Hola, ${firstName}:` : 'Hola:'),
+  signoff: '— El equipo de Gear Tracker',
+  templates: {
+    verifyEmail: ({ verifyUrl }) => ({
+      subject: 'Verifica tu dirección de correo electrónico',
+      paragraphs: ['Confirma tu dirección de correo electrónico para terminar de configurar tu cuenta de Gear Tracker.'],
+      action: { label: 'Verificar correo', url: verifyUrl },
+      footer: 'Si no creaste una cuenta, puedes ignorar este mensaje.'
+    }),
+
+    passwordReset: ({ resetUrl, expiresInMinutes }) => ({
+      subject: 'Restablece tu contraseña',
+      paragraphs: [
+        'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+        `El enlace caduca en ${expiresInMinutes} minutos.`
+      ],
+      action: { label: 'Restablecer contraseña', url: resetUrl },
+      footer: 'Si no solicitaste este cambio, ignora este mensaje y tu contraseña seguirá siendo la misma.'
+    }),
+
+    passwordChanged: ({ changedAt, forgotPasswordUrl }, { formatDate }) => ({
+      subject: 'Tu contraseña ha cambiado',
+      paragraphs: [`La contraseña de tu cuenta se cambió el ${formatDate(changedAt)}.`],
+      action: { label: 'Restablecer contraseña', url: forgotPasswordUrl },
+      footer: 'Si no fuiste tú, restablece tu contraseña de inmediato.'
+    }),
+
+    maintenanceReminder: ({ equipmentName, taskType, dueDate, overdue, equipmentUrl }, { formatDate }) => ({
+      subject: `Recordatorio de mantenimiento: ${equipmentName}`,
+      paragraphs: [
+        overdue
+          ? `La tarea «${taskType}» de ${equipmentName} venció el ${formatDate(dueDate)}.`
+          : `La tarea «${taskType}» de ${equipmentName} vence el ${formatDate(dueDate)}.`
+      ],
+      action: { label: 'Ver equipo', url: equipmentUrl },
+      footer: 'Puedes desactivar los recordatorios de mantenimiento en tu configuración.'
+    }),
+
+    insuranceReminder: ({ provider, policyNumber, endDate, daysRemaining, autoRenew, policyUrl }, { formatDate }) => ({
+      subject: `Tu póliza de seguro vence en ${daysRemaining} días`,
+      paragraphs: [
+        `Tu póliza de ${provider}${policyNumber ? ` ${policyNumber}` : ''} termina el ${formatDate(endDate)}.`,
+        autoRenew
+          ? 'La póliza está configurada para renovarse automáticamente.'
+          : 'La póliza no se renueva automáticamente, así que revisa tu cobertura antes de que termine.'
+      ],
+      action: { label: 'Ver póliza', url: policyUrl },
+      footer: 'Puedes desactivar los recordatorios del seguro en tu configuración.'
+    })
+  }
+};
@@ -0,0 +1,51 @@
+const en = require('./en');
+const es = require('./es');
+const { renderText, renderHtml } = require('./layout');
+
+const LOCALES = { en, es };
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Pick a supported locale for a language preference, e.g. "es-MX" -> "es"
+ * @param {String} [language] - Preferred language
+ * @returns {String} - Supported locale
+ */
+const resolveLocale = (language) => {
+  const base = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[base] ? base : DEFAULT_LOCALE;
+};
+
+/**
+ * Render an email template
+ * @param {String} name - Template name, e.g. "passwordReset"
+ * @param {String} locale - Locale from resolveLocale
+ * @param {Object} data - Template data; firstName is used for the greeting
+ * @returns {Object} - Subject, plain text and HTML
+ */
+const renderTemplate = (name, locale, data) => {
+  const catalog = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const template = catalog.templates[name] || LOCALES[DEFAULT_LOCALE].templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' });
+  const content = {
+    greeting: catalog.greeting(data.firstName),
+    signoff: catalog.signoff,
+    ...template(data, { formatDate: date => dateFormat.format(new Date(date)) })
+  };
+
+  return {
+    subject: content.subject,
+    text: renderText(content),
+    html: renderHtml(content, locale)
+  };
+};
+
+module.exports = {
+  LOCALES,
+  resolveLocale,
+  renderTemplate
+};
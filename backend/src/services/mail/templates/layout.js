@@ -0,0 +1,69 @@
+// Shared HTML and plain-text layout for transactional emails
+
+const PRODUCT_NAME = 'Gear Tracker';
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {String} value - Raw text
+ * @returns {String} - Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render the plain-text part of an email
+ * @param {Object} content - Rendered template content
+ * @param {String} content.greeting - Opening line
+ * @param {Array<String>} content.paragraphs - Body paragraphs
+ * @param {Object} [content.action] - Call to action with label and url
+ * @param {String} [content.footer] - Small print below the action
+ * @param {String} content.signoff - Closing line
+ * @returns {String} - Plain text
+ */
+const renderText = ({ greeting, paragraphs, action, footer, signoff }) => [
+  greeting,
+  ...paragraphs,
+  action && `${action.label}: ${action.url}`,
+  footer,
+  signoff
+].filter(Boolean).join('\n\n') + '\n';
+
+/**
+ * Render the HTML part of an email
+ * Styles are inline because most mail clients strip style blocks
+ * @param {Object} content - Rendered template content, see renderText
+ * @param {String} locale - Language of the content
+ * @returns {String} - HTML document
+ */
+const renderHtml = ({ subject, greeting, paragraphs, action, footer, signoff }, locale) => `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Helvetica,Arial,sans-serif;color:#18181b;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:32px;">
+<p style="margin:0 0 24px;font-size:14px;font-weight:bold;color:#71717a;">${PRODUCT_NAME}</p>
+<p style="margin:0 0 16px;font-size:16px;">${escapeHtml(greeting)}</p>
+${paragraphs.map(paragraph => `<p style="margin:0 0 16px;font-size:16px;line-height:1.5;">${escapeHtml(paragraph)}</p>`).join('\n')}
+${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;background:#18181b;color:#ffffff;text-decoration:none;border-radius:6px;font-size:16px;">${escapeHtml(action.label)}</a></p>
+<p style="margin:0 0 16px;font-size:12px;color:#71717a;word-break:break-all;">${escapeHtml(action.url)}</p>` : ''}
+${footer ? `<p style="margin:24px 0 16px;font-size:13px;color:#71717a;">${escapeHtml(footer)}</p>` : ''}
+<p style="margin:0;font-size:16px;">${escapeHtml(signoff)}</p>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+
+module.exports = {
+  escapeHtml,
+  renderText,
+  renderHtml
+};
@@ -0,0 +1,79 @@
+const { Notification } = require('../models');
+const { reminderEvents } = require('./reminder.service');
+const logger = require('../utils/logger');
+
+/**
+ * Create an in-app notification
+ * Other modules call this rather than writing Notification documents directly
+ * @param {String} userId - Recipient
+ * @param {Object} notification - Notification details
+ * @param {String} notification.type - One of Notification.TYPES
+ * @param {String} notification.title - Short headline
+ * @param {String} [notification.body] - Longer text
+ * @param {String} [notification.equipmentId] - Related equipment
+ * @param {String} [notification.policyId] - Related insurance policy
+ * @param {String} [notification.bandId] - Related band
+ * @returns {Promise<Object>} - Created notification
+ */
+const createNotification = (userId, { type, title, body, equipmentId, policyId, bandId }) => {
+  return Notification.create({
+    userId,
+    type,
+    title,
+    body,
+    equipmentId,
+    policyId,
+    bandId
+  });
+};
+
+/**
+ * Create the same notification for several users, e.g. every band member
+ * @param {Array<String>} userIds - Recipients
+ * @param {Object} notification - Notification details, see createNotification
+ * @returns {Promise<Array<Object>>} - Created notifications
+ */
+const createNotifications = (userIds, notification) => {
+  return Notification.insertMany(
+    userIds.map(userId => ({ ...notification, userId }))
+  );
+};
+
+/**
+ * Get the number of unread notifications for a user
+ * @param {String} userId - Recipient
+ * @returns {Promise<Number>} - Unread count
+ */
+const getUnreadCount = (userId) => Notification.countDocuments({ userId, readAt: null });
+
+/**
+ * Turn reminders from the background jobs into notifications
+ */
+const subscribeToReminders = () => {
+  reminderEvents.on('maintenance', ({ user, equipment, schedule, overdue }) => {
+    const dueDate = schedule.nextDue.toISOString().slice(0, 10);
+
+    createNotification(user._id, {
+      type: 'maintenance_due',
+      title: `${schedule.taskType} ${overdue ? 'overdue' : 'due'}: ${equipment.name}`,
+      body: `${schedule.taskType} for ${equipment.name} ${overdue ? 'was' : 'is'} due on ${dueDate}.`,
+      equipmentId: equipment._id
+    }).catch(error => logger.error('Failed to create maintenance notification:', error));
+  });
+
+  reminderEvents.on('insurance', ({ user, policy, daysRemaining }) => {
+    createNotification(user._id, {
+      type: 'insurance_expiring',
+      title: `Insurance policy expires in ${daysRemaining} days`,
+      body: `Your ${policy.provider} policy${policy.policyNumber ? ` ${policy.policyNumber}` : ''} ends on ${policy.endDate.toISOString().slice(0, 10)}.`,
+      policyId: policy._id
+    }).catch(error => logger.error('Failed to create insurance notification:', error));
+  });
+};
+
+module.exports = {
+  createNotification,
+  createNotifications,
+  getUnreadCount,
+  subscribeToReminders
+};
@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const { Equipment, InsurancePolicy, User } = require('../models');
+const logger = require('../utils/logger');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead of nextDue a maintenance reminder goes out
+const MAINTENANCE_REMINDER_DAYS = parseInt(process.env.MAINTENANCE_REMINDER_DAYS) || 7;
+
+// Matches InsurancePolicy#isExpiringSoon
+const INSURANCE_REMINDER_DAYS = 30;
+
+/**
+ * Reminders are emitted here for delivery channels to pick up
+ * Events: 'maintenance' ({ user, equipment, schedule, overdue }),
+ *         'insurance' ({ user, policy, daysRemaining })
+ */
+const reminderEvents = new EventEmitter();
+
+/**
+ * Load the users that want a kind of reminder
+ * @param {Array} userIds - Candidate user ids
+ * @param {String} preference - Key in preferences.notificationPreferences
+ * @returns {Promise<Map>} - Users keyed by id
+ */
+const getOptedInUsers = async (userIds, preference) => {
+  const users = await User.find({
+    _id: { $in: userIds },
+    isActive: true,
+    // Missing preferences default to on
+    [`preferences.notificationPreferences.${preference}`]: { $ne: false }
+  });
+
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+/**
+ * Emit reminders for maintenance coming due, once per due date
+ * @returns {Promise<Number>} - Number of reminders emitted
+ */
+const sendMaintenanceReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + MAINTENANCE_REMINDER_DAYS * MS_PER_DAY);
+
+  const equipment = await Equipment.find({
+    isActive: true,
+    maintenanceSchedule: { $elemMatch: { nextDue: { $lte: horizon } } }
+  }).select('userId name maintenanceSchedule');
+
+  const users = await getOptedInUsers(
+    [...new Set(equipment.map(item => item.userId.toString()))],
+    'maintenanceReminders'
+  );
+
+  let sent = 0;
+
+  for (const item of equipment) {
+    const user = users.get(item.userId.toString());
+    if (!user) continue;
+
+    for (const schedule of item.maintenanceSchedule) {
+      if (!schedule.nextDue || schedule.nextDue > horizon) continue;
+
+      // Claim the reminder first so concurrent runs cannot both send it;
+      // a rolled-forward nextDue no longer matches and gets its own reminder
+      const { modifiedCount } = await Equipment.updateOne(
+        {
+          _id: item._id,
+          maintenanceSchedule: {
+            $elemMatch: {
+              _id: schedule._id,
+              nextDue: schedule.nextDue,
+              reminderSentFor: { $ne: schedule.nextDue }
+            }
+          }
+        },
+        { $set: { 'maintenanceSchedule.$.reminderSentFor': schedule.nextDue } }
+      );
+
+      if (modifiedCount === 0) continue;
+
+      reminderEvents.emit('maintenance', {
+        user,
+        equipment: item,
+        schedule,
+        overdue: schedule.nextDue <= now
+      });
+      sent++;
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`Sent ${sent} maintenance reminders`);
+  }
+
+  return sent;
+};
+
+/**
+ * Emit reminders for insurance policies expiring soon, once per end date
+ * @returns {Promise<Number>} - Number of reminders emitted
+ */
+const sendInsuranceReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + INSURANCE_REMINDER_DAYS * MS_PER_DAY);
+
+  const policies = await InsurancePolicy.find({
+    isActive: true,
+    reminderSent: { $ne: true },
+    successorId: null, // Renewed policies remind for the new term instead
+    endDate: { $gt: now, $lte: horizon }
+  });
+
+  const users = await getOptedInUsers(
+    [...new Set(policies.map(policy => policy.userId.toString()))],
+    'insuranceReminders'
+  );
+
+  let sent = 0;
+
+  for (const policy of policies) {
+    const user = users.get(policy.userId.toString());
+    if (!user || !policy.isExpiringSoon()) continue;
+
+    // reminderSent is reset when the end date changes
+    const { modifiedCount } = await InsurancePolicy.updateOne(
+      { _id: policy._id, reminderSent: { $ne: true } },
+      { $set: { reminderSent: true } }
+    );
+
+    if (modifiedCount === 0) continue;
+
+    reminderEvents.emit('insurance', {
+      user,
+      policy,
+      daysRemaining: policy.daysRemaining
+    });
+    sent++;
+  }
+
+  if (sent > 0) {
+    logger.info(`Sent ${sent} insurance expiry reminders`);
+  }
+
+  return sent;
+};
+
+module.exports = {
+  MAINTENANCE_REMINDER_DAYS,
+  reminderEvents,
+  sendMaintenanceReminders,
+  sendInsuranceReminders
+};
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { Equipment, InsurancePolicy } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const { applyCoverage } = require('./insurance.service');
+const logger = require('../utils/logger');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead of the end date auto-renewing policies are renewed
+const AUTO_RENEW_DAYS = parseInt(process.env.AUTO_RENEW_DAYS) || 7;
+
+// How long after the end date auto-renewing policies are still renewed, e.g.
+// when the job was down; older policies are left for the owner to renew
+const AUTO_RENEW_GRACE_DAYS = parseInt(process.env.AUTO_RENEW_GRACE_DAYS) || 7;
+
+// Policy terms that carry over to the successor unless replaced
+const RENEWED_FIELDS = [
+  'provider',
+  'policyNumber',
+  'coverageType',
+  'coverageDetails',
+  'coverageAmount',
+  'premium',
+  'deductible',
+  'autoRenew'
+];
+
+/**
+ * Work out the term following a policy's current one
+ * Terms of whole months (e.g. a year) stay aligned to the calendar; other
+ * terms are repeated at the same length
+ * @param {Object} policy - InsurancePolicy document
+ * @returns {Object} - { startDate, endDate }
+ */
+const getNextTerm = (policy) => {
+  const start = new Date(policy.startDate);
+  const end = new Date(policy.endDate);
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+
+  const nextEnd = new Date(end);
+  if (months > 0 && start.getUTCDate() === end.getUTCDate()) {
+    nextEnd.setUTCMonth(nextEnd.getUTCMonth() + months);
+  } else {
+    nextEnd.setTime(end.getTime() + (end - start));
+  }
+
+  return { startDate: end, endDate: nextEnd };
+};
+
+/**
+ * Renew a policy for its next term
+ * The successor starts with a fresh expiry reminder and covers the same
+ * items; they stay on this policy until the new term starts
+ * @param {Object} policy - InsurancePolicy document to renew
+ * @param {Object} [changes] - Terms that differ for the new term, e.g. premium
+ * @returns {Promise<Object>} - Successor policy
+ */
+const renewPolicy = async (policy, changes = {}) => {
+  if (policy.successorId) {
+    throw ApiError.conflict('Policy has already been renewed', 'ALREADY_RENEWED');
+  }
+
+  if (!policy.isActive) {
+    throw ApiError.badRequest('Inactive policies cannot be renewed', 'POLICY_INACTIVE');
+  }
+
+  const term = getNextTerm(policy);
+  const successorId = new mongoose.Types.ObjectId();
+
+  // Claim the renewal before creating the successor so that a renewal
+  // running at the same time (e.g. the job and the owner) cannot add another
+  const claimed = await InsurancePolicy.findOneAndUpdate(
+    { _id: policy._id, successorId: null },
+    { $set: { successorId, renewalDeclined: false } }
+  );
+
+  if (!claimed) {
+    throw ApiError.conflict('Policy has already been renewed', 'ALREADY_RENEWED');
+  }
+
+  let successor;
+  try {
+    successor = await InsurancePolicy.create({
+      ...Object.fromEntries(RENEWED_FIELDS.map(field => [field, policy[field]])),
+      ...changes,
+      _id: successorId,
+      startDate: changes.startDate || term.startDate,
+      endDate: changes.endDate || term.endDate,
+      coveredItems: policy.coveredItems,
+      predecessorId: policy._id,
+      userId: policy.userId
+    });
+  } catch (error) {
+    await InsurancePolicy.updateOne({ _id: policy._id, successorId }, { $unset: { successorId: 1 } });
+    throw error;
+  }
+
+  policy.successorId = successorId;
+  policy.renewalDeclined = false;
+
+  // A late renewal is already in force
+  if (successor.startDate <= new Date()) {
+    await applyCoverage(successor);
+  }
+
+  return successor;
+};
+
+/**
+ * Find policies whose owner still has to decide whether to renew them
+ * Covers policies ending within the window and those that ended within it
+ * without being renewed
+ * @param {String} userId - Owner of the policies
+ * @param {Number} [days=30] - Window around today, in days
+ * @returns {Promise<Array<Object>>} - Policies, soonest ending first
+ */
+const getPoliciesNeedingRenewal = (userId, days = 30) => {
+  const now = Date.now();
+
+  return InsurancePolicy.find({
+    userId,
+    isActive: true,
+    autoRenew: { $ne: true },
+    renewalDeclined: { $ne: true },
+    successorId: null,
+    endDate: {
+      $gte: new Date(now - days * MS_PER_DAY),
+      $lte: new Date(now + days * MS_PER_DAY)
+    }
+  })
+    .populate('coveredItems', 'name type make model')
+    .sort('endDate');
+};
+
+/**
+ * Renew auto-renewing policies that are about to end, and hand coverage over
+ * to renewals whose term has started
+ * @returns {Promise<Number>} - Number of policies renewed
+ */
+const processRenewals = async () => {
+  const now = new Date();
+
+  const due = await InsurancePolicy.find({
+    isActive: true,
+    autoRenew: true,
+    renewalDeclined: { $ne: true },
+    successorId: null,
+    endDate: {
+      $gte: new Date(now.getTime() - AUTO_RENEW_GRACE_DAYS * MS_PER_DAY),
+      $lte: new Date(now.getTime() + AUTO_RENEW_DAYS * MS_PER_DAY)
+    }
+  });
+
+  let renewed = 0;
+
+  for (const policy of due) {
+    try {
+      await renewPolicy(policy);
+      renewed++;
+    } catch (error) {
+      logger.error(`Failed to renew insurance policy ${policy._id}:`, error);
+    }
+  }
+
+  const started = await InsurancePolicy.find({
+    isActive: true,
+    predecessorId: { $ne: null },
+    startDate: { $lte: now },
+    endDate: { $gt: now }
+  });
+
+  // Items are still on the previous term, or on no policy when the previous
+  // term was deleted after the renewal
+  for (const policy of started) {
+    const pending = await Equipment.exists({
+      _id: { $in: policy.coveredItems },
+      'insuranceInfo.policyId': { $in: [policy.predecessorId, null] }
+    });
+
+    if (pending) {
+      await applyCoverage(policy);
+    }
+  }
+
+  if (renewed > 0) {
+    logger.info(`Renewed ${renewed} insurance policies`);
+  }
+
+  return renewed;
+};
+
+module.exports = {
+  AUTO_RENEW_DAYS,
+  AUTO_RENEW_GRACE_DAYS,
+  getNextTerm,
+  renewPolicy,
+  getPoliciesNeedingRenewal,
+  processRenewals
+};
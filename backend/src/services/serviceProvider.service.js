@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { Equipment, ServiceProvider } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the provider of a maintenance record
+ * An explicit providerId must belong to the user; a free-text name is linked to
+ * an existing provider whose name matches once normalized
+ * @param {String} userId - Owner of the providers
+ * @param {Object} record - Request fields
+ * @param {String} [record.providerId] - ServiceProvider id
+ * @param {String} [record.provider] - Free-text provider name
+ * @returns {Promise<Object>} - { providerId, provider } for the maintenance record
+ */
+const resolveProvider = async (userId, { providerId, provider } = {}) => {
+  if (providerId) {
+    const serviceProvider = await ServiceProvider.findOne({ _id: providerId, userId });
+    if (!serviceProvider) {
+      throw ApiError.badRequest('Service provider not found', 'INVALID_PROVIDER');
+    }
+    return { providerId: serviceProvider._id, provider: serviceProvider.name };
+  }
+
+  if (provider) {
+    const serviceProvider = await ServiceProvider.findOne({
+      userId,
+      normalizedName: ServiceProvider.normalizeName(provider)
+    });
+    if (serviceProvider) {
+      return { providerId: serviceProvider._id, provider: serviceProvider.name };
+    }
+  }
+
+  return { providerId: undefined, provider };
+};
+
+/**
+ * Link existing maintenance records to a provider by normalized name
+ * Used when a provider is created so earlier free-text history is counted
+ * @param {Object} serviceProvider - ServiceProvider document
+ * @returns {Promise<Number>} - Number of linked records
+ */
+const linkMaintenanceHistory = async (serviceProvider) => {
+  // An aggregate rather than find, so trashed items are linked too
+  const records = await Equipment.aggregate([
+    { $match: { userId: serviceProvider.userId } },
+    { $unwind: '$maintenanceHistory' },
+    { $match: { 'maintenanceHistory.provider': { $nin: [null, ''] }, 'maintenanceHistory.providerId': null } },
+    { $project: { recordId: '$maintenanceHistory._id', provider: '$maintenanceHistory.provider' } }
+  ]);
+
+  const operations = records
+    .filter(record => ServiceProvider.normalizeName(record.provider) === serviceProvider.normalizedName)
+    .map(record => ({
+      updateOne: {
+        filter: { _id: record._id, 'maintenanceHistory._id': record.recordId },
+        update: { $set: { 'maintenanceHistory.$.providerId': serviceProvider._id } }
+      }
+    }));
+
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  // Written directly: linking is bookkeeping, not a user edit for change history
+  await Equipment.bulkWrite(operations);
+  return operations.length;
+};
+
+/**
+ * Remove a deleted provider from maintenance records, keeping the name text
+ * @param {Object} serviceProvider - ServiceProvider document
+ * @returns {Promise<void>}
+ */
+const unlinkMaintenanceHistory = async (serviceProvider) => {
+  await Equipment.updateMany(
+    { userId: serviceProvider.userId, 'maintenanceHistory.providerId': serviceProvider._id },
+    { $unset: { 'maintenanceHistory.$[record].providerId': '' } },
+    { arrayFilters: [{ 'record.providerId': serviceProvider._id }] }
+  );
+};
+
+/**
+ * Get job statistics per provider from maintenance history
+ * Trashed equipment is included since its maintenance spend was still incurred
+ * @param {String} userId - Owner of the equipment
+ * @param {String} [providerId] - Limit the stats to one provider
+ * @returns {Promise<Map>} - Stats keyed by provider id
+ */
+const getProviderStats = async (userId, providerId) => {
+  // Aggregates do not cast, so ids are converted here
+  const recordMatch = providerId
+    ? { 'maintenanceHistory.providerId': new mongoose.Types.ObjectId(providerId) }
+    : { 'maintenanceHistory.providerId': { $ne: null } };
+
+  const results = await Equipment.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), ...recordMatch } },
+    { $unwind: '$maintenanceHistory' },
+    { $match: recordMatch },
+    {
+      $group: {
+        _id: '$maintenanceHistory.providerId',
+        jobs: { $sum: 1 },
+        totalSpend: { $sum: { $ifNull: ['$maintenanceHistory.cost', 0] } },
+        turnaroundMs: {
+          $avg: {
+            $cond: [
+              { $and: ['$maintenanceHistory.dropOffDate', '$maintenanceHistory.pickupDate'] },
+              { $subtract: ['$maintenanceHistory.pickupDate', '$maintenanceHistory.dropOffDate'] },
+              null
+            ]
+          }
+        },
+        equipment: { $addToSet: '$_id' },
+        lastJob: { $max: '$maintenanceHistory.date' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), {
+    jobs: result.jobs,
+    totalSpend: result.totalSpend,
+    averageCost: result.jobs > 0 ? Math.round(result.totalSpend / result.jobs * 100) / 100 : 0,
+    averageTurnaroundDays: result.turnaroundMs === null
+      ? null
+      : Math.round(result.turnaroundMs / MS_PER_DAY * 10) / 10,
+    equipmentCount: result.equipment.length,
+    lastJob: result.lastJob
+  }]));
+};
+
+/**
+ * Empty stats for a provider without any jobs
+ * @returns {Object} - Zeroed stats
+ */
+const emptyStats = () => ({
+  jobs: 0,
+  totalSpend: 0,
+  averageCost: 0,
+  averageTurnaroundDays: null,
+  equipmentCount: 0,
+  lastJob: null
+});
+
+module.exports = {
+  resolveProvider,
+  linkMaintenanceHistory,
+  unlinkMaintenanceHistory,
+  getProviderStats,
+  emptyStats
+};
@@ -0,0 +1,46 @@
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+let storage;
+
+/**
+ * Create the storage driver selected by STORAGE_DRIVER
+ * @returns {LocalStorage|S3Storage} - Storage driver
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return new LocalStorage({
+        rootDir: process.env.LOCAL_STORAGE_DIR || 'uploads',
+        baseUrl: process.env.LOCAL_STORAGE_URL || '/uploads'
+      });
+    case 's3':
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+/**
+ * Get the shared storage driver instance
+ * @returns {LocalStorage|S3Storage} - Storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
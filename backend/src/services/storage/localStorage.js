@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage driver
+ * Stores files under a root directory and serves them from a public base URL
+ */
+class LocalStorage {
+  constructor({ rootDir, baseUrl }) {
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the root directory
+   * @param {String} key - Storage key
+   * @returns {String} - Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    // Never allow keys to escape the storage root
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Get the public URL for a storage key
+   * @param {String} key - Storage key
+   * @returns {String} - Public URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Store a file
+   * @param {String} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object>} - Stored file key and URL
+   */
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key, url: this.getUrl(key) };
+  }
+
+  /**
+   * Open a read stream for a stored file
+   * @param {String} key - Storage key
+   * @returns {ReadableStream} - File contents
+   */
+  getStream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  /**
+   * Remove a file, ignoring files that no longer exist
+   * @param {String} key - Storage key
+   */
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalStorage;
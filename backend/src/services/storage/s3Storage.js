@@ -0,0 +1,80 @@
+const AWS = require('aws-sdk');
+
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 as well as MinIO and other S3-compatible services
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) {
+    this.bucket = bucket;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+
+    this.client = new AWS.S3({
+      region,
+      accessKeyId,
+      secretAccessKey,
+      // A custom endpoint means MinIO or similar, which needs path-style URLs
+      ...(endpoint && { endpoint, s3ForcePathStyle: true }),
+      signatureVersion: 'v4'
+    });
+  }
+
+  /**
+   * Get the public URL for a storage key
+   * @param {String} key - Storage key
+   * @returns {String} - Public URL
+   */
+  getUrl(key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${key}`;
+    }
+
+    const endpoint = this.client.endpoint;
+    return this.client.config.s3ForcePathStyle
+      ? `${endpoint.protocol}//${endpoint.host}/${this.bucket}/${key}`
+      : `${endpoint.protocol}//${this.bucket}.${endpoint.host}/${key}`;
+  }
+
+  /**
+   * Store a file
+   * @param {String} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {String} contentType - MIME type of the file
+   * @returns {Promise<Object>} - Stored file key and URL
+   */
+  async put(key, buffer, contentType) {
+    await this.client.putObject({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }).promise();
+
+    return { key, url: this.getUrl(key) };
+  }
+
+  /**
+   * Open a read stream for a stored file
+   * @param {String} key - Storage key
+   * @returns {ReadableStream} - File contents
+   */
+  getStream(key) {
+    return this.client.getObject({
+      Bucket: this.bucket,
+      Key: key
+    }).createReadStream();
+  }
+
+  /**
+   * Remove a file
+   * @param {String} key - Storage key
+   */
+  async remove(key) {
+    await this.client.deleteObject({
+      Bucket: this.bucket,
+      Key: key
+    }).promise();
+  }
+}
+
+module.exports = S3Storage;
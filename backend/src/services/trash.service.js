@@ -0,0 +1,93 @@
+const { Equipment, EquipmentHistory, InsurancePolicy, Band, Consumable, WorkOrder } = require('../models');
+const { removeEquipmentImage } = require('./image.service');
+const { removeEquipmentDocument } = require('./document.service');
+const logger = require('../utils/logger');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Get the date after which a trashed item is purged
+ * @param {Date} deletedAt - When the item was moved to the trash
+ * @returns {Date} - Purge date
+ */
+const getPurgeDate = (deletedAt) => {
+  const purgeDate = new Date(deletedAt);
+  purgeDate.setDate(purgeDate.getDate() + TRASH_RETENTION_DAYS);
+  return purgeDate;
+};
+
+/**
+ * Permanently delete equipment along with stored files and references to it
+ * @param {Array<Object>} equipment - Equipment documents to delete
+ * @returns {Promise<Number>} - Number of deleted items
+ */
+const purgeEquipment = async (equipment) => {
+  if (equipment.length === 0) {
+    return 0;
+  }
+
+  const ids = equipment.map(item => item._id);
+
+  // Remove references before the items themselves
+  await InsurancePolicy.updateMany(
+    { coveredItems: { $in: ids } },
+    { $pull: { coveredItems: { $in: ids } } }
+  );
+  await Band.updateMany(
+    { $or: [{ sharedEquipment: { $in: ids } }, { 'events.equipment': { $in: ids } }] },
+    { $pull: { sharedEquipment: { $in: ids }, 'events.$[].equipment': { $in: ids } } }
+  );
+  await Consumable.updateMany(
+    { compatibleEquipment: { $in: ids } },
+    { $pull: { compatibleEquipment: { $in: ids } } }
+  );
+  await WorkOrder.deleteMany({ equipmentId: { $in: ids } });
+
+  const { deletedCount } = await Equipment.deleteMany({ _id: { $in: ids } });
+
+  // History outlives the item so its provenance is kept
+  await EquipmentHistory.insertMany(equipment.map(item => ({
+    equipmentId: item._id,
+    userId: item.userId,
+    action: 'purge'
+  })));
+
+  // Stored files are removed last; leftovers are logged rather than retried
+  const removals = equipment.flatMap(item => [
+    ...item.images.map(image => removeEquipmentImage(image)),
+    ...item.documents.map(document => removeEquipmentDocument(document))
+  ]);
+  const results = await Promise.allSettled(removals);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error('Failed to remove stored equipment file:', result.reason));
+
+  return deletedCount;
+};
+
+/**
+ * Permanently delete equipment that has been in the trash past the retention period
+ * @returns {Promise<Number>} - Number of purged items
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - TRASH_RETENTION_DAYS);
+
+  const expired = await Equipment.find({ deletedAt: { $lte: cutoff } })
+    .select('userId images documents');
+
+  const purged = await purgeEquipment(expired);
+
+  if (purged > 0) {
+    logger.info(`Purged ${purged} equipment items from the trash`);
+  }
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeEquipment,
+  purgeExpiredTrash
+};
@@ -0,0 +1,51 @@
+const {
+  User,
+  Equipment,
+  EquipmentHistory,
+  InsurancePolicy,
+  Band,
+  DepreciationRule,
+  Consumable,
+  ServiceProvider,
+  WorkOrder,
+  Notification
+} = require('../models');
+const { purgeEquipment } = require('./trash.service');
+const logger = require('../utils/logger');
+
+/**
+ * Permanently delete a user and everything they own
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const deleteUserAccount = async (user) => {
+  const userId = user._id;
+
+  // Equipment goes through the trash purge so stored files and references are removed
+  const [equipment, trashed] = await Promise.all([
+    Equipment.find({ userId }).select('userId images documents'),
+    Equipment.find({ userId, deletedAt: { $ne: null } }).select('userId images documents')
+  ]);
+  await purgeEquipment([...equipment, ...trashed]);
+
+  // Policies and their claims can go in bulk: the under-claim flags they
+  // set lived on the equipment purged above
+  await Promise.all([
+    EquipmentHistory.deleteMany({ userId }),
+    InsurancePolicy.deleteMany({ userId }),
+    DepreciationRule.deleteMany({ userId }),
+    Consumable.deleteMany({ userId }),
+    ServiceProvider.deleteMany({ userId }),
+    WorkOrder.deleteMany({ userId }),
+    Notification.deleteMany({ userId }),
+    Band.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } })
+  ]);
+
+  await User.deleteOne({ _id: userId });
+
+  logger.info(`Deleted account ${userId} with ${equipment.length + trashed.length} equipment items`);
+};
+
+module.exports = {
+  deleteUserAccount
+};
@@ -0,0 +1,170 @@
+const { Equipment, ServiceProvider, WorkOrder } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Forward order of statuses; Cancelled can be reached from any open status
+const STATUS_FLOW = ['Quoted', 'Dropped Off', 'In Progress', 'Ready', 'Picked Up'];
+
+// Date field stamped the first time an order reaches a status
+const STATUS_DATE_FIELDS = {
+  'Quoted': 'quoteDate',
+  'Dropped Off': 'dropOffDate',
+  'Ready': 'readyDate',
+  'Picked Up': 'pickupDate'
+};
+
+/**
+ * Check that a work order may move to a status
+ * @param {Object} order - WorkOrder document
+ * @param {String} status - Requested status
+ */
+const assertTransition = (order, status) => {
+  if (order.isClosed) {
+    throw ApiError.conflict(`Work order is already ${order.status.toLowerCase()}`, 'WORK_ORDER_CLOSED');
+  }
+
+  if (status !== 'Cancelled' && STATUS_FLOW.indexOf(status) <= STATUS_FLOW.indexOf(order.status)) {
+    throw ApiError.badRequest(
+      `Cannot move a work order from ${order.status} to ${status}`,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+};
+
+/**
+ * Move a work order to a new status and update the equipment to match
+ * Dropping an item off marks it unavailable and moves its location to the
+ * provider; picking it up restores both and adds a maintenance record
+ * @param {Object} order - WorkOrder document
+ * @param {String} status - New status
+ * @param {Object} options - Status change details
+ * @param {Date} [options.date] - When the change happened (defaults to now)
+ * @param {String} [options.notes] - Notes for the status history
+ * @param {Number} [options.actualCost] - Final cost, usually given on pickup
+ * @param {String} actor - User making the change, for equipment history
+ * @returns {Promise<Object>} - Updated order and equipment
+ */
+const changeStatus = async (order, status, { date, notes, actualCost } = {}, actor) => {
+  const changedAt = date ? new Date(date) : new Date();
+
+  // New orders are created straight into their first status
+  if (!order.isNew) {
+    assertTransition(order, status);
+  }
+
+  const equipment = await Equipment.findOne({ _id: order.equipmentId, userId: order.userId });
+  if (!equipment) {
+    throw ApiError.notFound('Equipment not found');
+  }
+
+  const wasOutForService = !order.isNew && order.isOutForService;
+
+  order.status = status;
+  order.statusHistory.push({ status, date: changedAt, notes });
+
+  const dateField = STATUS_DATE_FIELDS[status];
+  if (dateField && !order[dateField]) {
+    order[dateField] = changedAt;
+  }
+
+  // Skipping straight to work in progress means the item was dropped off now
+  if (order.isOutForService && !order.dropOffDate) {
+    order.dropOffDate = changedAt;
+  }
+
+  if (actualCost !== undefined) {
+    order.actualCost = actualCost;
+  }
+
+  let claimed = false;
+
+  if (!wasOutForService && order.isOutForService) {
+    // Claimed with a conditional write so that two drop-offs at the same time
+    // cannot both take the item
+    claimed = await Equipment.findOneAndUpdate(
+      { _id: equipment._id, userId: order.userId, activeWorkOrder: { $in: [null, order._id] } },
+      { $set: { activeWorkOrder: order._id } }
+    );
+
+    if (!claimed) {
+      throw ApiError.conflict(
+        'Equipment is already out for service on another work order',
+        'EQUIPMENT_UNAVAILABLE'
+      );
+    }
+
+    const provider = await ServiceProvider.findOne({ _id: order.providerId, userId: order.userId });
+
+    order.previousLocation = equipment.location;
+    equipment.location = provider ? `At ${provider.name}` : 'Out for service';
+    equipment.availability = 'At Service';
+    equipment.activeWorkOrder = order._id;
+  }
+
+  if (wasOutForService && order.isClosed) {
+    equipment.location = order.previousLocation;
+    equipment.availability = 'Available';
+    equipment.activeWorkOrder = undefined;
+  }
+
+  if (status === 'Picked Up') {
+    const provider = await ServiceProvider.findOne({ _id: order.providerId, userId: order.userId });
+
+    equipment.maintenanceHistory.push({
+      date: order.pickupDate,
+      service: order.service,
+      provider: provider ? provider.name : undefined,
+      providerId: order.providerId,
+      dropOffDate: order.dropOffDate,
+      pickupDate: order.pickupDate,
+      cost: order.actualCost,
+      notes: order.notes || order.description,
+      workOrderId: order._id
+    });
+    order.maintenanceRecordId = equipment.maintenanceHistory[equipment.maintenanceHistory.length - 1]._id;
+  }
+
+  // Validate both before writing either, so a bad order cannot strand the item
+  try {
+    await order.validate();
+    equipment.$locals.actor = actor;
+    await equipment.save();
+  } catch (error) {
+    if (claimed) {
+      await Equipment.updateOne(
+        { _id: equipment._id, activeWorkOrder: order._id },
+        { $unset: { activeWorkOrder: 1 } }
+      );
+    }
+    throw error;
+  }
+  await order.save();
+
+  return { order, equipment };
+};
+
+/**
+ * Create a work order in its initial status
+ * @param {String} userId - Owner of the order
+ * @param {Object} data - Work order fields, including an optional initial status
+ * @returns {Promise<Object>} - Created order and updated equipment
+ */
+const createWorkOrder = async (userId, { status = 'Quoted', date, ...data }) => {
+  const provider = await ServiceProvider.findOne({ _id: data.providerId, userId });
+  if (!provider) {
+    throw ApiError.badRequest('Service provider not found', 'INVALID_PROVIDER');
+  }
+
+  if (status === 'Cancelled') {
+    throw ApiError.badRequest('A work order cannot be created as cancelled', 'INVALID_STATUS_TRANSITION');
+  }
+
+  const order = new WorkOrder({ ...data, userId });
+
+  return changeStatus(order, status, { date, actualCost: data.actualCost }, userId);
+};
+
+module.exports = {
+  STATUS_FLOW,
+  changeStatus,
+  createWorkOrder
+};
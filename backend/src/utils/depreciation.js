@@ -0,0 +1,111 @@
+const DEPRECIATION_METHODS = ['straight-line', 'declining-balance', 'vintage-appreciation', 'manual'];
+
+// Defaults used when a method is chosen without all of its parameters
+const METHOD_DEFAULTS = {
+  'straight-line': { usefulLifeYears: 10, salvageValue: 0 },
+  'declining-balance': { annualRate: 0.15, salvageValue: 0 },
+  'vintage-appreciation': { annualRate: 0.03 }
+};
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the fractional number of years between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Number} - Years elapsed, never negative
+ */
+const yearsBetween = (from, to) => Math.max(0, (new Date(to) - new Date(from)) / MS_PER_YEAR);
+
+/**
+ * Merge item-level depreciation settings over a category rule
+ * Item settings win; a category rule only applies when the item has no method
+ * @param {Object} [itemSettings] - Equipment.depreciation
+ * @param {Object} [rule] - DepreciationRule for the item's category
+ * @returns {Object|null} - Effective settings, or null when none apply
+ */
+const resolveSettings = (itemSettings, rule) => {
+  const source = itemSettings && itemSettings.method ? itemSettings : rule;
+
+  if (!source || !source.method) {
+    return null;
+  }
+
+  const settings = { method: source.method, ...METHOD_DEFAULTS[source.method] };
+  ['annualRate', 'usefulLifeYears', 'salvageValue'].forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      settings[field] = source[field];
+    }
+  });
+
+  return settings;
+};
+
+/**
+ * Calculate the value of an item at a point in time
+ * @param {Object} item - Object with purchasePrice and purchaseDate
+ * @param {Object} settings - Effective settings from resolveSettings
+ * @param {Date} [at] - Date to value the item at (defaults to now)
+ * @returns {Number|null} - Calculated value, or null if it cannot be calculated
+ */
+const calculateValue = (item, settings, at = new Date()) => {
+  if (!settings || settings.method === 'manual') {
+    return null;
+  }
+
+  if (typeof item.purchasePrice !== 'number' || !item.purchaseDate) {
+    return null;
+  }
+
+  const price = item.purchasePrice;
+  const years = yearsBetween(item.purchaseDate, at);
+  const salvageValue = Math.min(settings.salvageValue || 0, price);
+  let value;
+
+  switch (settings.method) {
+    case 'straight-line': {
+      const fraction = Math.min(years / settings.usefulLifeYears, 1);
+      value = price - (price - salvageValue) * fraction;
+      break;
+    }
+    case 'declining-balance':
+      value = Math.max(price * Math.pow(1 - settings.annualRate, years), salvageValue);
+      break;
+    case 'vintage-appreciation':
+      value = price * Math.pow(1 + settings.annualRate, years);
+      break;
+    default:
+      return null;
+  }
+
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Get the value an item should be insured and reported at
+ * A manual override always wins over a calculated value
+ * @param {Object} item - Equipment document or plain object
+ * @param {Object} [rule] - DepreciationRule for the item's category
+ * @returns {Number|null} - Effective value
+ */
+const getEffectiveValue = (item, rule) => {
+  if (item.valueOverride !== undefined && item.valueOverride !== null) {
+    return item.valueOverride;
+  }
+
+  const calculated = calculateValue(item, resolveSettings(item.depreciation, rule));
+  if (calculated !== null) {
+    return calculated;
+  }
+
+  return typeof item.currentValue === 'number' ? item.currentValue : null;
+};
+
+module.exports = {
+  DEPRECIATION_METHODS,
+  METHOD_DEFAULTS,
+  yearsBetween,
+  resolveSettings,
+  calculateValue,
+  getEffectiveValue
+};
@@ -0,0 +1,17 @@
+/**
+ * Pick the fields present in a request body
+ * Used to keep server-managed state (ownership, storage keys, workflow
+ * flags) out of documents built from client input
+ * @param {Object} body - Request body
+ * @param {Array<String>} fields - Allowed fields
+ * @returns {Object} - Present allowed fields
+ */
+const pickFields = (body, fields) => Object.fromEntries(
+  fields
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+module.exports = {
+  pickFields
+};
@@ -0,0 +1,147 @@
+// Minimal RFC 5545 writer for subscription feeds
+
+const PRODUCT_ID = '-//Musician Gear Tracker//Calendar Feed//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {String} value - Raw text
+ * @returns {String} - Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, without splitting multi-byte characters
+ * @param {String} line - Unfolded content line
+ * @returns {String} - Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a date-time in UTC, e.g. 20240131T090000Z
+ * @param {Date} date - Date to format
+ * @returns {String} - iCalendar DATE-TIME
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a calendar date, e.g. 20240131
+ * @param {Date} date - Date to format
+ * @returns {String} - iCalendar DATE
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Build the lines of a single VEVENT
+ * @param {Object} event - Event details
+ * @param {String} event.uid - Stable unique id, so updates replace earlier copies
+ * @param {String} event.summary - Event title
+ * @param {Date} event.start - Start date or date-time
+ * @param {Date} [event.end] - End date-time (timed events only)
+ * @param {Boolean} [event.allDay] - Whether the event is a whole day
+ * @param {String} [event.description] - Event description
+ * @param {String} [event.location] - Event location
+ * @param {Array<String>} [event.categories] - Event categories
+ * @param {Date} [event.lastModified] - When the source record last changed
+ * @param {Date} stamp - When the feed was generated
+ * @returns {Array<String>} - Unfolded content lines
+ */
+const buildEvent = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`
+  ];
+
+  if (event.allDay) {
+    const end = new Date(event.start);
+    end.setUTCDate(end.getUTCDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+    lines.push('TRANSP:TRANSPARENT');
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) {
+      lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - Calendar details
+ * @param {String} calendar.name - Calendar name shown by calendar apps
+ * @param {Array<Object>} calendar.events - Events, see buildEvent
+ * @param {String} [calendar.refreshInterval] - Suggested polling interval as an ISO 8601 duration
+ * @returns {String} - iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events, refreshInterval = 'PT1H' }) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+    `X-PUBLISHED-TTL:${refreshInterval}`,
+    ...events.flatMap(event => buildEvent(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
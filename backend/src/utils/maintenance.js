@@ -0,0 +1,54 @@
+const { getNextOccurrence } = require('./recurrence');
+
+// Usage counters tracked per item for usage-based maintenance
+const USAGE_METRICS = ['hours', 'gigs', 'sessions', 'tubeHours', 'strokes'];
+
+/**
+ * Calculate when a maintenance task is next due
+ * @param {String} frequency - Schedule frequency (named, "every ..." phrase or RRULE)
+ * @param {Date} lastPerformed - When the task was last performed
+ * @returns {Date|null} - Next due date, or null for an unknown or finished recurrence
+ */
+const calculateNextDue = (frequency, lastPerformed) => getNextOccurrence(frequency, lastPerformed);
+
+/**
+ * Get how much usage has accumulated since a usage-based task was last performed
+ * @param {Object} schedule - Maintenance schedule entry
+ * @param {Object} usageCounters - Equipment usage counters
+ * @returns {Number|null} - Usage since last performed, or null for calendar-only tasks
+ */
+const getUsageSinceLast = (schedule, usageCounters) => {
+  if (!schedule.usageInterval || !schedule.usageInterval.metric) {
+    return null;
+  }
+
+  const current = (usageCounters && usageCounters[schedule.usageInterval.metric]) || 0;
+  return current - (schedule.usageAtLastPerformed || 0);
+};
+
+/**
+ * Get the due date of a task, whichever of its calendar and usage triggers comes first
+ * @param {Object} schedule - Maintenance schedule entry
+ * @returns {Date|null} - Due date, or null if no trigger applies yet
+ */
+const getScheduleDueDate = (schedule) => {
+  const candidates = [];
+
+  if (schedule.frequency && schedule.lastPerformed) {
+    candidates.push(calculateNextDue(schedule.frequency, schedule.lastPerformed));
+  }
+
+  if (schedule.usageReachedAt) {
+    candidates.push(new Date(schedule.usageReachedAt));
+  }
+
+  const dates = candidates.filter(Boolean);
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+};
+
+module.exports = {
+  USAGE_METRICS,
+  calculateNextDue,
+  getUsageSinceLast,
+  getScheduleDueDate
+};
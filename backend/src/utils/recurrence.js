@@ -0,0 +1,226 @@
+const { RRule } = require('rrule');
+
+// Legacy single-word frequencies
+const NAMED_FREQUENCIES = {
+  daily: { freq: RRule.DAILY, interval: 1 },
+  weekly: { freq: RRule.WEEKLY, interval: 1 },
+  monthly: { freq: RRule.MONTHLY, interval: 1 },
+  quarterly: { freq: RRule.MONTHLY, interval: 3 },
+  yearly: { freq: RRule.YEARLY, interval: 1 }
+};
+
+// rrule stops searching at the end of year 9999
+const MAX_YEAR = 9999;
+
+// The Gregorian calendar repeats exactly every 400 years (146097 days, a whole
+// number of weeks)
+const CALENDAR_CYCLE_YEARS = 400;
+
+// Rules are searched at least this many years ahead for their next occurrence
+const SEARCH_YEARS = 10;
+
+const UNITS = {
+  day: RRule.DAILY,
+  week: RRule.WEEKLY,
+  month: RRule.MONTHLY,
+  year: RRule.YEARLY
+};
+
+const WEEKDAYS = {
+  mo: RRule.MO, mon: RRule.MO, monday: RRule.MO,
+  tu: RRule.TU, tue: RRule.TU, tues: RRule.TU, tuesday: RRule.TU,
+  we: RRule.WE, wed: RRule.WE, wednesday: RRule.WE,
+  th: RRule.TH, thu: RRule.TH, thur: RRule.TH, thurs: RRule.TH, thursday: RRule.TH,
+  fr: RRule.FR, fri: RRule.FR, friday: RRule.FR,
+  sa: RRule.SA, sat: RRule.SA, saturday: RRule.SA,
+  su: RRule.SU, sun: RRule.SU, sunday: RRule.SU
+};
+
+// Human-readable list of accepted forms, used in validation messages
+const FREQUENCY_FORMATS = [
+  Object.keys(NAMED_FREQUENCIES).join(', '),
+  '"every N days/weeks/months/years"',
+  '"every monday, thursday"',
+  '"every N weeks on mon, fri"',
+  'an RRULE such as "RRULE:FREQ=MONTHLY;INTERVAL=2"'
+].join('; ');
+
+/**
+ * Parse a comma/"and" separated list of weekday names
+ * @param {String} text - e.g. "monday, thu and sat"
+ * @returns {Array|null} - RRule weekdays, or null if any name is unknown
+ */
+const parseWeekdays = (text) => {
+  const names = text.split(/\s*(?:,|\band\b|\s)\s*/).filter(Boolean);
+  if (names.length === 0) {
+    return null;
+  }
+
+  const weekdays = names.map(name => WEEKDAYS[name.replace(/s$/, '')] || WEEKDAYS[name]);
+  return weekdays.every(Boolean) ? weekdays : null;
+};
+
+/**
+ * Parse an RFC 5545 RRULE string
+ * @param {String} text - Rule with or without the "RRULE:" prefix
+ * @returns {Object|null} - RRule options, or null if invalid
+ */
+const parseRRule = (text) => {
+  let options;
+  try {
+    options = RRule.parseString(text.replace(/^RRULE:/i, '').toUpperCase());
+  } catch (error) {
+    return null;
+  }
+
+  // A start date comes from lastPerformed, never from the rule itself
+  if (options.freq === undefined || options.dtstart) {
+    return null;
+  }
+
+  if (options.interval !== undefined && !(options.interval >= 1)) {
+    return null;
+  }
+
+  return options;
+};
+
+/**
+ * Parse a maintenance frequency into RRule options
+ * @param {String} frequency - Named frequency, "every ..." phrase or RRULE
+ * @returns {Object|null} - RRule options (without dtstart), or null if not recognised
+ */
+const parseFrequency = (frequency) => {
+  if (typeof frequency !== 'string') {
+    return null;
+  }
+
+  const text = frequency.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (NAMED_FREQUENCIES[text]) {
+    return { ...NAMED_FREQUENCIES[text] };
+  }
+
+  if (/^(rrule:)?freq=/.test(text)) {
+    return parseRRule(text);
+  }
+
+  // "every day", "every 3 weeks"
+  let match = text.match(/^every (?:(\d+) )?(day|week|month|year)s?$/);
+  if (match) {
+    const interval = match[1] ? parseInt(match[1], 10) : 1;
+    return interval >= 1 ? { freq: UNITS[match[2]], interval } : null;
+  }
+
+  // "every 2 weeks on monday, thursday"
+  match = text.match(/^every (?:(\d+) )?weeks? on (.+)$/);
+  if (match) {
+    const interval = match[1] ? parseInt(match[1], 10) : 1;
+    const byweekday = parseWeekdays(match[2]);
+    return interval >= 1 && byweekday ? { freq: RRule.WEEKLY, interval, byweekday } : null;
+  }
+
+  // "every monday and thursday"
+  match = text.match(/^every (.+)$/);
+  if (match) {
+    const byweekday = parseWeekdays(match[1]);
+    return byweekday ? { freq: RRule.WEEKLY, interval: 1, byweekday } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Add calendar months to a date, clamping to the last day of the target month
+ * @param {Date} date - Start date
+ * @param {Number} months - Months to add
+ * @returns {Date} - New date
+ */
+const addMonthsClamped = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+
+  return result;
+};
+
+/**
+ * Check whether a rule has any occurrence in the years after a date
+ * rrule only checks its limits (UNTIL, between()) when a date matches, so a
+ * rule that can never match (e.g. BYMONTH=2;BYMONTHDAY=30) is searched day by
+ * day until year 9999. Shifting the rule forward by whole calendar cycles
+ * keeps every occurrence on the same calendar date and lets that year-9999
+ * limit end the search a few centuries after the window instead.
+ * @param {Object} options - RRule options (without dtstart)
+ * @param {Date} start - Date the recurrence starts from
+ * @returns {Boolean} - True if the rule occurs within SEARCH_YEARS (or up to
+ *   one cycle later)
+ */
+const occursSoon = (options, start) => {
+  const cycles = Math.floor((MAX_YEAR - SEARCH_YEARS - start.getUTCFullYear()) / CALENDAR_CYCLE_YEARS);
+  const shift = (date) => {
+    const shifted = new Date(date);
+    shifted.setUTCFullYear(shifted.getUTCFullYear() + Math.max(cycles, 0) * CALENDAR_CYCLE_YEARS);
+    return shifted;
+  };
+
+  const dtstart = shift(start);
+  const rule = new RRule({ ...options, ...(options.until && { until: shift(options.until) }), dtstart });
+  return rule.after(dtstart, false) !== null;
+};
+
+/**
+ * Get the first occurrence of a frequency after a given date
+ * @param {String} frequency - Named frequency, "every ..." phrase or RRULE
+ * @param {Date} from - Date the recurrence starts from (e.g. when last performed)
+ * @returns {Date|null} - Next occurrence, or null if unrecognised, the rule has
+ *   ended or it does not occur within the search window
+ */
+const getNextOccurrence = (frequency, from) => {
+  const options = parseFrequency(frequency);
+  const start = new Date(from);
+
+  if (!options || isNaN(start)) {
+    return null;
+  }
+
+  // RRULE skips months without the start day (e.g. the 31st); plain monthly
+  // and yearly intervals clamp to the end of the month instead
+  const isPlainInterval = Object.keys(options).every(key => ['freq', 'interval'].includes(key));
+  if (isPlainInterval && [RRule.MONTHLY, RRule.YEARLY].includes(options.freq)) {
+    const months = (options.interval || 1) * (options.freq === RRule.YEARLY ? 12 : 1);
+    return addMonthsClamped(start, months);
+  }
+
+  if (!occursSoon(options, start)) {
+    return null;
+  }
+
+  const rule = new RRule({ ...options, dtstart: start });
+  return rule.after(start, false);
+};
+
+/**
+ * Check whether a frequency is recognised and still recurs
+ * Rules that have run out (e.g. COUNT=1, or an UNTIL that has passed) would
+ * leave the task without a due date
+ * @param {String} frequency - Frequency to check
+ * @param {Date} [from] - Date the recurrence starts from (defaults to now)
+ * @returns {Boolean} - True if the frequency has an occurrence after from
+ */
+const isValidFrequency = (frequency, from) => {
+  const start = from ? new Date(from) : new Date();
+  return getNextOccurrence(frequency, isNaN(start) ? new Date() : start) !== null;
+};
+
+module.exports = {
+  FREQUENCY_FORMATS,
+  parseFrequency,
+  isValidFrequency,
+  getNextOccurrence
+};
@@ -0,0 +1,292 @@
+const { body, query } = require('express-validator');
+const { USAGE_METRICS } = require('../utils/maintenance');
+const { FREQUENCY_FORMATS, parseFrequency, isValidFrequency } = require('../utils/recurrence');
+
+const CONDITIONS = ['Excellent', 'Good', 'Fair', 'Poor', 'Not Working'];
+const AVAILABILITY = ['Available', 'At Service'];
+
+// Fields the equipment list can be sorted by (prefix with - for descending)
+const SORT_FIELDS = [
+  'name',
+  'type',
+  'category',
+  'make',
+  'model',
+  'condition',
+  'location',
+  'purchaseDate',
+  'purchasePrice',
+  'currentValue',
+  'createdAt',
+  'updatedAt'
+];
+
+/**
+ * Accept multi-select query values as repeated keys or a comma-separated list
+ * @param {String|Array<String>} value - Raw query value
+ * @returns {Array<String>} - Selected values
+ */
+const toList = (value) => {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Validation rules for creating equipment
+ * Shared by POST /api/v1/equipment and the bulk import, so imported rows
+ * are held to the same rules as items created one at a time
+ */
+const createEquipmentRules = [
+  body('name')
+    .notEmpty()
+    .withMessage('Equipment name is required')
+    .isString()
+    .withMessage('Name must be a string')
+    .trim(),
+  body('type')
+    .notEmpty()
+    .withMessage('Equipment type is required')
+    .isString()
+    .withMessage('Type must be a string')
+    .trim(),
+  body('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a string')
+    .trim(),
+  body('make')
+    .optional()
+    .isString()
+    .withMessage('Make must be a string')
+    .trim(),
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string')
+    .trim(),
+  body('serialNumber')
+    .optional()
+    .isString()
+    .withMessage('Serial number must be a string')
+    .trim(),
+  body('purchaseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Purchase date must be a valid date'),
+  body('purchasePrice')
+    .optional()
+    .isNumeric()
+    .withMessage('Purchase price must be a number'),
+  body('currentValue')
+    .optional()
+    .isNumeric()
+    .withMessage('Current value must be a number'),
+  body('condition')
+    .optional()
+    .isIn(CONDITIONS)
+    .withMessage('Invalid condition value'),
+  body('location')
+    .optional()
+    .isString()
+    .withMessage('Location must be a string')
+    .trim(),
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string'),
+  body('insuranceInfo.policyId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid insurance policy ID')
+];
+
+/**
+ * Validation rules for filtering and sorting equipment lists
+ * Shared by GET /api/v1/equipment and the inventory export
+ */
+const listEquipmentRules = [
+  query('sort')
+    .optional()
+    .isString()
+    .withMessage('Sort must be a string')
+    .custom(value => value === 'relevance' || SORT_FIELDS.includes(value.replace(/^-/, '')))
+    .withMessage(`Sort must be relevance or one of: ${SORT_FIELDS.join(', ')}`),
+  query('type')
+    .optional()
+    .isString()
+    .withMessage('Type must be a string'),
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be a string')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search must be at most 200 characters'),
+  query('condition')
+    .optional()
+    .customSanitizer(toList)
+    .custom(values => values.every(value => CONDITIONS.includes(value)))
+    .withMessage(`Condition must be one or more of: ${CONDITIONS.join(', ')}`),
+  query('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a string')
+    .trim(),
+  query('make')
+    .optional()
+    .isString()
+    .withMessage('Make must be a string')
+    .trim(),
+  query('location')
+    .optional()
+    .isString()
+    .withMessage('Location must be a string')
+    .trim(),
+  query('purchaseDateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Purchase date from must be a valid date')
+    .toDate(),
+  query('purchaseDateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Purchase date to must be a valid date')
+    .toDate(),
+  query('minValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum value must be a non-negative number')
+    .toFloat(),
+  query('maxValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum value must be a non-negative number')
+    .toFloat(),
+  query('insured')
+    .optional()
+    .isBoolean()
+    .withMessage('Insured must be a boolean')
+    .toBoolean(),
+  query('maintenanceOverdue')
+    .optional()
+    .isBoolean()
+    .withMessage('Maintenance overdue must be a boolean')
+    .toBoolean(),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Is active must be a boolean')
+    .toBoolean(),
+  query('availability')
+    .optional()
+    .isIn(AVAILABILITY)
+    .withMessage(`Availability must be one of: ${AVAILABILITY.join(', ')}`)
+];
+
+/**
+ * Validation rules for depreciation parameters
+ * Shared by item depreciation settings and per-category rules
+ */
+const depreciationParameterRules = [
+  body('annualRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Annual rate must be between 0 and 1 (e.g. 0.15 for 15%)'),
+  body('usefulLifeYears')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Useful life must be at least 1 year'),
+  body('salvageValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salvage value must be a non-negative number')
+];
+
+/**
+ * Validation rules for the details of a maintenance record
+ * Shared by adding, completing and editing records; callers add their own
+ * rules for service and date, which are required only when adding
+ */
+const maintenanceRecordRules = [
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string'),
+  body('providerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid service provider ID'),
+  body('dropOffDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Drop-off date must be a valid date'),
+  body('pickupDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Pickup date must be a valid date')
+    .custom((value, { req }) => !req.body.dropOffDate || new Date(value) >= new Date(req.body.dropOffDate))
+    .withMessage('Pickup date cannot be before the drop-off date'),
+  body('cost')
+    .optional()
+    .isNumeric()
+    .withMessage('Cost must be a number'),
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string'),
+  body('consumables')
+    .optional()
+    .isArray()
+    .withMessage('Consumables must be an array'),
+  body('consumables.*.consumableId')
+    .isMongoId()
+    .withMessage('Invalid consumable ID'),
+  body('consumables.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Consumable quantity must be a positive number')
+    .toFloat()
+];
+
+/**
+ * Validation rules for the triggers of a maintenance schedule
+ * Shared by adding and editing schedules
+ */
+const maintenanceScheduleRules = [
+  body('frequency')
+    .optional()
+    .isString()
+    .withMessage('Frequency must be a string')
+    .bail()
+    .custom(frequency => parseFrequency(frequency) !== null)
+    .withMessage(`Frequency is not recognised. Use ${FREQUENCY_FORMATS}`)
+    .bail()
+    .custom((frequency, { req }) => isValidFrequency(frequency, req.body.lastPerformed))
+    .withMessage('Frequency never recurs after the last performed date'),
+  body('usageInterval.metric')
+    .optional()
+    .isIn(USAGE_METRICS)
+    .withMessage(`Usage metric must be one of: ${USAGE_METRICS.join(', ')}`),
+  body('usageInterval.amount')
+    .if(body('usageInterval').exists())
+    .isFloat({ gt: 0 })
+    .withMessage('Usage interval amount must be a positive number')
+    .toFloat(),
+  body('lastPerformed')
+    .optional()
+    .isISO8601()
+    .withMessage('Last performed date must be a valid date'),
+  body('nextDue')
+    .optional()
+    .isISO8601()
+    .withMessage('Next due date must be a valid date')
+];
+
+module.exports = {
+  createEquipmentRules,
+  listEquipmentRules,
+  depreciationParameterRules,
+  maintenanceRecordRules,
+  maintenanceScheduleRules
+};
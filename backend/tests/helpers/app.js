@@ -0,0 +1,49 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { setupRoutes } = require('../../src/routes');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { User } = require('../../src/models');
+const { mockQuery } = require('./query');
+
+/**
+ * Build the API without connecting to MongoDB or starting jobs
+ * @returns {Express} - Express app
+ */
+const createApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  setupRoutes(app);
+  app.use(errorHandler);
+
+  return app;
+};
+
+/**
+ * Create a user and let the auth middleware find it
+ * @param {Object} [fields] - User fields to override
+ * @returns {Object} - { user, token } where token is an Authorization header value
+ */
+const signIn = (fields = {}) => {
+  const user = new User({
+    email: 'player@example.com',
+    passwordHash: 'hashed',
+    firstName: 'Sam',
+    ...fields
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(
+    String(id) === String(user._id) ? user : null
+  ));
+
+  return {
+    user,
+    token: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`
+  };
+};
+
+module.exports = {
+  createApp,
+  signIn
+};
@@ -0,0 +1,55 @@
+// Query methods that only refine a query and return it for chaining
+const CHAIN_METHODS = ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'where', 'setOptions'];
+
+/**
+ * Build a stand-in for a Mongoose query that resolves to a fixed result
+ * @param {*} result - What the query resolves to
+ * @returns {Object} - Chainable, awaitable query
+ */
+const mockQuery = (result) => {
+  const query = {};
+
+  CHAIN_METHODS.forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+
+  query.exec = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  query.catch = (reject) => Promise.resolve(result).catch(reject);
+  query.cursor = jest.fn(() => (async function* () {
+    yield* (Array.isArray(result) ? result : [result]);
+  })());
+
+  return query;
+};
+
+/**
+ * Let documents of a model save without a database
+ * Middleware still runs, so pre-save hooks can be tested; only the write is
+ * skipped. Change history reads the stored document before each save; that
+ * read finds nothing unless the test mocks Model.collection.findOne itself
+ * @param {Model} Model - Mongoose model
+ * @returns {Object} - Jest spy on the write
+ */
+const stubSave = (Model) => {
+  jest.spyOn(Model.collection, 'findOne').mockResolvedValue(null);
+
+  return jest
+    .spyOn(Model.prototype, '$__handleSave')
+    .mockImplementation(function(options, callback) {
+      callback(null);
+    });
+};
+
+/**
+ * Turn a new document into one that looks loaded from the database
+ * @param {Document} doc - Unsaved document
+ * @returns {Document} - Hydrated document of the same model
+ */
+const loaded = (doc) => doc.constructor.hydrate(doc.toObject());
+
+module.exports = {
+  mockQuery,
+  stubSave,
+  loaded
+};
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { User } = require('../../src/models');
+const mailService = require('../../src/services/mail.service');
+const { createApp } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('auth email routes', () => {
+  const app = createApp();
+  let user;
+
+  beforeEach(() => {
+    user = loaded(new User({ email: 'player@example.com', passwordHash: 'hashed' }));
+    stubSave(User);
+  });
+
+  // A send that never finishes, like a stalled mail relay
+  const stallMail = method => jest.spyOn(mailService, method).mockReturnValue(new Promise(() => {}));
+
+  describe('POST /api/v1/auth/register', () => {
+    it('responds without waiting for the verification email', async () => {
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(null));
+      jest.spyOn(User, 'create').mockResolvedValue(user);
+      stallMail('sendVerificationEmail');
+
+      const res = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ email: 'player@example.com', password: 'Str0ng!pass' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.token).toEqual(expect.any(String));
+      expect(mailService.sendVerificationEmail).toHaveBeenCalledWith(user);
+    });
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    it('responds without waiting for the email to be sent', async () => {
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(user));
+      stallMail('sendPasswordResetEmail');
+
+      const res = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'player@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(mailService.sendPasswordResetEmail).toHaveBeenCalledWith(user);
+      expect(user.passwordResetToken).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('gives the same response for unknown addresses', async () => {
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(null));
+      const send = jest.spyOn(mailService, 'sendPasswordResetEmail');
+
+      const res = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Password reset instructions sent to email');
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/v1/auth/resend-verification', () => {
+    it('responds without waiting for the email to be sent', async () => {
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(user));
+      stallMail('sendVerificationEmail');
+
+      const res = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .send({ email: 'player@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(mailService.sendVerificationEmail).toHaveBeenCalledWith(user);
+    });
+
+    it('does not resend to verified addresses', async () => {
+      user.emailVerified = true;
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(user));
+      const send = jest.spyOn(mailService, 'sendVerificationEmail');
+
+      const res = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .send({ email: 'player@example.com' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('EMAIL_ALREADY_VERIFIED');
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+});
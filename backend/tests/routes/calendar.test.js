@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { Band, Equipment, InsurancePolicy, User } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery } = require('../helpers/query');
+
+describe('calendar routes', () => {
+  const app = createApp();
+  const calendarToken = 'a'.repeat(64);
+  let user;
+  let token;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+  });
+
+  describe('POST /api/v1/calendar/subscription', () => {
+    it('issues a new feed token', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const res = await request(app)
+        .post('/api/v1/calendar/subscription')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(201);
+      const [, { calendarToken: issued }] = updateOne.mock.calls[0];
+      expect(issued).toMatch(/^[0-9a-f]{64}$/);
+      expect(res.body.data.url).toMatch(new RegExp(`/api/v1/calendar/feed/${issued}\\.ics$`));
+    });
+  });
+
+  describe('GET /api/v1/calendar/feed/:token.ics', () => {
+    it('serves maintenance, insurance and band events without signing in', async () => {
+      const equipment = new Equipment({
+        userId: user._id,
+        name: 'Stratocaster',
+        type: 'Guitar',
+        maintenanceSchedule: [{ taskType: 'Restring', frequency: 'monthly', nextDue: new Date('2024-02-10T00:00:00Z') }]
+      });
+      const policy = new InsurancePolicy({
+        userId: user._id,
+        provider: 'GearSure',
+        policyNumber: 'P-1',
+        startDate: new Date('2023-03-01T00:00:00Z'),
+        endDate: new Date('2024-03-01T00:00:00Z')
+      });
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(user));
+      jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([equipment]));
+      jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery([policy]));
+      jest.spyOn(Band, 'find').mockImplementation(() => mockQuery([]));
+
+      const res = await request(app).get(`/api/v1/calendar/feed/${calendarToken}.ics`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('text/calendar; charset=utf-8');
+      expect(res.text).toContain(`UID:maintenance-${equipment.maintenanceSchedule[0]._id}@musician-gear-tracker`);
+      expect(res.text).toContain('SUMMARY:Restring: Stratocaster');
+      expect(res.text).toContain('SUMMARY:Insurance expires: GearSure (P-1)');
+      expect(User.findOne).toHaveBeenCalledWith({ calendarToken, isActive: true });
+    });
+
+    it('returns 404 for revoked tokens', async () => {
+      jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app).get(`/api/v1/calendar/feed/${calendarToken}.ics`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('rejects malformed tokens without a lookup', async () => {
+      const findOne = jest.spyOn(User, 'findOne');
+
+      const res = await request(app).get('/api/v1/calendar/feed/not-a-token.ics');
+
+      expect(res.status).toBe(422);
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+});
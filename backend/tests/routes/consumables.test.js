@@ -0,0 +1,233 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Consumable, Equipment, EquipmentHistory } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('consumable routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let strings;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    strings = loaded(new Consumable({
+      userId: user._id,
+      name: '10-46 set',
+      type: 'Strings',
+      quantity: 4,
+      unitCost: 8.5,
+      reorderThreshold: 2
+    }));
+  });
+
+  describe('GET /api/v1/consumables', () => {
+    it('filters by type, compatible equipment and stock level', async () => {
+      const equipmentId = new mongoose.Types.ObjectId();
+      jest.spyOn(Consumable, 'find').mockImplementation(() => mockQuery([strings]));
+
+      const res = await request(app)
+        .get(`/api/v1/consumables?type=Strings&equipmentId=${equipmentId}&lowStock=true`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.consumables[0]).toMatchObject({ name: '10-46 set', isLowStock: false });
+      expect(Consumable.find).toHaveBeenCalledWith({
+        userId: user._id,
+        type: 'Strings',
+        compatibleEquipment: String(equipmentId),
+        $expr: { $lte: ['$quantity', '$reorderThreshold'] }
+      });
+    });
+
+    it('rejects unknown types', async () => {
+      const res = await request(app)
+        .get('/api/v1/consumables?type=Spoons')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/v1/consumables', () => {
+    it('rejects compatible equipment the user does not own', async () => {
+      jest.spyOn(Equipment, 'countDocuments').mockImplementation(() => mockQuery(0));
+      const create = jest.spyOn(Consumable, 'create');
+
+      const res = await request(app)
+        .post('/api/v1/consumables')
+        .set('Authorization', token)
+        .send({ name: 'Reeds 2.5', compatibleEquipment: [String(new mongoose.Types.ObjectId())] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_EQUIPMENT');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('rejects negative quantities', async () => {
+      const res = await request(app)
+        .post('/api/v1/consumables')
+        .set('Authorization', token)
+        .send({ name: 'Reeds 2.5', quantity: -1 });
+
+      expect(res.status).toBe(422);
+    });
+
+    it('only takes editable fields and the opening stock from the body', async () => {
+      const create = jest.spyOn(Consumable, 'create').mockResolvedValue(strings);
+
+      const res = await request(app)
+        .post('/api/v1/consumables')
+        .set('Authorization', token)
+        .send({
+          name: 'Reeds 2.5',
+          quantity: 10,
+          _id: String(new mongoose.Types.ObjectId()),
+          userId: String(new mongoose.Types.ObjectId()),
+          createdAt: '2020-01-01T00:00:00Z'
+        });
+
+      expect(res.status).toBe(201);
+      expect(create).toHaveBeenCalledWith({ name: 'Reeds 2.5', quantity: 10, userId: user._id });
+    });
+  });
+
+  describe('PUT /api/v1/consumables/:id', () => {
+    it('sets editable fields only', async () => {
+      const findOneAndUpdate = jest.spyOn(Consumable, 'findOneAndUpdate').mockImplementation(() => mockQuery(strings));
+
+      const res = await request(app)
+        .put(`/api/v1/consumables/${strings._id}`)
+        .set('Authorization', token)
+        .send({
+          reorderThreshold: 3,
+          quantity: 100,
+          userId: String(new mongoose.Types.ObjectId()),
+          $inc: { quantity: 100 },
+          $set: { userId: String(new mongoose.Types.ObjectId()) }
+        });
+
+      expect(res.status).toBe(200);
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: String(strings._id), userId: user._id },
+        { $set: { reorderThreshold: 3 } },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('returns 404 for consumables the user does not own', async () => {
+      jest.spyOn(Consumable, 'findOneAndUpdate').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .put(`/api/v1/consumables/${strings._id}`)
+        .set('Authorization', token)
+        .send({ notes: 'Spare box' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/consumables/:id/restock', () => {
+    it('adds stock and updates the unit cost', async () => {
+      jest.spyOn(Consumable, 'findOneAndUpdate').mockImplementation(() => mockQuery(strings));
+
+      const res = await request(app)
+        .post(`/api/v1/consumables/${strings._id}/restock`)
+        .set('Authorization', token)
+        .send({ quantity: 6, unitCost: 9 });
+
+      expect(res.status).toBe(200);
+      expect(Consumable.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: String(strings._id), userId: user._id },
+        { $inc: { quantity: 6 }, $set: { unitCost: 9 } },
+        { new: true }
+      );
+    });
+
+    it('requires a positive quantity', async () => {
+      const res = await request(app)
+        .post(`/api/v1/consumables/${strings._id}/restock`)
+        .set('Authorization', token)
+        .send({ quantity: 0 });
+
+      expect(res.status).toBe(422);
+    });
+
+    it('returns 404 for consumables of other users', async () => {
+      jest.spyOn(Consumable, 'findOneAndUpdate').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .post(`/api/v1/consumables/${strings._id}/restock`)
+        .set('Authorization', token)
+        .send({ quantity: 1 });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/v1/consumables/reports/low-stock', () => {
+    it('is not mistaken for a consumable id', async () => {
+      jest.spyOn(Consumable, 'find').mockImplementation(() => mockQuery([strings]));
+
+      const res = await request(app)
+        .get('/api/v1/consumables/reports/low-stock')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.count).toBe(1);
+    });
+  });
+
+  describe('POST /api/v1/equipment/:id/maintenance with consumables', () => {
+    let equipment;
+
+    beforeEach(() => {
+      equipment = loaded(new Equipment({ userId: user._id, name: 'Stratocaster', type: 'Guitar' }));
+      jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+      jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+      jest.spyOn(Consumable, 'findOneAndUpdate').mockImplementation(() => mockQuery(strings));
+      jest.spyOn(Consumable, 'updateOne').mockResolvedValue({});
+    });
+
+    it('records the consumables used at their current cost', async () => {
+      stubSave(Equipment);
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/maintenance`)
+        .set('Authorization', token)
+        .send({
+          service: 'Restring',
+          date: '2024-02-12T00:00:00Z',
+          consumables: [{ consumableId: String(strings._id), quantity: 1 }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(equipment.maintenanceHistory[0].consumables[0]).toMatchObject({
+        name: '10-46 set',
+        quantity: 1,
+        unitCost: 8.5
+      });
+      expect(Consumable.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('returns the stock when the record cannot be saved', async () => {
+      stubSave(Equipment).mockImplementation((options, callback) => callback(new Error('write failed')));
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/maintenance`)
+        .set('Authorization', token)
+        .send({
+          service: 'Restring',
+          date: '2024-02-12T00:00:00Z',
+          consumables: [{ consumableId: String(strings._id), quantity: 1 }]
+        });
+
+      expect(res.status).toBe(500);
+      expect(Consumable.updateOne).toHaveBeenCalledWith(
+        { _id: strings._id, userId: user._id },
+        { $inc: { quantity: 1 } }
+      );
+    });
+  });
+});
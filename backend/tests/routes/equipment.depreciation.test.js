@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { Equipment, EquipmentHistory, DepreciationRule } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('equipment depreciation routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+
+    const purchaseDate = new Date();
+    purchaseDate.setFullYear(purchaseDate.getFullYear() - 2);
+    equipment = loaded(new Equipment({
+      userId: user._id,
+      name: 'Les Paul',
+      type: 'Guitar',
+      purchasePrice: 2000,
+      purchaseDate,
+      currentValue: 2000
+    }));
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    stubSave(Equipment);
+  });
+
+  describe('GET /api/v1/equipment/:id/depreciation', () => {
+    it('previews a method passed in the query without saving it', async () => {
+      const res = await request(app)
+        .get(`/api/v1/equipment/${equipment._id}/depreciation?method=straight-line&usefulLifeYears=4&years=1`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        source: 'preview',
+        settings: { method: 'straight-line', usefulLifeYears: 4, salvageValue: 0 },
+        currentValue: 2000
+      });
+      expect(res.body.data.calculatedValue).toBeCloseTo(1000, -1);
+      expect(res.body.data.curve).toHaveLength(4);
+    });
+
+    it('projects no years past today when asked for none', async () => {
+      const curve = async (years) => {
+        const res = await request(app)
+          .get(`/api/v1/equipment/${equipment._id}/depreciation?method=straight-line&usefulLifeYears=4&years=${years}`)
+          .set('Authorization', token);
+
+        expect(res.status).toBe(200);
+        return res.body.data.curve;
+      };
+
+      expect(await curve(0)).toHaveLength((await curve(1)).length - 1);
+    });
+
+    it('reports no settings when neither item nor category has any', async () => {
+      const res = await request(app)
+        .get(`/api/v1/equipment/${equipment._id}/depreciation`)
+        .set('Authorization', token);
+
+      expect(res.body.data).toMatchObject({ settings: null, source: null, calculatedValue: null, curve: [] });
+    });
+  });
+
+  describe('PUT /api/v1/equipment/:id/depreciation', () => {
+    it('recalculates the current value from new settings', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/depreciation`)
+        .set('Authorization', token)
+        .send({ method: 'declining-balance', annualRate: 0.5 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.equipment.currentValue).toBeCloseTo(500, -1);
+    });
+
+    it('keeps a manual override until it is cleared', async () => {
+      await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/depreciation`)
+        .set('Authorization', token)
+        .send({ method: 'straight-line', valueOverride: 2500 });
+
+      expect(equipment.currentValue).toBe(2500);
+
+      await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/depreciation`)
+        .set('Authorization', token)
+        .send({ valueOverride: null });
+
+      expect(equipment.valueOverride).toBeUndefined();
+      expect(equipment.currentValue).toBeLessThan(2000);
+    });
+
+    it('rejects negative overrides', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/depreciation`)
+        .set('Authorization', token)
+        .send({ valueOverride: -1 });
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('category rules', () => {
+    it('saves a rule and applies it to the category', async () => {
+      const upsert = jest.spyOn(DepreciationRule, 'findOneAndUpdate')
+        .mockResolvedValue({ category: 'Electric', method: 'straight-line' });
+      jest.spyOn(Equipment, 'find').mockReturnValue(mockQuery([]));
+
+      const res = await request(app)
+        .put('/api/v1/equipment/depreciation-rules/Electric')
+        .set('Authorization', token)
+        .send({ method: 'straight-line', usefulLifeYears: 8 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.updatedEquipment).toBe(0);
+      expect(upsert).toHaveBeenCalledWith(
+        { userId: user._id, category: 'Electric' },
+        expect.objectContaining({ method: 'straight-line', usefulLifeYears: 8 }),
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    it('rejects unknown methods', async () => {
+      const res = await request(app)
+        .put('/api/v1/equipment/depreciation-rules/Electric')
+        .set('Authorization', token)
+        .send({ method: 'guesswork' });
+
+      expect(res.status).toBe(422);
+    });
+
+    it('recalculates the category when its rule is deleted', async () => {
+      jest.spyOn(DepreciationRule, 'findOneAndDelete').mockResolvedValue({ category: 'Electric', method: 'straight-line' });
+      const find = jest.spyOn(Equipment, 'find').mockReturnValue(mockQuery([]));
+
+      const res = await request(app)
+        .delete('/api/v1/equipment/depreciation-rules/Electric')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.updatedEquipment).toBe(0);
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ userId: user._id, category: 'Electric' }));
+    });
+
+    it('returns 404 when deleting a missing rule', async () => {
+      jest.spyOn(DepreciationRule, 'findOneAndDelete').mockResolvedValue(null);
+
+      const res = await request(app)
+        .delete('/api/v1/equipment/depreciation-rules/Electric')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+
+jest.mock('../../src/services/storage', () => {
+  const storage = {
+    put: jest.fn(async (key) => ({ key, url: `/uploads/${key}` })),
+    getStream: jest.fn(),
+    remove: jest.fn(async () => {})
+  };
+  return { getStorage: () => storage };
+});
+
+const { Equipment, EquipmentHistory } = require('../../src/models');
+const { getStorage } = require('../../src/services/storage');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('equipment document routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+  let receipt;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    equipment = loaded(new Equipment({
+      userId: user._id,
+      name: 'Precision Bass',
+      type: 'Bass',
+      documents: [
+        { type: 'Receipt', title: 'Purchase receipt', key: 'documents/r.pdf', originalName: 'receipt.pdf', contentType: 'application/pdf' },
+        { type: 'Manual', title: 'Owner manual', key: 'documents/m.pdf', contentType: 'application/pdf' }
+      ]
+    }));
+    receipt = equipment.documents[0];
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    stubSave(Equipment);
+    Object.values(getStorage()).forEach(fn => fn.mockClear());
+  });
+
+  describe('GET /api/v1/equipment/:id/documents', () => {
+    it('lists documents, optionally by type', async () => {
+      const all = await request(app)
+        .get(`/api/v1/equipment/${equipment._id}/documents`)
+        .set('Authorization', token);
+      const manuals = await request(app)
+        .get(`/api/v1/equipment/${equipment._id}/documents?type=Manual`)
+        .set('Authorization', token);
+
+      expect(all.body.data.documents).toHaveLength(2);
+      expect(manuals.body.data.documents.map(document => document.title)).toEqual(['Owner manual']);
+    });
+
+    it('rejects unknown document types', async () => {
+      const res = await request(app)
+        .get(`/api/v1/equipment/${equipment._id}/documents?type=Poster`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/v1/equipment/:id/documents', () => {
+    it('stores the file privately and records its metadata', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/documents`)
+        .set('Authorization', token)
+        .field('type', 'Warranty')
+        .field('title', 'Fender warranty')
+        .field('expiryDate', '2030-01-01')
+        .attach('file', Buffer.from('%PDF-1.4'), { filename: 'warranty.pdf', contentType: 'application/pdf' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.document).toMatchObject({
+        type: 'Warranty',
+        title: 'Fender warranty',
+        originalName: 'warranty.pdf',
+        contentType: 'application/pdf'
+      });
+      expect(getStorage().put).toHaveBeenCalledWith(
+        expect.stringMatching(new RegExp(`^documents/equipment/${equipment._id}/.+\\.pdf$`)),
+        expect.any(Buffer),
+        'application/pdf'
+      );
+    });
+
+    it('rejects unsupported file types', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/documents`)
+        .set('Authorization', token)
+        .field('type', 'Manual')
+        .field('title', 'Manual')
+        .attach('file', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/x-msdownload' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+    });
+
+    it('removes the stored file when the item cannot be saved', async () => {
+      equipment.name = '';
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/documents`)
+        .set('Authorization', token)
+        .field('type', 'Receipt')
+        .field('title', 'Receipt')
+        .attach('file', Buffer.from('%PDF-1.4'), { filename: 'receipt.pdf', contentType: 'application/pdf' });
+
+      expect(res.status).toBe(422);
+      expect(getStorage().remove).toHaveBeenCalledWith(getStorage().put.mock.calls[0][0]);
+    });
+  });
+
+  describe('GET /api/v1/equipment/:id/documents/:documentId/download', () => {
+    it('streams the document as an attachment', async () => {
+      getStorage().getStream.mockReturnValue(Readable.from([Buffer.from('%PDF-1.4')]));
+
+      const res = await request(app)
+        .get(`/api/v1/equipment/${equipment._id}/documents/${receipt._id}/download`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="receipt.pdf"');
+      expect(getStorage().getStream).toHaveBeenCalledWith('documents/r.pdf');
+    });
+
+    it('returns 404 when the stored file is missing', async () => {
+      getStorage().getStream.mockReturnValue(new Readable({
+        read() {
+          this.destroy(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+        }
+      }));
+
+      const res = await request(app)
+        .get(`/api/v1/equipment/${equipment._id}/documents/${receipt._id}/download`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+      expect(res.headers['content-disposition']).toBeUndefined();
+      expect(res.body.error.code).toBe('FILE_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/v1/equipment/:id/documents/:documentId', () => {
+    it('removes the document and its stored file', async () => {
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/documents/${receipt._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(equipment.documents).toHaveLength(1);
+      expect(getStorage().remove).toHaveBeenCalledWith('documents/r.pdf');
+    });
+
+    it('returns 404 for an unknown document', async () => {
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/documents/${equipment._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { Equipment } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery } = require('../helpers/query');
+
+describe('GET /api/v1/equipment/export', () => {
+  const app = createApp();
+  let user;
+  let token;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([
+      { name: 'Telecaster', type: 'Guitar', purchasePrice: 1500 },
+      { name: 'Deluxe Reverb', type: 'Amplifier' }
+    ]));
+  });
+
+  it('downloads the owner\'s inventory as CSV by default', async () => {
+    const res = await request(app)
+      .get('/api/v1/equipment/export')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="inventory-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(res.text.trim().split('\n')).toHaveLength(3);
+    expect(Equipment.find).toHaveBeenCalledWith(expect.objectContaining({ userId: user._id }), {});
+  });
+
+  it('orders a text search by relevance', async () => {
+    const query = mockQuery([{ name: 'Telecaster', type: 'Guitar' }]);
+    Equipment.find.mockReturnValue(query);
+
+    const res = await request(app)
+      .get('/api/v1/equipment/export?search=tele&sort=relevance')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(Equipment.find).toHaveBeenCalledWith(
+      expect.objectContaining({ $text: { $search: 'tele' } }),
+      { score: { $meta: 'textScore' } }
+    );
+    expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+  });
+
+  it('orders by name when relevance is asked for without a search', async () => {
+    const query = mockQuery([{ name: 'Telecaster', type: 'Guitar' }]);
+    Equipment.find.mockReturnValue(query);
+
+    const res = await request(app)
+      .get('/api/v1/equipment/export?sort=relevance')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(query.sort).toHaveBeenCalledWith('name');
+  });
+
+  it('downloads a PDF inventory sheet', async () => {
+    const res = await request(app)
+      .get('/api/v1/equipment/export?format=pdf')
+      .set('Authorization', token)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = await request(app)
+      .get('/api/v1/equipment/export?format=docx')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(422);
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const { Equipment, EquipmentHistory } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery } = require('../helpers/query');
+
+describe('GET /api/v1/equipment/:id/history', () => {
+  const app = createApp();
+  const equipmentId = '64b7f0c2a1b2c3d4e5f60718';
+  let user;
+  let token;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    jest.spyOn(Equipment, 'exists').mockResolvedValue({ _id: equipmentId });
+  });
+
+  it('returns the owner\'s history, newest first', async () => {
+    const entries = [{ action: 'update' }, { action: 'create' }];
+    const find = jest.spyOn(EquipmentHistory, 'find').mockReturnValue(mockQuery(entries));
+    jest.spyOn(EquipmentHistory, 'countDocuments').mockReturnValue(mockQuery(2));
+
+    const res = await request(app)
+      .get(`/api/v1/equipment/${equipmentId}/history`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.history).toEqual(entries);
+    expect(res.body.data.pagination).toEqual({ page: 1, limit: 20, total: 2, pages: 1 });
+    expect(find).toHaveBeenCalledWith({ equipmentId, userId: user._id });
+  });
+
+  it('returns an empty list for items without history', async () => {
+    jest.spyOn(EquipmentHistory, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(EquipmentHistory, 'countDocuments').mockReturnValue(mockQuery(0));
+
+    const res = await request(app)
+      .get(`/api/v1/equipment/${equipmentId}/history`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.history).toEqual([]);
+    expect(Equipment.exists).toHaveBeenCalledWith({ _id: equipmentId, userId: user._id });
+  });
+
+  it('returns 404 for equipment the user does not own', async () => {
+    Equipment.exists.mockResolvedValue(null);
+    jest.spyOn(EquipmentHistory, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(EquipmentHistory, 'countDocuments').mockReturnValue(mockQuery(0));
+
+    const res = await request(app)
+      .get(`/api/v1/equipment/${equipmentId}/history`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const sharp = require('sharp');
+
+jest.mock('../../src/services/storage', () => {
+  const storage = {
+    put: jest.fn(async (key) => ({ key, url: `/uploads/${key}` })),
+    remove: jest.fn(async () => {})
+  };
+  return { getStorage: () => storage };
+});
+
+const { Equipment, EquipmentHistory } = require('../../src/models');
+const { getStorage } = require('../../src/services/storage');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('equipment image routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    equipment = loaded(new Equipment({
+      userId: user._id,
+      name: 'Telecaster',
+      type: 'Guitar',
+      images: [
+        { url: '/uploads/a.jpg', key: 'a.jpg', thumbnailKey: 'a_thumb.jpg' },
+        { url: '/uploads/b.jpg', key: 'b.jpg', thumbnailKey: 'b_thumb.jpg' }
+      ]
+    }));
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    stubSave(Equipment);
+    getStorage().remove.mockClear();
+  });
+
+  describe('POST /api/v1/equipment/:id/images', () => {
+    it('stores uploaded images and their thumbnails', async () => {
+      const png = await sharp({
+        create: { width: 64, height: 64, channels: 3, background: '#ff0000' }
+      }).png().toBuffer();
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/images`)
+        .set('Authorization', token)
+        .attach('images', png, { filename: 'front.png', contentType: 'image/png' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.images).toHaveLength(3);
+      expect(res.body.data.images[2]).toMatchObject({ originalName: 'front.png', contentType: 'image/png' });
+      expect(res.body.data.images[2].thumbnailUrl).toMatch(/_thumb\.jpg$/);
+    });
+
+    it('requires at least one image', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/images`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('NO_FILES');
+    });
+
+    it('rejects unsupported file types', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/images`)
+        .set('Authorization', token)
+        .attach('images', Buffer.from('%PDF'), { filename: 'a.pdf', contentType: 'application/pdf' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+    });
+
+    it('requires authentication', async () => {
+      const res = await request(app).post(`/api/v1/equipment/${equipment._id}/images`);
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/v1/equipment/:id/images/order', () => {
+    it('reorders images', async () => {
+      const [first, second] = equipment.images.map(image => String(image._id));
+
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/images/order`)
+        .set('Authorization', token)
+        .send({ imageIds: [second, first] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.images.map(image => image._id)).toEqual([second, first]);
+    });
+
+    it('requires every image exactly once', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/images/order`)
+        .set('Authorization', token)
+        .send({ imageIds: [String(equipment.images[0]._id)] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_IMAGE_ORDER');
+    });
+  });
+
+  describe('DELETE /api/v1/equipment/:id/images/:imageId', () => {
+    it('removes the image and its stored files', async () => {
+      const image = equipment.images[0];
+
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/images/${image._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.images).toHaveLength(1);
+      expect(getStorage().remove.mock.calls).toEqual([['a.jpg'], ['a_thumb.jpg']]);
+    });
+
+    it('returns 404 for an unknown image', async () => {
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/images/${equipment._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('returns 404 for equipment of another user', async () => {
+      Equipment.findOne.mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/images/${equipment.images[0]._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe('Equipment not found');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const { Equipment, DepreciationRule } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery } = require('../helpers/query');
+
+describe('POST /api/v1/equipment/import', () => {
+  const app = createApp();
+  let token;
+
+  beforeEach(() => {
+    ({ token } = signIn());
+    jest.spyOn(Equipment, 'insertMany').mockImplementation(async (docs) => docs);
+    jest.spyOn(DepreciationRule, 'find').mockImplementation(() => mockQuery([]));
+  });
+
+  it('imports an uploaded CSV file', async () => {
+    const res = await request(app)
+      .post('/api/v1/equipment/import')
+      .set('Authorization', token)
+      .attach('file', Buffer.from('name,type\nTelecaster,Guitar\n'), { filename: 'gear.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary).toMatchObject({ imported: 1, dryRun: false });
+  });
+
+  it('applies the column mapping on a dry run', async () => {
+    const res = await request(app)
+      .post('/api/v1/equipment/import')
+      .set('Authorization', token)
+      .field('dryRun', 'true')
+      .field('mapping', JSON.stringify({ Item: 'name', Kind: 'type' }))
+      .attach('file', Buffer.from('Item,Kind\nTelecaster,Guitar\n'), { filename: 'gear.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ validRows: 1, imported: 0, dryRun: true });
+    expect(Equipment.insertMany).not.toHaveBeenCalled();
+  });
+
+  it('rejects a mapping that is not an object', async () => {
+    const res = await request(app)
+      .post('/api/v1/equipment/import')
+      .set('Authorization', token)
+      .field('mapping', '["name"]')
+      .attach('file', Buffer.from('name,type\n'), { filename: 'gear.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(422);
+  });
+
+  it('requires a file', async () => {
+    const res = await request(app)
+      .post('/api/v1/equipment/import')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('NO_FILES');
+  });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const { Equipment } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery } = require('../helpers/query');
+
+describe('GET /api/v1/equipment', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let query;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    query = mockQuery([{ name: 'Telecaster', type: 'Guitar' }]);
+
+    jest.spyOn(Equipment, 'find').mockReturnValue(query);
+    jest.spyOn(Equipment, 'countDocuments').mockReturnValue(mockQuery(1));
+    jest.spyOn(Equipment, 'aggregate').mockResolvedValue([{
+      type: [{ _id: 'Guitar', count: 1 }], category: [], condition: [], location: [], insured: []
+    }]);
+  });
+
+  it('returns the page with facet counts', async () => {
+    const res = await request(app)
+      .get('/api/v1/equipment')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.facets.type).toEqual([{ value: 'Guitar', count: 1 }]);
+    expect(res.body.data.pagination).toEqual({ page: 1, limit: 10, total: 1, pages: 1 });
+    expect(query.sort).toHaveBeenCalledWith('-createdAt');
+  });
+
+  it('ranks text search results by relevance', async () => {
+    const res = await request(app)
+      .get('/api/v1/equipment?search=tele')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(Equipment.find).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: user._id, $text: { $search: 'tele' } }),
+      { score: { $meta: 'textScore' } }
+    );
+    expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+  });
+
+  it('keeps an explicit sort for text searches', async () => {
+    await request(app)
+      .get('/api/v1/equipment?search=tele&sort=name')
+      .set('Authorization', token);
+
+    expect(query.sort).toHaveBeenCalledWith('name');
+  });
+
+  it('limits search terms to 200 characters', async () => {
+    const res = await request(app)
+      .get(`/api/v1/equipment?search=${'a'.repeat(201)}`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(422);
+  });
+
+  it('parses multi-select and range filters', async () => {
+    const res = await request(app)
+      .get('/api/v1/equipment?condition=Good,Fair&condition=Poor&minValue=100&maxValue=500&insured=false')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(Equipment.find).toHaveBeenCalledWith(expect.objectContaining({
+      condition: { $in: ['Good', 'Fair', 'Poor'] },
+      currentValue: { $gte: 100, $lte: 500 },
+      'insuranceInfo.isInsured': { $ne: true }
+    }), {});
+  });
+
+  it.each([
+    ['unknown conditions', 'condition=Mint'],
+    ['negative values', 'minValue=-5'],
+    ['invalid dates', 'purchaseDateFrom=yesterday'],
+    ['sorting by fields outside the allow-list', 'sort=-passwordHash']
+  ])('rejects %s', async (label, params) => {
+    const res = await request(app)
+      .get(`/api/v1/equipment?${params}`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(422);
+    expect(Equipment.find).not.toHaveBeenCalled();
+  });
+
+  it('accepts descending sorts on allowed fields', async () => {
+    await request(app)
+      .get('/api/v1/equipment?sort=-purchasePrice')
+      .set('Authorization', token);
+
+    expect(query.sort).toHaveBeenCalledWith('-purchasePrice');
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Consumable, Equipment, EquipmentHistory, WorkOrder } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('equipment maintenance edit routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+  let restring;
+  let record;
+  let consumableId;
+  let workOrderId;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    consumableId = new mongoose.Types.ObjectId();
+    workOrderId = new mongoose.Types.ObjectId();
+
+    const scheduleId = new mongoose.Types.ObjectId();
+    equipment = loaded(new Equipment({
+      userId: user._id,
+      name: 'Stratocaster',
+      type: 'Guitar',
+      maintenanceSchedule: [{
+        _id: scheduleId,
+        taskType: 'Restring',
+        frequency: 'monthly',
+        lastPerformed: new Date('2024-01-10T00:00:00Z'),
+        nextDue: new Date('2024-02-10T00:00:00Z')
+      }],
+      maintenanceHistory: [{
+        service: 'Restring',
+        date: new Date('2024-01-10T00:00:00Z'),
+        cost: 12,
+        scheduleId,
+        workOrderId,
+        consumables: [{ consumableId, name: '10-46 set', quantity: 1, unitCost: 8.5 }]
+      }]
+    }));
+    [restring] = equipment.maintenanceSchedule;
+    [record] = equipment.maintenanceHistory;
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    jest.spyOn(Consumable, 'updateOne').mockResolvedValue({});
+    jest.spyOn(WorkOrder, 'updateOne').mockResolvedValue({});
+  });
+
+  describe('PUT /api/v1/equipment/:id/maintenance/:recordId', () => {
+    it('updates the given fields only', async () => {
+      stubSave(Equipment);
+
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/maintenance/${record._id}`)
+        .set('Authorization', token)
+        .send({ cost: 15, notes: 'Also cleaned the fretboard' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.maintenanceRecord).toMatchObject({ service: 'Restring', cost: 15, notes: 'Also cleaned the fretboard' });
+      expect(Consumable.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('swaps the consumables used and restores them if the save fails', async () => {
+      const newSet = new Consumable({ userId: user._id, name: '11-49 set', quantity: 3, unitCost: 9 });
+      jest.spyOn(Consumable, 'findOneAndUpdate').mockImplementation(() => mockQuery(newSet));
+      stubSave(Equipment).mockImplementation((options, callback) => callback(new Error('write failed')));
+
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/maintenance/${record._id}`)
+        .set('Authorization', token)
+        .send({ consumables: [{ consumableId: String(newSet._id), quantity: 1 }] });
+
+      expect(res.status).toBe(500);
+      // The old set went back into stock and the new one was taken; on
+      // rollback the new set is returned and the old one taken again
+      expect(Consumable.updateOne.mock.calls).toEqual([
+        [{ _id: consumableId, userId: user._id }, { $inc: { quantity: 1 } }],
+        [{ _id: newSet._id, userId: user._id }, { $inc: { quantity: 1 } }]
+      ]);
+      expect(Consumable.findOneAndUpdate.mock.calls.map(([filter]) => String(filter._id)))
+        .toEqual([String(newSet._id), String(consumableId)]);
+    });
+
+    it('returns 404 for unknown records', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/maintenance/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', token)
+        .send({ cost: 15 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe('Maintenance record not found');
+    });
+  });
+
+  describe('DELETE /api/v1/equipment/:id/maintenance/:recordId', () => {
+    beforeEach(() => {
+      stubSave(Equipment);
+    });
+
+    it('removes the record and unlinks its work order', async () => {
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/maintenance/${record._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(equipment.maintenanceHistory).toHaveLength(0);
+      expect(Consumable.updateOne).not.toHaveBeenCalled();
+      expect(WorkOrder.updateOne).toHaveBeenCalledWith(
+        { _id: workOrderId, userId: user._id },
+        { $unset: { maintenanceRecordId: 1 } }
+      );
+    });
+
+    it('returns the consumables to stock when asked', async () => {
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/maintenance/${record._id}?restock=true`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(Consumable.updateOne).toHaveBeenCalledWith({ _id: consumableId, userId: user._id }, { $inc: { quantity: 1 } });
+    });
+  });
+
+  describe('PUT /api/v1/equipment/:id/schedule/:scheduleId', () => {
+    beforeEach(() => {
+      stubSave(Equipment);
+    });
+
+    it('recomputes the due date when the frequency changes', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/schedule/${restring._id}`)
+        .set('Authorization', token)
+        .send({ frequency: 'weekly' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.schedule).toMatchObject({
+        frequency: 'weekly',
+        nextDue: '2024-01-17T00:00:00.000Z'
+      });
+    });
+
+    it('keeps an explicit due date', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/schedule/${restring._id}`)
+        .set('Authorization', token)
+        .send({ frequency: 'weekly', nextDue: '2024-03-01T00:00:00Z' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.schedule.nextDue).toBe('2024-03-01T00:00:00.000Z');
+    });
+
+    it('rejects unrecognised frequencies', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}/schedule/${restring._id}`)
+        .set('Authorization', token)
+        .send({ frequency: 'now and then' });
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('DELETE /api/v1/equipment/:id/schedule/:scheduleId', () => {
+    it('keeps completed records as plain history', async () => {
+      stubSave(Equipment);
+
+      const res = await request(app)
+        .delete(`/api/v1/equipment/${equipment._id}/schedule/${restring._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(equipment.maintenanceSchedule).toHaveLength(0);
+      expect(equipment.maintenanceHistory).toHaveLength(1);
+      expect(record.scheduleId).toBeUndefined();
+    });
+  });
+});
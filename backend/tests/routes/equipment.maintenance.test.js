@@ -0,0 +1,216 @@
+const request = require('supertest');
+const { Equipment, EquipmentHistory } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('equipment maintenance routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+  let restring;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    equipment = loaded(new Equipment({
+      userId: user._id,
+      name: 'Stratocaster',
+      type: 'Guitar',
+      maintenanceSchedule: [{
+        taskType: 'Restring',
+        frequency: 'monthly',
+        lastPerformed: new Date('2024-01-10T00:00:00Z'),
+        nextDue: new Date('2024-02-10T00:00:00Z')
+      }]
+    }));
+    restring = equipment.maintenanceSchedule[0];
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    stubSave(Equipment);
+  });
+
+  describe('POST /api/v1/equipment/:id/schedule/:scheduleId/complete', () => {
+    it('logs a linked record and rolls the schedule forward', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/schedule/${restring._id}/complete`)
+        .set('Authorization', token)
+        .send({ date: '2024-02-12T00:00:00Z', cost: 12, notes: '10-46 set' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.maintenanceRecord).toMatchObject({
+        service: 'Restring',
+        cost: 12,
+        notes: '10-46 set',
+        scheduleId: String(restring._id)
+      });
+      expect(res.body.data.schedule).toMatchObject({
+        lastPerformed: '2024-02-12T00:00:00.000Z',
+        nextDue: '2024-03-12T00:00:00.000Z'
+      });
+      expect(equipment.maintenanceHistory).toHaveLength(1);
+    });
+
+    it('returns 404 for an unknown schedule entry', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/schedule/${equipment._id}/complete`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe('Maintenance schedule not found');
+    });
+
+    it('rejects invalid completion dates', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/schedule/${restring._id}/complete`)
+        .set('Authorization', token)
+        .send({ date: 'last tuesday' });
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/v1/equipment/:id/usage', () => {
+    let tubes;
+
+    beforeEach(() => {
+      equipment = loaded(new Equipment({
+        userId: user._id,
+        name: 'AC30',
+        type: 'Amplifier',
+        usageCounters: { tubeHours: 950 },
+        maintenanceSchedule: [{
+          taskType: 'Retube',
+          usageInterval: { metric: 'tubeHours', amount: 1000 },
+          usageAtLastPerformed: 0
+        }]
+      }));
+      tubes = equipment.maintenanceSchedule[0];
+    });
+
+    // Stands in for MongoDB applying the $inc and $push
+    const applyUpdate = () => jest.spyOn(Equipment, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const stored = loaded(equipment);
+      Object.entries(update.$inc).forEach(([path, amount]) => stored.set(path, stored.get(path) + amount));
+      stored.usageLog.push(update.$push.usageLog);
+      return mockQuery(stored);
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Equipment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(EquipmentHistory, 'insertMany').mockResolvedValue([]);
+    });
+
+    it('adds usage atomically and reports progress', async () => {
+      const findOneAndUpdate = applyUpdate();
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/usage`)
+        .set('Authorization', token)
+        .send({ metric: 'tubeHours', amount: 20, notes: 'Studio week' });
+
+      expect(res.status).toBe(200);
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: String(equipment._id), userId: user._id },
+        {
+          $inc: { 'usageCounters.tubeHours': 20 },
+          $push: { usageLog: expect.objectContaining({ metric: 'tubeHours', amount: 20, notes: 'Studio week' }) }
+        },
+        expect.objectContaining({ new: true })
+      );
+      expect(res.body.data.usageCounters.tubeHours).toBe(970);
+      expect(res.body.data.schedules).toEqual([expect.objectContaining({
+        taskType: 'Retube',
+        usageSinceLast: 970,
+        isDue: false
+      })]);
+      expect(Equipment.updateOne).not.toHaveBeenCalled();
+      expect(EquipmentHistory.insertMany).toHaveBeenCalledWith([expect.objectContaining({
+        equipmentId: equipment._id,
+        actor: user._id,
+        changes: expect.arrayContaining([{ field: 'usageCounters.tubeHours', before: 950, after: 970 }])
+      })]);
+    });
+
+    it('makes the task due once the interval is reached', async () => {
+      applyUpdate();
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/usage`)
+        .set('Authorization', token)
+        .send({ metric: 'tubeHours', amount: 60 });
+
+      expect(res.body.data.schedules[0]).toMatchObject({ usageSinceLast: 1010, isDue: true });
+      expect(Equipment.updateOne).toHaveBeenCalledWith(
+        { _id: equipment._id, maintenanceSchedule: { $elemMatch: { _id: tubes._id, usageReachedAt: null } } },
+        {
+          $set: {
+            'maintenanceSchedule.$.usageReachedAt': expect.any(Date),
+            'maintenanceSchedule.$.nextDue': expect.any(Date)
+          }
+        }
+      );
+    });
+
+    it('returns 404 for equipment the user does not own', async () => {
+      jest.spyOn(Equipment, 'findOneAndUpdate').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/usage`)
+        .set('Authorization', token)
+        .send({ metric: 'tubeHours', amount: 20 });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('restarts the usage count when the task is completed', async () => {
+      equipment.usageCounters.tubeHours = 1200;
+
+      await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/schedule/${tubes._id}/complete`)
+        .set('Authorization', token);
+
+      expect(tubes.usageAtLastPerformed).toBe(1200);
+      expect(tubes.usageReachedAt).toBeUndefined();
+    });
+
+    it.each([
+      ['unknown metrics', { metric: 'miles', amount: 3 }],
+      ['non-positive amounts', { metric: 'gigs', amount: 0 }]
+    ])('rejects %s', async (label, body) => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/usage`)
+        .set('Authorization', token)
+        .send(body);
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/v1/equipment/:id/schedule', () => {
+    it('adds a schedule with a recurrence rule', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/schedule`)
+        .set('Authorization', token)
+        .send({ taskType: 'Setup', frequency: 'every 2 weeks on sat', lastPerformed: '2024-05-04T10:00:00Z' });
+
+      expect(res.status).toBe(200);
+      expect(equipment.maintenanceSchedule[1].nextDue).toEqual(new Date('2024-05-18T10:00:00Z'));
+    });
+
+    it.each([
+      ['unrecognised', 'every so often', /not recognised/],
+      ['finished', 'FREQ=WEEKLY;COUNT=1', /never recurs/],
+      ['expired', 'FREQ=DAILY;UNTIL=20200101T000000Z', /never recurs/],
+      ['impossible', 'FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30', /never recurs/]
+    ])('rejects %s frequencies', async (label, frequency, message) => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/schedule`)
+        .set('Authorization', token)
+        .send({ taskType: 'Setup', frequency });
+
+      expect(res.status).toBe(422);
+      expect(JSON.stringify(res.body)).toMatch(message);
+    });
+  });
+});
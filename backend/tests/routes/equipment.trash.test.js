@@ -0,0 +1,156 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Equipment, EquipmentHistory } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('equipment trash and retirement routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+  let save;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    equipment = loaded(new Equipment({ userId: user._id, name: 'Rhodes', type: 'Keyboard' }));
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    save = stubSave(Equipment);
+  });
+
+  it('moves deleted equipment to the trash', async () => {
+    const res = await request(app)
+      .delete(`/api/v1/equipment/${equipment._id}`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(equipment.deletedAt).toBeInstanceOf(Date);
+    expect(new Date(res.body.data.purgeAfter) > equipment.deletedAt).toBe(true);
+  });
+
+  it('refuses to trash equipment that is out for service', async () => {
+    equipment.activeWorkOrder = new mongoose.Types.ObjectId();
+    equipment.availability = 'At Service';
+
+    const res = await request(app)
+      .delete(`/api/v1/equipment/${equipment._id}`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('WORK_ORDER_IN_PROGRESS');
+    expect(equipment.deletedAt).toBeUndefined();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('lists the trash with purge dates', async () => {
+    equipment.deletedAt = new Date();
+    const find = jest.spyOn(Equipment, 'find').mockReturnValue(mockQuery([equipment]));
+
+    const res = await request(app)
+      .get('/api/v1/equipment/trash')
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.equipment[0]).toMatchObject({ name: 'Rhodes', purgeAfter: expect.any(String) });
+    expect(find).toHaveBeenCalledWith({ userId: user._id, deletedAt: { $ne: null } });
+  });
+
+  describe('POST /api/v1/equipment/:id/restore', () => {
+    it('restores trashed equipment', async () => {
+      equipment.deletedAt = new Date();
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/restore`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(equipment.deletedAt).toBeUndefined();
+    });
+
+    it('refuses once the retention period has passed', async () => {
+      equipment.deletedAt = new Date('2000-01-01');
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/restore`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('RESTORE_PERIOD_EXPIRED');
+    });
+
+    it('returns 404 for items not in the trash', async () => {
+      Equipment.findOne.mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/restore`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('retirement', () => {
+    it('retires equipment with a reason', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/retire`)
+        .set('Authorization', token)
+        .send({ reason: 'Sold', notes: 'Sold to a friend' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.equipment).toMatchObject({
+        isActive: false,
+        retirement: { reason: 'Sold', notes: 'Sold to a friend' }
+      });
+    });
+
+    it('rejects unknown reasons', async () => {
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/retire`)
+        .set('Authorization', token)
+        .send({ reason: 'Bored' });
+
+      expect(res.status).toBe(422);
+    });
+
+    it('does not retire equipment twice', async () => {
+      equipment.isActive = false;
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/retire`)
+        .set('Authorization', token)
+        .send({ reason: 'Lost' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('ALREADY_RETIRED');
+    });
+
+    it('refuses to retire equipment that is out for service', async () => {
+      equipment.activeWorkOrder = new mongoose.Types.ObjectId();
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/retire`)
+        .set('Authorization', token)
+        .send({ reason: 'Sold' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('WORK_ORDER_IN_PROGRESS');
+      expect(equipment.isActive).toBe(true);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('reactivates retired equipment', async () => {
+      equipment.isActive = false;
+      equipment.retirement = { reason: 'Broken' };
+
+      const res = await request(app)
+        .post(`/api/v1/equipment/${equipment._id}/reactivate`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.equipment.isActive).toBe(true);
+      expect(res.body.data.equipment.retirement).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Equipment, EquipmentHistory, InsurancePolicy } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('equipment create and update routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+
+  // Fields a client must not be able to set through the generic endpoints
+  const serverManaged = () => ({
+    userId: String(new mongoose.Types.ObjectId()),
+    deletedAt: '2024-01-01T00:00:00Z',
+    underClaim: true,
+    availability: 'At Service',
+    activeWorkOrder: String(new mongoose.Types.ObjectId()),
+    usageCounters: { hours: 500 },
+    images: [{ url: '/uploads/x.jpg', key: 'images/someone-else/x.jpg', thumbnailKey: 'thumbnails/x.jpg' }],
+    documents: [{ type: 'Receipt', title: 'Receipt', key: 'documents/someone-else/r.pdf' }],
+    insuranceInfo: { isInsured: true, coverageAmount: 100000 }
+  });
+
+  // Policy in force unless a test says otherwise
+  const policyDoc = (_id, fields = {}) => new InsurancePolicy({
+    _id,
+    userId: user._id,
+    provider: 'GearSure',
+    startDate: new Date('2024-01-01T00:00:00Z'),
+    endDate: new Date('2099-01-01T00:00:00Z'),
+    ...fields
+  });
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    equipment = loaded(new Equipment({
+      userId: user._id,
+      name: 'Stratocaster',
+      type: 'Guitar',
+      images: [{ url: '/uploads/strat.jpg', key: 'images/strat.jpg' }]
+    }));
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    stubSave(Equipment);
+  });
+
+  describe('POST /api/v1/equipment', () => {
+    it('creates the item for the signed-in user only', async () => {
+      const res = await request(app)
+        .post('/api/v1/equipment')
+        .set('Authorization', token)
+        .send({ name: 'Jazzmaster', type: 'Guitar', make: 'Fender', ...serverManaged() });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.equipment).toMatchObject({
+        name: 'Jazzmaster',
+        make: 'Fender',
+        userId: String(user._id),
+        underClaim: false,
+        availability: 'Available',
+        images: [],
+        documents: [],
+        insuranceInfo: { isInsured: false }
+      });
+      expect(res.body.data.equipment).not.toHaveProperty('deletedAt');
+      expect(res.body.data.equipment).not.toHaveProperty('activeWorkOrder');
+      expect(res.body.data.equipment.insuranceInfo).not.toHaveProperty('coverageAmount');
+      expect(res.body.data.equipment.usageCounters.hours).toBe(0);
+    });
+  });
+
+  describe('PUT /api/v1/equipment/:id', () => {
+    it('updates editable fields and ignores server-managed ones', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}`)
+        .set('Authorization', token)
+        .send({ location: 'Rehearsal room', ...serverManaged() });
+
+      expect(res.status).toBe(200);
+      expect(equipment.location).toBe('Rehearsal room');
+      expect(equipment.userId).toEqual(user._id);
+      expect(equipment.deletedAt).toBeUndefined();
+      expect(equipment.underClaim).toBe(false);
+      expect(equipment.availability).toBe('Available');
+      expect(equipment.activeWorkOrder).toBeUndefined();
+      expect(equipment.images.map(image => image.key)).toEqual(['images/strat.jpg']);
+      expect(equipment.documents).toHaveLength(0);
+      expect(equipment.insuranceInfo.isInsured).toBe(false);
+    });
+
+    it('moves the item onto a policy the user owns', async () => {
+      const policyId = new mongoose.Types.ObjectId();
+      jest.spyOn(InsurancePolicy, 'findOne').mockImplementation(() => mockQuery(policyDoc(policyId)));
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}`)
+        .set('Authorization', token)
+        .send({ insuranceInfo: { policyId: String(policyId), coverageAmount: 100000 } });
+
+      expect(res.status).toBe(200);
+      expect(InsurancePolicy.findOne).toHaveBeenCalledWith({ _id: policyId, userId: user._id });
+      expect(equipment.insuranceInfo.isInsured).toBe(true);
+      expect(equipment.insuranceInfo.coverageAmount).toBeUndefined();
+    });
+
+    it('does not count an item on an expired policy as insured', async () => {
+      const policyId = new mongoose.Types.ObjectId();
+      jest.spyOn(InsurancePolicy, 'findOne').mockImplementation(() => mockQuery(
+        policyDoc(policyId, { endDate: new Date('2024-06-01T00:00:00Z') })
+      ));
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}`)
+        .set('Authorization', token)
+        .send({ insuranceInfo: { policyId: String(policyId) } });
+
+      expect(res.status).toBe(200);
+      expect(equipment.insuranceInfo.policyId).toEqual(policyId);
+      expect(equipment.insuranceInfo.isInsured).toBe(false);
+    });
+
+    it('keeps the coverage when the current policy is sent back', async () => {
+      const policyId = new mongoose.Types.ObjectId();
+      equipment = loaded(new Equipment({
+        userId: user._id,
+        name: 'Stratocaster',
+        type: 'Guitar',
+        insuranceInfo: { isInsured: true, policyId, coverageAmount: 1500 }
+      }));
+      jest.spyOn(InsurancePolicy, 'findOne').mockImplementation(() => mockQuery(policyDoc(policyId)));
+      const findOneAndUpdate = jest.spyOn(InsurancePolicy, 'findOneAndUpdate');
+
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}`)
+        .set('Authorization', token)
+        .send({ location: 'Studio', insuranceInfo: { policyId: String(policyId) } });
+
+      expect(res.status).toBe(200);
+      expect(equipment.insuranceInfo.isInsured).toBe(true);
+      expect(equipment.insuranceInfo.coverageAmount).toBe(1500);
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('clears the coverage when the item is taken off its policy', async () => {
+      const policyId = new mongoose.Types.ObjectId();
+      equipment = loaded(new Equipment({
+        userId: user._id,
+        name: 'Stratocaster',
+        type: 'Guitar',
+        insuranceInfo: { isInsured: true, policyId, coverageAmount: 1500 }
+      }));
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}`)
+        .set('Authorization', token)
+        .send({ insuranceInfo: { policyId: null } });
+
+      expect(res.status).toBe(200);
+      expect(equipment.insuranceInfo.isInsured).toBe(false);
+      expect(equipment.insuranceInfo.policyId).toBeUndefined();
+      expect(equipment.insuranceInfo.coverageAmount).toBeUndefined();
+    });
+
+    it('rejects malformed policy ids', async () => {
+      const res = await request(app)
+        .put(`/api/v1/equipment/${equipment._id}`)
+        .set('Authorization', token)
+        .send({ insuranceInfo: { policyId: 'not-an-id' } });
+
+      expect(res.status).toBe(422);
+    });
+  });
+});
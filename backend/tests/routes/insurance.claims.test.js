@@ -0,0 +1,180 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/storage', () => {
+  const storage = { getStream: jest.fn() };
+  return { getStorage: () => storage };
+});
+
+const { Equipment, InsurancePolicy } = require('../../src/models');
+const { getStorage } = require('../../src/services/storage');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('insurance claim routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let guitarId;
+  let policy;
+  let claim;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    guitarId = new mongoose.Types.ObjectId();
+    policy = loaded(new InsurancePolicy({
+      userId: user._id,
+      provider: 'GearSure',
+      startDate: new Date('2024-01-01T00:00:00Z'),
+      endDate: new Date('2099-01-01T00:00:00Z'),
+      claimHistory: [{
+        dateOfIncident: new Date('2024-03-01T00:00:00Z'),
+        claimReason: 'Stolen from the van',
+        status: 'Filed',
+        statusHistory: [{ status: 'Filed', date: new Date('2024-03-02T00:00:00Z') }],
+        items: [{ itemId: guitarId, claimAmount: 1200 }]
+      }]
+    }));
+    [claim] = policy.claimHistory;
+
+    jest.spyOn(InsurancePolicy, 'findOne').mockImplementation(() => mockQuery(policy));
+    jest.spyOn(InsurancePolicy, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Equipment, 'updateMany').mockResolvedValue({});
+    stubSave(InsurancePolicy);
+  });
+
+  describe('POST /api/v1/insurance/:id/claim/:claimId/status', () => {
+    const url = () => `/api/v1/insurance/${policy._id}/claim/${claim._id}/status`;
+
+    it('records the settlement and clears the flag once closed', async () => {
+      let res = await request(app)
+        .post(url())
+        .set('Authorization', token)
+        .send({ status: 'Approved', settlements: [{ itemId: String(guitarId), amount: 1100 }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.claim).toMatchObject({ status: 'Approved', settlementAmount: 1100 });
+
+      res = await request(app)
+        .post(url())
+        .set('Authorization', token)
+        .send({ status: 'Closed', notes: 'Paid out' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.claim.statusHistory.map(entry => entry.status)).toEqual(['Filed', 'Approved', 'Closed']);
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [guitarId], $nin: [] }, userId: user._id },
+        { $set: { underClaim: false } }
+      );
+    });
+
+    it('rejects moves the claim cannot make', async () => {
+      claim.status = 'Closed';
+
+      const res = await request(app)
+        .post(url())
+        .set('Authorization', token)
+        .send({ status: 'Filed' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+
+    it('rejects settlements on claims that are not approved', async () => {
+      const res = await request(app)
+        .post(url())
+        .set('Authorization', token)
+        .send({ status: 'Denied', settlements: [{ itemId: String(guitarId), amount: 100 }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_SETTLEMENT');
+      expect(claim.status).toBe('Filed');
+    });
+
+    it('rejects unknown statuses', async () => {
+      const res = await request(app)
+        .post(url())
+        .set('Authorization', token)
+        .send({ status: 'Paid' });
+
+      expect(res.status).toBe(422);
+    });
+
+    it('returns 404 for unknown claims', async () => {
+      const res = await request(app)
+        .post(`/api/v1/insurance/${policy._id}/claim/${new mongoose.Types.ObjectId()}/status`)
+        .set('Authorization', token)
+        .send({ status: 'Closed' });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe('Claim not found');
+    });
+  });
+
+  describe('GET /api/v1/insurance/:id/claim/:claimId/package', () => {
+    const url = (query = '') => `/api/v1/insurance/${policy._id}/claim/${claim._id}/package${query}`;
+    const binary = (response, callback) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeEach(() => {
+      claim.claimNumber = 'GS-1001';
+      const guitar = new Equipment({
+        _id: guitarId,
+        userId: user._id,
+        name: 'Stratocaster',
+        type: 'Guitar',
+        documents: [{ type: 'Receipt', title: 'Receipt', key: 'documents/r.pdf', originalName: 'receipt.pdf' }]
+      });
+      jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([guitar]));
+      getStorage().getStream.mockReset();
+      getStorage().getStream.mockImplementation(() => Readable.from([Buffer.from('%PDF-1.4')]));
+    });
+
+    it('downloads a ZIP by default', async () => {
+      const res = await request(app)
+        .get(url())
+        .set('Authorization', token)
+        .buffer(true)
+        .parse(binary);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/zip');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="claim-GS-1001.zip"');
+      expect(res.body.toString('latin1')).toContain('items/01-stratocaster/documents/01-receipt-receipt.pdf');
+      expect(Equipment.find).toHaveBeenCalledWith({ _id: { $in: [String(guitarId)] }, userId: user._id });
+    });
+
+    it('downloads the summary as a PDF', async () => {
+      const res = await request(app)
+        .get(url('?format=pdf'))
+        .set('Authorization', token)
+        .buffer(true)
+        .parse(binary);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('rejects unknown formats', async () => {
+      const res = await request(app)
+        .get(url('?format=docx'))
+        .set('Authorization', token);
+
+      expect(res.status).toBe(422);
+    });
+
+    it('returns 404 for unknown claims', async () => {
+      const res = await request(app)
+        .get(`/api/v1/insurance/${policy._id}/claim/${new mongoose.Types.ObjectId()}/package`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+      expect(getStorage().getStream).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Equipment, InsurancePolicy, DepreciationRule, Band } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('insurance policy routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let guitar;
+  let amp;
+  let policy;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    guitar = new Equipment({ userId: user._id, name: 'Stratocaster', type: 'Guitar', currentValue: 1200 });
+    amp = new Equipment({ userId: user._id, name: 'Deluxe Reverb', type: 'Amplifier', currentValue: 800 });
+    policy = loaded(new InsurancePolicy({
+      userId: user._id,
+      provider: 'GearSure',
+      policyNumber: 'P-1',
+      coverageType: 'Comprehensive',
+      coverageAmount: 5000,
+      startDate: new Date('2024-01-01T00:00:00Z'),
+      endDate: new Date('2099-01-01T00:00:00Z'),
+      coveredItems: [guitar._id, amp._id]
+    }));
+
+    jest.spyOn(InsurancePolicy, 'findOne').mockImplementation(() => mockQuery(policy));
+    jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery([]));
+    jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([guitar, amp]));
+    jest.spyOn(DepreciationRule, 'find').mockImplementation(() => mockQuery([]));
+    jest.spyOn(Equipment, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(Equipment, 'updateMany').mockResolvedValue({});
+    stubSave(InsurancePolicy);
+  });
+
+  describe('POST /api/v1/insurance', () => {
+    const body = () => ({
+      provider: 'GearSure',
+      policyNumber: 'P-2',
+      coverageType: 'Comprehensive',
+      coverageAmount: 2000,
+      startDate: '2024-01-01',
+      endDate: '2099-01-01',
+      coveredEquipment: [String(guitar._id)]
+    });
+
+    it('marks the covered items as insured', async () => {
+      jest.spyOn(Equipment, 'countDocuments').mockImplementation(() => mockQuery(1));
+      jest.spyOn(InsurancePolicy, 'create').mockImplementation(async fields => new InsurancePolicy(fields));
+
+      const res = await request(app)
+        .post('/api/v1/insurance')
+        .set('Authorization', token)
+        .send(body());
+
+      expect(res.status).toBe(201);
+      const [[[write]]] = Equipment.bulkWrite.mock.calls;
+      expect(write.updateOne.update.$set).toMatchObject({ 'insuranceInfo.isInsured': true });
+    });
+
+    it('does not mark items insured under an expired policy', async () => {
+      jest.spyOn(Equipment, 'countDocuments').mockImplementation(() => mockQuery(1));
+      jest.spyOn(InsurancePolicy, 'create').mockImplementation(async fields => new InsurancePolicy(fields));
+
+      const res = await request(app)
+        .post('/api/v1/insurance')
+        .set('Authorization', token)
+        .send({ ...body(), endDate: '2025-01-01' });
+
+      expect(res.status).toBe(201);
+      const [[[write]]] = Equipment.bulkWrite.mock.calls;
+      expect(write.updateOne.update.$set).toMatchObject({
+        'insuranceInfo.isInsured': false,
+        'insuranceInfo.policyId': expect.anything()
+      });
+    });
+
+    it('rejects equipment the user does not own', async () => {
+      jest.spyOn(Equipment, 'countDocuments').mockImplementation(() => mockQuery(0));
+      const create = jest.spyOn(InsurancePolicy, 'create');
+
+      const res = await request(app)
+        .post('/api/v1/insurance')
+        .set('Authorization', token)
+        .send(body());
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_EQUIPMENT');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('rejects terms that end before they start', async () => {
+      const res = await request(app)
+        .post('/api/v1/insurance')
+        .set('Authorization', token)
+        .send({ ...body(), endDate: '2023-06-01' });
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('PUT /api/v1/insurance/:id', () => {
+    it('releases items taken off the policy', async () => {
+      jest.spyOn(Equipment, 'countDocuments').mockImplementation(() => mockQuery(1));
+
+      const res = await request(app)
+        .put(`/api/v1/insurance/${policy._id}`)
+        .set('Authorization', token)
+        .send({ coveredEquipment: [String(guitar._id)] });
+
+      expect(res.status).toBe(200);
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { 'insuranceInfo.policyId': policy._id, _id: { $in: [String(amp._id)] } },
+        expect.objectContaining({ $set: { 'insuranceInfo.isInsured': false } })
+      );
+    });
+
+    it('updates the items when the term changes', async () => {
+      const res = await request(app)
+        .put(`/api/v1/insurance/${policy._id}`)
+        .set('Authorization', token)
+        .send({ endDate: '2024-06-01' });
+
+      expect(res.status).toBe(200);
+      const [[[write]]] = Equipment.bulkWrite.mock.calls;
+      expect(write.updateOne.update.$set).toMatchObject({ 'insuranceInfo.isInsured': false });
+    });
+
+    it('does not touch equipment when coverage is unchanged', async () => {
+      const res = await request(app)
+        .put(`/api/v1/insurance/${policy._id}`)
+        .set('Authorization', token)
+        .send({ notes: 'Renewal quote requested' });
+
+      expect(res.status).toBe(200);
+      expect(Equipment.bulkWrite).not.toHaveBeenCalled();
+      expect(Equipment.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/v1/insurance/:id', () => {
+    it('releases every item and lets the previous term be renewed again', async () => {
+      jest.spyOn(policy, 'deleteOne').mockResolvedValue({});
+      const updateMany = jest.spyOn(InsurancePolicy, 'updateMany').mockResolvedValue({});
+
+      const res = await request(app)
+        .delete(`/api/v1/insurance/${policy._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(Equipment.updateMany).toHaveBeenCalledWith({ 'insuranceInfo.policyId': policy._id }, expect.any(Object));
+      expect(updateMany).toHaveBeenCalledWith({ successorId: policy._id }, { $unset: { successorId: 1 } });
+    });
+
+    it('clears the under-claim flag of items on its open claims', async () => {
+      policy.claimHistory.push({
+        dateOfIncident: new Date('2024-03-01T00:00:00Z'),
+        claimReason: 'Stolen from the van',
+        status: 'In Progress',
+        items: [{ itemId: guitar._id, claimAmount: 1200 }]
+      });
+      const deleteOne = jest.spyOn(policy, 'deleteOne').mockResolvedValue({});
+      jest.spyOn(InsurancePolicy, 'updateMany').mockResolvedValue({});
+      const aggregate = jest.spyOn(InsurancePolicy, 'aggregate').mockResolvedValue([]);
+
+      const res = await request(app)
+        .delete(`/api/v1/insurance/${policy._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(aggregate.mock.invocationCallOrder[0]).toBeGreaterThan(deleteOne.mock.invocationCallOrder[0]);
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [guitar._id], $nin: [] }, userId: user._id },
+        { $set: { underClaim: false } }
+      );
+    });
+
+    it('returns 404 for policies of other users', async () => {
+      InsurancePolicy.findOne.mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .delete(`/api/v1/insurance/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/v1/insurance/coverage-analysis', () => {
+    beforeEach(() => {
+      InsurancePolicy.find.mockImplementation(() => mockQuery([policy]));
+      jest.spyOn(Band, 'find').mockImplementation(() => mockQuery([]));
+    });
+
+    it('returns the analysis for the signed-in user', async () => {
+      const res = await request(app)
+        .get('/api/v1/insurance/coverage-analysis?days=60')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        days: 60,
+        summary: { totalItems: 2, insuredItems: 2, coverageAmount: 2000, uninsuredItems: 0 },
+        uninsured: [],
+        underInsured: []
+      });
+      expect(Equipment.find).toHaveBeenCalledWith({ userId: user._id });
+      expect(InsurancePolicy.find).toHaveBeenCalledWith({ userId: user._id });
+    });
+
+    it('rejects windows over a year', async () => {
+      const res = await request(app)
+        .get('/api/v1/insurance/coverage-analysis?days=400')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(422);
+    });
+  });
+});
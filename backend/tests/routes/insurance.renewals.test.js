@@ -0,0 +1,122 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { InsurancePolicy } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, loaded } = require('../helpers/query');
+
+describe('insurance renewal routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let policy;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    policy = loaded(new InsurancePolicy({
+      userId: user._id,
+      provider: 'GearSure',
+      policyNumber: 'P-1',
+      coverageAmount: 5000,
+      premium: 240,
+      startDate: new Date('2098-01-15T00:00:00Z'),
+      endDate: new Date('2099-01-15T00:00:00Z')
+    }));
+
+    jest.spyOn(InsurancePolicy, 'findOne').mockImplementation(() => mockQuery(policy));
+    jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery([policy]));
+  });
+
+  describe('POST /api/v1/insurance/:id/renew', () => {
+    beforeEach(() => {
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate').mockImplementation(() => mockQuery(policy));
+      jest.spyOn(InsurancePolicy, 'create').mockImplementation(async fields => new InsurancePolicy(fields));
+    });
+
+    it('creates the next term with the changed terms', async () => {
+      const res = await request(app)
+        .post(`/api/v1/insurance/${policy._id}/renew`)
+        .set('Authorization', token)
+        .send({ premium: 260, policyNumber: 'P-2' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.policy).toMatchObject({
+        provider: 'GearSure',
+        policyNumber: 'P-2',
+        premium: 260,
+        predecessorId: String(policy._id),
+        startDate: '2099-01-15T00:00:00.000Z',
+        endDate: '2100-01-15T00:00:00.000Z'
+      });
+    });
+
+    it('returns 409 when the policy was already renewed', async () => {
+      InsurancePolicy.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .post(`/api/v1/insurance/${policy._id}/renew`)
+        .set('Authorization', token)
+        .send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('ALREADY_RENEWED');
+      expect(InsurancePolicy.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects terms that end before they start', async () => {
+      const res = await request(app)
+        .post(`/api/v1/insurance/${policy._id}/renew`)
+        .set('Authorization', token)
+        .send({ startDate: '2099-01-15', endDate: '2098-01-15' });
+
+      expect(res.status).toBe(422);
+    });
+
+    it('returns 404 for policies of other users', async () => {
+      InsurancePolicy.findOne.mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .post(`/api/v1/insurance/${new mongoose.Types.ObjectId()}/renew`)
+        .set('Authorization', token)
+        .send({});
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/v1/insurance/renewals', () => {
+    it('lists policies awaiting a renewal decision', async () => {
+      const res = await request(app)
+        .get('/api/v1/insurance/renewals?days=14')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.days).toBe(14);
+      expect(InsurancePolicy.find).toHaveBeenCalledWith(expect.objectContaining({
+        userId: user._id,
+        autoRenew: { $ne: true },
+        renewalDeclined: { $ne: true },
+        successorId: null
+      }));
+    });
+  });
+
+  describe('GET /api/v1/insurance/expiring', () => {
+    it('is not mistaken for a policy id', async () => {
+      const res = await request(app)
+        .get('/api/v1/insurance/expiring')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ days: 30, policies: [expect.objectContaining({ policyNumber: 'P-1' })] });
+      expect(InsurancePolicy.findOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects windows over a year', async () => {
+      const res = await request(app)
+        .get('/api/v1/insurance/expiring?days=400')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(422);
+    });
+  });
+});
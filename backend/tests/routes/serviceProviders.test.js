@@ -0,0 +1,180 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Equipment, ServiceProvider } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery } = require('../helpers/query');
+
+describe('service provider routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let luthier;
+  let ampTech;
+
+  const provider = (name) => {
+    const serviceProvider = new ServiceProvider({ userId: user._id, name });
+    serviceProvider.normalizedName = ServiceProvider.normalizeName(name);
+    return serviceProvider;
+  };
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    luthier = provider("Joe's Guitar Shop");
+    ampTech = provider('Valve Doctor');
+  });
+
+  describe('GET /api/v1/service-providers', () => {
+    beforeEach(() => {
+      jest.spyOn(ServiceProvider, 'find').mockImplementation(() => mockQuery([ampTech, luthier]));
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([
+        { _id: luthier._id, jobs: 4, totalSpend: 200, turnaroundMs: null, equipment: [], lastJob: null },
+        { _id: ampTech._id, jobs: 1, totalSpend: 90, turnaroundMs: null, equipment: [], lastJob: null }
+      ]);
+    });
+
+    it('sorts by a job stat', async () => {
+      const res = await request(app)
+        .get('/api/v1/service-providers?sort=-stats.jobs')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.providers.map(item => item.name)).toEqual(["Joe's Guitar Shop", 'Valve Doctor']);
+      expect(res.body.data.providers[0].stats).toMatchObject({ jobs: 4, averageCost: 50 });
+    });
+
+    it('searches on the normalized name', async () => {
+      await request(app)
+        .get("/api/v1/service-providers?search=Joe's")
+        .set('Authorization', token);
+
+      expect(ServiceProvider.find).toHaveBeenCalledWith({ userId: user._id, normalizedName: { $regex: 'joes' } });
+    });
+  });
+
+  describe('POST /api/v1/service-providers', () => {
+    it('rejects a name that matches an existing provider', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(luthier));
+      const create = jest.spyOn(ServiceProvider, 'create');
+
+      const res = await request(app)
+        .post('/api/v1/service-providers')
+        .set('Authorization', token)
+        .send({ name: 'joes guitar shop' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('DUPLICATE_PROVIDER');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('links earlier free-text records to the new provider', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(null));
+      jest.spyOn(ServiceProvider, 'create').mockResolvedValue(luthier);
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([
+        { _id: new mongoose.Types.ObjectId(), recordId: new mongoose.Types.ObjectId(), provider: 'Joes Guitar Shop' }
+      ]);
+      jest.spyOn(Equipment, 'bulkWrite').mockResolvedValue({});
+
+      const res = await request(app)
+        .post('/api/v1/service-providers')
+        .set('Authorization', token)
+        .send({ name: "Joe's Guitar Shop" });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.linkedRecords).toBe(1);
+    });
+
+    it('only takes editable fields from the body', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(null));
+      const create = jest.spyOn(ServiceProvider, 'create').mockResolvedValue(luthier);
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([]);
+
+      const res = await request(app)
+        .post('/api/v1/service-providers')
+        .set('Authorization', token)
+        .send({
+          name: "Joe's Guitar Shop",
+          rating: 5,
+          _id: String(new mongoose.Types.ObjectId()),
+          userId: String(new mongoose.Types.ObjectId()),
+          normalizedName: 'someone else'
+        });
+
+      expect(res.status).toBe(201);
+      expect(create).toHaveBeenCalledWith({ name: "Joe's Guitar Shop", rating: 5, userId: user._id });
+    });
+  });
+
+  describe('PUT /api/v1/service-providers/:id', () => {
+    it('sets editable fields only', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(luthier));
+      jest.spyOn(luthier, 'save').mockResolvedValue(luthier);
+
+      const res = await request(app)
+        .put(`/api/v1/service-providers/${luthier._id}`)
+        .set('Authorization', token)
+        .send({
+          notes: 'Fret work',
+          userId: String(new mongoose.Types.ObjectId()),
+          normalizedName: 'someone else'
+        });
+
+      expect(res.status).toBe(200);
+      expect(luthier.notes).toBe('Fret work');
+      expect(luthier.userId).toEqual(user._id);
+      expect(luthier.normalizedName).toBe(ServiceProvider.normalizeName("Joe's Guitar Shop"));
+    });
+  });
+
+  describe('GET /api/v1/service-providers/:id/jobs', () => {
+    it('lists the provider\'s records newest first', async () => {
+      const equipment = new Equipment({
+        userId: user._id,
+        name: 'Stratocaster',
+        type: 'Guitar',
+        maintenanceHistory: [
+          { service: 'Setup', date: new Date('2024-01-01T00:00:00Z'), providerId: luthier._id },
+          { service: 'Retube', date: new Date('2024-03-01T00:00:00Z'), providerId: ampTech._id },
+          { service: 'Fret level', date: new Date('2024-02-01T00:00:00Z'), providerId: luthier._id }
+        ]
+      });
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(luthier));
+      jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([equipment]));
+
+      const res = await request(app)
+        .get(`/api/v1/service-providers/${luthier._id}/jobs`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.jobs.map(job => job.record.service)).toEqual(['Fret level', 'Setup']);
+      expect(res.body.data.jobs[0].equipment.name).toBe('Stratocaster');
+    });
+  });
+
+  describe('DELETE /api/v1/service-providers/:id', () => {
+    it('unlinks the provider from maintenance records', async () => {
+      jest.spyOn(ServiceProvider, 'findOneAndDelete').mockImplementation(() => mockQuery(luthier));
+      const updateMany = jest.spyOn(Equipment, 'updateMany').mockResolvedValue({});
+
+      const res = await request(app)
+        .delete(`/api/v1/service-providers/${luthier._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(updateMany).toHaveBeenCalledWith(
+        { userId: user._id, 'maintenanceHistory.providerId': luthier._id },
+        { $unset: { 'maintenanceHistory.$[record].providerId': '' } },
+        { arrayFilters: [{ 'record.providerId': luthier._id }] }
+      );
+    });
+
+    it('returns 404 for unknown providers', async () => {
+      jest.spyOn(ServiceProvider, 'findOneAndDelete').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .delete(`/api/v1/service-providers/${luthier._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { Notification } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('notification routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let notification;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    notification = loaded(new Notification({
+      userId: user._id,
+      type: 'maintenance_due',
+      title: 'Restring due: Stratocaster'
+    }));
+  });
+
+  describe('GET /api/v1/users/me/notifications', () => {
+    it('filters unread notifications by type and paginates', async () => {
+      const query = mockQuery([notification]);
+      jest.spyOn(Notification, 'find').mockReturnValue(query);
+      jest.spyOn(Notification, 'countDocuments').mockImplementation(() => mockQuery(21));
+
+      const res = await request(app)
+        .get('/api/v1/users/me/notifications?unread=true&type=maintenance_due&page=2&limit=10')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(Notification.find).toHaveBeenCalledWith({ userId: user._id, readAt: null, type: 'maintenance_due' });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(res.body.data).toMatchObject({
+        unreadCount: 21,
+        pagination: { page: 2, limit: 10, total: 21, pages: 3 }
+      });
+    });
+
+    it('rejects unknown types', async () => {
+      const res = await request(app)
+        .get('/api/v1/users/me/notifications?type=spam')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('PUT /api/v1/users/me/notifications/:id', () => {
+    it('marks a notification read and returns the remaining unread count', async () => {
+      jest.spyOn(Notification, 'findOne').mockImplementation(() => mockQuery(notification));
+      jest.spyOn(Notification, 'countDocuments').mockImplementation(() => mockQuery(4));
+      const save = stubSave(Notification);
+
+      const res = await request(app)
+        .put(`/api/v1/users/me/notifications/${notification._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(save).toHaveBeenCalled();
+      expect(notification.readAt).toEqual(expect.any(Date));
+      expect(res.body.data.unreadCount).toBe(4);
+    });
+
+    it('returns 404 for notifications of other users', async () => {
+      jest.spyOn(Notification, 'findOne').mockImplementation(() => mockQuery(null));
+
+      const res = await request(app)
+        .put(`/api/v1/users/me/notifications/${notification._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/v1/users/me/notifications', () => {
+    it('marks every unread notification read', async () => {
+      const updateMany = jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+      const res = await request(app)
+        .put('/api/v1/users/me/notifications')
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(updateMany).toHaveBeenCalledWith(
+        { userId: user._id, readAt: null },
+        { $set: { readAt: expect.any(Date) } }
+      );
+      expect(res.body.data).toEqual({ updated: 3, unreadCount: 0 });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Equipment, EquipmentHistory, ServiceProvider, WorkOrder } = require('../../src/models');
+const { createApp, signIn } = require('../helpers/app');
+const { mockQuery, stubSave, loaded } = require('../helpers/query');
+
+describe('work order routes', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let equipment;
+  let provider;
+  let workOrder;
+
+  beforeEach(() => {
+    ({ user, token } = signIn());
+    equipment = loaded(new Equipment({ userId: user._id, name: 'Les Paul', type: 'Guitar', location: 'Studio' }));
+    provider = new ServiceProvider({ userId: user._id, name: "Joe's Guitar Shop" });
+    workOrder = loaded(new WorkOrder({
+      userId: user._id,
+      equipmentId: equipment._id,
+      providerId: provider._id,
+      service: 'Refret'
+    }));
+
+    jest.spyOn(WorkOrder, 'findOne').mockImplementation(() => mockQuery(workOrder));
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(Equipment, 'findOneAndUpdate').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(provider));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    stubSave(Equipment);
+    stubSave(WorkOrder);
+  });
+
+  describe('POST /api/v1/work-orders', () => {
+    it('creates a quoted order', async () => {
+      const res = await request(app)
+        .post('/api/v1/work-orders')
+        .set('Authorization', token)
+        .send({ equipmentId: String(equipment._id), providerId: String(provider._id), service: 'Refret', estimatedCost: 300 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.workOrder).toMatchObject({ status: 'Quoted', estimatedCost: 300, isClosed: false });
+    });
+
+    it('does not accept cancelled as the first status', async () => {
+      const res = await request(app)
+        .post('/api/v1/work-orders')
+        .set('Authorization', token)
+        .send({ equipmentId: String(equipment._id), providerId: String(provider._id), service: 'Refret', status: 'Cancelled' });
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/v1/work-orders/:id/status', () => {
+    it('drops the item off with the provider', async () => {
+      const res = await request(app)
+        .post(`/api/v1/work-orders/${workOrder._id}/status`)
+        .set('Authorization', token)
+        .send({ status: 'Dropped Off' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Work order marked as dropped off');
+      expect(res.body.data.equipment).toMatchObject({ availability: 'At Service', location: "At Joe's Guitar Shop" });
+    });
+
+    it('returns 400 for a backwards move', async () => {
+      workOrder.status = 'Ready';
+
+      const res = await request(app)
+        .post(`/api/v1/work-orders/${workOrder._id}/status`)
+        .set('Authorization', token)
+        .send({ status: 'Quoted' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+  });
+
+  describe('PUT /api/v1/work-orders/:id', () => {
+    it('only lets the provider change before drop-off', async () => {
+      workOrder.status = 'In Progress';
+
+      const res = await request(app)
+        .put(`/api/v1/work-orders/${workOrder._id}`)
+        .set('Authorization', token)
+        .send({ providerId: String(new mongoose.Types.ObjectId()) });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('WORK_ORDER_IN_PROGRESS');
+    });
+  });
+
+  describe('DELETE /api/v1/work-orders/:id', () => {
+    it('refuses orders whose item is still out', async () => {
+      workOrder.status = 'Dropped Off';
+      const deleteOne = jest.spyOn(workOrder, 'deleteOne');
+
+      const res = await request(app)
+        .delete(`/api/v1/work-orders/${workOrder._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(409);
+      expect(deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('deletes quoted orders', async () => {
+      jest.spyOn(workOrder, 'deleteOne').mockResolvedValue({});
+
+      const res = await request(app)
+        .delete(`/api/v1/work-orders/${workOrder._id}`)
+        .set('Authorization', token);
+
+      expect(res.status).toBe(200);
+      expect(workOrder.deleteOne).toHaveBeenCalled();
+    });
+  });
+});
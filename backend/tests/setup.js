@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = '1';
+
+// Tests never connect to MongoDB; a query that was not mocked fails instead of hanging
+mongoose.set('bufferCommands', false);
+
+require('../src/utils/logger').silent = true;
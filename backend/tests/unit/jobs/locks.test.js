@@ -0,0 +1,72 @@
+const { MemoryLockStore, RedisLockStore } = require('../../../src/jobs/locks');
+
+describe('job locks', () => {
+  describe('MemoryLockStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryLockStore();
+    });
+
+    it('hands a lock to one holder at a time', async () => {
+      const token = await store.acquire('purge-trash:1', 1000);
+
+      expect(token).toEqual(expect.any(String));
+      await expect(store.acquire('purge-trash:1', 1000)).resolves.toBeNull();
+      await expect(store.acquire('purge-trash:2', 1000)).resolves.toEqual(expect.any(String));
+    });
+
+    it('frees expired locks', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+      await store.acquire('purge-trash:1', 500);
+
+      Date.now.mockReturnValue(1500);
+      await expect(store.acquire('purge-trash:1', 500)).resolves.toEqual(expect.any(String));
+    });
+
+    it('forgets expired locks', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+      await store.acquire('purge-trash:1', 500);
+      await store.acquire('purge-trash:2', 500);
+
+      Date.now.mockReturnValue(1500);
+      await store.acquire('purge-trash:3', 500);
+
+      expect([...store.locks.keys()]).toEqual(['purge-trash:3']);
+    });
+
+    it('only releases with the holder\'s token', async () => {
+      const token = await store.acquire('purge-trash:1', 1000);
+
+      await store.release('purge-trash:1', 'someone-else');
+      await expect(store.acquire('purge-trash:1', 1000)).resolves.toBeNull();
+
+      await store.release('purge-trash:1', token);
+      await expect(store.acquire('purge-trash:1', 1000)).resolves.toEqual(expect.any(String));
+    });
+  });
+
+  describe('RedisLockStore', () => {
+    it('sets the key only if absent, with an expiry', async () => {
+      const client = { set: jest.fn().mockResolvedValueOnce('OK').mockResolvedValueOnce(null) };
+      const store = new RedisLockStore(client);
+
+      const token = await store.acquire('purge-trash:1', 1000);
+
+      expect(client.set).toHaveBeenCalledWith('jobs:lock:purge-trash:1', token, { NX: true, PX: 1000 });
+      await expect(store.acquire('purge-trash:1', 1000)).resolves.toBeNull();
+    });
+
+    it('releases through a script that checks the token', async () => {
+      const client = { eval: jest.fn().mockResolvedValue(1) };
+      const store = new RedisLockStore(client, { prefix: 'test:' });
+
+      await store.release('purge-trash:1', 'token');
+
+      expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('redis.call("get", KEYS[1]) == ARGV[1]'), {
+        keys: ['test:purge-trash:1'],
+        arguments: ['token']
+      });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const JobRunner = require('../../../src/jobs/runner');
+const { MemoryLockStore } = require('../../../src/jobs/locks');
+const { createJobRunner } = require('../../../src/jobs');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('JobRunner', () => {
+  let runner;
+
+  beforeEach(() => {
+    runner = new JobRunner();
+  });
+
+  afterEach(() => runner.stop());
+
+  it('rejects duplicate and unknown jobs', async () => {
+    runner.register('purge-trash', async () => {}, { interval: HOUR });
+
+    expect(() => runner.register('purge-trash', async () => {}, { interval: HOUR }))
+      .toThrow('Job already registered: purge-trash');
+    await expect(runner.run('missing')).rejects.toThrow('Unknown job: missing');
+  });
+
+  it('runs a job once per interval slot', async () => {
+    const handler = jest.fn(async () => {});
+    runner.register('purge-trash', handler, { interval: HOUR });
+
+    await expect(runner.run('purge-trash')).resolves.toBe(true);
+    await expect(runner.run('purge-trash')).resolves.toBe(false);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips a run while the previous one is still going', async () => {
+    let finish;
+    const handler = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    runner.register('purge-trash', handler, { interval: HOUR });
+
+    const first = runner.run('purge-trash');
+    await expect(runner.run('purge-trash')).resolves.toBe(false);
+
+    await new Promise(setImmediate);
+    finish();
+    await expect(first).resolves.toBe(true);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries failures and keeps the slot once a run succeeds', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce();
+    runner.register('purge-trash', handler, { interval: HOUR, retries: 2, retryDelay: 1 });
+
+    await expect(runner.run('purge-trash')).resolves.toBe(true);
+    expect(handler).toHaveBeenCalledTimes(2);
+    await expect(runner.run('purge-trash')).resolves.toBe(false);
+  });
+
+  it('frees the slot after the last retry fails', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('database unavailable'));
+    runner.register('purge-trash', handler, { interval: HOUR, retries: 1, retryDelay: 1 });
+
+    await expect(runner.run('purge-trash')).resolves.toBe(false);
+    expect(handler).toHaveBeenCalledTimes(2);
+
+    handler.mockResolvedValue();
+    await expect(runner.run('purge-trash')).resolves.toBe(true);
+  });
+
+  it('shares slots between runners using the same lock store', async () => {
+    const lockStore = new MemoryLockStore();
+    const other = new JobRunner({ lockStore });
+    runner = new JobRunner({ lockStore });
+    const handler = jest.fn(async () => {});
+    runner.register('purge-trash', handler, { interval: HOUR });
+    other.register('purge-trash', handler, { interval: HOUR });
+
+    await runner.run('purge-trash');
+    await other.run('purge-trash');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not run a job when its lock cannot be taken', async () => {
+    const handler = jest.fn(async () => {});
+    runner = new JobRunner({ lockStore: { acquire: jest.fn().mockRejectedValue(new Error('redis down')) } });
+    runner.register('purge-trash', handler, { interval: HOUR });
+
+    await expect(runner.run('purge-trash')).resolves.toBe(false);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('stops waiting for a retry when stopped', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('database unavailable'));
+    runner.register('purge-trash', handler, { interval: HOUR, retries: 3, retryDelay: HOUR });
+
+    const run = runner.run('purge-trash');
+    await new Promise(setImmediate);
+    await runner.stop();
+
+    await expect(run).resolves.toBe(false);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('registers the application jobs', () => {
+    runner = createJobRunner();
+
+    expect([...runner.jobs.keys()]).toEqual([
+      'purge-trash',
+      'recalculate-values',
+      'maintenance-reminders',
+      'insurance-reminders',
+      'policy-renewals'
+    ]);
+  });
+});
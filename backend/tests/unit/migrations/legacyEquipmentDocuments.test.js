@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { Equipment } = require('../../../src/models');
+const { toDocument, up } = require('../../../src/migrations/legacyEquipmentDocuments');
+
+describe('legacy equipment documents migration', () => {
+  describe('toDocument', () => {
+    it('files a document URL as "Other" under its file name', () => {
+      const document = toDocument('https://gear.s3.amazonaws.com/docs/amp%20receipt.pdf');
+
+      expect(document).toEqual({
+        _id: expect.any(mongoose.Types.ObjectId),
+        type: 'Other',
+        title: 'amp receipt.pdf',
+        key: 'docs/amp receipt.pdf',
+        originalName: 'amp receipt.pdf'
+      });
+    });
+
+    it('produces a document that passes validation', () => {
+      const equipment = new Equipment({
+        userId: new mongoose.Types.ObjectId(),
+        name: 'Deluxe Reverb',
+        type: 'Amplifier',
+        documents: [toDocument('/uploads/documents/manual.pdf')]
+      });
+
+      expect(equipment.validateSync()).toBeUndefined();
+    });
+
+    it('leaves entries already in the new shape untouched', () => {
+      const entry = { _id: new mongoose.Types.ObjectId(), type: 'Receipt', title: 'Receipt', key: 'r.pdf' };
+
+      expect(toDocument(entry)).toBe(entry);
+    });
+  });
+
+  describe('up', () => {
+    it('rewrites only items that still store URL strings', async () => {
+      const itemId = new mongoose.Types.ObjectId();
+
+      jest.spyOn(Equipment.collection, 'find').mockReturnValue((async function* () {
+        yield { _id: itemId, documents: ['/uploads/documents/manual.pdf'] };
+      })());
+      const updateOne = jest.spyOn(Equipment.collection, 'updateOne').mockResolvedValue({});
+
+      await expect(up()).resolves.toBe(1);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: itemId },
+        { $set: { documents: [expect.objectContaining({ type: 'Other', key: 'documents/manual.pdf' })] } }
+      );
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { Equipment } = require('../../../src/models');
+const { toImage, up } = require('../../../src/migrations/legacyEquipmentImages');
+
+describe('legacy equipment images migration', () => {
+  describe('toImage', () => {
+    it('turns a URL from the configured storage into an entry keyed by its storage key', () => {
+      const image = toImage('/uploads/equipment/1/images/a.jpg');
+
+      expect(image).toEqual({
+        _id: expect.any(mongoose.Types.ObjectId),
+        url: '/uploads/equipment/1/images/a.jpg',
+        key: 'equipment/1/images/a.jpg'
+      });
+    });
+
+    it('falls back to the URL path for images hosted elsewhere', () => {
+      expect(toImage('https://cdn.example.com/gear/my%20amp.png').key).toBe('gear/my amp.png');
+    });
+
+    it('leaves entries already in the new shape untouched', () => {
+      const entry = { _id: new mongoose.Types.ObjectId(), url: '/uploads/a.jpg', key: 'a.jpg' };
+
+      expect(toImage(entry)).toBe(entry);
+    });
+  });
+
+  describe('up', () => {
+    it('rewrites only items that still store URL strings', async () => {
+      const itemId = new mongoose.Types.ObjectId();
+      const existing = { _id: new mongoose.Types.ObjectId(), url: '/uploads/b.jpg', key: 'b.jpg' };
+
+      const find = jest.spyOn(Equipment.collection, 'find').mockReturnValue((async function* () {
+        yield { _id: itemId, images: ['/uploads/a.jpg', existing] };
+      })());
+      const updateOne = jest.spyOn(Equipment.collection, 'updateOne').mockResolvedValue({});
+
+      await expect(up()).resolves.toBe(1);
+
+      expect(find).toHaveBeenCalledWith({ images: { $type: 'string' } }, expect.any(Object));
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: itemId },
+        { $set: { images: [expect.objectContaining({ url: '/uploads/a.jpg', key: 'a.jpg' }), existing] } }
+      );
+    });
+  });
+});
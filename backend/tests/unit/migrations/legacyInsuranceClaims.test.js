@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { InsurancePolicy } = require('../../../src/models');
+const { toClaim, up } = require('../../../src/migrations/legacyInsuranceClaims');
+
+describe('legacy insurance claims migration', () => {
+  const date = new Date('2023-06-01T00:00:00Z');
+  const itemId = new mongoose.Types.ObjectId();
+
+  const legacyClaim = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    date,
+    description: 'Amp dropped at a gig',
+    amount: 400,
+    status: 'Pending',
+    items: [{ itemId, claimAmount: 400 }],
+    documents: ['https://gear.s3.amazonaws.com/claims/photo.jpg'],
+    ...fields
+  });
+
+  describe('toClaim', () => {
+    it('renames the old fields and keeps the rest', () => {
+      const claim = legacyClaim();
+
+      expect(toClaim(claim)).toEqual({
+        _id: claim._id,
+        dateOfIncident: date,
+        dateOfClaim: date,
+        claimReason: 'Amp dropped at a gig',
+        claimAmount: 400,
+        status: 'Filed',
+        statusHistory: [{ status: 'Filed', date }],
+        items: claim.items,
+        documents: claim.documents
+      });
+    });
+
+    it.each([
+      ['Pending', 'Filed'],
+      ['Approved', 'Approved'],
+      ['Denied', 'Denied'],
+      ['Paid', 'Closed'],
+      [undefined, 'Filed']
+    ])('maps status %s to %s', (status, expected) => {
+      expect(toClaim(legacyClaim({ status })).status).toBe(expected);
+    });
+
+    it('leaves the amount out when none was recorded', () => {
+      expect(toClaim(legacyClaim({ amount: null }))).not.toHaveProperty('claimAmount');
+    });
+
+    it('produces a claim that passes validation', () => {
+      const policy = new InsurancePolicy({
+        userId: new mongoose.Types.ObjectId(),
+        provider: 'GearSure',
+        startDate: new Date('2023-01-01T00:00:00Z'),
+        endDate: new Date('2024-01-01T00:00:00Z'),
+        claimHistory: [toClaim(legacyClaim({ status: 'Paid' }))]
+      });
+
+      expect(policy.validateSync()).toBeUndefined();
+      expect(policy.claimHistory[0].isOpen).toBe(false);
+    });
+
+    it('leaves claims already in the new shape untouched', () => {
+      const claim = { dateOfIncident: date, claimReason: 'Theft', status: 'Filed' };
+
+      expect(toClaim(claim)).toBe(claim);
+    });
+  });
+
+  describe('up', () => {
+    it('rewrites policies with old claims, keeping migrated ones', async () => {
+      const policyId = new mongoose.Types.ObjectId();
+      const current = { dateOfIncident: date, claimReason: 'Theft', status: 'Approved' };
+
+      jest.spyOn(InsurancePolicy.collection, 'find').mockReturnValue((async function* () {
+        yield { _id: policyId, claimHistory: [legacyClaim(), current] };
+      })());
+      const updateOne = jest.spyOn(InsurancePolicy.collection, 'updateOne').mockResolvedValue({});
+
+      await expect(up()).resolves.toBe(1);
+
+      expect(InsurancePolicy.collection.find).toHaveBeenCalledWith(
+        { claimHistory: { $elemMatch: { description: { $exists: true }, claimReason: { $exists: false } } } },
+        { projection: { claimHistory: 1 } }
+      );
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: policyId },
+        { $set: { claimHistory: [expect.objectContaining({ claimReason: 'Amp dropped at a gig' }), current] } }
+      );
+    });
+  });
+});
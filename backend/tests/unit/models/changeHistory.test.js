@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { Equipment, EquipmentHistory } = require('../../../src/models');
+const { diffSnapshots } = require('../../../src/models/plugins/changeHistory');
+const { stubSave, loaded } = require('../../helpers/query');
+
+describe('change history', () => {
+  describe('diffSnapshots', () => {
+    it('lists changed, added and removed fields, including nested ones', () => {
+      expect(diffSnapshots(
+        { name: 'Tele', condition: 'Good', insuranceInfo: { isInsured: false } },
+        { name: 'Tele', location: 'Studio', insuranceInfo: { isInsured: true } }
+      )).toEqual([
+        { field: 'condition', before: 'Good', after: undefined },
+        { field: 'insuranceInfo.isInsured', before: false, after: true },
+        { field: 'location', before: undefined, after: 'Studio' }
+      ]);
+    });
+
+    it('compares subdocument arrays by _id and notices reordering', () => {
+      const a = { _id: new mongoose.Types.ObjectId(), cost: 10 };
+      const b = { _id: new mongoose.Types.ObjectId(), cost: 20 };
+      const c = { _id: new mongoose.Types.ObjectId(), cost: 30 };
+
+      expect(diffSnapshots(
+        { records: [a, b] },
+        { records: [{ ...b, cost: 25 }, c] }
+      )).toEqual([
+        { field: `records.${a._id}`, before: a, after: undefined },
+        { field: `records.${b._id}.cost`, before: 20, after: 25 },
+        { field: `records.${c._id}`, before: undefined, after: c }
+      ]);
+
+      expect(diffSnapshots({ records: [a, b] }, { records: [b, a] })).toEqual([
+        { field: 'records.$order', before: [String(a._id), String(b._id)], after: [String(b._id), String(a._id)] }
+      ]);
+    });
+
+    it('treats missing values like empty ones and ignores bookkeeping fields', () => {
+      expect(diffSnapshots(
+        { tags: [], updatedAt: new Date('2020-01-01') },
+        { notes: null, updatedAt: new Date() }
+      )).toEqual([]);
+    });
+  });
+
+  describe('recording saves', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let create;
+    let findStored;
+
+    beforeEach(() => {
+      stubSave(Equipment);
+      create = jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+      findStored = Equipment.collection.findOne;
+    });
+
+    const storedItem = () => loaded(new Equipment({
+      userId,
+      name: 'Jazz Bass',
+      type: 'Bass',
+      condition: 'Good',
+      location: 'Home'
+    }));
+
+    it('records new items as created', async () => {
+      const item = new Equipment({ userId, name: 'Jazz Bass', type: 'Bass' });
+      item.$locals.actor = userId;
+      await item.save();
+
+      expect(findStored).not.toHaveBeenCalled();
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        equipmentId: item._id,
+        actor: userId,
+        action: 'create',
+        changes: expect.arrayContaining([{ field: 'name', before: undefined, after: 'Jazz Bass' }])
+      }));
+    });
+
+    it('diffs only the saved fields against their stored values', async () => {
+      const item = storedItem();
+      findStored.mockResolvedValue({ _id: item._id, condition: 'Fair' });
+
+      item.condition = 'Excellent';
+      await item.save();
+
+      expect(findStored).toHaveBeenCalledWith({ _id: item._id }, { projection: { condition: 1 } });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'update',
+        changes: [{ field: 'condition', before: 'Fair', after: 'Excellent' }]
+      }));
+    });
+
+    it('records moving to the trash as a delete', async () => {
+      const item = storedItem();
+      findStored.mockResolvedValue({ _id: item._id });
+
+      item.deletedAt = new Date();
+      await item.save();
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ action: 'delete' }));
+    });
+
+    it('neither reads nor records anything for unchanged items', async () => {
+      const item = storedItem();
+      await item.save();
+
+      expect(findStored).not.toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('does not copy documents when they are loaded', () => {
+      const toObject = jest.spyOn(Equipment.prototype, 'toObject');
+
+      Equipment.hydrate({ _id: new mongoose.Types.ObjectId(), userId, name: 'Jazz Bass', type: 'Bass' });
+
+      expect(toObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordChanges', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    it('records direct writes as updates', async () => {
+      const insertMany = jest.spyOn(EquipmentHistory, 'insertMany').mockResolvedValue([]);
+      const changed = { _id: new mongoose.Types.ObjectId(), userId, changes: [{ field: 'underClaim', before: false, after: true }] };
+      const unchanged = { _id: new mongoose.Types.ObjectId(), userId, changes: [] };
+
+      await Equipment.recordChanges([changed, unchanged], { actor: userId });
+
+      expect(insertMany).toHaveBeenCalledWith([{
+        equipmentId: changed._id,
+        userId,
+        actor: userId,
+        action: 'update',
+        changes: changed.changes
+      }]);
+    });
+
+    it('writes nothing when nothing changed', async () => {
+      const insertMany = jest.spyOn(EquipmentHistory, 'insertMany');
+
+      await Equipment.recordChanges([{ _id: new mongoose.Types.ObjectId(), userId, changes: [] }]);
+
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
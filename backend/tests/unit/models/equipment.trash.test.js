@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { Equipment } = require('../../../src/models');
+
+/**
+ * Run a query's middleware and return the filter it ended up with
+ * There is no database, so the query itself fails once the hooks have run
+ */
+const filterAfterHooks = async (query) => {
+  await query.exec().catch(() => {});
+  return query.getFilter();
+};
+
+describe('Equipment trash filtering', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  it.each([
+    ['find', () => Equipment.find({ userId })],
+    ['findOne', () => Equipment.findOne({ userId })],
+    ['countDocuments', () => Equipment.countDocuments({ userId })],
+    ['findOneAndUpdate', () => Equipment.findOneAndUpdate({ userId }, { name: 'Renamed' })]
+  ])('leaves trashed items out of %s', async (label, buildQuery) => {
+    expect(await filterAfterHooks(buildQuery())).toEqual({ userId, deletedAt: null });
+  });
+
+  it('lets queries that ask about deletedAt see the trash', async () => {
+    const filter = await filterAfterHooks(Equipment.find({ userId, deletedAt: { $ne: null } }));
+
+    expect(filter).toEqual({ userId, deletedAt: { $ne: null } });
+  });
+});
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { Equipment, InsurancePolicy } = require('../../../src/models');
+const {
+  CLAIM_TRANSITIONS,
+  syncUnderClaim,
+  applySettlements,
+  changeClaimStatus
+} = require('../../../src/services/claim.service');
+
+describe('claim service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const guitarId = new mongoose.Types.ObjectId();
+  const ampId = new mongoose.Types.ObjectId();
+  let policy;
+  let claim;
+
+  beforeEach(() => {
+    policy = new InsurancePolicy({
+      userId,
+      provider: 'GearSure',
+      startDate: new Date('2024-01-01T00:00:00Z'),
+      endDate: new Date('2099-01-01T00:00:00Z'),
+      claimHistory: [{
+        dateOfIncident: new Date('2024-03-01T00:00:00Z'),
+        claimReason: 'Stolen from the van',
+        status: 'Filed',
+        statusHistory: [{ status: 'Filed', date: new Date('2024-03-02T00:00:00Z') }],
+        items: [{ itemId: guitarId, claimAmount: 1200 }, { itemId: ampId, claimAmount: 800 }]
+      }]
+    });
+    [claim] = policy.claimHistory;
+
+    jest.spyOn(InsurancePolicy, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Equipment, 'updateMany').mockResolvedValue({});
+  });
+
+  describe('CLAIM_TRANSITIONS', () => {
+    it('covers every claim status', () => {
+      expect(Object.keys(CLAIM_TRANSITIONS).sort()).toEqual([...InsurancePolicy.CLAIM_STATUSES].sort());
+    });
+
+    it('only moves to known statuses', () => {
+      Object.values(CLAIM_TRANSITIONS).flat().forEach(status => {
+        expect(InsurancePolicy.CLAIM_STATUSES).toContain(status);
+      });
+    });
+
+    it('treats Closed as final', () => {
+      expect(CLAIM_TRANSITIONS.Closed).toEqual([]);
+    });
+  });
+
+  describe('syncUnderClaim', () => {
+    it('flags items on open claims and clears the rest', async () => {
+      InsurancePolicy.aggregate.mockResolvedValue([{ _id: guitarId }]);
+
+      await syncUnderClaim(userId, [guitarId, String(ampId), guitarId, null]);
+
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [guitarId] }, userId },
+        { $set: { underClaim: true } }
+      );
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [guitarId, ampId], $nin: [guitarId] }, userId },
+        { $set: { underClaim: false } }
+      );
+    });
+
+    it('does nothing without items', async () => {
+      await syncUnderClaim(userId, []);
+
+      expect(InsurancePolicy.aggregate).not.toHaveBeenCalled();
+      expect(Equipment.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applySettlements', () => {
+    it('sets the amount on each item', () => {
+      applySettlements(claim, [{ itemId: String(guitarId), amount: 1000 }], 'Partially Approved');
+
+      expect(claim.items[0].settlementAmount).toBe(1000);
+      expect(claim.items[1].settlementAmount).toBeUndefined();
+    });
+
+    it('rejects settlements before the claim is approved', () => {
+      expect(() => applySettlements(claim, [{ itemId: guitarId, amount: 1000 }]))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_SETTLEMENT' }));
+    });
+
+    it('rejects items that are not on the claim', () => {
+      const other = new mongoose.Types.ObjectId();
+
+      expect(() => applySettlements(claim, [{ itemId: other, amount: 100 }], 'Approved'))
+        .toThrow(`Equipment is not part of this claim: ${other}`);
+    });
+  });
+
+  describe('changeClaimStatus', () => {
+    beforeEach(() => {
+      jest.spyOn(policy, 'save').mockResolvedValue(policy);
+    });
+
+    it('records the change and resyncs the claimed items', async () => {
+      await changeClaimStatus(policy, claim, 'Denied', { date: '2024-04-01', notes: 'Not covered' });
+
+      expect(claim.status).toBe('Denied');
+      expect(claim.statusHistory[1]).toMatchObject({
+        status: 'Denied',
+        date: new Date('2024-04-01'),
+        notes: 'Not covered'
+      });
+      expect(policy.save).toHaveBeenCalled();
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [guitarId, ampId], $nin: [] }, userId },
+        { $set: { underClaim: false } }
+      );
+    });
+
+    it('rejects moves the claim cannot make', async () => {
+      claim.status = 'Closed';
+
+      await expect(changeClaimStatus(policy, claim, 'In Progress'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS_TRANSITION' });
+      expect(policy.save).not.toHaveBeenCalled();
+    });
+  });
+});
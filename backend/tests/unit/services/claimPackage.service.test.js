@@ -0,0 +1,105 @@
+const { PassThrough, Readable, Writable } = require('stream');
+const mongoose = require('mongoose');
+
+jest.mock('../../../src/services/storage', () => {
+  const storage = { getStream: jest.fn() };
+  return { getStorage: () => storage };
+});
+
+const { Equipment, InsurancePolicy } = require('../../../src/models');
+const { getStorage } = require('../../../src/services/storage');
+const { writeClaimPackage } = require('../../../src/services/claimPackage.service');
+
+describe('claim package service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let details;
+
+  const collect = async (format) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    await writeClaimPackage(format, details, output);
+    return Buffer.concat(chunks);
+  };
+
+  beforeEach(() => {
+    const items = ['Stratocaster', 'Deluxe Reverb', 'Big Muff'].map(name => new Equipment({
+      userId,
+      name,
+      type: 'Guitar',
+      images: [{ url: `/uploads/${name}.jpg`, key: `images/${name}.jpg`, originalName: 'front.jpg' }],
+      documents: [
+        { type: 'Manual', title: 'Manual', key: `documents/${name}-manual.pdf` },
+        { type: 'Receipt', title: 'Receipt', key: `documents/${name}-receipt.pdf`, originalName: 'receipt.pdf' }
+      ]
+    }));
+    const policy = new InsurancePolicy({
+      userId,
+      provider: 'GearSure',
+      startDate: new Date('2024-01-01T00:00:00Z'),
+      endDate: new Date('2099-01-01T00:00:00Z'),
+      claimHistory: [{
+        dateOfIncident: new Date('2024-03-01T00:00:00Z'),
+        claimReason: 'Stolen from the van',
+        items: items.map(item => ({ itemId: item._id, claimAmount: 500 }))
+      }]
+    });
+
+    details = { policy, claim: policy.claimHistory[0], items, owner: 'Sam Player' };
+    getStorage().getStream.mockReset();
+    getStorage().getStream.mockImplementation(key => Readable.from([Buffer.from(`contents of ${key}`)]));
+  });
+
+  it('writes the summary and every attachment into the ZIP', async () => {
+    const entries = (await collect('zip')).toString('latin1');
+
+    expect(entries).toContain('00-claim-summary.pdf');
+    expect(entries).toContain('items/01-stratocaster/photos/01-front.jpg');
+    expect(entries).toContain('items/01-stratocaster/documents/01-receipt-receipt.pdf');
+    expect(entries).toContain('items/03-big-muff/documents/02-manual-manual.pdf');
+  });
+
+  it('leaves out files that cannot be read', async () => {
+    getStorage().getStream.mockImplementation(key => {
+      if (key.endsWith('manual.pdf')) {
+        throw new Error('NoSuchKey');
+      }
+      return Readable.from([Buffer.from(key)]);
+    });
+
+    const entries = (await collect('zip')).toString('latin1');
+
+    expect(entries).toContain('01-receipt-receipt.pdf');
+    expect(entries).not.toContain('02-manual-manual.pdf');
+  });
+
+  it('writes the summary on its own as a PDF', async () => {
+    const pdf = await collect('pdf');
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it.each(['zip', 'pdf'])('stops with an error when the %s output closes mid-package', async (format) => {
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+
+    const output = new Writable({ write: (chunk, encoding, callback) => callback() });
+    details.items.forEach(item => {
+      item.images[0].thumbnailKey = `thumbnails/${item.name}.jpg`;
+    });
+    getStorage().getStream.mockImplementation(key => {
+      if (getStorage().getStream.mock.calls.length === 2) output.destroy();
+      return Readable.from([Buffer.from(key)]);
+    });
+
+    await expect(writeClaimPackage(format, details, output)).rejects.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+    process.off('unhandledRejection', unhandled);
+
+    expect(unhandled).not.toHaveBeenCalled();
+    if (format === 'zip') {
+      expect(getStorage().getStream).toHaveBeenCalledTimes(2);
+    }
+  });
+});
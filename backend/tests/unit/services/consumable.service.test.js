@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { Consumable } = require('../../../src/models');
+const { mockQuery } = require('../../helpers/query');
+const {
+  useConsumables,
+  returnConsumables,
+  replaceConsumables
+} = require('../../../src/services/consumable.service');
+
+describe('consumable service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let stock;
+
+  const consumable = (name, quantity, unitCost) => {
+    const item = new Consumable({ userId, name, quantity, unitCost });
+    stock[item._id] = item;
+    return item;
+  };
+
+  beforeEach(() => {
+    stock = {};
+
+    // Stand-in for the conditional $inc the service relies on
+    jest.spyOn(Consumable, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const item = stock[filter._id];
+      const enough = item && item.quantity >= filter.quantity.$gte;
+      if (enough) {
+        item.quantity += update.$inc.quantity;
+      }
+      return mockQuery(enough ? item : null);
+    });
+    jest.spyOn(Consumable, 'findOne').mockImplementation(filter => mockQuery(stock[filter._id] || null));
+    jest.spyOn(Consumable, 'updateOne').mockImplementation(async (filter, update) => {
+      stock[filter._id].quantity += update.$inc.quantity;
+      return {};
+    });
+  });
+
+  describe('useConsumables', () => {
+    it('takes stock and prices usage at the current unit cost', async () => {
+      const strings = consumable('10-46 set', 5, 8.5);
+
+      const usage = await useConsumables(userId, [{ consumableId: strings._id, quantity: 2 }]);
+
+      expect(usage).toEqual([{ consumableId: strings._id, name: '10-46 set', quantity: 2, unitCost: 8.5 }]);
+      expect(strings.quantity).toBe(3);
+    });
+
+    it('returns nothing taken when no items are given', async () => {
+      await expect(useConsumables(userId)).resolves.toEqual([]);
+      expect(Consumable.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('rejects short stock and returns what was already taken', async () => {
+      const strings = consumable('10-46 set', 5, 8.5);
+      const reeds = consumable('Reeds 2.5', 1, 3);
+
+      await expect(useConsumables(userId, [
+        { consumableId: strings._id, quantity: 2 },
+        { consumableId: reeds._id, quantity: 4 }
+      ])).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'INSUFFICIENT_STOCK',
+        message: 'Not enough Reeds 2.5 in stock (1 available)'
+      });
+
+      expect(strings.quantity).toBe(5);
+      expect(reeds.quantity).toBe(1);
+    });
+
+    it('rejects unknown consumables', async () => {
+      const missing = new mongoose.Types.ObjectId();
+
+      await expect(useConsumables(userId, [{ consumableId: missing, quantity: 1 }]))
+        .rejects.toMatchObject({ statusCode: 404, message: `Consumable not found: ${missing}` });
+    });
+  });
+
+  describe('returnConsumables', () => {
+    it('puts each entry back into stock for the owner', async () => {
+      const strings = consumable('10-46 set', 1);
+
+      await returnConsumables(userId, [{ consumableId: strings._id, quantity: 2 }]);
+
+      expect(strings.quantity).toBe(3);
+      expect(Consumable.updateOne).toHaveBeenCalledWith(
+        { _id: strings._id, userId },
+        { $inc: { quantity: 2 } }
+      );
+    });
+  });
+
+  describe('replaceConsumables', () => {
+    it('lets a record keep items it already used without extra stock', async () => {
+      const strings = consumable('10-46 set', 0, 8.5);
+      const previous = [{ consumableId: strings._id, quantity: 2 }];
+
+      const usage = await replaceConsumables(userId, previous, [{ consumableId: strings._id, quantity: 2 }]);
+
+      expect(usage).toHaveLength(1);
+      expect(strings.quantity).toBe(0);
+    });
+
+    it('takes the previous usage again when the new list cannot be met', async () => {
+      const strings = consumable('10-46 set', 1, 8.5);
+      const reeds = consumable('Reeds 2.5', 0, 3);
+      const previous = [{ consumableId: strings._id, quantity: 2 }];
+
+      await expect(replaceConsumables(userId, previous, [{ consumableId: reeds._id, quantity: 1 }]))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK' });
+
+      expect(strings.quantity).toBe(1);
+      expect(reeds.quantity).toBe(0);
+    });
+  });
+});
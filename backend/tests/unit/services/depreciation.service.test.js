@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { Equipment, DepreciationRule } = require('../../../src/models');
+const { mockQuery } = require('../../helpers/query');
+const { getValueCurve, recalculateValues } = require('../../../src/services/depreciation.service');
+
+describe('depreciation service', () => {
+  describe('getValueCurve', () => {
+    it('plots one point per year from purchase until the projection ends', () => {
+      const purchaseDate = new Date();
+      purchaseDate.setFullYear(purchaseDate.getFullYear() - 2);
+
+      const curve = getValueCurve(
+        { purchasePrice: 1000, purchaseDate },
+        { method: 'straight-line', usefulLifeYears: 10, salvageValue: 0 },
+        { years: 3 }
+      );
+
+      expect(curve.map(point => point.age)).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(curve[0].value).toBe(1000);
+      expect(curve[2].value).toBeCloseTo(800, 0);
+    });
+
+    it('is empty without a purchase date or settings', () => {
+      expect(getValueCurve({ purchasePrice: 1000 }, { method: 'straight-line' })).toEqual([]);
+      expect(getValueCurve({ purchasePrice: 1000, purchaseDate: new Date() }, null)).toEqual([]);
+    });
+  });
+
+  describe('recalculateValues', () => {
+    it('writes changed values using each owner\'s category rules', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const purchaseDate = new Date();
+      purchaseDate.setFullYear(purchaseDate.getFullYear() - 5);
+      const items = [
+        { _id: new mongoose.Types.ObjectId(), userId, category: 'Electric', purchasePrice: 1000, purchaseDate, currentValue: 1000 },
+        { _id: new mongoose.Types.ObjectId(), userId, category: 'Acoustic', purchasePrice: 800, purchaseDate, currentValue: 800 },
+        { _id: new mongoose.Types.ObjectId(), userId, purchasePrice: 500, purchaseDate, currentValue: 500, depreciation: { method: 'manual' } }
+      ];
+
+      const find = jest.spyOn(Equipment, 'find').mockReturnValue(mockQuery(items));
+      const findRules = jest.spyOn(DepreciationRule, 'find').mockResolvedValue([
+        { category: 'Electric', method: 'straight-line', usefulLifeYears: 10, salvageValue: 0 }
+      ]);
+      const bulkWrite = jest.spyOn(Equipment, 'bulkWrite').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(recalculateValues({ userId })).resolves.toBe(1);
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ userId, valueOverride: null }));
+      expect(findRules).toHaveBeenCalledTimes(1);
+      expect(bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: items[0]._id },
+          update: { $set: { currentValue: expect.closeTo(500, 0) } }
+        }
+      }]);
+    });
+
+    it('puts items left without settings back at their purchase price when asked', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const purchaseDate = new Date('2015-01-01T00:00:00Z');
+      const items = [
+        { _id: new mongoose.Types.ObjectId(), userId, category: 'Electric', purchasePrice: 1000, purchaseDate, currentValue: 400 },
+        { _id: new mongoose.Types.ObjectId(), userId, category: 'Electric', purchasePrice: 500, purchaseDate, currentValue: 300, depreciation: { method: 'manual' } }
+      ];
+
+      jest.spyOn(Equipment, 'find').mockReturnValue(mockQuery(items));
+      jest.spyOn(DepreciationRule, 'find').mockResolvedValue([]);
+      const bulkWrite = jest.spyOn(Equipment, 'bulkWrite').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(recalculateValues({ userId, category: 'Electric' })).resolves.toBe(0);
+      expect(bulkWrite).not.toHaveBeenCalled();
+
+      await expect(recalculateValues({ userId, category: 'Electric' }, { resetUndepreciated: true })).resolves.toBe(1);
+      expect(bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: items[0]._id },
+          update: { $set: { currentValue: 1000 } }
+        }
+      }]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { Equipment } = require('../../../src/models');
+const { buildEquipmentFilter, getEquipmentFacets } = require('../../../src/services/equipment.service');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('equipment service', () => {
+  describe('buildEquipmentFilter', () => {
+    it('scopes to the owner and leaves out trashed items', () => {
+      expect(buildEquipmentFilter(userId, {})).toEqual({ userId, deletedAt: null });
+    });
+
+    it('searches through the text index', () => {
+      expect(buildEquipmentFilter(userId, { search: 'fender tele' })).toMatchObject({
+        $text: { $search: 'fender tele' }
+      });
+    });
+
+    it('combines structured filters', () => {
+      const from = new Date('2020-01-01');
+      const filter = buildEquipmentFilter(userId, {
+        condition: ['Good', 'Fair'],
+        category: 'Electric',
+        make: 'Fender',
+        location: 'Studio',
+        purchaseDateFrom: from,
+        minValue: 0,
+        maxValue: 2000,
+        isActive: true
+      });
+
+      expect(filter).toEqual({
+        userId,
+        deletedAt: null,
+        condition: { $in: ['Good', 'Fair'] },
+        category: 'Electric',
+        make: 'Fender',
+        location: 'Studio',
+        purchaseDate: { $gte: from },
+        currentValue: { $gte: 0, $lte: 2000 },
+        isActive: true
+      });
+    });
+
+    it('treats items without insurance info as uninsured', () => {
+      expect(buildEquipmentFilter(userId, { insured: true })['insuranceInfo.isInsured']).toBe(true);
+      expect(buildEquipmentFilter(userId, { insured: false })['insuranceInfo.isInsured']).toEqual({ $ne: true });
+    });
+
+    it('matches overdue maintenance on any scheduled task', () => {
+      const overdue = buildEquipmentFilter(userId, { maintenanceOverdue: true }).maintenanceSchedule;
+      const upToDate = buildEquipmentFilter(userId, { maintenanceOverdue: false }).maintenanceSchedule;
+
+      expect(overdue).toEqual({ $elemMatch: { nextDue: { $lte: expect.any(Date) } } });
+      expect(upToDate).toEqual({ $not: overdue });
+    });
+  });
+
+  describe('getEquipmentFacets', () => {
+    it('counts matches per field, skipping empty values', async () => {
+      const aggregate = jest.spyOn(Equipment, 'aggregate').mockResolvedValue([{
+        type: [{ _id: 'Guitar', count: 3 }, { _id: 'Amplifier', count: 1 }],
+        category: [{ _id: null, count: 2 }, { _id: 'Electric', count: 2 }],
+        condition: [{ _id: 'Good', count: 4 }],
+        location: [{ _id: '', count: 4 }],
+        insured: [{ _id: true, count: 1 }, { _id: false, count: 3 }]
+      }]);
+
+      const facets = await getEquipmentFacets({ userId });
+
+      expect(facets).toEqual({
+        type: [{ value: 'Guitar', count: 3 }, { value: 'Amplifier', count: 1 }],
+        category: [{ value: 'Electric', count: 2 }],
+        condition: [{ value: 'Good', count: 4 }],
+        location: [],
+        insurance: { insured: 1, uninsured: 3 }
+      });
+      expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { userId } });
+    });
+
+    it('reports zero insured and uninsured items when nothing matches', async () => {
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([{
+        type: [], category: [], condition: [], location: [], insured: []
+      }]);
+
+      expect((await getEquipmentFacets({ userId })).insurance).toEqual({ insured: 0, uninsured: 0 });
+    });
+  });
+});
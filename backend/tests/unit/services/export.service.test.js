@@ -0,0 +1,143 @@
+const { PassThrough, Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const { EXPORT_COLUMNS, escapeFormula, toExportRow, writeExport } = require('../../../src/services/export.service');
+
+const item = {
+  name: 'Telecaster',
+  type: 'Guitar',
+  make: 'Fender',
+  model: 'American Pro',
+  purchaseDate: new Date('2020-05-01'),
+  purchasePrice: 1500,
+  currentValue: 1200,
+  maintenanceHistory: [
+    { date: new Date('2023-01-10'), cost: 80 },
+    { date: new Date('2023-06-02'), cost: 45.5 }
+  ],
+  maintenanceSchedule: [
+    { nextDue: new Date('2999-01-01') },
+    { nextDue: new Date('2000-01-01') }
+  ],
+  insuranceInfo: {
+    isInsured: true,
+    coverageAmount: 1400,
+    policyId: { provider: 'Heritage', policyNumber: 'H-1', status: 'Active', endDate: new Date('2030-01-01') }
+  }
+};
+
+async function* cursorOf(items) {
+  yield* items;
+}
+
+const collect = async (format, items, options) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  await writeExport(format, cursorOf(items), output, options);
+  return Buffer.concat(chunks);
+};
+
+describe('export service', () => {
+  describe('toExportRow', () => {
+    it('summarizes maintenance and insurance', () => {
+      expect(toExportRow(item)).toMatchObject({
+        name: 'Telecaster',
+        lastMaintenance: new Date('2023-06-02'),
+        nextMaintenanceDue: new Date('2000-01-01'),
+        maintenanceOverdue: 'Yes',
+        maintenanceRecords: 2,
+        maintenanceCost: 125.5,
+        insured: 'Yes',
+        insuranceStatus: 'Active',
+        insuranceProvider: 'Heritage',
+        policyNumber: 'H-1',
+        coverageAmount: 1400
+      });
+    });
+
+    it('handles items without maintenance or insurance', () => {
+      expect(toExportRow({ name: 'Cable', type: 'Accessory' })).toMatchObject({
+        lastMaintenance: null,
+        nextMaintenanceDue: null,
+        maintenanceOverdue: 'No',
+        maintenanceRecords: 0,
+        maintenanceCost: 0,
+        insured: 'No',
+        insuranceStatus: 'Uninsured'
+      });
+    });
+  });
+
+  describe('escapeFormula', () => {
+    it.each(['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd'])('escapes %j', (value) => {
+      expect(escapeFormula(value)).toBe(`'${value}`);
+    });
+
+    it('leaves other text alone', () => {
+      expect(escapeFormula('Stratocaster')).toBe('Stratocaster');
+    });
+  });
+
+  describe('writeExport', () => {
+    it('writes CSV with a header row and formatted dates', async () => {
+      const [header, row] = (await collect('csv', [item])).toString().trim().split('\n');
+
+      expect(header.split(',')).toEqual(EXPORT_COLUMNS.map(column => column.header));
+      expect(row).toContain('Telecaster,Guitar,,Fender,American Pro,,2020-05-01,1500,1200');
+    });
+
+    it('writes an XLSX workbook', async () => {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(await collect('xlsx', [item, { name: 'Cable', type: 'Accessory' }]));
+
+      const worksheet = workbook.getWorksheet('Inventory');
+      expect(worksheet.rowCount).toBe(3);
+      expect(worksheet.getRow(1).getCell(1).value).toBe('Name');
+      expect(worksheet.getRow(3).getCell(1).value).toBe('Cable');
+    });
+
+    it.each(['csv', 'xlsx'])('does not let %s cells run as formulas', async (format) => {
+      const output = await collect(format, [{ ...item, name: '=HYPERLINK("http://evil","Strat")', serialNumber: '-1+2' }]);
+
+      if (format === 'csv') {
+        expect(output.toString()).toContain('"\'=HYPERLINK(""http://evil"",""Strat"")",');
+        expect(output.toString()).toContain(",'-1+2,");
+      } else {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(output);
+        const row = workbook.getWorksheet('Inventory').getRow(2);
+        expect(row.getCell(1).value).toBe('\'=HYPERLINK("http://evil","Strat")');
+        expect(row.getCell(6).value).toBe('\'-1+2');
+      }
+    });
+
+    it('writes a printable PDF', async () => {
+      const pdf = await collect('pdf', [item], { owner: 'Sam Player' });
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it.each(['pdf', 'xlsx'])('stops with an error when the %s output closes mid-export', async (format) => {
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+
+      const output = new Writable({ write: (chunk, encoding, callback) => callback() });
+      let rowsRead = 0;
+      async function* cursor() {
+        for (let i = 0; i < 100; i++) {
+          rowsRead++;
+          if (i === 1) output.destroy();
+          yield { ...item, name: `Item ${i}` };
+        }
+      }
+
+      await expect(writeExport(format, cursor(), output)).rejects.toThrow();
+      await new Promise(resolve => setImmediate(resolve));
+      process.off('unhandledRejection', unhandled);
+
+      expect(rowsRead).toBeLessThan(100);
+      expect(unhandled).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const sharp = require('sharp');
+
+jest.mock('../../../src/services/storage', () => {
+  const storage = {
+    put: jest.fn(async (key) => ({ key, url: `/uploads/${key}` })),
+    remove: jest.fn(async () => {})
+  };
+  return { getStorage: () => storage };
+});
+
+const { getStorage } = require('../../../src/services/storage');
+const {
+  createThumbnail,
+  storeEquipmentImage,
+  removeEquipmentImage
+} = require('../../../src/services/image.service');
+
+const createImage = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#336699' }
+}).png().toBuffer();
+
+describe('image service', () => {
+  const storage = getStorage();
+
+  beforeEach(() => {
+    storage.put.mockClear();
+    storage.remove.mockClear();
+  });
+
+  it('creates JPEG thumbnails that fit the thumbnail size', async () => {
+    const thumbnail = await createThumbnail(await createImage(1200, 600));
+    const metadata = await sharp(thumbnail).metadata();
+
+    expect(metadata.format).toBe('jpeg');
+    expect(metadata.width).toBe(320);
+    expect(metadata.height).toBe(160);
+  });
+
+  it('does not enlarge small images', async () => {
+    const metadata = await sharp(await createThumbnail(await createImage(100, 80))).metadata();
+
+    expect(metadata.width).toBe(100);
+  });
+
+  it('stores the original and its thumbnail', async () => {
+    const image = await storeEquipmentImage('abc', {
+      buffer: await createImage(400, 300),
+      mimetype: 'image/png',
+      originalname: 'front.png',
+      size: 1234
+    });
+
+    expect(image.key).toMatch(/^equipment\/abc\/images\/[\w-]+\.png$/);
+    expect(image.thumbnailKey).toMatch(/^equipment\/abc\/images\/[\w-]+_thumb\.jpg$/);
+    expect(image).toMatchObject({
+      url: `/uploads/${image.key}`,
+      thumbnailUrl: `/uploads/${image.thumbnailKey}`,
+      originalName: 'front.png',
+      contentType: 'image/png',
+      size: 1234
+    });
+  });
+
+  it('removes the original when the thumbnail cannot be stored', async () => {
+    storage.put
+      .mockImplementationOnce(async (key) => ({ key, url: key }))
+      .mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(storeEquipmentImage('abc', {
+      buffer: await createImage(40, 40),
+      mimetype: 'image/png'
+    })).rejects.toThrow('disk full');
+
+    expect(storage.remove).toHaveBeenCalledWith(storage.put.mock.calls[0][0]);
+  });
+
+  it('removes an image along with its thumbnail', async () => {
+    await removeEquipmentImage({ key: 'a.jpg', thumbnailKey: 'a_thumb.jpg' });
+
+    expect(storage.remove.mock.calls).toEqual([['a.jpg'], ['a_thumb.jpg']]);
+  });
+});
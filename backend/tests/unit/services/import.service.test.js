@@ -0,0 +1,127 @@
+const ExcelJS = require('exceljs');
+const { Equipment, DepreciationRule } = require('../../../src/models');
+const { mockQuery } = require('../../helpers/query');
+const { importEquipment } = require('../../../src/services/import.service');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+const csvFile = (text) => ({
+  buffer: Buffer.from(text),
+  mimetype: 'text/csv',
+  originalname: 'gear.csv'
+});
+
+const xlsxFile = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Gear');
+  rows.forEach((values, index) => {
+    if (values) {
+      worksheet.getRow(index + 1).values = values;
+    }
+  });
+
+  return {
+    buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+    mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    originalname: 'gear.xlsx'
+  };
+};
+
+describe('import service', () => {
+  let insertMany;
+
+  beforeEach(() => {
+    insertMany = jest.spyOn(Equipment, 'insertMany').mockImplementation(async (docs) => docs);
+    jest.spyOn(DepreciationRule, 'find').mockImplementation(() => mockQuery([]));
+  });
+
+  it('imports valid rows and reports invalid ones', async () => {
+    const result = await importEquipment(userId, csvFile(
+      'Name,Type,Purchase Price\nTelecaster,Guitar,1200\n,Amplifier,300\n'
+    ), { mapping: { Name: 'name', Type: 'type', 'Purchase Price': 'purchasePrice' } });
+
+    expect(result.summary).toEqual({ totalRows: 2, validRows: 1, invalidRows: 1, imported: 1, dryRun: false });
+    expect(result.errors).toEqual([
+      { row: 3, errors: expect.arrayContaining([expect.objectContaining({ field: 'name' })]) }
+    ]);
+    expect(insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ name: 'Telecaster', type: 'Guitar', purchasePrice: '1200', userId })
+    ]);
+  });
+
+  it('depreciates imported rows by their category rule', async () => {
+    DepreciationRule.find.mockImplementation(() => mockQuery([
+      { category: 'Guitars', method: 'straight-line', usefulLifeYears: 10, salvageValue: 0 }
+    ]));
+    const purchaseDate = new Date(Date.now() - 5 * 365.25 * 24 * 60 * 60 * 1000).toISOString();
+
+    await importEquipment(userId, csvFile(
+      `name,type,category,purchaseDate,purchasePrice\nTelecaster,Guitar,Guitars,${purchaseDate},1000\n`
+    ));
+
+    expect(DepreciationRule.find).toHaveBeenCalledWith({ userId });
+    const [[[row]]] = insertMany.mock.calls;
+    expect(row.currentValue).toBeCloseTo(500, 0);
+    expect(row.valueOverride).toBeUndefined();
+  });
+
+  it('keeps an imported current value as an override', async () => {
+    await importEquipment(userId, csvFile(
+      'name,type,purchaseDate,purchasePrice,currentValue\nTelecaster,Guitar,2020-01-01,1000,800\n'
+    ));
+
+    expect(insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ currentValue: '800', valueOverride: '800' })
+    ]);
+  });
+
+  it('maps headers that match field names by default', async () => {
+    const result = await importEquipment(userId, csvFile('name,TYPE,colour\nP-Bass,Bass,Sunburst\n'));
+
+    expect(result.columns).toEqual({ name: 'name', TYPE: 'type' });
+  });
+
+  it('validates without saving on a dry run', async () => {
+    const result = await importEquipment(userId, csvFile('name,type\nP-Bass,Bass\n'), { dryRun: true });
+
+    expect(result.summary).toMatchObject({ validRows: 1, imported: 0, dryRun: true });
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it('reports CSV line numbers past blank lines and multi-line cells', async () => {
+    const result = await importEquipment(userId, csvFile(
+      'name,type,notes\n\nJazzmaster,Guitar,"Refret\nin 2019"\n\n,Bass,\n'
+    ));
+
+    expect(result.errors.map(error => error.row)).toEqual([6]);
+  });
+
+  it('reports worksheet row numbers past blank rows', async () => {
+    const result = await importEquipment(userId, await xlsxFile([
+      ['name', 'type'],
+      ['Jazzmaster', 'Guitar'],
+      null,
+      null,
+      ['Mustang', null]
+    ]));
+
+    expect(result.errors).toEqual([
+      { row: 5, errors: expect.arrayContaining([expect.objectContaining({ field: 'type' })]) }
+    ]);
+  });
+
+  it('requires name and type columns', async () => {
+    await expect(importEquipment(userId, csvFile('name,make\nP-Bass,Fender\n')))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_COLUMN_MAPPING' });
+  });
+
+  it('rejects mappings to unknown fields', async () => {
+    await expect(importEquipment(userId, csvFile('name,type\nP-Bass,Bass\n'), { mapping: { name: 'owner' } }))
+      .rejects.toMatchObject({ code: 'INVALID_COLUMN_MAPPING' });
+  });
+
+  it('rejects files without data rows', async () => {
+    await expect(importEquipment(userId, csvFile('name,type\n')))
+      .rejects.toMatchObject({ code: 'EMPTY_SPREADSHEET' });
+  });
+});
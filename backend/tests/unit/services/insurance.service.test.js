@@ -0,0 +1,336 @@
+const mongoose = require('mongoose');
+const { Equipment, InsurancePolicy, DepreciationRule, Band } = require('../../../src/models');
+const { mockQuery } = require('../../helpers/query');
+const {
+  allocateCoverage,
+  applyCoverage,
+  releaseCoverage,
+  syncPolicyCoverage,
+  syncEquipmentCoverage,
+  analyzeCoverage
+} = require('../../../src/services/insurance.service');
+
+describe('insurance service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let guitar;
+  let amp;
+
+  const policy = (fields = {}) => new InsurancePolicy({
+    userId,
+    provider: 'GearSure',
+    startDate: new Date('2024-01-01T00:00:00Z'),
+    endDate: new Date('2099-01-01T00:00:00Z'),
+    ...fields
+  });
+
+  beforeEach(() => {
+    guitar = new Equipment({ userId, name: 'Stratocaster', type: 'Guitar', currentValue: 1200 });
+    amp = new Equipment({ userId, name: 'Deluxe Reverb', type: 'Amplifier', currentValue: 800 });
+
+    jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([guitar, amp]));
+    jest.spyOn(DepreciationRule, 'find').mockImplementation(() => mockQuery([]));
+    jest.spyOn(Equipment, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(Equipment, 'updateMany').mockResolvedValue({});
+  });
+
+  describe('allocateCoverage', () => {
+    const rules = new Map();
+
+    it('covers every item at full value while the limit allows', () => {
+      expect(allocateCoverage([guitar, amp], 5000, rules)).toEqual(new Map([
+        [String(guitar._id), 1200],
+        [String(amp._id), 800]
+      ]));
+    });
+
+    it('scales every item down by the same factor past the limit', () => {
+      expect(allocateCoverage([guitar, amp], 1500, rules)).toEqual(new Map([
+        [String(guitar._id), 900],
+        [String(amp._id), 600]
+      ]));
+    });
+
+    it('covers full value when the policy has no limit', () => {
+      expect(allocateCoverage([guitar], undefined, rules).get(String(guitar._id))).toBe(1200);
+    });
+
+    it('shares the limit evenly when no item has a value', () => {
+      const cable = new Equipment({ userId, name: 'Cable', type: 'Accessory' });
+      const stand = new Equipment({ userId, name: 'Stand', type: 'Accessory' });
+
+      expect([...allocateCoverage([cable, stand], 100, rules).values()]).toEqual([50, 50]);
+    });
+
+    it('rounds to cents', () => {
+      const pedal = new Equipment({ userId, name: 'Big Muff', type: 'Effect', currentValue: 100 });
+
+      expect(allocateCoverage([guitar, amp, pedal], 1000, rules).get(String(pedal._id))).toBe(47.62);
+    });
+  });
+
+  describe('applyCoverage', () => {
+    it('writes each item\'s share of the limit onto the equipment', async () => {
+      const homePolicy = policy({ coveredItems: [guitar._id, amp._id], coverageAmount: 1000 });
+
+      await applyCoverage(homePolicy);
+
+      expect(Equipment.bulkWrite).toHaveBeenCalledWith([guitar, amp].map((item, index) => ({
+        updateOne: {
+          filter: { _id: item._id },
+          update: {
+            $set: {
+              'insuranceInfo.isInsured': true,
+              'insuranceInfo.policyId': homePolicy._id,
+              'insuranceInfo.coverageAmount': [600, 400][index]
+            }
+          }
+        }
+      })));
+    });
+
+    it('does not count items as insured while the policy is not in force', async () => {
+      await applyCoverage(policy({ coveredItems: [guitar._id], isActive: false }));
+
+      const [[[write]]] = Equipment.bulkWrite.mock.calls;
+      expect(write.updateOne.update.$set['insuranceInfo.isInsured']).toBe(false);
+    });
+
+    it('does nothing for policies without items', async () => {
+      await applyCoverage(policy());
+
+      expect(Equipment.find).not.toHaveBeenCalled();
+      expect(Equipment.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseCoverage', () => {
+    it('only releases items still on the policy', async () => {
+      const policyId = new mongoose.Types.ObjectId();
+
+      await releaseCoverage(policyId, [guitar._id]);
+
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { 'insuranceInfo.policyId': policyId, _id: { $in: [guitar._id] } },
+        {
+          $set: { 'insuranceInfo.isInsured': false },
+          $unset: { 'insuranceInfo.policyId': 1, 'insuranceInfo.coverageAmount': 1 }
+        }
+      );
+    });
+  });
+
+  describe('syncPolicyCoverage', () => {
+    it('releases removed items and takes items over from other policies', async () => {
+      const other = policy({ provider: 'TourCover', coveredItems: [amp._id] });
+      const homePolicy = policy({ coveredItems: [guitar._id, amp._id] });
+      const removed = new mongoose.Types.ObjectId();
+      jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery([other]));
+      const save = jest.spyOn(other, 'save').mockResolvedValue(other);
+
+      await syncPolicyCoverage(homePolicy, [String(guitar._id), String(removed)]);
+
+      expect(Equipment.updateMany).toHaveBeenCalledWith(
+        { 'insuranceInfo.policyId': homePolicy._id, _id: { $in: [String(removed)] } },
+        expect.any(Object)
+      );
+      expect(other.coveredItems).toHaveLength(0);
+      expect(save).toHaveBeenCalled();
+      expect(Equipment.bulkWrite).toHaveBeenCalledTimes(1);
+    });
+
+    it('takes removed items off a renewal that has not started', async () => {
+      const current = policy({ coveredItems: [amp._id], successorId: new mongoose.Types.ObjectId() });
+      jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery([]));
+      const updateOne = jest.spyOn(InsurancePolicy, 'updateOne').mockResolvedValue({});
+
+      await syncPolicyCoverage(current, [String(guitar._id), String(amp._id)]);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: current.successorId, userId, startDate: { $gt: expect.any(Date) } },
+        { $pull: { coveredItems: { $in: [String(guitar._id)] } } }
+      );
+    });
+
+    it('leaves a renewal\'s items with the current term until it starts', async () => {
+      const renewal = policy({
+        coveredItems: [guitar._id],
+        predecessorId: new mongoose.Types.ObjectId(),
+        startDate: new Date('2098-01-01T00:00:00Z')
+      });
+      jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery([]));
+
+      await syncPolicyCoverage(renewal);
+
+      expect(InsurancePolicy.find).toHaveBeenCalledWith(expect.objectContaining({
+        _id: { $nin: [renewal._id, renewal.predecessorId] }
+      }));
+      expect(Equipment.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncEquipmentCoverage', () => {
+    it('moves an item between policies set on the equipment', async () => {
+      const previous = policy({ coveredItems: [] });
+      const next = policy({ coveredItems: [guitar._id] });
+      guitar.insuranceInfo = { policyId: next._id };
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate')
+        .mockImplementationOnce(() => mockQuery(previous))
+        .mockImplementationOnce(() => mockQuery(next));
+
+      await syncEquipmentCoverage(guitar, previous._id);
+
+      expect(InsurancePolicy.findOneAndUpdate).toHaveBeenNthCalledWith(1,
+        { _id: previous._id, userId },
+        { $pull: { coveredItems: guitar._id } },
+        { new: true }
+      );
+      expect(InsurancePolicy.findOneAndUpdate).toHaveBeenNthCalledWith(2,
+        { _id: next._id, userId },
+        { $addToSet: { coveredItems: guitar._id } },
+        { new: true }
+      );
+    });
+
+    it('takes an item off the policy\'s renewal when coverage is removed', async () => {
+      const previous = policy({ coveredItems: [], successorId: new mongoose.Types.ObjectId() });
+      guitar.insuranceInfo = { policyId: undefined };
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate').mockImplementation(() => mockQuery(previous));
+      const updateOne = jest.spyOn(InsurancePolicy, 'updateOne').mockResolvedValue({});
+
+      await syncEquipmentCoverage(guitar, previous._id);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: previous.successorId, userId, startDate: { $gt: expect.any(Date) } },
+        { $pull: { coveredItems: { $in: [guitar._id] } } }
+      );
+    });
+
+    it('keeps an item moved onto the policy\'s renewal', async () => {
+      const renewal = policy({ coveredItems: [guitar._id], startDate: new Date('2098-01-01T00:00:00Z') });
+      const previous = policy({ coveredItems: [], successorId: renewal._id });
+      guitar.insuranceInfo = { policyId: renewal._id };
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate')
+        .mockImplementationOnce(() => mockQuery(previous))
+        .mockImplementationOnce(() => mockQuery(renewal));
+      const updateOne = jest.spyOn(InsurancePolicy, 'updateOne').mockResolvedValue({});
+
+      await syncEquipmentCoverage(guitar, previous._id);
+
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it('does nothing when the policy did not change', async () => {
+      const findOneAndUpdate = jest.spyOn(InsurancePolicy, 'findOneAndUpdate');
+      guitar.insuranceInfo = { policyId: new mongoose.Types.ObjectId() };
+
+      await syncEquipmentCoverage(guitar, String(guitar.insuranceInfo.policyId));
+
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('analyzeCoverage', () => {
+    let policies;
+    let bands;
+
+    beforeEach(() => {
+      policies = [];
+      bands = [];
+      jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery(policies));
+      jest.spyOn(Band, 'find').mockImplementation(() => mockQuery(bands));
+    });
+
+    it('reports items with no policy as uninsured', async () => {
+      const { summary, uninsured } = await analyzeCoverage(userId);
+
+      expect(uninsured.map(entry => [entry.item.name, entry.reason])).toEqual([
+        ['Stratocaster', 'No policy'],
+        ['Deluxe Reverb', 'No policy']
+      ]);
+      expect(summary).toMatchObject({ totalItems: 2, totalValue: 2000, uninsuredItems: 2, uninsuredValue: 2000 });
+    });
+
+    it('treats items on a policy that is not in force as uninsured', async () => {
+      policies = [policy({
+        coveredItems: [guitar._id],
+        startDate: new Date('2020-01-01T00:00:00Z'),
+        endDate: new Date('2021-01-01T00:00:00Z')
+      })];
+
+      const { uninsured } = await analyzeCoverage(userId);
+
+      expect(uninsured[0]).toMatchObject({ reason: 'Policy expired', policy: { _id: policies[0]._id, status: 'Expired' } });
+    });
+
+    it('reports the shortfall of items the limit does not fully cover', async () => {
+      policies = [policy({ coveredItems: [guitar._id, amp._id], coverageAmount: 1500 })];
+
+      const { summary, underInsured } = await analyzeCoverage(userId);
+
+      expect(underInsured.map(entry => [entry.item.name, entry.coverageAmount, entry.shortfall])).toEqual([
+        ['Stratocaster', 900, 300],
+        ['Deluxe Reverb', 600, 200]
+      ]);
+      expect(summary).toMatchObject({ insuredItems: 2, coverageAmount: 1500, underInsuredItems: 2, shortfall: 500 });
+    });
+
+    it('groups items on policies ending within the window', async () => {
+      policies = [policy({ coveredItems: [guitar._id], endDate: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000) })];
+
+      const { expiring } = await analyzeCoverage(userId, { days: 30 });
+      const { expiring: later } = await analyzeCoverage(userId, { days: 5 });
+
+      expect(expiring).toHaveLength(1);
+      expect(expiring[0].items.map(item => item.name)).toEqual(['Stratocaster']);
+      expect(later).toHaveLength(0);
+    });
+
+    it('flags gear booked for upcoming events without travel cover', async () => {
+      policies = [policy({ coveredItems: [guitar._id, amp._id], coverageType: 'Comprehensive' })];
+      bands = [new Band({
+        name: 'The Fuzz',
+        events: [
+          { name: 'Summer tour', startDate: new Date(Date.now() + 24 * 60 * 60 * 1000), equipment: [guitar._id] },
+          { name: 'Last gig', startDate: new Date('2020-01-01T00:00:00Z'), equipment: [amp._id] }
+        ]
+      })];
+
+      const { mismatches } = await analyzeCoverage(userId);
+
+      expect(mismatches).toHaveLength(1);
+      expect(mismatches[0]).toMatchObject({
+        item: { name: 'Stratocaster' },
+        issue: 'NO_TRAVEL_COVERAGE',
+        events: [{ band: 'The Fuzz', name: 'Summer tour' }]
+      });
+    });
+
+    it('counts a renewed item against the term in force', async () => {
+      const current = policy({ coveredItems: [guitar._id], coverageAmount: 1200, endDate: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000) });
+      const renewal = policy({
+        coveredItems: [guitar._id, amp._id],
+        coverageAmount: 1000,
+        predecessorId: current._id,
+        startDate: current.endDate
+      });
+      policies = [current, renewal];
+
+      const { summary, uninsured, underInsured } = await analyzeCoverage(userId);
+
+      expect(summary).toMatchObject({ insuredItems: 1, coverageAmount: 1200, uninsuredItems: 1 });
+      expect(underInsured).toHaveLength(0);
+      expect(uninsured).toEqual([expect.objectContaining({
+        item: expect.objectContaining({ name: 'Deluxe Reverb' }),
+        reason: 'Policy not started'
+      })]);
+    });
+
+    it('leaves retired gear out', async () => {
+      amp.isActive = false;
+
+      const { summary } = await analyzeCoverage(userId);
+
+      expect(summary.totalItems).toBe(1);
+    });
+  });
+});
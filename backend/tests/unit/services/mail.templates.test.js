@@ -0,0 +1,63 @@
+const { LOCALES, resolveLocale, renderTemplate } = require('../../../src/services/mail/templates');
+
+describe('mail templates', () => {
+  describe('resolveLocale', () => {
+    it('maps regional variants to a supported locale', () => {
+      expect(resolveLocale('es-MX')).toBe('es');
+      expect(resolveLocale('ES_es')).toBe('es');
+    });
+
+    it('falls back to English', () => {
+      expect(resolveLocale('fr')).toBe('en');
+      expect(resolveLocale(undefined)).toBe('en');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('greets users by first name', () => {
+      expect(renderTemplate('verifyEmail', 'en', { firstName: 'Sam', verifyUrl: 'https://x' }).text)
+        .toMatch(/^Hi Sam,\n/);
+      expect(renderTemplate('verifyEmail', 'es', { firstName: 'Sam', verifyUrl: 'https://x' }).text)
+        .toMatch(/^Hola, Sam:\n/);
+    });
+
+    it('leaves the name out of the greeting when there is none', () => {
+      const en = renderTemplate('verifyEmail', 'en', { verifyUrl: 'https://x' });
+      const es = renderTemplate('verifyEmail', 'es', { firstName: '', verifyUrl: 'https://x' });
+
+      expect(en.text).toMatch(/^Hi,\n/);
+      expect(es.text).toMatch(/^Hola:\n/);
+      expect(en.html).not.toContain('undefined');
+    });
+
+    it('escapes template data in the HTML part', () => {
+      const { html } = renderTemplate('maintenanceReminder', 'en', {
+        firstName: '<b>Sam</b>',
+        equipmentName: 'Strat & Tele',
+        taskType: 'Restring',
+        dueDate: new Date('2024-02-10T00:00:00Z'),
+        equipmentUrl: 'https://x'
+      });
+
+      expect(html).toContain('Hi &lt;b&gt;Sam&lt;/b&gt;,');
+      expect(html).toContain('Strat &amp; Tele');
+    });
+
+    it('formats dates in the recipient\'s language', () => {
+      const data = { changedAt: new Date('2024-02-10T00:00:00Z'), forgotPasswordUrl: 'https://x' };
+
+      expect(renderTemplate('passwordChanged', 'en', data).text).toContain('February 10, 2024');
+      expect(renderTemplate('passwordChanged', 'es', data).text).toContain('10 de febrero de 2024');
+    });
+
+    it('has every English template in each locale', () => {
+      Object.values(LOCALES).forEach((catalog) => {
+        expect(Object.keys(catalog.templates).sort()).toEqual(Object.keys(LOCALES.en.templates).sort());
+      });
+    });
+
+    it('rejects unknown templates', () => {
+      expect(() => renderTemplate('newsletter', 'en', {})).toThrow('Unknown email template: newsletter');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { Notification } = require('../../../src/models');
+const logger = require('../../../src/utils/logger');
+const { reminderEvents } = require('../../../src/services/reminder.service');
+const {
+  createNotifications,
+  subscribeToReminders
+} = require('../../../src/services/notification.service');
+
+describe('notification service', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    reminderEvents.removeAllListeners();
+  });
+
+  it('creates one notification per recipient', async () => {
+    const insertMany = jest.spyOn(Notification, 'insertMany').mockResolvedValue([]);
+    const others = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+    await createNotifications(others, { type: 'band', title: 'Rehearsal moved' });
+
+    expect(insertMany).toHaveBeenCalledWith(others.map(userId => ({ type: 'band', title: 'Rehearsal moved', userId })));
+  });
+
+  describe('subscribeToReminders', () => {
+    beforeEach(() => {
+      subscribeToReminders();
+    });
+
+    it('turns maintenance reminders into notifications', () => {
+      const create = jest.spyOn(Notification, 'create').mockResolvedValue({});
+      const equipment = { _id: new mongoose.Types.ObjectId(), name: 'Stratocaster' };
+
+      reminderEvents.emit('maintenance', {
+        user,
+        equipment,
+        schedule: { taskType: 'Restring', nextDue: new Date('2024-02-10T00:00:00Z') },
+        overdue: true
+      });
+
+      expect(create).toHaveBeenCalledWith({
+        userId: user._id,
+        type: 'maintenance_due',
+        title: 'Restring overdue: Stratocaster',
+        body: 'Restring for Stratocaster was due on 2024-02-10.',
+        equipmentId: equipment._id,
+        policyId: undefined,
+        bandId: undefined
+      });
+    });
+
+    it('turns insurance reminders into notifications', () => {
+      const create = jest.spyOn(Notification, 'create').mockResolvedValue({});
+      const policy = {
+        _id: new mongoose.Types.ObjectId(),
+        provider: 'GearSure',
+        policyNumber: 'P-1',
+        endDate: new Date('2024-03-01T00:00:00Z')
+      };
+
+      reminderEvents.emit('insurance', { user, policy, daysRemaining: 12 });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'insurance_expiring',
+        title: 'Insurance policy expires in 12 days',
+        body: 'Your GearSure policy P-1 ends on 2024-03-01.',
+        policyId: policy._id
+      }));
+    });
+
+    it('logs notifications that fail to save instead of throwing', async () => {
+      jest.spyOn(Notification, 'create').mockRejectedValue(new Error('write failed'));
+      const error = jest.spyOn(logger, 'error');
+
+      reminderEvents.emit('insurance', {
+        user,
+        policy: { provider: 'GearSure', endDate: new Date('2024-03-01T00:00:00Z') },
+        daysRemaining: 3
+      });
+      await new Promise(setImmediate);
+
+      expect(error).toHaveBeenCalledWith('Failed to create insurance notification:', expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { Equipment, InsurancePolicy, User } = require('../../../src/models');
+const { mockQuery } = require('../../helpers/query');
+const {
+  reminderEvents,
+  sendMaintenanceReminders,
+  sendInsuranceReminders
+} = require('../../../src/services/reminder.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('reminder service', () => {
+  let user;
+  let listener;
+
+  beforeEach(() => {
+    user = new User({ email: 'player@example.com', passwordHash: 'hashed' });
+    jest.spyOn(User, 'find').mockImplementation(() => mockQuery([user]));
+    listener = jest.fn();
+  });
+
+  afterEach(() => {
+    reminderEvents.off('maintenance', listener);
+    reminderEvents.off('insurance', listener);
+  });
+
+  describe('sendMaintenanceReminders', () => {
+    let equipment;
+
+    beforeEach(() => {
+      reminderEvents.on('maintenance', listener);
+      equipment = new Equipment({
+        userId: user._id,
+        name: 'Stratocaster',
+        type: 'Guitar',
+        maintenanceSchedule: [
+          { taskType: 'Restring', frequency: 'monthly', nextDue: new Date(Date.now() - DAY) },
+          { taskType: 'Setup', frequency: 'yearly', nextDue: new Date(Date.now() + 60 * DAY) }
+        ]
+      });
+      jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([equipment]));
+    });
+
+    it('claims and emits reminders for tasks inside the window', async () => {
+      jest.spyOn(Equipment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(sendMaintenanceReminders()).resolves.toBe(1);
+
+      const [restring] = equipment.maintenanceSchedule;
+      expect(Equipment.updateOne).toHaveBeenCalledWith(
+        {
+          _id: equipment._id,
+          maintenanceSchedule: {
+            $elemMatch: { _id: restring._id, nextDue: restring.nextDue, reminderSentFor: { $ne: restring.nextDue } }
+          }
+        },
+        { $set: { 'maintenanceSchedule.$.reminderSentFor': restring.nextDue } }
+      );
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ user, schedule: restring, overdue: true }));
+    });
+
+    it('does not emit reminders another run already claimed', async () => {
+      jest.spyOn(Equipment, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(sendMaintenanceReminders()).resolves.toBe(0);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('skips users who opted out', async () => {
+      User.find.mockImplementation(() => mockQuery([]));
+      const updateOne = jest.spyOn(Equipment, 'updateOne');
+
+      await expect(sendMaintenanceReminders()).resolves.toBe(0);
+      expect(updateOne).not.toHaveBeenCalled();
+      expect(User.find).toHaveBeenCalledWith(expect.objectContaining({
+        'preferences.notificationPreferences.maintenanceReminders': { $ne: false }
+      }));
+    });
+  });
+
+  describe('sendInsuranceReminders', () => {
+    it('emits once per end date with the days remaining', async () => {
+      reminderEvents.on('insurance', listener);
+      const policy = new InsurancePolicy({
+        userId: user._id,
+        provider: 'GearSure',
+        startDate: new Date(Date.now() - 300 * DAY),
+        endDate: new Date(Date.now() + 10 * DAY)
+      });
+      jest.spyOn(InsurancePolicy, 'find').mockImplementation(() => mockQuery([policy]));
+      jest.spyOn(InsurancePolicy, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(sendInsuranceReminders()).resolves.toBe(1);
+
+      expect(InsurancePolicy.updateOne).toHaveBeenCalledWith(
+        { _id: policy._id, reminderSent: { $ne: true } },
+        { $set: { reminderSent: true } }
+      );
+      expect(listener).toHaveBeenCalledWith({ user, policy, daysRemaining: policy.daysRemaining });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const { Equipment, InsurancePolicy, DepreciationRule } = require('../../../src/models');
+const { mockQuery } = require('../../helpers/query');
+const {
+  AUTO_RENEW_DAYS,
+  AUTO_RENEW_GRACE_DAYS,
+  getNextTerm,
+  renewPolicy,
+  processRenewals
+} = require('../../../src/services/renewal.service');
+
+describe('renewal service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const policy = (fields = {}) => new InsurancePolicy({
+    userId,
+    provider: 'GearSure',
+    policyNumber: 'P-1',
+    coverageAmount: 5000,
+    premium: 240,
+    autoRenew: true,
+    startDate: new Date('2024-01-15T00:00:00Z'),
+    endDate: new Date('2025-01-15T00:00:00Z'),
+    coveredItems: [new mongoose.Types.ObjectId()],
+    ...fields
+  });
+
+  describe('getNextTerm', () => {
+    it('keeps yearly terms on the same calendar day', () => {
+      expect(getNextTerm(policy())).toEqual({
+        startDate: new Date('2025-01-15T00:00:00Z'),
+        endDate: new Date('2026-01-15T00:00:00Z')
+      });
+    });
+
+    it('keeps monthly terms aligned to the month', () => {
+      const term = getNextTerm(policy({
+        startDate: new Date('2024-01-31T00:00:00Z'),
+        endDate: new Date('2024-02-29T00:00:00Z')
+      }));
+
+      expect(term.endDate).toEqual(new Date('2024-03-29T00:00:00Z'));
+    });
+
+    it('repeats other terms at the same length', () => {
+      const term = getNextTerm(policy({
+        startDate: new Date('2024-06-01T00:00:00Z'),
+        endDate: new Date('2024-06-15T00:00:00Z')
+      }));
+
+      expect(term).toEqual({
+        startDate: new Date('2024-06-15T00:00:00Z'),
+        endDate: new Date('2024-06-29T00:00:00Z')
+      });
+    });
+  });
+
+  describe('renewPolicy', () => {
+    let current;
+
+    beforeEach(() => {
+      current = policy();
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate').mockImplementation(() => mockQuery(current));
+      jest.spyOn(InsurancePolicy, 'create').mockImplementation(async fields => new InsurancePolicy(fields));
+      jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([]));
+      jest.spyOn(DepreciationRule, 'find').mockImplementation(() => mockQuery([]));
+    });
+
+    it('claims the renewal and creates the next term', async () => {
+      const successor = await renewPolicy(current, { premium: 260 });
+
+      expect(InsurancePolicy.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: current._id, successorId: null },
+        { $set: { successorId: successor._id, renewalDeclined: false } }
+      );
+      expect(successor).toMatchObject({
+        provider: 'GearSure',
+        policyNumber: 'P-1',
+        premium: 260,
+        autoRenew: true,
+        predecessorId: current._id,
+        startDate: new Date('2025-01-15T00:00:00Z'),
+        endDate: new Date('2026-01-15T00:00:00Z')
+      });
+      expect(successor.coveredItems).toEqual(current.coveredItems);
+      expect(current.successorId).toEqual(successor._id);
+      // The term has already started, so the renewal takes over straight away
+      expect(Equipment.find).toHaveBeenCalledWith({ _id: { $in: current.coveredItems }, userId });
+    });
+
+    it('rejects a renewal another request got to first', async () => {
+      InsurancePolicy.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+      await expect(renewPolicy(current)).rejects.toMatchObject({ statusCode: 409, code: 'ALREADY_RENEWED' });
+      expect(InsurancePolicy.create).not.toHaveBeenCalled();
+    });
+
+    it('releases the claim when the successor cannot be created', async () => {
+      InsurancePolicy.create.mockRejectedValue(new Error('write failed'));
+      const updateOne = jest.spyOn(InsurancePolicy, 'updateOne').mockResolvedValue({});
+
+      await expect(renewPolicy(current)).rejects.toThrow('write failed');
+
+      const [[, { $set: { successorId } }]] = InsurancePolicy.findOneAndUpdate.mock.calls;
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: current._id, successorId },
+        { $unset: { successorId: 1 } }
+      );
+      expect(current.successorId).toBeUndefined();
+    });
+
+    it('rejects inactive policies', async () => {
+      current.isActive = false;
+
+      await expect(renewPolicy(current)).rejects.toMatchObject({ statusCode: 400, code: 'POLICY_INACTIVE' });
+      expect(InsurancePolicy.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processRenewals', () => {
+    let due;
+    let started;
+
+    beforeEach(() => {
+      due = [];
+      started = [];
+      jest.spyOn(InsurancePolicy, 'find')
+        .mockImplementationOnce(() => mockQuery(due))
+        .mockImplementationOnce(() => mockQuery(started));
+      jest.spyOn(InsurancePolicy, 'findOneAndUpdate').mockImplementation(() => mockQuery({}));
+      jest.spyOn(InsurancePolicy, 'create').mockImplementation(async fields => new InsurancePolicy(fields));
+      jest.spyOn(Equipment, 'exists').mockResolvedValue(null);
+      jest.spyOn(Equipment, 'find').mockImplementation(() => mockQuery([]));
+      jest.spyOn(DepreciationRule, 'find').mockImplementation(() => mockQuery([]));
+      jest.spyOn(Equipment, 'bulkWrite').mockResolvedValue({});
+    });
+
+    it('only renews policies ending soon or within the grace window', async () => {
+      const now = Date.now();
+      due = [policy({ endDate: new Date(now + DAY_MS) })];
+
+      await expect(processRenewals()).resolves.toBe(1);
+
+      const [[filter]] = InsurancePolicy.find.mock.calls;
+      expect(filter).toMatchObject({ isActive: true, autoRenew: true, successorId: null });
+      expect(filter.endDate.$gte.getTime()).toBeCloseTo(now - AUTO_RENEW_GRACE_DAYS * DAY_MS, -4);
+      expect(filter.endDate.$lte.getTime()).toBeCloseTo(now + AUTO_RENEW_DAYS * DAY_MS, -4);
+    });
+
+    it('leaves auto-renewing policies the owner declined to renew', async () => {
+      const declined = policy({ renewalDeclined: true, endDate: new Date(Date.now() + DAY_MS) });
+      InsurancePolicy.find.mockReset()
+        .mockImplementationOnce(filter => mockQuery([declined].filter(item => (
+          !(filter.renewalDeclined && item.renewalDeclined === true)
+        ))))
+        .mockImplementationOnce(() => mockQuery(started));
+
+      await expect(processRenewals()).resolves.toBe(0);
+
+      expect(InsurancePolicy.find.mock.calls[0][0]).toMatchObject({ renewalDeclined: { $ne: true } });
+      expect(InsurancePolicy.create).not.toHaveBeenCalled();
+      expect(declined.renewalDeclined).toBe(true);
+    });
+
+    it('keeps going when one renewal fails', async () => {
+      due = [policy(), policy()];
+      InsurancePolicy.findOneAndUpdate
+        .mockImplementationOnce(() => mockQuery(null))
+        .mockImplementationOnce(() => mockQuery({}));
+
+      await expect(processRenewals()).resolves.toBe(1);
+    });
+
+    it('hands coverage over to renewals whose term has started', async () => {
+      const renewal = policy({ predecessorId: new mongoose.Types.ObjectId() });
+      started = [renewal];
+      Equipment.exists.mockResolvedValue({ _id: renewal.coveredItems[0] });
+
+      await processRenewals();
+
+      expect(Equipment.exists).toHaveBeenCalledWith({
+        _id: { $in: renewal.coveredItems },
+        'insuranceInfo.policyId': { $in: [renewal.predecessorId, null] }
+      });
+      expect(Equipment.find).toHaveBeenCalledWith({ _id: { $in: renewal.coveredItems }, userId });
+    });
+
+    it('leaves renewals alone once they have taken over', async () => {
+      started = [policy({ predecessorId: new mongoose.Types.ObjectId() })];
+
+      await processRenewals();
+
+      expect(Equipment.find).not.toHaveBeenCalled();
+    });
+  });
+});
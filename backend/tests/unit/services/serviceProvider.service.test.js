@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { Equipment, ServiceProvider } = require('../../../src/models');
+const { mockQuery } = require('../../helpers/query');
+const {
+  resolveProvider,
+  linkMaintenanceHistory,
+  getProviderStats,
+  emptyStats
+} = require('../../../src/services/serviceProvider.service');
+
+describe('service provider service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let luthier;
+
+  beforeEach(() => {
+    luthier = new ServiceProvider({ userId, name: "Joe's Guitar Shop" });
+    luthier.normalizedName = ServiceProvider.normalizeName(luthier.name);
+  });
+
+  it('normalizes spelling variants of a name to the same key', () => {
+    expect(ServiceProvider.normalizeName("Joe's Guitar Shop")).toBe('joesguitarshop');
+    expect(ServiceProvider.normalizeName('  joes  GUITAR-shop ')).toBe('joesguitarshop');
+    expect(ServiceProvider.normalizeName(undefined)).toBe('');
+  });
+
+  describe('resolveProvider', () => {
+    it('uses the name of an explicit provider', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(luthier));
+
+      await expect(resolveProvider(userId, { providerId: luthier._id, provider: 'Someone else' }))
+        .resolves.toEqual({ providerId: luthier._id, provider: "Joe's Guitar Shop" });
+      expect(ServiceProvider.findOne).toHaveBeenCalledWith({ _id: luthier._id, userId });
+    });
+
+    it('rejects a provider id the user does not own', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(null));
+
+      await expect(resolveProvider(userId, { providerId: new mongoose.Types.ObjectId() }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PROVIDER' });
+    });
+
+    it('links free text that matches a known provider', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(luthier));
+
+      await expect(resolveProvider(userId, { provider: 'joes guitar shop' }))
+        .resolves.toEqual({ providerId: luthier._id, provider: "Joe's Guitar Shop" });
+      expect(ServiceProvider.findOne).toHaveBeenCalledWith({ userId, normalizedName: 'joesguitarshop' });
+    });
+
+    it('keeps unmatched free text as it was entered', async () => {
+      jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(null));
+
+      await expect(resolveProvider(userId, { provider: 'Corner Music' }))
+        .resolves.toEqual({ providerId: undefined, provider: 'Corner Music' });
+    });
+
+    it('does not look anything up without a provider', async () => {
+      const findOne = jest.spyOn(ServiceProvider, 'findOne');
+
+      await expect(resolveProvider(userId)).resolves.toEqual({ providerId: undefined, provider: undefined });
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkMaintenanceHistory', () => {
+    it('links only records whose name matches once normalized', async () => {
+      const equipmentId = new mongoose.Types.ObjectId();
+      const matching = new mongoose.Types.ObjectId();
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([
+        { _id: equipmentId, recordId: matching, provider: 'JOES guitar shop' },
+        { _id: equipmentId, recordId: new mongoose.Types.ObjectId(), provider: 'Corner Music' }
+      ]);
+      const bulkWrite = jest.spyOn(Equipment, 'bulkWrite').mockResolvedValue({});
+
+      await expect(linkMaintenanceHistory(luthier)).resolves.toBe(1);
+      expect(bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: equipmentId, 'maintenanceHistory._id': matching },
+          update: { $set: { 'maintenanceHistory.$.providerId': luthier._id } }
+        }
+      }]);
+    });
+
+    it('skips the write when nothing matches', async () => {
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([]);
+      const bulkWrite = jest.spyOn(Equipment, 'bulkWrite');
+
+      await expect(linkMaintenanceHistory(luthier)).resolves.toBe(0);
+      expect(bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getProviderStats', () => {
+    it('rounds averages and converts turnaround to days', async () => {
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([{
+        _id: luthier._id,
+        jobs: 3,
+        totalSpend: 100,
+        turnaroundMs: 2.5 * 24 * 60 * 60 * 1000,
+        equipment: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+        lastJob: new Date('2024-05-01T00:00:00Z')
+      }]);
+
+      const stats = await getProviderStats(String(userId), String(luthier._id));
+
+      expect(stats.get(String(luthier._id))).toEqual({
+        jobs: 3,
+        totalSpend: 100,
+        averageCost: 33.33,
+        averageTurnaroundDays: 2.5,
+        equipmentCount: 2,
+        lastJob: new Date('2024-05-01T00:00:00Z')
+      });
+
+      const [pipeline] = Equipment.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.userId).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(pipeline[0].$match['maintenanceHistory.providerId']).toEqual(luthier._id);
+    });
+
+    it('leaves turnaround empty when no job has drop-off and pickup dates', async () => {
+      jest.spyOn(Equipment, 'aggregate').mockResolvedValue([{
+        _id: luthier._id, jobs: 1, totalSpend: 0, turnaroundMs: null, equipment: [], lastJob: null
+      }]);
+
+      const stats = await getProviderStats(String(userId));
+
+      expect(stats.get(String(luthier._id)).averageTurnaroundDays).toBeNull();
+    });
+  });
+
+  it('gives providers without jobs zeroed stats', () => {
+    expect(emptyStats()).toEqual({
+      jobs: 0,
+      totalSpend: 0,
+      averageCost: 0,
+      averageTurnaroundDays: null,
+      equipmentCount: 0,
+      lastJob: null
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../../../src/services/storage/localStorage');
+const S3Storage = require('../../../src/services/storage/s3Storage');
+
+describe('LocalStorage', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    storage = new LocalStorage({ rootDir, baseUrl: '/uploads/' });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('stores files under the root and returns their public URL', async () => {
+    const stored = await storage.put('equipment/1/images/a.jpg', Buffer.from('image'));
+
+    expect(stored).toEqual({ key: 'equipment/1/images/a.jpg', url: '/uploads/equipment/1/images/a.jpg' });
+    expect(await fs.promises.readFile(path.join(rootDir, 'equipment/1/images/a.jpg'), 'utf8')).toBe('image');
+  });
+
+  it('streams stored files back', async () => {
+    await storage.put('documents/receipt.pdf', Buffer.from('receipt'));
+
+    const chunks = [];
+    for await (const chunk of storage.getStream('documents/receipt.pdf')) {
+      chunks.push(chunk);
+    }
+
+    expect(Buffer.concat(chunks).toString()).toBe('receipt');
+  });
+
+  it('removes files and ignores files that are already gone', async () => {
+    await storage.put('a.txt', Buffer.from('a'));
+
+    await storage.remove('a.txt');
+    await expect(storage.remove('a.txt')).resolves.toBeUndefined();
+    expect(fs.existsSync(path.join(rootDir, 'a.txt'))).toBe(false);
+  });
+
+  it('rejects keys that escape the storage root', () => {
+    expect(() => storage.resolvePath('../outside.txt')).toThrow('Invalid storage key');
+  });
+});
+
+describe('S3Storage', () => {
+  it('builds virtual-hosted URLs for AWS', () => {
+    const storage = new S3Storage({ bucket: 'gear', region: 'us-east-1' });
+
+    expect(storage.getUrl('equipment/a.jpg')).toBe('https://gear.s3.amazonaws.com/equipment/a.jpg');
+  });
+
+  it('builds path-style URLs for custom endpoints', () => {
+    const storage = new S3Storage({ bucket: 'gear', region: 'us-east-1', endpoint: 'http://minio:9000' });
+
+    expect(storage.getUrl('equipment/a.jpg')).toBe('http://minio:9000/gear/equipment/a.jpg');
+  });
+
+  it('prefers the configured public URL', () => {
+    const storage = new S3Storage({ bucket: 'gear', region: 'us-east-1', publicUrl: 'https://cdn.example.com/' });
+
+    expect(storage.getUrl('equipment/a.jpg')).toBe('https://cdn.example.com/equipment/a.jpg');
+  });
+});
+
+describe('getStorage', () => {
+  const loadStorage = () => {
+    let storageModule;
+    jest.isolateModules(() => {
+      storageModule = require('../../../src/services/storage');
+    });
+    return storageModule.getStorage();
+  };
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  it('uses local storage by default and shares one instance', () => {
+    let storageModule;
+    jest.isolateModules(() => {
+      storageModule = require('../../../src/services/storage');
+    });
+
+    expect(storageModule.getStorage().constructor.name).toBe('LocalStorage');
+    expect(storageModule.getStorage()).toBe(storageModule.getStorage());
+  });
+
+  it('selects the S3 driver', () => {
+    process.env.STORAGE_DRIVER = 's3';
+
+    expect(loadStorage().constructor.name).toBe('S3Storage');
+  });
+
+  it('rejects unknown drivers', () => {
+    process.env.STORAGE_DRIVER = 'ftp';
+
+    expect(loadStorage).toThrow('Unknown storage driver: ftp');
+  });
+});
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../../src/services/image.service', () => ({
+  removeEquipmentImage: jest.fn(async () => {})
+}));
+jest.mock('../../../src/services/document.service', () => ({
+  removeEquipmentDocument: jest.fn(async () => {})
+}));
+
+const { Equipment, EquipmentHistory, InsurancePolicy, Band, Consumable, WorkOrder } = require('../../../src/models');
+const { removeEquipmentImage } = require('../../../src/services/image.service');
+const { removeEquipmentDocument } = require('../../../src/services/document.service');
+const logger = require('../../../src/utils/logger');
+const { mockQuery } = require('../../helpers/query');
+const {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeEquipment,
+  purgeExpiredTrash
+} = require('../../../src/services/trash.service');
+
+describe('trash service', () => {
+  const item = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    images: [{ key: 'a.jpg' }],
+    documents: [{ key: 'receipt.pdf' }]
+  };
+
+  beforeEach(() => {
+    [InsurancePolicy, Band, Consumable].forEach(Model => jest.spyOn(Model, 'updateMany').mockResolvedValue({}));
+    jest.spyOn(WorkOrder, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Equipment, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(EquipmentHistory, 'insertMany').mockResolvedValue([]);
+    removeEquipmentImage.mockClear();
+    removeEquipmentDocument.mockReset().mockResolvedValue();
+  });
+
+  it('purges items after the retention period', () => {
+    const deletedAt = new Date('2024-03-01T12:00:00Z');
+    const purgeDate = getPurgeDate(deletedAt);
+
+    expect(Math.round((purgeDate - deletedAt) / 86400000)).toBe(TRASH_RETENTION_DAYS);
+  });
+
+  describe('purgeEquipment', () => {
+    it('removes references, the items and their files, and records the purge', async () => {
+      await expect(purgeEquipment([item])).resolves.toBe(1);
+
+      expect(InsurancePolicy.updateMany).toHaveBeenCalledWith(
+        { coveredItems: { $in: [item._id] } },
+        { $pull: { coveredItems: { $in: [item._id] } } }
+      );
+      expect(WorkOrder.deleteMany).toHaveBeenCalledWith({ equipmentId: { $in: [item._id] } });
+      expect(Equipment.deleteMany).toHaveBeenCalledWith({ _id: { $in: [item._id] } });
+      expect(EquipmentHistory.insertMany).toHaveBeenCalledWith([
+        { equipmentId: item._id, userId: item.userId, action: 'purge' }
+      ]);
+      expect(removeEquipmentImage).toHaveBeenCalledWith(item.images[0]);
+      expect(removeEquipmentDocument).toHaveBeenCalledWith(item.documents[0]);
+    });
+
+    it('logs files that could not be removed instead of failing', async () => {
+      removeEquipmentDocument.mockRejectedValue(new Error('gone'));
+      const error = jest.spyOn(logger, 'error');
+
+      await expect(purgeEquipment([item])).resolves.toBe(1);
+      expect(error).toHaveBeenCalledWith('Failed to remove stored equipment file:', expect.any(Error));
+    });
+
+    it('does nothing for an empty list', async () => {
+      await expect(purgeEquipment([])).resolves.toBe(0);
+      expect(Equipment.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  it('purges only items trashed before the cutoff', async () => {
+    const find = jest.spyOn(Equipment, 'find').mockReturnValue(mockQuery([item]));
+
+    await expect(purgeExpiredTrash()).resolves.toBe(1);
+
+    const cutoff = find.mock.calls[0][0].deletedAt.$lte;
+    expect(getPurgeDate(cutoff).getTime()).toBeLessThanOrEqual(Date.now());
+    expect(getPurgeDate(cutoff).getTime()).toBeGreaterThan(Date.now() - 60000);
+  });
+});
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { Equipment, EquipmentHistory, ServiceProvider, WorkOrder } = require('../../../src/models');
+const { mockQuery, stubSave, loaded } = require('../../helpers/query');
+const { changeStatus, createWorkOrder } = require('../../../src/services/workOrder.service');
+
+describe('work order service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let equipment;
+  let provider;
+
+  const order = (status, fields = {}) => loaded(new WorkOrder({
+    userId,
+    equipmentId: equipment._id,
+    providerId: provider._id,
+    service: 'Refret',
+    status,
+    ...fields
+  }));
+
+  beforeEach(() => {
+    equipment = loaded(new Equipment({ userId, name: 'Les Paul', type: 'Guitar', location: 'Studio' }));
+    provider = new ServiceProvider({ userId, name: "Joe's Guitar Shop" });
+
+    jest.spyOn(Equipment, 'findOne').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(Equipment, 'findOneAndUpdate').mockImplementation(() => mockQuery(equipment));
+    jest.spyOn(ServiceProvider, 'findOne').mockImplementation(() => mockQuery(provider));
+    jest.spyOn(EquipmentHistory, 'create').mockResolvedValue({});
+    stubSave(Equipment);
+    stubSave(WorkOrder);
+  });
+
+  describe('changeStatus', () => {
+    it('moves the item to the provider on drop-off', async () => {
+      const quoted = order('Quoted');
+
+      await changeStatus(quoted, 'Dropped Off', { date: '2024-03-01T00:00:00Z' }, userId);
+
+      expect(quoted.dropOffDate).toEqual(new Date('2024-03-01T00:00:00Z'));
+      expect(quoted.previousLocation).toBe('Studio');
+      expect(equipment).toMatchObject({ location: "At Joe's Guitar Shop", availability: 'At Service' });
+      expect(equipment.activeWorkOrder).toEqual(quoted._id);
+      expect(Equipment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: equipment._id, userId, activeWorkOrder: { $in: [null, quoted._id] } },
+        { $set: { activeWorkOrder: quoted._id } }
+      );
+    });
+
+    it('stamps the drop-off date when an order skips straight to work', async () => {
+      const quoted = order('Quoted');
+
+      await changeStatus(quoted, 'In Progress', { date: '2024-03-02T00:00:00Z' }, userId);
+
+      expect(quoted.dropOffDate).toEqual(new Date('2024-03-02T00:00:00Z'));
+    });
+
+    it('restores the item and logs maintenance on pickup', async () => {
+      const ready = order('Ready', {
+        dropOffDate: new Date('2024-03-01T00:00:00Z'),
+        previousLocation: 'Studio'
+      });
+      Object.assign(equipment, { location: "At Joe's Guitar Shop", availability: 'At Service', activeWorkOrder: ready._id });
+
+      await changeStatus(ready, 'Picked Up', { date: '2024-03-10T00:00:00Z', actualCost: 350 }, userId);
+
+      expect(equipment).toMatchObject({ location: 'Studio', availability: 'Available' });
+      expect(equipment.activeWorkOrder).toBeUndefined();
+      expect(equipment.maintenanceHistory[0]).toMatchObject({
+        service: 'Refret',
+        provider: "Joe's Guitar Shop",
+        cost: 350,
+        workOrderId: ready._id
+      });
+      expect(ready.maintenanceRecordId).toEqual(equipment.maintenanceHistory[0]._id);
+    });
+
+    it('rejects moving backwards', async () => {
+      await expect(changeStatus(order('Ready'), 'Dropped Off', {}, userId))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS_TRANSITION' });
+    });
+
+    it('rejects changes to closed orders', async () => {
+      await expect(changeStatus(order('Cancelled'), 'Quoted', {}, userId))
+        .rejects.toMatchObject({ statusCode: 409, code: 'WORK_ORDER_CLOSED' });
+    });
+
+    it('rejects dropping off an item already out on another order', async () => {
+      equipment.activeWorkOrder = new mongoose.Types.ObjectId();
+      Equipment.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+      await expect(changeStatus(order('Quoted'), 'Dropped Off', {}, userId))
+        .rejects.toMatchObject({ statusCode: 409, code: 'EQUIPMENT_UNAVAILABLE' });
+    });
+
+    it('loses a drop-off to another order that claimed the item first', async () => {
+      // The item looked free when loaded, but another drop-off has since claimed it
+      Equipment.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+      const quoted = order('Quoted');
+
+      await expect(changeStatus(quoted, 'Dropped Off', {}, userId))
+        .rejects.toMatchObject({ statusCode: 409, code: 'EQUIPMENT_UNAVAILABLE' });
+      expect(equipment.availability).toBe('Available');
+      expect(quoted.status).toBe('Dropped Off');
+      expect(WorkOrder.prototype.$__handleSave).not.toHaveBeenCalled();
+    });
+
+    it('releases the claim when the order fails to validate', async () => {
+      const updateOne = jest.spyOn(Equipment, 'updateOne').mockResolvedValue({});
+      const quoted = order('Quoted', { service: '' });
+
+      await expect(changeStatus(quoted, 'Dropped Off', {}, userId)).rejects.toThrow();
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: equipment._id, activeWorkOrder: quoted._id },
+        { $unset: { activeWorkOrder: 1 } }
+      );
+    });
+
+    it('puts the item back when an order is cancelled while out', async () => {
+      const inProgress = order('In Progress', { previousLocation: 'Studio' });
+      Object.assign(equipment, { location: 'Out for service', availability: 'At Service', activeWorkOrder: inProgress._id });
+
+      await changeStatus(inProgress, 'Cancelled', {}, userId);
+
+      expect(equipment).toMatchObject({ location: 'Studio', availability: 'Available' });
+      expect(equipment.maintenanceHistory).toHaveLength(0);
+    });
+  });
+
+  describe('createWorkOrder', () => {
+    it('rejects unknown providers', async () => {
+      ServiceProvider.findOne.mockImplementation(() => mockQuery(null));
+
+      await expect(createWorkOrder(userId, { equipmentId: equipment._id, providerId: provider._id, service: 'Refret' }))
+        .rejects.toMatchObject({ code: 'INVALID_PROVIDER' });
+    });
+
+    it('creates orders straight into a later status', async () => {
+      const { order: created } = await createWorkOrder(userId, {
+        equipmentId: equipment._id,
+        providerId: provider._id,
+        service: 'Refret',
+        status: 'Dropped Off'
+      });
+
+      expect(created.status).toBe('Dropped Off');
+      expect(created.statusHistory.map(change => change.status)).toEqual(['Dropped Off']);
+      expect(equipment.availability).toBe('At Service');
+    });
+  });
+});
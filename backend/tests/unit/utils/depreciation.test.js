@@ -0,0 +1,83 @@
+const {
+  yearsBetween,
+  resolveSettings,
+  calculateValue,
+  getEffectiveValue
+} = require('../../../src/utils/depreciation');
+
+const purchaseDate = new Date('2020-01-01T00:00:00Z');
+const yearsLater = (years) => new Date(purchaseDate.getTime() + years * 365.25 * 24 * 60 * 60 * 1000);
+const item = { purchasePrice: 1000, purchaseDate };
+
+describe('depreciation utils', () => {
+  it('counts fractional years and never goes negative', () => {
+    expect(yearsBetween(purchaseDate, yearsLater(2.5))).toBeCloseTo(2.5);
+    expect(yearsBetween(yearsLater(1), purchaseDate)).toBe(0);
+  });
+
+  describe('resolveSettings', () => {
+    it('fills in method defaults', () => {
+      expect(resolveSettings({ method: 'straight-line' })).toEqual({
+        method: 'straight-line',
+        usefulLifeYears: 10,
+        salvageValue: 0
+      });
+    });
+
+    it('prefers item settings over the category rule', () => {
+      const rule = { method: 'declining-balance', annualRate: 0.2 };
+
+      expect(resolveSettings({ method: 'straight-line', usefulLifeYears: 5 }, rule)).toMatchObject({
+        method: 'straight-line',
+        usefulLifeYears: 5
+      });
+      expect(resolveSettings({}, rule)).toEqual({ method: 'declining-balance', annualRate: 0.2, salvageValue: 0 });
+    });
+
+    it('returns null when no method applies', () => {
+      expect(resolveSettings(undefined, null)).toBeNull();
+    });
+  });
+
+  describe('calculateValue', () => {
+    it('depreciates straight-line down to the salvage value', () => {
+      const settings = { method: 'straight-line', usefulLifeYears: 10, salvageValue: 100 };
+
+      expect(calculateValue(item, settings, yearsLater(5))).toBe(550);
+      expect(calculateValue(item, settings, yearsLater(20))).toBe(100);
+    });
+
+    it('applies a declining balance without dropping below salvage', () => {
+      const settings = { method: 'declining-balance', annualRate: 0.2, salvageValue: 500 };
+
+      expect(calculateValue(item, settings, yearsLater(1))).toBe(800);
+      expect(calculateValue(item, settings, yearsLater(10))).toBe(500);
+    });
+
+    it('compounds vintage appreciation', () => {
+      expect(calculateValue(item, { method: 'vintage-appreciation', annualRate: 0.1 }, yearsLater(2))).toBe(1210);
+    });
+
+    it('does not calculate manual values or items without purchase details', () => {
+      expect(calculateValue(item, { method: 'manual' })).toBeNull();
+      expect(calculateValue({ purchasePrice: 1000 }, { method: 'straight-line', usefulLifeYears: 10 })).toBeNull();
+    });
+
+    it('caps salvage at the purchase price', () => {
+      const settings = { method: 'straight-line', usefulLifeYears: 10, salvageValue: 5000 };
+
+      expect(calculateValue(item, settings, yearsLater(5))).toBe(1000);
+    });
+  });
+
+  describe('getEffectiveValue', () => {
+    it('lets a manual override win', () => {
+      expect(getEffectiveValue({ ...item, valueOverride: 42, depreciation: { method: 'straight-line' } })).toBe(42);
+    });
+
+    it('falls back to the stored value when nothing can be calculated', () => {
+      expect(getEffectiveValue({ currentValue: 300 })).toBe(300);
+      expect(getEffectiveValue({})).toBeNull();
+    });
+  });
+});
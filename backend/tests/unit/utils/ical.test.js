@@ -0,0 +1,70 @@
+const { escapeText, foldLine, buildCalendar } = require('../../../src/utils/ical');
+
+describe('ical', () => {
+  describe('escapeText', () => {
+    it('escapes separators, backslashes and newlines', () => {
+      expect(escapeText('Strings; picks, and\\more\r\nnext')).toBe('Strings\\; picks\\, and\\\\more\\nnext');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('leaves short lines alone', () => {
+      expect(foldLine('SUMMARY:Restring')).toBe('SUMMARY:Restring');
+    });
+
+    it('folds at 75 octets with continuation lines starting with a space', () => {
+      const folded = foldLine(`DESCRIPTION:${'a'.repeat(200)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines[0]).toHaveLength(75);
+      lines.slice(1).forEach(line => {
+        expect(line.startsWith(' ')).toBe(true);
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      });
+      expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join(''))
+        .toBe(`DESCRIPTION:${'a'.repeat(200)}`);
+    });
+
+    it('does not split multi-byte characters', () => {
+      const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+
+      folded.split('\r\n').forEach(line => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+        expect(line).not.toContain('�');
+      });
+      expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('writes all-day and timed events with CRLF line endings', () => {
+      const text = buildCalendar({
+        name: 'Gear Tracker',
+        events: [
+          {
+            uid: 'maintenance-1@example',
+            summary: 'Restring: Stratocaster',
+            start: new Date('2024-01-31T00:00:00Z'),
+            allDay: true,
+            categories: ['Maintenance']
+          },
+          {
+            uid: 'band-event-1@example',
+            summary: 'Band: Gig, upstairs',
+            start: new Date('2024-02-01T20:00:00Z'),
+            end: new Date('2024-02-01T23:30:00Z'),
+            location: 'The Crown'
+          }
+        ]
+      });
+
+      expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(text.split('\r\n').every(line => !line.includes('\n'))).toBe(true);
+      expect(text).toContain('DTSTART;VALUE=DATE:20240131\r\nDTEND;VALUE=DATE:20240201\r\nTRANSP:TRANSPARENT');
+      expect(text).toContain('DTSTART:20240201T200000Z\r\nDTEND:20240201T233000Z');
+      expect(text).toContain('SUMMARY:Band: Gig\\, upstairs');
+      expect(text).toContain('CATEGORIES:Maintenance');
+      expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { calculateNextDue, getUsageSinceLast, getScheduleDueDate } = require('../../../src/utils/maintenance');
+
+describe('maintenance utils', () => {
+  describe('calculateNextDue', () => {
+    it('rolls named frequencies forward from when the task was performed', () => {
+      const performed = new Date('2024-01-31T10:00:00Z');
+
+      expect(calculateNextDue('weekly', performed)).toEqual(new Date('2024-02-07T10:00:00Z'));
+      expect(calculateNextDue('monthly', performed)).toEqual(new Date('2024-02-29T10:00:00Z'));
+      expect(calculateNextDue('quarterly', performed)).toEqual(new Date('2024-04-30T10:00:00Z'));
+      expect(calculateNextDue('yearly', performed)).toEqual(new Date('2025-01-31T10:00:00Z'));
+    });
+
+    it('returns null for unknown frequencies', () => {
+      expect(calculateNextDue('whenever', new Date())).toBeNull();
+    });
+  });
+
+  describe('getUsageSinceLast', () => {
+    const schedule = { usageInterval: { metric: 'hours', amount: 100 }, usageAtLastPerformed: 40 };
+
+    it('counts usage since the task was last performed', () => {
+      expect(getUsageSinceLast(schedule, { hours: 75 })).toBe(35);
+      expect(getUsageSinceLast({ ...schedule, usageAtLastPerformed: undefined }, {})).toBe(0);
+    });
+
+    it('is null for calendar-only tasks', () => {
+      expect(getUsageSinceLast({ frequency: 'monthly' }, { hours: 75 })).toBeNull();
+    });
+  });
+
+  describe('getScheduleDueDate', () => {
+    it('is due one interval after the task was last performed', () => {
+      expect(getScheduleDueDate({
+        frequency: 'monthly',
+        lastPerformed: new Date('2024-03-15T00:00:00Z')
+      })).toEqual(new Date('2024-04-15T00:00:00Z'));
+    });
+
+    it('has no due date until the task has been performed', () => {
+      expect(getScheduleDueDate({ frequency: 'monthly' })).toBeNull();
+    });
+
+    it('is due when the usage interval is reached, if that comes first', () => {
+      const usageReachedAt = new Date('2024-03-20T00:00:00Z');
+      const schedule = { frequency: 'monthly', lastPerformed: new Date('2024-03-15T00:00:00Z'), usageReachedAt };
+
+      expect(getScheduleDueDate(schedule)).toEqual(usageReachedAt);
+      expect(getScheduleDueDate({ usageReachedAt })).toEqual(usageReachedAt);
+    });
+  });
+});
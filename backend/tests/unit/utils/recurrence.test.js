@@ -0,0 +1,86 @@
+const { RRule } = require('rrule');
+const { parseFrequency, isValidFrequency, getNextOccurrence } = require('../../../src/utils/recurrence');
+
+describe('recurrence utils', () => {
+  describe('parseFrequency', () => {
+    it.each([
+      ['quarterly', { freq: RRule.MONTHLY, interval: 3 }],
+      ['every 2 weeks', { freq: RRule.WEEKLY, interval: 2 }],
+      ['Every  Day', { freq: RRule.DAILY, interval: 1 }],
+      ['every monday and thu', { freq: RRule.WEEKLY, interval: 1, byweekday: [RRule.MO, RRule.TH] }],
+      ['every 3 weeks on fri', { freq: RRule.WEEKLY, interval: 3, byweekday: [RRule.FR] }]
+    ])('understands "%s"', (frequency, options) => {
+      expect(parseFrequency(frequency)).toEqual(options);
+    });
+
+    it('accepts RRULEs with or without the prefix', () => {
+      expect(parseFrequency('RRULE:FREQ=MONTHLY;INTERVAL=2')).toMatchObject({ freq: RRule.MONTHLY, interval: 2 });
+      expect(parseFrequency('freq=weekly;byday=sa')).toMatchObject({ freq: RRule.WEEKLY });
+    });
+
+    it.each([
+      'fortnightly',
+      'every 0 days',
+      'every funday',
+      'FREQ=WEEKLY;INTERVAL=0',
+      'DTSTART:20240101T000000Z\nRRULE:FREQ=DAILY',
+      'INTERVAL=2'
+    ])('rejects "%s"', (frequency) => {
+      expect(parseFrequency(frequency)).toBeNull();
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    it('clamps plain monthly intervals to the end of shorter months', () => {
+      expect(getNextOccurrence('monthly', new Date('2023-01-31T09:00:00Z'))).toEqual(new Date('2023-02-28T09:00:00Z'));
+    });
+
+    it('follows weekday rules', () => {
+      // 2024-05-01 is a Wednesday
+      expect(getNextOccurrence('every monday, friday', new Date('2024-05-01T18:00:00Z')))
+        .toEqual(new Date('2024-05-03T18:00:00Z'));
+    });
+
+    it('returns null once a rule has run out', () => {
+      expect(getNextOccurrence('FREQ=WEEKLY;COUNT=1', new Date('2024-05-01'))).toBeNull();
+    });
+
+    it('finds rare occurrences such as a leap day', () => {
+      expect(getNextOccurrence('FREQ=DAILY;BYMONTH=2;BYMONTHDAY=29', new Date('2024-03-10T08:00:00Z')))
+        .toEqual(new Date('2028-02-29T08:00:00Z'));
+    });
+
+    it('keeps UNTIL when searching ahead', () => {
+      expect(getNextOccurrence('FREQ=DAILY;BYMONTH=2;BYMONTHDAY=29;UNTIL=20270101T000000Z', new Date('2024-03-10')))
+        .toBeNull();
+    });
+
+    it('gives up quickly on rules that can never occur', () => {
+      const startedAt = Date.now();
+
+      expect(getNextOccurrence('FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30', new Date('2024-01-10'))).toBeNull();
+      expect(Date.now() - startedAt).toBeLessThan(2000);
+    });
+  });
+
+  describe('isValidFrequency', () => {
+    it('accepts recognised frequencies that keep recurring', () => {
+      expect(isValidFrequency('every 6 months')).toBe(true);
+      expect(isValidFrequency('FREQ=WEEKLY;COUNT=3', new Date('2020-01-01'))).toBe(true);
+    });
+
+    it('rejects rules that never occur again', () => {
+      expect(isValidFrequency('FREQ=WEEKLY;COUNT=1')).toBe(false);
+      expect(isValidFrequency('FREQ=DAILY;UNTIL=20200101T000000Z')).toBe(false);
+      expect(isValidFrequency('FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30')).toBe(false);
+    });
+
+    it('checks from the last performed date when one is given', () => {
+      expect(isValidFrequency('FREQ=DAILY;UNTIL=20200101T000000Z', new Date('2019-12-01'))).toBe(true);
+    });
+
+    it('rejects unrecognised frequencies', () => {
+      expect(isValidFrequency('whenever')).toBe(false);
+    });
+  });
+});